@@ -32,12 +32,16 @@ async function createTables()
                 max_participants INT DEFAULT NULL,
                 is_public BOOLEAN DEFAULT TRUE,
                 requires_registration BOOLEAN DEFAULT TRUE,
-                scoring_type ENUM('standard', 'time_based', 'penalty_based') DEFAULT 'standard',
+                scoring_type ENUM('standard', 'time_based', 'penalty_based', 'icpc', 'ioi') DEFAULT 'standard',
+                penalty_minutes INT DEFAULT 20,
+                freeze_minutes INT DEFAULT 0,
+                is_rated BOOLEAN DEFAULT TRUE,
                 problems_json JSON,
                 prizes_json JSON,
                 status ENUM('upcoming', 'active', 'ended', 'cancelled') DEFAULT 'upcoming',
                 created_by_user_id INT,
                 company_id INT NULL,
+                finalized_at TIMESTAMP NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 INDEX idx_start_time (start_time),
@@ -71,20 +75,115 @@ async function createTables()
                 problem_id INT,
                 code TEXT,
                 language VARCHAR(50),
+                is_virtual BOOLEAN DEFAULT FALSE,
                 score DECIMAL(8,2) DEFAULT 0,
+                subtask_scores JSON,
                 time_taken_seconds INT,
                 test_cases_passed INT DEFAULT 0,
                 test_cases_total INT DEFAULT 0,
-                status ENUM('pending', 'accepted', 'wrong_answer', 'time_limit', 'runtime_error', 'compilation_error') DEFAULT 'pending',
+                status ENUM('pending', 'accepted', 'wrong_answer', 'time_limit', 'memory_limit', 'output_limit', 'runtime_error', 'compilation_error', 'judge_error') DEFAULT 'pending',
+                execution_time_ms INT DEFAULT NULL,
+                memory_kb INT DEFAULT NULL,
+                judge_error TEXT,
                 submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                judged_at TIMESTAMP NULL,
                 INDEX idx_contest (contest_id),
                 INDEX idx_user (user_id),
                 INDEX idx_problem (problem_id),
+                INDEX idx_status (status),
                 INDEX idx_score (score DESC)
             );
         `);
         console.log('✅ Contest submissions table created');
 
+        // Create contest_virtual_participations table
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS contest_virtual_participations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                contest_id INT NOT NULL,
+                user_id INT NOT NULL,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_contest_user (contest_id, user_id),
+                INDEX idx_user (user_id)
+            );
+        `);
+        console.log('✅ Contest virtual participations table created');
+
+        // Create contest_rating_changes table
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS contest_rating_changes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                contest_id INT NOT NULL,
+                user_id INT NOT NULL,
+                contest_rank INT NOT NULL,
+                old_rating INT NOT NULL,
+                new_rating INT NOT NULL,
+                delta INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_contest_user (contest_id, user_id),
+                INDEX idx_user (user_id)
+            );
+        `);
+        console.log('✅ Contest rating changes table created');
+
+        // Create contest_clarifications table
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS contest_clarifications (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                contest_id INT NOT NULL,
+                user_id INT NOT NULL,
+                problem_id INT NULL,
+                question TEXT NOT NULL,
+                answer TEXT,
+                is_public BOOLEAN DEFAULT FALSE,
+                status ENUM('pending', 'answered') DEFAULT 'pending',
+                answered_by_user_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                answered_at TIMESTAMP NULL,
+                INDEX idx_contest (contest_id),
+                INDEX idx_user (user_id)
+            );
+        `);
+        console.log('✅ Contest clarifications table created');
+
+        // Create contest_announcements table
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS contest_announcements (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                contest_id INT NOT NULL,
+                problem_id INT NULL,
+                title VARCHAR(255),
+                message TEXT NOT NULL,
+                created_by_user_id INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_contest (contest_id)
+            );
+        `);
+        console.log('✅ Contest announcements table created');
+
+        // Create plagiarism_reports table
+        await conn.query(`
+            CREATE TABLE IF NOT EXISTS plagiarism_reports (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                scope ENUM('contest', 'challenge') NOT NULL,
+                scope_id INT NOT NULL,
+                problem_key VARCHAR(100) NOT NULL,
+                language VARCHAR(50),
+                source_a ENUM('contest', 'challenge') NOT NULL,
+                submission_a_id INT NOT NULL,
+                user_a_id INT NOT NULL,
+                source_b ENUM('contest', 'challenge') NOT NULL,
+                submission_b_id INT NOT NULL,
+                user_b_id INT NOT NULL,
+                similarity DECIMAL(6,4) NOT NULL,
+                jaccard DECIMAL(6,4) NOT NULL,
+                matched_lines_json JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_scope (scope, scope_id, similarity)
+            );
+        `);
+        console.log('✅ Plagiarism reports table created');
+
         // Create user_skills table
         await conn.query(`
             CREATE TABLE IF NOT EXISTS user_skills (
@@ -145,6 +244,9 @@ async function createTables()
                 interview_count INT DEFAULT 0,
                 contest_score DECIMAL(10,2) DEFAULT 0,
                 contest_count INT DEFAULT 0,
+                contest_rating INT DEFAULT 1500,
+                max_contest_rating INT DEFAULT 1500,
+                rated_contests INT DEFAULT 0,
                 challenge_score DECIMAL(10,2) DEFAULT 0,
                 challenge_count INT DEFAULT 0,
                 global_rank INT DEFAULT 0,
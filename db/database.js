@@ -18,6 +18,7 @@ const dbConfig={
 };
 
 let pool=null;
+let connected=false;
 
 // Initialize database connection pool
 export async function initializeDatabase()
@@ -30,6 +31,7 @@ export async function initializeDatabase()
         const connection=await pool.getConnection();
         console.log('✅ MySQL database connected successfully');
         connection.release();
+        connected=true;
 
         return pool;
     } catch (error)
@@ -51,6 +53,12 @@ export function getDatabase()
     return pool;
 }
 
+// Whether the startup connection test passed (unlike getDatabase, never logs)
+export function isDatabaseConnected()
+{
+    return connected;
+}
+
 // Execute a query
 export async function query(sql, params=[])
 {
@@ -289,6 +297,7 @@ export const db={
 export default {
     initializeDatabase,
     getDatabase,
+    isDatabaseConnected,
     query,
     transaction,
     closeDatabase,
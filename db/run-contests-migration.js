@@ -3,6 +3,23 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+async function addMissingColumns(conn, table, definitions)
+{
+    const [columns]=await conn.query(`
+        SELECT COLUMN_NAME FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+    `, [table]);
+    // Tables this migration does not create may not exist yet; they get the columns when created
+    if (columns.length===0) return [];
+    const existing=new Set(columns.map(c => c.COLUMN_NAME));
+    const added=Object.keys(definitions).filter(column => !existing.has(column));
+    for (const column of added)
+    {
+        await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definitions[column]}`);
+    }
+    return added;
+}
+
 async function runMigration()
 {
     const conn=await mysql.createConnection({
@@ -96,12 +113,16 @@ async function runMigration()
             max_participants INT DEFAULT NULL,
             is_public BOOLEAN DEFAULT TRUE,
             requires_registration BOOLEAN DEFAULT TRUE,
-            scoring_type ENUM('standard', 'time_based', 'penalty_based') DEFAULT 'standard',
+            scoring_type ENUM('standard', 'time_based', 'penalty_based', 'icpc', 'ioi') DEFAULT 'standard',
+            penalty_minutes INT DEFAULT 20,
+            freeze_minutes INT DEFAULT 0,
+            is_rated BOOLEAN DEFAULT TRUE,
             problems_json JSON,
             prizes_json JSON,
             status ENUM('upcoming', 'active', 'ended', 'cancelled') DEFAULT 'upcoming',
             created_by_user_id INT,
             company_id INT NULL,
+            finalized_at TIMESTAMP NULL,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
             INDEX idx_start_time (start_time),
@@ -136,20 +157,151 @@ async function runMigration()
             problem_id INT,
             code TEXT,
             language VARCHAR(50),
+            is_virtual BOOLEAN DEFAULT FALSE,
             score DECIMAL(8,2) DEFAULT 0,
+            subtask_scores JSON,
             time_taken_seconds INT,
             test_cases_passed INT DEFAULT 0,
             test_cases_total INT DEFAULT 0,
-            status ENUM('pending', 'accepted', 'wrong_answer', 'time_limit', 'runtime_error', 'compilation_error') DEFAULT 'pending',
+            status ENUM('pending', 'accepted', 'wrong_answer', 'time_limit', 'memory_limit', 'output_limit', 'runtime_error', 'compilation_error', 'judge_error') DEFAULT 'pending',
+            execution_time_ms INT DEFAULT NULL,
+            memory_kb INT DEFAULT NULL,
+            judge_error TEXT,
             submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            judged_at TIMESTAMP NULL,
             INDEX idx_contest (contest_id),
             INDEX idx_user (user_id),
             INDEX idx_problem (problem_id),
+            INDEX idx_status (status),
             INDEX idx_score (score)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
     console.log('✅ Contest submissions table created');
 
+    // Create contest virtual participations table
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS contest_virtual_participations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            contest_id INT NOT NULL,
+            user_id INT NOT NULL,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_contest_user (contest_id, user_id),
+            INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Contest virtual participations table created');
+
+    // Create contest rating changes table
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS contest_rating_changes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            contest_id INT NOT NULL,
+            user_id INT NOT NULL,
+            contest_rank INT NOT NULL,
+            old_rating INT NOT NULL,
+            new_rating INT NOT NULL,
+            delta INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_contest_user (contest_id, user_id),
+            INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Contest rating changes table created');
+
+    // Create contest clarifications table
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS contest_clarifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            contest_id INT NOT NULL,
+            user_id INT NOT NULL,
+            problem_id INT NULL,
+            question TEXT NOT NULL,
+            answer TEXT,
+            is_public BOOLEAN DEFAULT FALSE,
+            status ENUM('pending', 'answered') DEFAULT 'pending',
+            answered_by_user_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            answered_at TIMESTAMP NULL,
+            INDEX idx_contest (contest_id),
+            INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Contest clarifications table created');
+
+    // Create contest announcements table
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS contest_announcements (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            contest_id INT NOT NULL,
+            problem_id INT NULL,
+            title VARCHAR(255),
+            message TEXT NOT NULL,
+            created_by_user_id INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_contest (contest_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Contest announcements table created');
+
+    // Create plagiarism reports table
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS plagiarism_reports (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            scope ENUM('contest', 'challenge') NOT NULL,
+            scope_id INT NOT NULL,
+            problem_key VARCHAR(100) NOT NULL,
+            language VARCHAR(50),
+            source_a ENUM('contest', 'challenge') NOT NULL,
+            submission_a_id INT NOT NULL,
+            user_a_id INT NOT NULL,
+            source_b ENUM('contest', 'challenge') NOT NULL,
+            submission_b_id INT NOT NULL,
+            user_b_id INT NOT NULL,
+            similarity DECIMAL(6,4) NOT NULL,
+            jaccard DECIMAL(6,4) NOT NULL,
+            matched_lines_json JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_scope (scope, scope_id, similarity)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Plagiarism reports table created');
+
+    // Upgrade tables created by earlier versions of this migration
+    const addedContestColumns=await addMissingColumns(conn, 'contests', {
+        penalty_minutes: 'INT DEFAULT 20',
+        freeze_minutes: 'INT DEFAULT 0',
+        is_rated: 'BOOLEAN DEFAULT TRUE',
+        finalized_at: 'TIMESTAMP NULL'
+    });
+    if (addedContestColumns.includes('finalized_at'))
+    {
+        // Contests that ended before ratings existed are closed as they are, not rated after the fact
+        await conn.query('UPDATE contests SET finalized_at = end_time WHERE end_time <= NOW()');
+    }
+    await conn.query(`
+        ALTER TABLE contests MODIFY COLUMN scoring_type
+        ENUM('standard', 'time_based', 'penalty_based', 'icpc', 'ioi') DEFAULT 'standard'
+    `);
+    await addMissingColumns(conn, 'contest_submissions', {
+        is_virtual: 'BOOLEAN DEFAULT FALSE',
+        subtask_scores: 'JSON',
+        execution_time_ms: 'INT DEFAULT NULL',
+        memory_kb: 'INT DEFAULT NULL',
+        judge_error: 'TEXT',
+        judged_at: 'TIMESTAMP NULL'
+    });
+    await conn.query(`
+        ALTER TABLE contest_submissions MODIFY COLUMN status
+        ENUM('pending', 'accepted', 'wrong_answer', 'time_limit', 'memory_limit', 'output_limit', 'runtime_error', 'compilation_error', 'judge_error') DEFAULT 'pending'
+    `);
+    // user_leaderboard_stats comes from create-contests.js; ratings live next to the other contest stats
+    await addMissingColumns(conn, 'user_leaderboard_stats', {
+        contest_rating: 'INT DEFAULT 1500',
+        max_contest_rating: 'INT DEFAULT 1500',
+        rated_contests: 'INT DEFAULT 0'
+    });
+    console.log('✅ Contest judging, scoring and rating columns ready');
+
     await conn.end();
     console.log('✅ Migration complete!');
 }
@@ -382,24 +382,16 @@ CREATE TABLE IF NOT EXISTS attempt_answers (
 -- =============================================
 CREATE TABLE IF NOT EXISTS proctoring_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    attempt_id INT NOT NULL,
-    candidate_user_id INT NOT NULL,
-    event_type ENUM(
-        'session_start', 'session_end',
-        'tab_switch', 'tab_hidden', 'tab_visible',
-        'fullscreen_exit', 'fullscreen_enter',
-        'face_not_detected', 'multiple_faces', 'face_mismatch',
-        'copy_paste', 'right_click', 'keyboard_shortcut',
-        'screen_capture', 'browser_resize',
-        'idle_detected', 'suspicious_behavior',
-        'warning_issued', 'test_terminated',
-        'snapshot_taken', 'audio_detected'
-    ) NOT NULL,
-    severity ENUM('info', 'warning', 'critical') DEFAULT 'info',
+    interview_id VARCHAR(100),
+    attempt_id INT,
+    candidate_user_id INT,
+    event_type VARCHAR(50) NOT NULL,
+    severity ENUM('info', 'low', 'medium', 'high', 'warning', 'critical') DEFAULT 'info',
     description TEXT,
     metadata_json JSON,
     snapshot_url VARCHAR(500),
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_interview (interview_id, timestamp),
     INDEX idx_attempt (attempt_id),
     INDEX idx_candidate (candidate_user_id),
     INDEX idx_event_type (event_type),
@@ -409,14 +401,79 @@ CREATE TABLE IF NOT EXISTS proctoring_logs (
     FOREIGN KEY (candidate_user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Live interview events have no assessment attempt and use the client's event types and severities
+ALTER TABLE proctoring_logs ADD COLUMN IF NOT EXISTS interview_id VARCHAR(100) AFTER id;
+ALTER TABLE proctoring_logs MODIFY attempt_id INT NULL;
+ALTER TABLE proctoring_logs MODIFY candidate_user_id INT NULL;
+ALTER TABLE proctoring_logs MODIFY event_type VARCHAR(50) NOT NULL;
+ALTER TABLE proctoring_logs MODIFY severity ENUM('info', 'low', 'medium', 'high', 'warning', 'critical') DEFAULT 'info';
+ALTER TABLE proctoring_logs ADD INDEX IF NOT EXISTS idx_interview (interview_id, timestamp);
+
+-- Proctored live sessions shown on the proctor dashboard
+CREATE TABLE IF NOT EXISTS proctoring_sessions (
+    interview_id VARCHAR(100) PRIMARY KEY,
+    candidate_name VARCHAR(255),
+    candidate_email VARCHAR(255),
+    recruiter_name VARCHAR(255),
+    candidate_user_id INT,
+    linked_session_id VARCHAR(36),
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NULL,
+    last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status ENUM('active', 'paused', 'completed', 'terminated') DEFAULT 'active',
+    status_reason VARCHAR(255),
+    event_count INT DEFAULT 0,
+    INDEX idx_status (status),
+    INDEX idx_end_time (end_time)
+);
+
+-- Face verification results during proctored sessions
+CREATE TABLE IF NOT EXISTS proctoring_identity_checks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    interview_id VARCHAR(100),
+    user_id VARCHAR(100) NOT NULL,
+    verified BOOLEAN NOT NULL,
+    score DECIMAL(6, 4),
+    liveness_json JSON,
+    reason VARCHAR(255),
+    method VARCHAR(20),
+    challenge_id VARCHAR(36),
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_interview (interview_id, checked_at),
+    INDEX idx_checked_at (checked_at)
+);
+
+-- How a check was decided (remote, local or none when unanswered) and the server-issued challenge it answered
+ALTER TABLE proctoring_identity_checks ADD COLUMN IF NOT EXISTS method VARCHAR(20) AFTER reason;
+ALTER TABLE proctoring_identity_checks ADD COLUMN IF NOT EXISTS challenge_id VARCHAR(36) AFTER method;
+
+-- Webcam and secondary-camera snapshots kept as evidence; the image files are
+-- stored on disk under their SHA-256, so rows with the same frame share a file
+CREATE TABLE IF NOT EXISTS proctoring_snapshots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    interview_id VARCHAR(100) NOT NULL,
+    source VARCHAR(30) NOT NULL DEFAULT 'webcam',
+    sha256 CHAR(64) NOT NULL,
+    mime_type VARCHAR(30) NOT NULL,
+    size_bytes INT NOT NULL,
+    thumbnail_sha256 CHAR(64),
+    thumbnail_mime_type VARCHAR(30),
+    captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_interview (interview_id, captured_at),
+    INDEX idx_sha256 (sha256),
+    INDEX idx_thumbnail_sha256 (thumbnail_sha256),
+    INDEX idx_captured_at (captured_at)
+);
+
 -- =============================================
 -- INTERVIEW SCHEDULES TABLE
 -- =============================================
 CREATE TABLE IF NOT EXISTS interview_schedules (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    application_id INT NOT NULL,
-    job_id INT NOT NULL,
-    candidate_user_id INT NOT NULL,
+    live_session_id VARCHAR(36),
+    application_id INT,
+    job_id INT,
+    candidate_user_id INT,
     interview_type ENUM('phone', 'video', 'in_person', 'technical', 'hr', 'panel') NOT NULL,
     interview_round INT DEFAULT 1,
     title VARCHAR(255),
@@ -428,16 +485,20 @@ CREATE TABLE IF NOT EXISTS interview_schedules (
     meeting_id VARCHAR(100),
     meeting_password VARCHAR(100),
     location VARCHAR(500),
-    status ENUM('scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rescheduled', 'no_show') DEFAULT 'scheduled',
+    status ENUM('scheduled', 'confirmed', 'waiting', 'in_progress', 'completed', 'cancelled', 'rescheduled', 'no_show') DEFAULT 'scheduled',
     interviewers_json JSON,
+    live_details_json JSON,
     notes TEXT,
     candidate_notes TEXT,
     created_by_user_id INT,
     confirmed_at TIMESTAMP NULL,
     cancelled_at TIMESTAMP NULL,
     cancellation_reason TEXT,
+    started_at TIMESTAMP NULL,
+    ended_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_live_session (live_session_id),
     INDEX idx_application (application_id),
     INDEX idx_job (job_id),
     INDEX idx_candidate (candidate_user_id),
@@ -449,18 +510,30 @@ CREATE TABLE IF NOT EXISTS interview_schedules (
     FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
+-- Live interviews (routes/liveInterview.js) are stored here too; they may have no application or registered candidate
+ALTER TABLE interview_schedules ADD COLUMN IF NOT EXISTS live_session_id VARCHAR(36) AFTER id;
+ALTER TABLE interview_schedules ADD COLUMN IF NOT EXISTS live_details_json JSON AFTER interviewers_json;
+ALTER TABLE interview_schedules ADD COLUMN IF NOT EXISTS started_at TIMESTAMP NULL AFTER cancellation_reason;
+ALTER TABLE interview_schedules ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP NULL AFTER started_at;
+ALTER TABLE interview_schedules ADD UNIQUE KEY uq_live_session (live_session_id);
+ALTER TABLE interview_schedules MODIFY application_id INT NULL;
+ALTER TABLE interview_schedules MODIFY job_id INT NULL;
+ALTER TABLE interview_schedules MODIFY candidate_user_id INT NULL;
+ALTER TABLE interview_schedules MODIFY status ENUM('scheduled', 'confirmed', 'waiting', 'in_progress', 'completed', 'cancelled', 'rescheduled', 'no_show') DEFAULT 'scheduled';
+
 -- =============================================
 -- INTERVIEW FEEDBACK TABLE
 -- =============================================
 CREATE TABLE IF NOT EXISTS interview_feedback (
     id INT AUTO_INCREMENT PRIMARY KEY,
     interview_id INT NOT NULL,
-    interviewer_user_id INT NOT NULL,
-    overall_rating DECIMAL(3, 2),
-    technical_rating DECIMAL(3, 2),
-    communication_rating DECIMAL(3, 2),
-    problem_solving_rating DECIMAL(3, 2),
-    cultural_fit_rating DECIMAL(3, 2),
+    interviewer_user_id INT,
+    interviewer_name VARCHAR(255),
+    overall_rating DECIMAL(5, 2),
+    technical_rating DECIMAL(5, 2),
+    communication_rating DECIMAL(5, 2),
+    problem_solving_rating DECIMAL(5, 2),
+    cultural_fit_rating DECIMAL(5, 2),
     recommendation ENUM('strong_hire', 'hire', 'maybe', 'no_hire', 'strong_no_hire'),
     strengths TEXT,
     weaknesses TEXT,
@@ -477,6 +550,62 @@ CREATE TABLE IF NOT EXISTS interview_feedback (
     FOREIGN KEY (interviewer_user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Live interview feedback may come from a recruiter without an account, rated on a 0-10 or 0-100 scale
+ALTER TABLE interview_feedback MODIFY interviewer_user_id INT NULL;
+ALTER TABLE interview_feedback ADD COLUMN IF NOT EXISTS interviewer_name VARCHAR(255) AFTER interviewer_user_id;
+ALTER TABLE interview_feedback MODIFY overall_rating DECIMAL(5, 2);
+ALTER TABLE interview_feedback MODIFY technical_rating DECIMAL(5, 2);
+ALTER TABLE interview_feedback MODIFY communication_rating DECIMAL(5, 2);
+ALTER TABLE interview_feedback MODIFY problem_solving_rating DECIMAL(5, 2);
+ALTER TABLE interview_feedback MODIFY cultural_fit_rating DECIMAL(5, 2);
+
+-- People who joined a live interview
+CREATE TABLE IF NOT EXISTS live_interview_participants (
+    id VARCHAR(36) PRIMARY KEY,
+    interview_id INT NOT NULL,
+    name VARCHAR(255),
+    role VARCHAR(20),
+    admission ENUM('waiting', 'admitted', 'rejected') DEFAULT 'waiting',
+    admitted_at TIMESTAMP NULL,
+    details_json JSON,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_interview (interview_id, joined_at),
+    FOREIGN KEY (interview_id) REFERENCES interview_schedules(id) ON DELETE CASCADE
+);
+
+-- Candidates wait until a recruiter admits them
+ALTER TABLE live_interview_participants ADD COLUMN IF NOT EXISTS admission ENUM('waiting', 'admitted', 'rejected') DEFAULT 'waiting' AFTER role;
+ALTER TABLE live_interview_participants ADD COLUMN IF NOT EXISTS admitted_at TIMESTAMP NULL AFTER admission;
+
+-- Code snapshots, chat, whiteboard strokes, notes, questions and proctoring events of a live interview
+CREATE TABLE IF NOT EXISTS live_interview_artifacts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    interview_id INT NOT NULL,
+    kind ENUM('code_snapshot', 'chat_message', 'whiteboard_stroke', 'whiteboard_clear', 'note', 'question', 'proctoring_event') NOT NULL,
+    author VARCHAR(255),
+    payload_json JSON,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    INDEX idx_interview_kind (interview_id, kind, created_at),
+    INDEX idx_interview_created (interview_id, created_at),
+    FOREIGN KEY (interview_id) REFERENCES interview_schedules(id) ON DELETE CASCADE
+);
+
+-- Every edit of the shared code editor, one row per document revision, for replay;
+-- checkpoint holds the whole document every so often so replays don't start from zero
+CREATE TABLE IF NOT EXISTS live_interview_code_ops (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    interview_id INT NOT NULL,
+    revision INT NOT NULL,
+    author VARCHAR(255),
+    ops_json JSON NOT NULL,
+    language VARCHAR(30),
+    checkpoint MEDIUMTEXT,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    UNIQUE KEY uq_interview_revision (interview_id, revision),
+    INDEX idx_interview_created (interview_id, created_at),
+    FOREIGN KEY (interview_id) REFERENCES interview_schedules(id) ON DELETE CASCADE
+);
+
 -- =============================================
 -- CANDIDATE REPORTS TABLE
 -- =============================================
@@ -585,5 +714,104 @@ CREATE TABLE IF NOT EXISTS activity_logs (
     FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL
 );
 
+-- =============================================
+-- ANTI-CHEAT POLICIES (per company, optionally per assessment)
+-- =============================================
+CREATE TABLE IF NOT EXISTS anti_cheat_policies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    company_id INT NOT NULL,
+    assessment_id INT,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    settings_json JSON NOT NULL,
+    is_default BOOLEAN DEFAULT FALSE,
+    created_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_company_name (company_id, name),
+    INDEX idx_assessment (assessment_id),
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- CODING PRACTICE SESSIONS (anti-cheat state)
+-- =============================================
+CREATE TABLE IF NOT EXISTS cp_sessions (
+    session_id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL,
+    problem_id VARCHAR(100) NOT NULL,
+    start_time BIGINT NOT NULL,
+    end_time BIGINT,
+    time_limit_ms INT,
+    max_submissions INT DEFAULT 10,
+    status ENUM('active', 'completed', 'terminated') DEFAULT 'active',
+    termination_reason VARCHAR(100),
+    violations_json JSON NOT NULL,
+    metrics_json JSON NOT NULL,
+    submission_count INT DEFAULT 0,
+    policy_id INT,
+    policy_json JSON,
+    archived_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user (user_id),
+    INDEX idx_status_start (status, start_time),
+    INDEX idx_archived (archived_at)
+);
+
+CREATE TABLE IF NOT EXISTS cp_session_violations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    violation_type VARCHAR(50) NOT NULL,
+    details_json JSON,
+    occurred_at BIGINT NOT NULL,
+    INDEX idx_session (session_id),
+    FOREIGN KEY (session_id) REFERENCES cp_sessions(session_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS cp_session_flags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    flag_type VARCHAR(50) NOT NULL,
+    severity ENUM('low', 'medium', 'high', 'critical') NOT NULL,
+    message VARCHAR(255),
+    details_json JSON,
+    occurred_at BIGINT NOT NULL,
+    INDEX idx_session (session_id),
+    FOREIGN KEY (session_id) REFERENCES cp_sessions(session_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS cp_session_submissions (
+    submission_id VARCHAR(36) PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    code MEDIUMTEXT NOT NULL,
+    language VARCHAR(20) NOT NULL,
+    code_length INT NOT NULL,
+    result_json JSON,
+    execution_time_ms INT,
+    time_since_start_ms BIGINT NOT NULL,
+    submitted_at BIGINT NOT NULL,
+    INDEX idx_session (session_id, submitted_at),
+    FOREIGN KEY (session_id) REFERENCES cp_sessions(session_id) ON DELETE CASCADE
+);
+
+-- Editor history for replay: compact event batches, some with a full-code checkpoint
+CREATE TABLE IF NOT EXISTS cp_session_edit_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(36) NOT NULL,
+    seq INT NOT NULL,
+    first_event_at BIGINT NOT NULL,
+    last_event_at BIGINT NOT NULL,
+    event_count INT NOT NULL,
+    events_json MEDIUMTEXT NOT NULL,
+    code_length INT NOT NULL,
+    checkpoint MEDIUMTEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_session_seq (session_id, seq),
+    INDEX idx_session_time (session_id, first_event_at),
+    FOREIGN KEY (session_id) REFERENCES cp_sessions(session_id) ON DELETE CASCADE
+);
+
 -- Display success message
 SELECT 'Assessment Portal Database Schema Created Successfully!' AS Status;
@@ -4,6 +4,15 @@ import {query} from '../db/database.js';
 // Use the same secret as Python backend for JWT verification
 const JWT_SECRET=process.env.JWT_SECRET_KEY||process.env.JWT_SECRET||'your-secret-key-change-in-production';
 
+// Account tokens carry no audience; tokens minted for something narrower (such as
+// live interview join links, audience 'live-interview') are not accounts
+function verifyAccountToken(token)
+{
+    const decoded=jwt.verify(token, JWT_SECRET);
+    if (decoded.aud!==undefined) throw new jwt.JsonWebTokenError('Not an account token');
+    return decoded;
+}
+
 // Verify JWT token middleware
 export function authenticateToken(req, res, next)
 {
@@ -17,7 +26,7 @@ export function authenticateToken(req, res, next)
 
     try
     {
-        const decoded=jwt.verify(token, JWT_SECRET);
+        const decoded=verifyAccountToken(token);
         req.user=decoded;
         next();
     } catch (error)
@@ -108,7 +117,7 @@ export function optionalAuth(req, res, next)
     {
         try
         {
-            const decoded=jwt.verify(token, JWT_SECRET);
+            const decoded=verifyAccountToken(token);
             req.user=decoded;
         } catch (error)
         {
@@ -119,4 +128,26 @@ export function optionalAuth(req, res, next)
     next();
 }
 
+// Socket.IO counterpart of optionalAuth: a valid token in the handshake
+// (auth.token, or an Authorization header) sets socket.user; without one the
+// socket still connects, but only as an anonymous client
+export function authenticateSocket(socket, next)
+{
+    const authHeader=socket.handshake.headers?.authorization;
+    const token=socket.handshake.auth?.token||(authHeader&&authHeader.split(' ')[1]);
+
+    if (token)
+    {
+        try
+        {
+            socket.user=verifyAccountToken(token);
+        } catch (error)
+        {
+            // Token invalid, but continue without user
+        }
+    }
+
+    next();
+}
+
 export {JWT_SECRET};
@@ -0,0 +1,94 @@
+import express from 'express';
+import antiCheatPolicies, {DEFAULT_POLICY} from '../services/antiCheatPolicy.js';
+
+const router=express.Router();
+
+function sendPolicyError(res, error, message)
+{
+    if (!error.status) console.error(`${message}:`, error);
+    res.status(error.status||500).json({success: false, error: message, message: error.message});
+}
+
+// Built-in settings every policy starts from
+router.get('/defaults', (req, res) =>
+{
+    res.json({success: true, settings: DEFAULT_POLICY});
+});
+
+router.get('/', async (req, res) =>
+{
+    try
+    {
+        const {company_id, assessment_id}=req.query;
+        const policies=await antiCheatPolicies.list({companyId: company_id, assessmentId: assessment_id});
+        res.json({success: true, policies});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to list policies');
+    }
+});
+
+// Policy a session would get: ?policy_id= or ?assessment_id= and/or ?company_id=
+router.get('/resolve', async (req, res) =>
+{
+    try
+    {
+        const {policy_id, assessment_id, company_id}=req.query;
+        const policy=await antiCheatPolicies.resolve({policyId: policy_id, assessmentId: assessment_id, companyId: company_id});
+        res.json({success: true, policy});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to resolve policy');
+    }
+});
+
+router.get('/:id', async (req, res) =>
+{
+    try
+    {
+        const policy=await antiCheatPolicies.get(req.params.id);
+        res.json({success: true, policy});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to get policy');
+    }
+});
+
+// Body: {company_id, assessment_id?, name, description?, settings, is_default?, user_id}
+router.post('/', async (req, res) =>
+{
+    try
+    {
+        const policy=await antiCheatPolicies.create(req.body);
+        res.status(201).json({success: true, policy});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to create policy');
+    }
+});
+
+router.put('/:id', async (req, res) =>
+{
+    try
+    {
+        const policy=await antiCheatPolicies.update(req.params.id, req.body);
+        res.json({success: true, policy});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to update policy');
+    }
+});
+
+router.delete('/:id', async (req, res) =>
+{
+    try
+    {
+        await antiCheatPolicies.remove(req.params.id, req.body?.user_id||req.query.user_id);
+        res.json({success: true, message: 'Policy deleted'});
+    } catch (error)
+    {
+        sendPolicyError(res, error, 'Failed to delete policy');
+    }
+});
+
+export default router;
@@ -5,6 +5,7 @@
 
 import express from 'express';
 import {query} from '../db/database.js';
+import plagiarism from '../services/plagiarism.js';
 
 const router=express.Router();
 
@@ -687,6 +688,97 @@ router.delete('/shortlist/:job_id/:user_id', async (req, res) =>
     }
 });
 
+// ==================== PLAGIARISM ====================
+
+// Plagiarism reports show candidates' code: only the challenge's creator and its company's team may see them
+async function checkChallengeAccess(challengeId, userId, res)
+{
+    const [challenge]=await query('SELECT id, company_id, created_by_user_id FROM company_challenges WHERE id = ?', [challengeId]);
+
+    if (!challenge)
+    {
+        res.status(404).json({message: 'Challenge not found'});
+        return false;
+    }
+
+    const [member]=userId? await query(
+        'SELECT id FROM company_members WHERE company_id = ? AND user_id = ? AND is_active = TRUE',
+        [challenge.company_id, userId]
+    ):[];
+
+    if (String(challenge.created_by_user_id)!==String(userId)&&!member)
+    {
+        res.status(403).json({message: 'Only the challenge owner can do this'});
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compare all submissions of a challenge for plagiarism, including contest submissions to it
+ * POST /api/challenges/:challenge_id/plagiarism/scan
+ */
+router.post('/:challenge_id/plagiarism/scan', async (req, res) =>
+{
+    try
+    {
+        const {challenge_id}=req.params;
+        if (!await checkChallengeAccess(challenge_id, req.body.user_id, res)) return;
+
+        const summary=await plagiarism.scan('challenge', challenge_id);
+
+        res.json({success: true, message: 'Plagiarism scan complete', ...summary});
+    } catch (error)
+    {
+        console.error('Plagiarism scan error:', error);
+        res.status(500).json({message: 'Failed to scan submissions', error: error.message});
+    }
+});
+
+/**
+ * List suspicious clusters and their pairs
+ * GET /api/challenges/:challenge_id/plagiarism?user_id=&threshold=0.8&limit=20
+ */
+router.get('/:challenge_id/plagiarism', async (req, res) =>
+{
+    try
+    {
+        const {challenge_id}=req.params;
+        const {user_id, threshold, limit}=req.query;
+        if (!await checkChallengeAccess(challenge_id, user_id, res)) return;
+
+        const clusters=await plagiarism.getClusters('challenge', challenge_id, {threshold: parseFloat(threshold)||undefined, limit});
+
+        res.json({success: true, clusters});
+    } catch (error)
+    {
+        console.error('Get plagiarism clusters error:', error);
+        res.status(500).json({message: 'Failed to fetch plagiarism report', error: error.message});
+    }
+});
+
+/**
+ * Side-by-side diff of one suspicious pair
+ * GET /api/challenges/:challenge_id/plagiarism/pairs/:reportId?user_id=
+ */
+router.get('/:challenge_id/plagiarism/pairs/:reportId', async (req, res) =>
+{
+    try
+    {
+        const {challenge_id, reportId}=req.params;
+        if (!await checkChallengeAccess(challenge_id, req.query.user_id, res)) return;
+
+        const pair=await plagiarism.getPairDiff('challenge', challenge_id, reportId);
+        if (!pair) return res.status(404).json({message: 'Pair not found'});
+
+        res.json({success: true, pair});
+    } catch (error)
+    {
+        console.error('Get plagiarism pair error:', error);
+        res.status(500).json({message: 'Failed to fetch plagiarism pair', error: error.message});
+    }
+});
+
 // ==================== CHALLENGE ANALYTICS ====================
 
 /**
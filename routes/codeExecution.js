@@ -1,67 +1,73 @@
 import express from 'express';
+import {VERDICTS} from '../services/judge.js';
+import submissionQueue, {sendQueueFull} from '../services/submissionQueue.js';
+import {optionalAuth} from '../middleware/auth.js';
 
 const router=express.Router();
 
-// Execute code with test cases (for practice mode)
+/**
+ * Execute code with test cases (for practice mode)
+ * Kept synchronous on purpose for the clients built on it: the run still waits
+ * its turn in the submission queue (and gets 429 when it is full), but the
+ * response holds the result. New clients should use POST /jobs instead.
+ */
 router.post('/execute', async (req, res) =>
 {
-    const {code, language, testCases}=req.body;
+    const {code, language, input, testCases, functionName, signature, comparison}=req.body;
+
+    if (!code||!language)
+    {
+        return res.status(400).json({success: false, error: 'Code and language are required'});
+    }
 
     try
     {
         // If no test cases provided, just execute code
         if (!testCases||testCases.length===0)
         {
-            // Mock execution
+            const result=await submissionQueue.run('execute', {code, language, input});
             return res.json({
                 success: true,
-                output: 'Code executed successfully!\nHello, World!\n',
-                executionTime: '0.12s',
-                memory: '15.2 MB',
-                status: 'Accepted',
+                output: result.output,
+                errors: result.errors,
+                executionTime: `${(result.executionTime/1000).toFixed(2)}s`,
+                memory: `${(result.memoryUsed/1024).toFixed(1)} MB`,
+                verdict: result.verdict,
+                status: result.status,
             });
         }
 
-        // Run code against test cases
-        // This is a simplified mock - in production, use Judge0 API or similar
-        const results=[];
-        let passedCount=0;
-
-        for (let i=0;i<testCases.length;i++)
-        {
-            const testCase=testCases[i];
-
-            // Mock test execution
-            // In a real implementation, you would:
-            // 1. Create a secure sandbox environment
-            // 2. Execute the code with test case inputs
-            // 3. Compare outputs
-            // 4. Handle timeouts and errors
-
-            const passed=Math.random()>0.3; // Mock: 70% pass rate
-            if (passed) passedCount++;
-
-            results.push({
-                testCase: i+1,
-                passed: passed,
-                expected: JSON.stringify(testCase.output),
-                actual: passed? JSON.stringify(testCase.output):JSON.stringify('incorrect output'),
-                runtime: `${(Math.random()*0.05).toFixed(3)}s`,
-                hidden: testCase.hidden||false
-            });
-        }
+        // Run code against test cases: through the function harness when a
+        // functionName map or signature is given, otherwise as stdin/stdout cases
+        const testResults=await submissionQueue.run('tests', {code, language, testCases, functionName: functionName||null, options: {signature: signature||null, comparison: comparison||null}});
+        const results=testResults.testResults.map(t => ({
+            testCase: t.caseNumber,
+            passed: t.passed,
+            verdict: t.verdict,
+            expected: JSON.stringify(t.expectedOutput),
+            actual: t.actualOutput,
+            error: t.error,
+            runtime: `${(t.executionTime/1000).toFixed(3)}s`,
+            hidden: t.hidden||false
+        }));
+        const maxTime=Math.max(0, ...testResults.testResults.map(t => t.executionTime||0));
+        const maxMemory=Math.max(0, ...testResults.testResults.map(t => t.memoryUsed||0));
 
         res.json({
             success: true,
-            passed: passedCount,
-            total: testCases.length,
+            verdict: testResults.verdict,
+            status: VERDICTS[testResults.verdict],
+            passed: testResults.passedTests,
+            total: testResults.totalTests,
             details: results.filter(r => !r.hidden), // Only show non-hidden results
-            executionTime: `${(Math.random()*0.2).toFixed(2)}s`,
-            memory: `${(15+Math.random()*10).toFixed(1)} MB`,
+            error: testResults.error,
+            executionTime: `${(maxTime/1000).toFixed(2)}s`,
+            memory: `${(maxMemory/1024).toFixed(1)} MB`,
         });
 
     } catch (error)
     {
+        if (sendQueueFull(res, error)) return;
         console.error('Code execution error:', error);
         res.json({
             success: false,
@@ -70,6 +76,61 @@ router.post('/execute', async (req, res) =>
     }
 });
 
+/**
+ * Queue a run and return straight away with a job id and access key (202)
+ * Same body as /execute. Results come from GET /jobs/:id or, after `subscribe-job`
+ * with the jobId and key, the `job-update` Socket.IO event. A signed-in submitter
+ * can also look the job up with their token instead of the key.
+ */
+router.post('/jobs', optionalAuth, async (req, res) =>
+{
+    const {code, language, input, testCases, functionName, signature, comparison}=req.body;
+    if (!code||!language)
+    {
+        return res.status(400).json({success: false, error: 'Code and language are required'});
+    }
+
+    try
+    {
+        const job=testCases&&testCases.length>0
+            ? await submissionQueue.submit('tests', {code, language, testCases, functionName: functionName||null, options: {signature: signature||null, comparison: comparison||null}}, {ownerId: req.user?.id??null})
+            :await submissionQueue.submit('execute', {code, language, input}, {ownerId: req.user?.id??null});
+        res.status(202).json({success: true, jobId: job.jobId, accessKey: job.accessKey, status: job.status, position: job.position, statusUrl: `${req.baseUrl}/jobs/${job.jobId}`});
+    } catch (error)
+    {
+        if (sendQueueFull(res, error)) return;
+        console.error('Job submission error:', error);
+        res.status(500).json({success: false, error: 'Failed to queue job', message: error.message});
+    }
+});
+
+// Poll a queued run with its key (X-Job-Key header or ?key=) or the owner's token;
+// finished jobs are kept for a while (JUDGE_RESULT_TTL_SECONDS)
+router.get('/jobs/:id', optionalAuth, async (req, res) =>
+{
+    try
+    {
+        const job=await submissionQueue.getJobFor(req.params.id, {userId: req.user?.id, key: req.get('X-Job-Key')||req.query.key});
+        if (!job) return res.status(404).json({success: false, error: 'Job not found'});
+        res.json({success: true, job});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to get job', message: error.message});
+    }
+});
+
+// Queue load, for clients deciding whether to submit or back off
+router.get('/queue', async (req, res) =>
+{
+    try
+    {
+        res.json({success: true, queue: await submissionQueue.stats()});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to get queue status', message: error.message});
+    }
+});
+
 // Submit code with test cases
 router.post('/submit', async (req, res) =>
 {
@@ -1,5 +1,8 @@
 import express from 'express';
 import axios from 'axios';
+import { VERDICTS } from '../services/judge.js';
+import submissionQueue, { sendQueueFull } from '../services/submissionQueue.js';
+import harness from '../services/harness.js';
 
 const router = express.Router();
 
@@ -24,6 +27,12 @@ const problemBank = {
                 java: 'class Solution {\n    public int[] twoSum(int[] nums, int target) {\n        // Write your solution here\n        return new int[]{};\n    }\n}',
                 cpp: '#include <vector>\nusing namespace std;\n\nvector<int> twoSum(vector<int>& nums, int target) {\n    // Write your solution here\n    return {};\n}'
             },
+            signature: { params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }], returnType: 'int[]' },
+            // Any pair of distinct indices that adds up to target is a valid answer, in either order
+            checker: {
+                language: 'python',
+                code: 'def check(input, expected, actual):\n    i, j = actual\n    nums = input["nums"]\n    return i != j and 0 <= i < len(nums) and 0 <= j < len(nums) and nums[i] + nums[j] == input["target"]'
+            },
             testCases: [
                 { input: { nums: [2, 7, 11, 15], target: 9 }, output: [0, 1], hidden: false },
                 { input: { nums: [3, 2, 4], target: 6 }, output: [1, 2], hidden: false },
@@ -50,6 +59,7 @@ const problemBank = {
                 java: 'class Solution {\n    public boolean isPalindrome(int x) {\n        // Write your solution here\n        return false;\n    }\n}',
                 cpp: 'bool isPalindrome(int x) {\n    // Write your solution here\n    return false;\n}'
             },
+            signature: { params: [{ name: 'x', type: 'int' }], returnType: 'boolean' },
             testCases: [
                 { input: { x: 121 }, output: true, hidden: false },
                 { input: { x: -121 }, output: false, hidden: false },
@@ -77,6 +87,7 @@ const problemBank = {
                 java: 'class Solution {\n    public boolean isValid(String s) {\n        // Write your solution here\n        return false;\n    }\n}',
                 cpp: '#include <string>\nusing namespace std;\n\nbool isValid(string s) {\n    // Write your solution here\n    return false;\n}'
             },
+            signature: { params: [{ name: 's', type: 'string' }], returnType: 'boolean' },
             testCases: [
                 { input: { s: '()' }, output: true, hidden: false },
                 { input: { s: '()[]{}' }, output: true, hidden: false },
@@ -104,6 +115,7 @@ const problemBank = {
                 java: 'class Solution {\n    public void reverseString(char[] s) {\n        // Modify s in-place\n    }\n}',
                 cpp: '#include <vector>\nusing namespace std;\n\nvoid reverseString(vector<char>& s) {\n    // Modify s in-place\n}'
             },
+            signature: { params: [{ name: 's', type: 'char[]' }], returnType: 'void' },
             testCases: [
                 { input: { s: ['h', 'e', 'l', 'l', 'o'] }, output: ['o', 'l', 'l', 'e', 'h'], hidden: false },
                 { input: { s: ['H', 'a', 'n', 'n', 'a', 'h'] }, output: ['h', 'a', 'n', 'n', 'a', 'H'], hidden: false }
@@ -132,6 +144,7 @@ const problemBank = {
                 java: 'class Solution {\n    public int lengthOfLongestSubstring(String s) {\n        // Write your solution here\n        return 0;\n    }\n}',
                 cpp: '#include <string>\nusing namespace std;\n\nint lengthOfLongestSubstring(string s) {\n    // Write your solution here\n    return 0;\n}'
             },
+            signature: { params: [{ name: 's', type: 'string' }], returnType: 'int' },
             testCases: [
                 { input: { s: 'abcabcbb' }, output: 3, hidden: false },
                 { input: { s: 'bbbbb' }, output: 1, hidden: false },
@@ -159,6 +172,7 @@ const problemBank = {
                 java: 'class Solution {\n    public int maxArea(int[] height) {\n        // Write your solution here\n        return 0;\n    }\n}',
                 cpp: '#include <vector>\nusing namespace std;\n\nint maxArea(vector<int>& height) {\n    // Write your solution here\n    return 0;\n}'
             },
+            signature: { params: [{ name: 'height', type: 'int[]' }], returnType: 'int' },
             testCases: [
                 { input: { height: [1, 8, 6, 2, 5, 4, 8, 3, 7] }, output: 49, hidden: false },
                 { input: { height: [1, 1] }, output: 1, hidden: false },
@@ -185,6 +199,9 @@ const problemBank = {
                 java: 'import java.util.*;\n\nclass Solution {\n    public List<List<String>> groupAnagrams(String[] strs) {\n        // Write your solution here\n        return new ArrayList<>();\n    }\n}',
                 cpp: '#include <vector>\n#include <string>\nusing namespace std;\n\nvector<vector<string>> groupAnagrams(vector<string>& strs) {\n    // Write your solution here\n    return {};\n}'
             },
+            signature: { params: [{ name: 'strs', type: 'string[]' }], returnType: 'list<list<string>>' },
+            // Groups and the words inside them may come back in any order
+            comparison: { mode: 'unordered', depth: 2 },
             testCases: [
                 { input: { strs: ['eat', 'tea', 'tan', 'ate', 'nat', 'bat'] }, output: [['eat', 'tea', 'ate'], ['tan', 'nat'], ['bat']], hidden: false },
                 { input: { strs: [''] }, output: [['']], hidden: false },
@@ -212,6 +229,7 @@ const problemBank = {
                 java: 'class Solution {\n    public int searchInsert(int[] nums, int target) {\n        // Write your solution here\n        return 0;\n    }\n}',
                 cpp: '#include <vector>\nusing namespace std;\n\nint searchInsert(vector<int>& nums, int target) {\n    // Write your solution here\n    return 0;\n}'
             },
+            signature: { params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }], returnType: 'int' },
             testCases: [
                 { input: { nums: [1, 3, 5, 6], target: 5 }, output: 2, hidden: false },
                 { input: { nums: [1, 3, 5, 6], target: 2 }, output: 1, hidden: false },
@@ -241,6 +259,7 @@ const problemBank = {
                 java: 'import java.util.*;\n\nclass Solution {\n    public int[] mergeKLists(int[][] lists) {\n        // Return one sorted merged array\n        return new int[]{};\n    }\n}',
                 cpp: '#include <vector>\n#include <queue>\nusing namespace std;\n\nvector<int> mergeKLists(vector<vector<int>>& lists) {\n    // Return one sorted merged vector\n    return {};\n}'
             },
+            signature: { params: [{ name: 'lists', type: 'int[][]' }], returnType: 'int[]' },
             testCases: [
                 { input: { lists: [[1, 4, 5], [1, 3, 4], [2, 6]] }, output: [1, 1, 2, 3, 4, 4, 5, 6], hidden: false },
                 { input: { lists: [] }, output: [], hidden: false },
@@ -267,6 +286,7 @@ const problemBank = {
                 java: 'class Solution {\n    public int trap(int[] height) {\n        // Write your solution here\n        return 0;\n    }\n}',
                 cpp: '#include <vector>\nusing namespace std;\n\nint trap(vector<int>& height) {\n    // Write your solution here\n    return 0;\n}'
             },
+            signature: { params: [{ name: 'height', type: 'int[]' }], returnType: 'int' },
             testCases: [
                 { input: { height: [0, 1, 0, 2, 1, 0, 1, 3, 2, 1, 2, 1] }, output: 6, hidden: false },
                 { input: { height: [4, 2, 0, 3, 2, 5] }, output: 9, hidden: false },
@@ -294,6 +314,7 @@ const problemBank = {
                 java: 'class Solution {\n    public int longestValidParentheses(String s) {\n        // Write your solution here\n        return 0;\n    }\n}',
                 cpp: '#include <string>\nusing namespace std;\n\nint longestValidParentheses(string s) {\n    // Write your solution here\n    return 0;\n}'
             },
+            signature: { params: [{ name: 's', type: 'string' }], returnType: 'int' },
             testCases: [
                 { input: { s: '(()' }, output: 2, hidden: false },
                 { input: { s: ')()())' }, output: 4, hidden: false },
@@ -315,6 +336,26 @@ function getAllCategories() {
     return [...cats];
 }
 
+// Function names per language, taken from the problem's starter code
+function starterFunctionNames(problem) {
+    const names = {};
+    for (const [language, code] of Object.entries(problem.starterCode || {})) {
+        const name = harness.extractFunctionName(code, language);
+        if (name) names[language] = name;
+    }
+    return names;
+}
+
+// Summaries shared by /run and /submit
+function formatRuntime(testResults) {
+    const times = testResults.testResults.map(t => t.executionTime || 0);
+    const memory = testResults.testResults.map(t => t.memoryUsed || 0);
+    return {
+        executionTime: `${times.length ? Math.max(...times) : 0}ms`,
+        memory: `${((memory.length ? Math.max(...memory) : 0) / 1024).toFixed(1)} MB`
+    };
+}
+
 // ── GET /problems – list all problems (metadata only) ──
 router.get('/problems', (req, res) => {
     const { difficulty, category } = req.query;
@@ -359,10 +400,12 @@ router.get('/problems/:id', (req, res) => {
         return res.status(404).json({ error: 'Problem not found' });
     }
 
-    // Return problem with only visible test cases
+    // Return problem with only visible test cases; the checker would give the answer away
+    const { checker, ...publicProblem } = problem;
     const visibleTestCases = problem.testCases.filter(tc => !tc.hidden);
     res.json({
-        ...problem,
+        ...publicProblem,
+        starterCode: harness.withStarterCode(problem.starterCode, starterFunctionNames(problem), problem.signature),
         testCases: visibleTestCases,
         totalTestCases: problem.testCases.length,
         hiddenTestCases: problem.testCases.length - visibleTestCases.length
@@ -384,36 +427,35 @@ router.post('/problems/:id/run', async (req, res) => {
         return res.status(404).json({ error: 'Problem not found' });
     }
 
+    if (!code || !language) {
+        return res.status(400).json({ error: 'Code and language are required' });
+    }
+
     try {
         const visibleTests = problem.testCases.filter(tc => !tc.hidden);
-        const results = [];
-        let passed = 0;
-
-        for (let i = 0; i < visibleTests.length; i++) {
-            const tc = visibleTests[i];
-            // Mock execution – in production, send to Judge0 or similar sandbox
-            const mockPassed = Math.random() > 0.3;
-            if (mockPassed) passed++;
-
-            results.push({
-                testCase: i + 1,
-                passed: mockPassed,
-                input: JSON.stringify(tc.input),
-                expected: JSON.stringify(tc.output),
-                actual: mockPassed ? JSON.stringify(tc.output) : '"wrong answer"',
-                runtime: `${(Math.random() * 50).toFixed(0)}ms`
-            });
-        }
+        const testResults = await submissionQueue.run('tests', { code, language, testCases: visibleTests, functionName: starterFunctionNames(problem), options: { signature: problem.signature, comparison: problem.comparison, checker: problem.checker } });
 
         res.json({
             success: true,
-            passed,
+            verdict: testResults.verdict,
+            status: VERDICTS[testResults.verdict],
+            passed: testResults.passedTests,
             total: visibleTests.length,
-            results,
-            executionTime: `${(Math.random() * 100).toFixed(0)}ms`,
-            memory: `${(10 + Math.random() * 20).toFixed(1)} MB`
+            results: testResults.testResults.map(t => ({
+                testCase: t.caseNumber,
+                passed: t.passed,
+                verdict: t.verdict,
+                input: JSON.stringify(t.input),
+                expected: JSON.stringify(t.expectedOutput),
+                actual: t.actualOutput,
+                error: t.error,
+                runtime: `${t.executionTime}ms`
+            })),
+            error: testResults.error,
+            ...formatRuntime(testResults)
         });
     } catch (error) {
+        if (sendQueueFull(res, error)) return;
         console.error('Run error:', error);
         res.json({ success: false, error: error.message });
     }
@@ -434,36 +476,36 @@ router.post('/problems/:id/submit', async (req, res) => {
         return res.status(404).json({ error: 'Problem not found' });
     }
 
-    try {
-        const results = [];
-        let passed = 0;
-
-        for (let i = 0; i < problem.testCases.length; i++) {
-            const tc = problem.testCases[i];
-            const mockPassed = Math.random() > 0.25;
-            if (mockPassed) passed++;
-
-            results.push({
-                testCase: i + 1,
-                passed: mockPassed,
-                hidden: tc.hidden,
-                runtime: `${(Math.random() * 50).toFixed(0)}ms`
-            });
-        }
+    if (!code || !language) {
+        return res.status(400).json({ error: 'Code and language are required' });
+    }
 
-        const allPassed = passed === problem.testCases.length;
+    try {
+        const testResults = await submissionQueue.run('tests', { code, language, testCases: problem.testCases, functionName: starterFunctionNames(problem), options: { signature: problem.signature, comparison: problem.comparison, checker: problem.checker } });
+        const results = testResults.testResults.map(t => ({
+            testCase: t.caseNumber,
+            passed: t.passed,
+            verdict: t.verdict,
+            hidden: t.hidden,
+            input: t.input,
+            expected: t.expectedOutput,
+            actual: t.actualOutput,
+            runtime: `${t.executionTime}ms`
+        }));
 
         res.json({
             success: true,
-            status: allPassed ? 'Accepted' : 'Wrong Answer',
-            passed,
+            verdict: testResults.verdict,
+            status: VERDICTS[testResults.verdict],
+            passed: testResults.passedTests,
             total: problem.testCases.length,
             results: results.map(r => r.hidden ? { ...r, input: 'Hidden', expected: 'Hidden', actual: 'Hidden' } : r),
-            executionTime: `${(Math.random() * 100).toFixed(0)}ms`,
-            memory: `${(10 + Math.random() * 20).toFixed(1)} MB`,
-            score: Math.round((passed / problem.testCases.length) * 100)
+            error: testResults.error,
+            ...formatRuntime(testResults),
+            score: Math.round((testResults.passedTests / problem.testCases.length) * 100)
         });
     } catch (error) {
+        if (sendQueueFull(res, error)) return;
         console.error('Submit error:', error);
         res.json({ success: false, error: error.message });
     }
@@ -5,6 +5,11 @@
 
 import express from 'express';
 import {query} from '../db/database.js';
+import {authenticateToken, optionalAuth} from '../middleware/auth.js';
+import {getLanguage} from '../services/languages.js';
+import contestJudge from '../services/contestJudge.js';
+import contestClarifications, {ClarificationError} from '../services/contestClarifications.js';
+import plagiarism from '../services/plagiarism.js';
 
 const router=express.Router();
 
@@ -138,6 +143,9 @@ router.post('/', async (req, res) =>
             is_public=true,
             requires_registration=true,
             scoring_type='standard',
+            penalty_minutes=20,
+            freeze_minutes=0,
+            is_rated=true,
             problems,
             prizes,
             created_by_user_id,
@@ -152,12 +160,12 @@ router.post('/', async (req, res) =>
         const result=await query(`
             INSERT INTO contests 
             (title, description, start_time, end_time, duration_minutes, contest_type, difficulty,
-             max_participants, is_public, requires_registration, scoring_type, problems_json, prizes_json,
-             created_by_user_id, company_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             max_participants, is_public, requires_registration, scoring_type, penalty_minutes, freeze_minutes, is_rated,
+             problems_json, prizes_json, created_by_user_id, company_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             title, description, start_time, end_time, duration_minutes, contest_type, difficulty,
-            max_participants, is_public, requires_registration, scoring_type,
+            max_participants, is_public, requires_registration, scoring_type, penalty_minutes, freeze_minutes, is_rated,
             problems? JSON.stringify(problems):null,
             prizes? JSON.stringify(prizes):null,
             created_by_user_id, company_id
@@ -196,6 +204,9 @@ router.put('/:id', async (req, res) =>
             is_public,
             requires_registration,
             scoring_type,
+            penalty_minutes,
+            freeze_minutes,
+            is_rated,
             problems,
             prizes,
             status
@@ -216,6 +227,9 @@ router.put('/:id', async (req, res) =>
         if (is_public!==undefined) {updates.push('is_public = ?'); params.push(is_public);}
         if (requires_registration!==undefined) {updates.push('requires_registration = ?'); params.push(requires_registration);}
         if (scoring_type!==undefined) {updates.push('scoring_type = ?'); params.push(scoring_type);}
+        if (penalty_minutes!==undefined) {updates.push('penalty_minutes = ?'); params.push(penalty_minutes);}
+        if (freeze_minutes!==undefined) {updates.push('freeze_minutes = ?'); params.push(freeze_minutes);}
+        if (is_rated!==undefined) {updates.push('is_rated = ?'); params.push(is_rated);}
         if (problems!==undefined) {updates.push('problems_json = ?'); params.push(JSON.stringify(problems));}
         if (prizes!==undefined) {updates.push('prizes_json = ?'); params.push(JSON.stringify(prizes));}
         if (status!==undefined) {updates.push('status = ?'); params.push(status);}
@@ -357,39 +371,80 @@ router.post('/:id/submit', async (req, res) =>
             return res.status(400).json({message: 'user_id, code, and language are required'});
         }
 
-        // Check if user is registered
-        const [registration]=await query(
-            'SELECT * FROM contest_registrations WHERE contest_id = ? AND user_id = ?',
-            [id, user_id]
-        );
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [id]);
 
-        if (!registration)
+        if (!contest)
         {
-            return res.status(403).json({message: 'You are not registered for this contest'});
+            return res.status(404).json({message: 'Contest not found'});
         }
 
-        // Check if contest is active
-        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [id]);
         const now=new Date();
         const startTime=new Date(contest.start_time);
         const endTime=new Date(contest.end_time);
+        let isVirtual=false;
 
-        if (now<startTime||now>endTime)
+        if (now>endTime)
         {
-            return res.status(400).json({message: 'Contest is not active'});
+            // After the contest, only a running virtual participation may submit
+            const [participation]=await query(
+                'SELECT * FROM contest_virtual_participations WHERE contest_id = ? AND user_id = ?',
+                [id, user_id]
+            );
+            const virtualEnd=participation? new Date(participation.started_at).getTime()+(endTime-startTime):0;
+
+            if (!participation||now.getTime()>virtualEnd)
+            {
+                return res.status(400).json({message: 'Contest is not active'});
+            }
+            isVirtual=true;
+        } else
+        {
+            // Check if user is registered
+            const [registration]=await query(
+                'SELECT * FROM contest_registrations WHERE contest_id = ? AND user_id = ?',
+                [id, user_id]
+            );
+
+            if (!registration)
+            {
+                return res.status(403).json({message: 'You are not registered for this contest'});
+            }
+
+            if (now<startTime)
+            {
+                return res.status(400).json({message: 'Contest is not active'});
+            }
+        }
+
+        if (!getLanguage(language))
+        {
+            return res.status(400).json({message: `Language ${language} is not supported`});
+        }
+
+        // Refuse submissions the judge could never run
+        try
+        {
+            await contestJudge.resolveProblem(contest, problem_id);
+        } catch (error)
+        {
+            return res.status(400).json({message: error.message});
         }
 
-        // Record submission (actual code execution would be handled by code executor)
         const result=await query(`
             INSERT INTO contest_submissions 
-            (contest_id, user_id, problem_id, code, language, status)
-            VALUES (?, ?, ?, ?, ?, 'pending')
-        `, [id, user_id, problem_id, code, language]);
+            (contest_id, user_id, problem_id, code, language, is_virtual, status)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending')
+        `, [id, user_id, problem_id, code, language, isVirtual]);
 
-        res.json({
+        // Judged in the background; the verdict is pushed to the contest room and readable via GET /:id/submissions/:submissionId
+        contestJudge.enqueue(result.insertId);
+
+        res.status(202).json({
             success: true,
-            message: 'Submission recorded',
-            submission_id: result.insertId
+            message: 'Submission received, judging',
+            submission_id: result.insertId,
+            status: 'pending',
+            virtual: isVirtual
         });
     } catch (error)
     {
@@ -398,6 +453,63 @@ router.post('/:id/submit', async (req, res) =>
     }
 });
 
+// Results inside the scoreboard freeze stay hidden from everyone but the author until the contest is finalized
+async function freezeCutoffOf(contestId)
+{
+    const [contest]=await query('SELECT start_time, end_time, freeze_minutes, finalized_at FROM contests WHERE id = ?', [contestId]);
+    return contest? contestJudge.freezeCutoff(contest):null;
+}
+
+function hideFrozen(submission, cutoff, viewerId)
+{
+    const frozen=!submission.is_virtual&&cutoff!==null&&submission.time_taken_seconds>=cutoff;
+    if (!frozen||String(viewerId)===String(submission.user_id)) return submission;
+    return {
+        ...submission,
+        status: 'frozen',
+        score: null,
+        test_cases_passed: null,
+        execution_time_ms: null,
+        memory_kb: null,
+        judge_error: null,
+        judged_at: null
+    };
+}
+
+/**
+ * Get a single submission's judging status
+ * GET /api/contests/:id/submissions/:submissionId
+ * During the scoreboard freeze only the author (by bearer token) sees the verdict
+ */
+router.get('/:id/submissions/:submissionId', optionalAuth, async (req, res) =>
+{
+    try
+    {
+        const {id, submissionId}=req.params;
+
+        const [submission]=await query(`
+            SELECT id, contest_id, user_id, problem_id, language, is_virtual, status, score, test_cases_passed, test_cases_total,
+                   time_taken_seconds, execution_time_ms, memory_kb, judge_error, submitted_at, judged_at
+            FROM contest_submissions
+            WHERE id = ? AND contest_id = ?
+        `, [submissionId, id]);
+
+        if (!submission)
+        {
+            return res.status(404).json({message: 'Submission not found'});
+        }
+
+        res.json({
+            success: true,
+            submission: hideFrozen(submission, await freezeCutoffOf(id), req.user?.id)
+        });
+    } catch (error)
+    {
+        console.error('Get submission error:', error);
+        res.status(500).json({message: 'Failed to fetch submission', error: error.message});
+    }
+});
+
 // ==================== LEADERBOARD & RESULTS ====================
 
 /**
@@ -411,33 +523,17 @@ router.get('/:id/leaderboard', async (req, res) =>
         const {id}=req.params;
         const {limit=50}=req.query;
 
-        const leaderboard=await query(`
-            SELECT 
-                u.id as user_id,
-                u.username,
-                u.full_name,
-                SUM(cs.score) as total_score,
-                COUNT(DISTINCT cs.problem_id) as problems_attempted,
-                SUM(CASE WHEN cs.status = 'accepted' THEN 1 ELSE 0 END) as problems_solved,
-                MIN(cs.submitted_at) as first_submission,
-                MAX(cs.submitted_at) as last_submission,
-                SUM(cs.time_taken_seconds) as total_time
-            FROM contest_submissions cs
-            JOIN users u ON cs.user_id = u.id
-            WHERE cs.contest_id = ?
-            GROUP BY u.id, u.username, u.full_name
-            ORDER BY total_score DESC, total_time ASC
-            LIMIT ?
-        `, [id, parseInt(limit)]);
-
-        const rankedLeaderboard=leaderboard.map((entry, index) => ({
-            rank: index+1,
-            ...entry
-        }));
+        // Live updates of the same leaderboard are pushed to the contest-<id> Socket.IO room
+        const scoreboard=await contestJudge.getLeaderboard(id, limit);
+
+        if (!scoreboard)
+        {
+            return res.status(404).json({message: 'Contest not found'});
+        }
 
         res.json({
             success: true,
-            leaderboard: rankedLeaderboard
+            ...scoreboard
         });
     } catch (error)
     {
@@ -446,21 +542,403 @@ router.get('/:id/leaderboard', async (req, res) =>
     }
 });
 
+// ==================== CLARIFICATIONS & ANNOUNCEMENTS ====================
+
+// Clarification errors carry their own status; anything else is a server error
+function sendClarificationError(res, error, message)
+{
+    if (error instanceof ClarificationError)
+    {
+        return res.status(error.status).json({message: error.message});
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({message, error: error.message});
+}
+
+/**
+ * Ask a question about the contest or one of its problems
+ * POST /api/contests/:id/clarifications
+ */
+router.post('/:id/clarifications', authenticateToken, async (req, res) =>
+{
+    try
+    {
+        const clarification=await contestClarifications.ask(req.params.id, req.user.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Question sent to the organizers',
+            clarification
+        });
+    } catch (error)
+    {
+        sendClarificationError(res, error, 'Failed to send question');
+    }
+});
+
+/**
+ * List clarifications visible to the caller; without a token, only public answers
+ * GET /api/contests/:id/clarifications
+ */
+router.get('/:id/clarifications', optionalAuth, async (req, res) =>
+{
+    try
+    {
+        const clarifications=await contestClarifications.list(req.params.id, req.user?.id);
+
+        res.json({
+            success: true,
+            clarifications
+        });
+    } catch (error)
+    {
+        sendClarificationError(res, error, 'Failed to fetch clarifications');
+    }
+});
+
+/**
+ * Answer a clarification, privately or for everyone (organizers only)
+ * POST /api/contests/:id/clarifications/:clarificationId/answer
+ */
+router.post('/:id/clarifications/:clarificationId/answer', authenticateToken, async (req, res) =>
+{
+    try
+    {
+        const clarification=await contestClarifications.answer(req.params.id, req.params.clarificationId, req.user.id, req.body);
+
+        res.json({
+            success: true,
+            message: clarification.is_public? 'Answer broadcast to all participants':'Answer sent',
+            clarification
+        });
+    } catch (error)
+    {
+        sendClarificationError(res, error, 'Failed to answer clarification');
+    }
+});
+
+/**
+ * Post an announcement to everyone registered (organizers only)
+ * POST /api/contests/:id/announcements
+ */
+router.post('/:id/announcements', authenticateToken, async (req, res) =>
+{
+    try
+    {
+        const announcement=await contestClarifications.announce(req.params.id, req.user.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Announcement posted',
+            announcement
+        });
+    } catch (error)
+    {
+        sendClarificationError(res, error, 'Failed to post announcement');
+    }
+});
+
+/**
+ * List a contest's announcements
+ * GET /api/contests/:id/announcements
+ */
+router.get('/:id/announcements', async (req, res) =>
+{
+    try
+    {
+        const announcements=await contestClarifications.listAnnouncements(req.params.id);
+
+        res.json({
+            success: true,
+            announcements
+        });
+    } catch (error)
+    {
+        sendClarificationError(res, error, 'Failed to fetch announcements');
+    }
+});
+
+// ==================== PLAGIARISM ====================
+
+// Plagiarism reports show other participants' code, so only organizers get them
+async function checkOrganizer(contestId, userId, res)
+{
+    const [contest]=await query('SELECT * FROM contests WHERE id = ?', [contestId]);
+
+    if (!contest)
+    {
+        res.status(404).json({message: 'Contest not found'});
+        return false;
+    }
+
+    if (!await contestClarifications.isOrganizer(contest, userId))
+    {
+        res.status(403).json({message: 'Only contest organizers can do this'});
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compare all submissions of a contest for plagiarism (organizers only)
+ * POST /api/contests/:id/plagiarism/scan
+ */
+router.post('/:id/plagiarism/scan', async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        if (!await checkOrganizer(id, req.body.user_id, res)) return;
+
+        const summary=await plagiarism.scan('contest', id);
+
+        res.json({
+            success: true,
+            message: 'Plagiarism scan complete',
+            ...summary
+        });
+    } catch (error)
+    {
+        console.error('Plagiarism scan error:', error);
+        res.status(500).json({message: 'Failed to scan submissions', error: error.message});
+    }
+});
+
+/**
+ * List suspicious clusters and their pairs (organizers only)
+ * GET /api/contests/:id/plagiarism?user_id=&threshold=0.8&limit=20
+ */
+router.get('/:id/plagiarism', async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {user_id, threshold, limit}=req.query;
+        if (!await checkOrganizer(id, user_id, res)) return;
+
+        const clusters=await plagiarism.getClusters('contest', id, {threshold: parseFloat(threshold)||undefined, limit});
+
+        res.json({
+            success: true,
+            clusters
+        });
+    } catch (error)
+    {
+        console.error('Get plagiarism clusters error:', error);
+        res.status(500).json({message: 'Failed to fetch plagiarism report', error: error.message});
+    }
+});
+
+/**
+ * Side-by-side diff of one suspicious pair (organizers only)
+ * GET /api/contests/:id/plagiarism/pairs/:reportId?user_id=
+ */
+router.get('/:id/plagiarism/pairs/:reportId', async (req, res) =>
+{
+    try
+    {
+        const {id, reportId}=req.params;
+        if (!await checkOrganizer(id, req.query.user_id, res)) return;
+
+        const pair=await plagiarism.getPairDiff('contest', id, reportId);
+
+        if (!pair)
+        {
+            return res.status(404).json({message: 'Pair not found'});
+        }
+
+        res.json({
+            success: true,
+            pair
+        });
+    } catch (error)
+    {
+        console.error('Get plagiarism pair error:', error);
+        res.status(500).json({message: 'Failed to fetch plagiarism pair', error: error.message});
+    }
+});
+
+// ==================== VIRTUAL PARTICIPATION ====================
+
+/**
+ * Start a virtual participation in an ended contest
+ * POST /api/contests/:id/virtual
+ */
+router.post('/:id/virtual', async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+        const {user_id}=req.body;
+
+        if (!user_id)
+        {
+            return res.status(400).json({message: 'user_id is required'});
+        }
+
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [id]);
+
+        if (!contest)
+        {
+            return res.status(404).json({message: 'Contest not found'});
+        }
+
+        if (new Date()<=new Date(contest.end_time))
+        {
+            return res.status(400).json({message: 'Virtual participation opens once the contest has ended'});
+        }
+
+        // Anyone who competed for real has already seen the problems
+        const [official]=await query(
+            'SELECT id FROM contest_submissions WHERE contest_id = ? AND user_id = ? AND is_virtual = FALSE LIMIT 1',
+            [id, user_id]
+        );
+
+        if (official)
+        {
+            return res.status(409).json({message: 'You took part in this contest'});
+        }
+
+        const [existing]=await query(
+            'SELECT id FROM contest_virtual_participations WHERE contest_id = ? AND user_id = ?',
+            [id, user_id]
+        );
+
+        if (existing)
+        {
+            return res.status(409).json({message: 'You already have a virtual participation in this contest'});
+        }
+
+        await query('INSERT INTO contest_virtual_participations (contest_id, user_id) VALUES (?, ?)', [id, user_id]);
+        const standing=await contestJudge.getVirtualStanding(id, user_id);
+
+        res.json({
+            success: true,
+            message: 'Virtual participation started',
+            participation: standing.participation
+        });
+    } catch (error)
+    {
+        console.error('Start virtual participation error:', error);
+        res.status(500).json({message: 'Failed to start virtual participation', error: error.message});
+    }
+});
+
+/**
+ * Get a virtual participant's standing against the official scoreboard at the same time
+ * GET /api/contests/:id/virtual/:userId
+ */
+router.get('/:id/virtual/:userId', async (req, res) =>
+{
+    try
+    {
+        const {id, userId}=req.params;
+        const {limit=50}=req.query;
+
+        const standing=await contestJudge.getVirtualStanding(id, userId, limit);
+
+        if (!standing)
+        {
+            return res.status(404).json({message: 'Virtual participation not found'});
+        }
+
+        res.json({
+            success: true,
+            ...standing
+        });
+    } catch (error)
+    {
+        console.error('Get virtual standing error:', error);
+        res.status(500).json({message: 'Failed to fetch virtual standing', error: error.message});
+    }
+});
+
+// ==================== RATINGS ====================
+
+/**
+ * Get rating changes from a finalized contest
+ * GET /api/contests/:id/ratings
+ */
+router.get('/:id/ratings', async (req, res) =>
+{
+    try
+    {
+        const {id}=req.params;
+
+        const changes=await query(`
+            SELECT rc.*, u.username, u.full_name
+            FROM contest_rating_changes rc
+            JOIN users u ON rc.user_id = u.id
+            WHERE rc.contest_id = ?
+            ORDER BY rc.contest_rank ASC
+        `, [id]);
+
+        res.json({
+            success: true,
+            changes
+        });
+    } catch (error)
+    {
+        console.error('Get contest ratings error:', error);
+        res.status(500).json({message: 'Failed to fetch rating changes', error: error.message});
+    }
+});
+
+/**
+ * Get a user's contest rating and history
+ * GET /api/contests/user/:userId/rating
+ */
+router.get('/user/:userId/rating', async (req, res) =>
+{
+    try
+    {
+        const {userId}=req.params;
+
+        const [stats]=await query(
+            'SELECT contest_rating, max_contest_rating, rated_contests FROM user_leaderboard_stats WHERE user_id = ?',
+            [userId]
+        );
+
+        const history=await query(`
+            SELECT rc.contest_id, c.title, c.end_time, rc.contest_rank, rc.old_rating, rc.new_rating, rc.delta
+            FROM contest_rating_changes rc
+            JOIN contests c ON rc.contest_id = c.id
+            WHERE rc.user_id = ?
+            ORDER BY c.end_time ASC
+        `, [userId]);
+
+        res.json({
+            success: true,
+            rating: stats?.rated_contests? stats.contest_rating:null,
+            max_rating: stats?.rated_contests? stats.max_contest_rating:null,
+            rated_contests: stats?.rated_contests||0,
+            history
+        });
+    } catch (error)
+    {
+        console.error('Get rating error:', error);
+        res.status(500).json({message: 'Failed to fetch rating', error: error.message});
+    }
+});
+
 /**
  * Get user's contest results
  * GET /api/contests/:id/results/:userId
+ * During the scoreboard freeze only that user (by bearer token) sees their verdicts
  */
-router.get('/:id/results/:userId', async (req, res) =>
+router.get('/:id/results/:userId', optionalAuth, async (req, res) =>
 {
     try
     {
         const {id, userId}=req.params;
 
-        const submissions=await query(`
+        // Frozen submissions hidden from the caller count as unjudged in the summary too
+        const cutoff=await freezeCutoffOf(id);
+        const submissions=(await query(`
             SELECT * FROM contest_submissions
             WHERE contest_id = ? AND user_id = ?
             ORDER BY submitted_at DESC
-        `, [id, userId]);
+        `, [id, userId])).map(submission => hideFrozen(submission, cutoff, req.user?.id));
 
         // Calculate summary
         const summary={
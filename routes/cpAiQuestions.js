@@ -1,6 +1,9 @@
 import express from 'express';
 import axios from 'axios';
-import testRunner from '../services/testRunner.js';
+import {VERDICTS} from '../services/judge.js';
+import submissionQueue, {sendQueueFull} from '../services/submissionQueue.js';
+import {parseSignature} from '../services/signature.js';
+import {normalizeComparison} from '../services/checker.js';
 
 const router=express.Router();
 
@@ -17,6 +20,8 @@ CRITICAL RULES:
 - Provide a correct reference solution.
 - Test case inputs must be JSON objects with keys matching the function parameters.
 - Test case outputs must be actual values (arrays, numbers, booleans, strings).
+- Declare the function signature with language-neutral types: int, long, double, boolean, char, string, ListNode, TreeNode, T[] or list<T> (e.g. "int[][]", "list<string>"). Linked lists and trees are given as arrays (trees in level order with null for missing children).
+- Set "comparison" to how outputs should be compared: "exact", "unordered" (any order of the result array is correct), "float" (floating-point answers) or "whitespace".
 
 Requirements:
 - Clear problem statement
@@ -37,7 +42,9 @@ Return ONLY valid JSON (no markdown):
   "referenceSolution": "def function_name(params):\\n    return result",
   "testCases": [{"input": {"param1": [1,2,3]}, "output": 10, "hidden": false}],
   "starterCode": {"python": "", "javascript": "", "java": "", "cpp": ""},
-  "functionName": {"python": "", "javascript": "", "java": "", "cpp": ""}
+  "functionName": {"python": "", "javascript": "", "java": "", "cpp": ""},
+  "signature": {"params": [{"name": "param1", "type": "int[]"}], "returnType": "int"},
+  "comparison": "exact"
 }`;
 }
 
@@ -58,6 +65,8 @@ function parseQuestionResponse(responseText)
         question.testCases=question.testCases||[];
         question.starterCode=question.starterCode||{};
         question.functionName=question.functionName||{};
+        question.signature=isValidSignature(question.signature)? question.signature:null;
+        question.comparison=normalizeComparison(question.comparison).mode;
         return question;
     } catch (error)
     {
@@ -66,6 +75,13 @@ function parseQuestionResponse(responseText)
     }
 }
 
+// A malformed AI signature falls back to the untyped harness rather than failing every run
+function isValidSignature(signature)
+{
+    if (!signature) return false;
+    try {parseSignature(signature); return true;} catch (error) {return false;}
+}
+
 function detectLanguage(code)
 {
     if (code.includes('def ')&&code.includes(':')) return 'python';
@@ -83,35 +99,33 @@ async function validateAndFixTestCases(question, language)
     const lang=detectLanguage(refSolution)||language||'python';
     let fixedCount=0;
 
-    for (let i=0;i<question.testCases.length;i++)
+    const testCases=question.testCases.map(tc =>
     {
-        const tc=question.testCases[i];
-        try
+        let normalizedInput=tc.input;
+        if (typeof normalizedInput==='string') normalizedInput={__raw: normalizedInput};
+        // Typed harnesses take positional arrays as they are
+        else if (Array.isArray(normalizedInput)&&!question.signature)
         {
-            let normalizedInput=tc.input;
-            if (typeof normalizedInput==='string') normalizedInput={__raw: normalizedInput};
-            else if (Array.isArray(normalizedInput))
-            {
-                const obj={};
-                normalizedInput.forEach((val, idx) => {obj['param'+idx]=val;});
-                normalizedInput=obj;
-            }
-            const testCase={input: normalizedInput, output: tc.output, hidden: tc.hidden};
-            const testCode=testRunner.generateTestCode(refSolution, lang, testCase, funcName);
-            const result=await testRunner.executeCode(testCode, lang);
-            if (result.output&&!result.error)
-            {
-                let actualOutput;
-                try {actualOutput=JSON.parse(result.output.trim());} catch (e) {actualOutput=result.output.trim();}
-                if (JSON.stringify(tc.output)!==JSON.stringify(actualOutput))
-                {
-                    console.log(`[AI Validation] Test case ${i+1}: Expected ${JSON.stringify(tc.output)} but ref solution produced ${JSON.stringify(actualOutput)}. Fixing.`);
-                    question.testCases[i].output=actualOutput;
-                    fixedCount++;
-                }
-            }
-        } catch (err) {console.warn(`[AI Validation] Failed to validate test case ${i+1}:`, err.message);}
-    }
+            const obj={};
+            normalizedInput.forEach((val, idx) => {obj['param'+idx]=val;});
+            normalizedInput=obj;
+        }
+        // Run every case as visible so the reference output is reported back
+        return {input: normalizedInput, output: tc.output, hidden: false};
+    });
+
+    // One build of the reference solution, run once per case
+    const run=await submissionQueue.run('tests', {code: refSolution, language: lang, testCases, functionName: funcName, options: {signature: question.signature, comparison: question.comparison}});
+    if (run.error) console.warn('[AI Validation] Reference solution failed:', run.error);
+    run.testResults.forEach((result, i) =>
+    {
+        if (result.verdict!=='WA'||!result.actualOutput) return;
+        let actualOutput;
+        try {actualOutput=JSON.parse(result.actualOutput);} catch (e) {actualOutput=result.actualOutput;}
+        console.log(`[AI Validation] Test case ${i+1}: Expected ${JSON.stringify(question.testCases[i].output)} but ref solution produced ${JSON.stringify(actualOutput)}. Fixing.`);
+        question.testCases[i].output=actualOutput;
+        fixedCount++;
+    });
     if (fixedCount>0) console.log(`[AI Validation] Fixed ${fixedCount}/${question.testCases.length} test cases for "${question.title}"`);
     delete question.referenceSolution;
     return question;
@@ -171,14 +185,15 @@ router.post('/run-tests', async (req, res) =>
 {
     try
     {
-        const {code, language, testCases, functionName}=req.body;
+        const {code, language, testCases, functionName, signature, comparison}=req.body;
         if (!code||!language||!testCases||testCases.length===0) return res.status(400).json({success: false, error: 'Missing required fields'});
 
+        const typedSignature=isValidSignature(signature)? signature:null;
         const normalizedTestCases=testCases.map(tc =>
         {
             let normalizedInput=tc.input;
             if (typeof normalizedInput==='string') normalizedInput={__raw: normalizedInput};
-            else if (Array.isArray(normalizedInput))
+            else if (Array.isArray(normalizedInput)&&!typedSignature)
             {
                 const obj={};
                 normalizedInput.forEach((val, i) => {obj['param'+i]=val;});
@@ -189,13 +204,13 @@ router.post('/run-tests', async (req, res) =>
             return {input: normalizedInput, output: normalizedOutput, hidden: tc.hidden||false};
         });
 
-        const testResults=await testRunner.runTests(code, language, normalizedTestCases, functionName);
+        const testResults=await submissionQueue.run('tests', {code, language, testCases: normalizedTestCases, functionName: functionName||{}, options: {signature: typedSignature, comparison: comparison||null}});
         res.json({
             success: true,
-            message: testResults.allPassed? 'Accepted! All test cases passed.':'Wrong Answer. Some test cases failed.',
+            message: testResults.allPassed? 'Accepted! All test cases passed.':`${VERDICTS[testResults.verdict]}. Some test cases failed.`,
             solved: testResults.allPassed,
             results: {
-                allPassed: testResults.allPassed, totalTests: testResults.totalTests,
+                verdict: testResults.verdict, allPassed: testResults.allPassed, totalTests: testResults.totalTests,
                 passedTests: testResults.passedTests, failedTests: testResults.failedTests,
                 hiddenPassed: testResults.hiddenPassed, hiddenTotal: testResults.hiddenTotal,
                 visibleTests: testResults.testResults.filter(t => !t.hidden)
@@ -203,6 +218,7 @@ router.post('/run-tests', async (req, res) =>
         });
     } catch (error)
     {
+        if (sendQueueFull(res, error)) return;
         console.error('AI Question Run Tests Error:', error);
         res.status(500).json({success: false, error: error.message});
     }
@@ -1,6 +1,9 @@
 import express from 'express';
 import groqAnalyzer from '../services/groqAnalyzer.js';
 import aiDetector from '../services/aiDetector.js';
+import sessionManager from '../services/sessionManager.js';
+import antiCheatPolicies from '../services/antiCheatPolicy.js';
+import styleBaseline from '../services/styleBaseline.js';
 
 const router=express.Router();
 
@@ -34,19 +37,53 @@ router.post('/suggestions', async (req, res) =>
     }
 });
 
-// AI-generated code detection
+// AI-generated code detection, scored with the session's anti-cheat policy or the one selected by policyId/assessmentId/companyId
 router.post('/detect-ai', async (req, res) =>
 {
     try
     {
-        const {code, language, behaviorMetrics}=req.body;
+        const {code, language, behaviorMetrics, sessionId, userId, policyId, assessmentId, companyId}=req.body;
         if (!code||!language) return res.status(400).json({success: false, error: 'Code and language are required'});
-        const result=await aiDetector.detectAIGenerated(code, language, behaviorMetrics||{});
+        const session=sessionId? await sessionManager.getSession(sessionId):null;
+        if (sessionId&&!session) return res.status(404).json({success: false, error: 'Session not found'});
+        const settings=session? sessionManager.policyOf(session):(await antiCheatPolicies.resolve({policyId, assessmentId, companyId})).settings;
+        // A session is always compared with its own user's baseline; userId only applies without one
+        const styleProfile=await styleBaseline.getProfile(session? session.userId:userId, {language, excludeSessionId: sessionId});
+        const result=await aiDetector.detectAIGenerated(code, language, behaviorMetrics||{}, settings, styleProfile);
         res.json({success: true, detection: result});
     } catch (error)
     {
         console.error('AI detection error:', error);
-        res.status(500).json({success: false, error: 'AI detection failed', message: error.message});
+        res.status(error.status||500).json({success: false, error: 'AI detection failed', message: error.message});
+    }
+});
+
+// Style profile from the user's earlier practice sessions (null until they have enough)
+router.get('/style-profile/:userId', async (req, res) =>
+{
+    try
+    {
+        const profile=await styleBaseline.getProfile(req.params.userId, {language: req.query.language});
+        res.json({success: true, profile});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to build style profile', message: error.message});
+    }
+});
+
+// How far code drifts from the user's style; sessionId leaves that session out of the baseline
+router.post('/style-drift', async (req, res) =>
+{
+    try
+    {
+        const {code, language, userId, sessionId}=req.body;
+        if (!code||!language||!userId) return res.status(400).json({success: false, error: 'code, language and userId are required'});
+        const result=await styleBaseline.score(userId, code, language, {excludeSessionId: sessionId});
+        if (!result) return res.json({success: true, baseline: false, message: 'Not enough earlier solutions for a style baseline'});
+        res.json({success: true, baseline: true, samples: result.profile.samples, drift: result.drift});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to score style drift', message: error.message});
     }
 });
 
@@ -1,5 +1,5 @@
 import express from 'express';
-import codeExecutor from '../services/codeExecutor.js';
+import submissionQueue, {sendQueueFull} from '../services/submissionQueue.js';
 import sessionManager from '../services/sessionManager.js';
 
 const router=express.Router();
@@ -16,22 +16,23 @@ router.post('/execute', async (req, res) =>
         {
             try
             {
-                const cooldownCheck=sessionManager.checkSubmissionCooldown(sessionId, 3000);
+                const cooldownCheck=await sessionManager.checkSubmissionCooldown(sessionId);
                 if (!cooldownCheck.allowed) return res.status(429).json({success: false, error: 'Cooldown active', message: cooldownCheck.message, remainingTime: cooldownCheck.remainingTime});
             } catch (err) {console.warn('Session check failed:', err.message);}
         }
 
-        const result=await codeExecutor.execute(code, language, input||'');
+        const result=await submissionQueue.run('execute', {code, language, input});
 
         if (sessionId)
         {
-            try {sessionManager.recordSubmission(sessionId, {code, language, result, executionTime: result.executionTime});}
+            try {await sessionManager.recordSubmission(sessionId, {code, language, result, executionTime: result.executionTime});}
             catch (err) {console.warn('Failed to record submission:', err.message);}
         }
 
-        res.json({success: true, output: result.output, errors: result.errors, executionTime: result.executionTime, hasError: result.hasError});
+        res.json({success: true, output: result.output, errors: result.errors, executionTime: result.executionTime, memoryUsed: result.memoryUsed, verdict: result.verdict, status: result.status, limitExceeded: result.limitExceeded, hasError: result.hasError});
     } catch (error)
     {
+        if (sendQueueFull(res, error)) return;
         console.error('Execution error:', error);
         res.status(500).json({success: false, error: 'Execution failed', message: error.message});
     }
@@ -44,10 +45,11 @@ router.post('/validate', async (req, res) =>
     {
         const {code, language}=req.body;
         if (!code||!language) return res.status(400).json({error: 'Missing required fields'});
-        const validation=await codeExecutor.validateSyntax(code, language);
+        const validation=await submissionQueue.run('validate', {code, language});
         res.json({valid: validation.valid, errors: validation.errors});
     } catch (error)
     {
+        if (sendQueueFull(res, error)) return;
         res.status(500).json({error: 'Validation failed', message: error.message});
     }
 });
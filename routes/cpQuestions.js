@@ -1,6 +1,7 @@
 import express from 'express';
 import questionBank from '../services/questionBank.js';
-import testRunner from '../services/testRunner.js';
+import { VERDICTS } from '../services/judge.js';
+import submissionQueue, { sendQueueFull } from '../services/submissionQueue.js';
 
 const router = express.Router();
 
@@ -76,17 +77,18 @@ router.post('/run-tests', async (req, res) => {
         const question = questionBank.getQuestionById(questionId);
         if (!question) return res.status(404).json({ success: false, error: 'Question not found' });
         if (!question.testCases || question.testCases.length === 0) return res.status(400).json({ success: false, error: 'No test cases available' });
-        const testResults = await testRunner.runTests(code, language, question.testCases, question.functionName);
+        const testResults = await submissionQueue.run('tests', { code, language, testCases: question.testCases, functionName: question.functionName, options: { signature: question.signature, comparison: question.comparison, checker: question.checker } });
         res.json({
             success: true,
             results: {
-                allPassed: testResults.allPassed, totalTests: testResults.totalTests,
+                verdict: testResults.verdict, allPassed: testResults.allPassed, totalTests: testResults.totalTests,
                 passedTests: testResults.passedTests, failedTests: testResults.failedTests,
                 hiddenPassed: testResults.hiddenPassed, hiddenTotal: testResults.hiddenTotal,
                 visibleTests: testResults.testResults.filter(t => !t.hidden), error: testResults.error
             }
         });
     } catch (error) {
+        if (sendQueueFull(res, error)) return;
         console.error('Run tests error:', error);
         res.status(500).json({ success: false, error: 'Failed to run tests', message: error.message });
     }
@@ -98,15 +100,15 @@ router.post('/submit', async (req, res) => {
         if (!userId || !questionId || !language || !code) return res.status(400).json({ success: false, error: 'Missing required fields' });
         const question = questionBank.getQuestionById(questionId);
         if (!question) return res.status(404).json({ success: false, error: 'Question not found' });
-        const testResults = await testRunner.runTests(code, language, question.testCases, question.functionName);
+        const testResults = await submissionQueue.run('tests', { code, language, testCases: question.testCases, functionName: question.functionName, options: { signature: question.signature, comparison: question.comparison, checker: question.checker } });
         const solved = testResults.allPassed;
         const userProgress = questionBank.markQuestionSolved(userId, questionId, language, code, { allPassed: testResults.allPassed, passedTests: testResults.passedTests, totalTests: testResults.totalTests });
         res.json({
             success: true,
-            message: solved ? 'Accepted! All test cases passed.' : 'Wrong Answer. Some test cases failed.',
+            message: solved ? 'Accepted! All test cases passed.' : `${VERDICTS[testResults.verdict]}. Some test cases failed.`,
             solved,
             results: {
-                allPassed: testResults.allPassed, totalTests: testResults.totalTests,
+                verdict: testResults.verdict, allPassed: testResults.allPassed, totalTests: testResults.totalTests,
                 passedTests: testResults.passedTests, failedTests: testResults.failedTests,
                 hiddenPassed: testResults.hiddenPassed, hiddenTotal: testResults.hiddenTotal,
                 visibleTests: testResults.testResults.filter(t => !t.hidden)
@@ -114,6 +116,7 @@ router.post('/submit', async (req, res) => {
             progress: userProgress
         });
     } catch (error) {
+        if (sendQueueFull(res, error)) return;
         console.error('Submit solution error:', error);
         res.status(500).json({ success: false, error: 'Failed to submit solution', message: error.message });
     }
@@ -1,5 +1,7 @@
 import express from 'express';
 import sessionManager from '../services/sessionManager.js';
+import editTimeline from '../services/editTimeline.js';
+import antiCheatPolicies from '../services/antiCheatPolicy.js';
 
 const router=express.Router();
 
@@ -7,13 +9,15 @@ router.post('/create', async (req, res) =>
 {
     try
     {
-        const {userId, problemId, timeLimit, maxSubmissions}=req.body;
-        const session=sessionManager.createSession({userId: userId||'anonymous', problemId: problemId||'default', timeLimit, maxSubmissions: maxSubmissions||10});
-        res.json({success: true, session: {sessionId: session.sessionId, startTime: session.startTime, timeLimit: session.timeLimit, maxSubmissions: session.maxSubmissions}});
+        const {userId, problemId, timeLimit, maxSubmissions, policyId, assessmentId}=req.body;
+        // The policy comes from the assessment, never from a company or policy the candidate picks
+        const policy=await antiCheatPolicies.forSession({policyId, assessmentId});
+        const session=await sessionManager.createSession({userId: userId||'anonymous', problemId: problemId||'default', timeLimit, maxSubmissions: maxSubmissions||10, policy});
+        res.json({success: true, session: {sessionId: session.sessionId, startTime: session.startTime, timeLimit: session.timeLimit, maxSubmissions: session.maxSubmissions, policy: {id: policy.id, name: policy.name, settings: policy.settings}}});
     } catch (error)
     {
         console.error('Session creation error:', error);
-        res.status(500).json({success: false, error: 'Failed to create session', message: error.message});
+        res.status(error.status||500).json({success: false, error: 'Failed to create session', message: error.message});
     }
 });
 
@@ -21,7 +25,7 @@ router.get('/:sessionId', async (req, res) =>
 {
     try
     {
-        const session=sessionManager.getSession(req.params.sessionId);
+        const session=await sessionManager.getSession(req.params.sessionId);
         if (!session) return res.status(404).json({success: false, error: 'Session not found'});
         res.json({success: true, session});
     } catch (error)
@@ -36,7 +40,7 @@ router.post('/violation', async (req, res) =>
     {
         const {sessionId, violationType, details}=req.body;
         if (!sessionId||!violationType) return res.status(400).json({success: false, error: 'sessionId and violationType are required'});
-        const session=sessionManager.recordViolation(sessionId, violationType, details);
+        const session=await sessionManager.recordViolation(sessionId, violationType, details);
         res.json({success: true, violations: session.violations, totalViolations: Object.values(session.violations).reduce((s, c) => s+c, 0), status: session.status});
     } catch (error)
     {
@@ -50,7 +54,7 @@ router.post('/metrics', async (req, res) =>
     {
         const {sessionId, metrics}=req.body;
         if (!sessionId||!metrics) return res.status(400).json({success: false, error: 'Missing required fields'});
-        const session=sessionManager.updateMetrics(sessionId, metrics);
+        const session=await sessionManager.updateMetrics(sessionId, metrics);
         res.json({success: true, metrics: session.metrics});
     } catch (error)
     {
@@ -64,7 +68,7 @@ router.post('/check-cooldown', async (req, res) =>
     {
         const {sessionId, cooldownMs}=req.body;
         if (!sessionId) return res.status(400).json({success: false, error: 'sessionId is required'});
-        const result=sessionManager.checkSubmissionCooldown(sessionId, cooldownMs||3000);
+        const result=await sessionManager.checkSubmissionCooldown(sessionId, cooldownMs);
         if (!result.allowed) return res.status(429).json({success: false, allowed: false, remainingTime: result.remainingTime, message: result.message});
         res.json({success: true, allowed: true});
     } catch (error)
@@ -79,8 +83,8 @@ router.post('/complete', async (req, res) =>
     {
         const {sessionId}=req.body;
         if (!sessionId) return res.status(400).json({success: false, error: 'sessionId is required'});
-        sessionManager.completeSession(sessionId);
-        const summary=sessionManager.getSessionSummary(sessionId);
+        await sessionManager.completeSession(sessionId);
+        const summary=await sessionManager.getSessionSummary(sessionId);
         res.json({success: true, summary});
     } catch (error)
     {
@@ -94,8 +98,8 @@ router.post('/terminate', async (req, res) =>
     {
         const {sessionId, reason}=req.body;
         if (!sessionId) return res.status(400).json({success: false, error: 'sessionId is required'});
-        sessionManager.terminateSession(sessionId, reason||'manual');
-        const summary=sessionManager.getSessionSummary(sessionId);
+        await sessionManager.terminateSession(sessionId, reason||'manual');
+        const summary=await sessionManager.getSessionSummary(sessionId);
         res.json({success: true, summary});
     } catch (error)
     {
@@ -107,7 +111,7 @@ router.get('/:sessionId/summary', async (req, res) =>
 {
     try
     {
-        const summary=sessionManager.getSessionSummary(req.params.sessionId);
+        const summary=await sessionManager.getSessionSummary(req.params.sessionId);
         res.json({success: true, summary});
     } catch (error)
     {
@@ -115,4 +119,54 @@ router.get('/:sessionId/summary', async (req, res) =>
     }
 });
 
+// Batched editor changes: events [{timestamp, from, to, text}], optional initialCode on the first batch
+router.post('/edits', async (req, res) =>
+{
+    try
+    {
+        const {sessionId, events, initialCode}=req.body;
+        if (!sessionId) return res.status(400).json({success: false, error: 'sessionId is required'});
+        const result=await editTimeline.record(sessionId, events, {initialCode});
+        res.json({success: true, ...result});
+    } catch (error)
+    {
+        res.status(error.status||500).json({success: false, error: 'Failed to record edits', message: error.message});
+    }
+});
+
+router.get('/:sessionId/timeline', async (req, res) =>
+{
+    try
+    {
+        const timeline=await editTimeline.getTimeline(req.params.sessionId);
+        res.json({success: true, timeline});
+    } catch (error)
+    {
+        res.status(error.status||500).json({success: false, error: 'Failed to get timeline', message: error.message});
+    }
+});
+
+// Code at a moment: ?at=<ms timestamp> or ?offset=<ms since session start>; latest code without either
+router.get('/:sessionId/replay', async (req, res) =>
+{
+    try
+    {
+        const {at, offset}=req.query;
+        let timestamp;
+        if (at!==undefined) timestamp=Number(at);
+        else if (offset!==undefined)
+        {
+            const session=await sessionManager.getSession(req.params.sessionId);
+            if (!session) return res.status(404).json({success: false, error: 'Session not found'});
+            timestamp=session.startTime+Number(offset);
+        }
+        if (timestamp!==undefined&&!Number.isFinite(timestamp)) return res.status(400).json({success: false, error: 'at and offset must be numbers'});
+        const replay=await editTimeline.replay(req.params.sessionId, timestamp);
+        res.json({success: true, replay});
+    } catch (error)
+    {
+        res.status(error.status||500).json({success: false, error: 'Failed to replay session', message: error.message});
+    }
+});
+
 export default router;
@@ -1,10 +1,25 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
+import proctoringEvidence from '../services/proctoringEvidence.js';
+import proctoringStore from '../services/proctoringStore.js';
+import liveInterviewStore, { normalizeFeedback } from '../services/liveInterviewStore.js';
+import liveInterviewAccess from '../services/liveInterviewAccess.js';
+import collaborativeEditor from '../services/collaborativeEditor.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// In-memory store for live interview sessions
-const liveInterviewSessions = new Map();
+// Join tokens travel in the body or the query string, never in the Authorization header used for accounts
+const joinToken = req => req.body?.token || req.query.token;
+
+// Access errors carry their status; anything else is a server error
+function sendError(res, error, message) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+}
 
 // Create a new live interview session
 router.post('/create', async (req, res) => {
@@ -16,23 +31,27 @@ router.post('/create', async (req, res) => {
             jobTitle,
             candidateEmail,
             candidateName,
+            candidateUserId,
+            applicationId,
+            jobId,
             scheduledTime,
             duration = 60, // minutes
             requirements = []
         } = req.body;
 
         const sessionId = uuidv4();
-        const accessCode = generateAccessCode();
 
         const session = {
             id: sessionId,
-            accessCode,
             recruiterId,
             recruiterName,
             companyName,
             jobTitle,
             candidateEmail,
             candidateName,
+            candidateUserId,
+            applicationId,
+            jobId,
             scheduledTime: scheduledTime || new Date(),
             duration,
             requirements,
@@ -44,22 +63,24 @@ router.post('/create', async (req, res) => {
             recording: {
                 enabled: false,
                 url: null
-            },
-            codeSnapshots: [],
-            chatHistory: [],
-            proctoringEvents: [],
-            feedback: null
+            }
         };
 
-        liveInterviewSessions.set(sessionId, session);
+        await liveInterviewStore.createSession(session);
+
+        // One token per participant; the role is signed into it
+        const recruiter = liveInterviewAccess.issueToken(session, { role: 'recruiter', name: recruiterName });
+        const candidate = liveInterviewAccess.issueToken(session, { role: 'candidate', name: candidateName });
 
         res.json({
             success: true,
             session: {
                 id: sessionId,
-                accessCode,
-                recruiterJoinUrl: `/live-interview/${sessionId}?role=recruiter&code=${accessCode}`,
-                candidateJoinUrl: `/live-interview/${sessionId}?role=candidate&code=${accessCode}`
+                recruiterToken: recruiter.token,
+                candidateToken: candidate.token,
+                expiresAt: recruiter.expiresAt,
+                recruiterJoinUrl: recruiter.joinUrl,
+                candidateJoinUrl: candidate.joinUrl
             }
         });
     } catch (error) {
@@ -72,21 +93,13 @@ router.post('/create', async (req, res) => {
 router.get('/session/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { code } = req.query;
 
-        const session = liveInterviewSessions.get(sessionId);
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
-
-        // Verify access code
-        if (session.accessCode !== code) {
-            return res.status(403).json({ error: 'Invalid access code' });
-        }
+        const { role } = liveInterviewAccess.verify(joinToken(req), sessionId);
+        const session = await liveInterviewAccess.requireSession(sessionId);
 
         res.json({
             success: true,
+            role,
             session: {
                 id: session.id,
                 recruiterName: session.recruiterName,
@@ -101,130 +114,125 @@ router.get('/session/:sessionId', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error getting session:', error);
-        res.status(500).json({ error: 'Failed to get session' });
+        sendError(res, error, 'Failed to get session');
     }
 });
 
-// Join session
+// Join session with a participant's join token; candidates wait until the recruiter admits them
 router.post('/join/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { name, role, code } = req.body;
-
-        const session = liveInterviewSessions.get(sessionId);
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
-
-        if (session.accessCode !== code) {
-            return res.status(403).json({ error: 'Invalid access code' });
-        }
-
-        // Add participant
-        const participant = {
-            id: uuidv4(),
-            name,
-            role,
-            joinedAt: new Date(),
-            cameras: {
-                primary: null,
-                secondary: null
-            },
-            audioEnabled: true,
-            videoEnabled: true
-        };
-
-        session.participants.push(participant);
-
-        // Update session status
-        if (session.status === 'scheduled') {
-            session.status = 'waiting';
-        }
-
-        // If both recruiter and candidate are present, start the interview
-        const hasRecruiter = session.participants.some(p => p.role === 'recruiter');
-        const hasCandidate = session.participants.some(p => p.role === 'candidate');
+        const { name } = req.body;
 
-        if (hasRecruiter && hasCandidate && session.status !== 'in-progress') {
-            session.status = 'in-progress';
-            session.startedAt = new Date();
-        }
-
-        liveInterviewSessions.set(sessionId, session);
+        const { session, participant } = await liveInterviewAccess.join(sessionId, joinToken(req), { name });
 
         res.json({
             success: true,
             participant,
+            waitingRoom: participant.admission === 'waiting',
             session: {
                 status: session.status,
                 participants: session.participants
             }
         });
     } catch (error) {
-        console.error('Error joining session:', error);
-        res.status(500).json({ error: 'Failed to join session' });
+        sendError(res, error, 'Failed to join session');
     }
 });
 
+// Another join link for the session (recruiter only): { token, role, name }
+router.post('/invite/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { role, name } = req.body;
+
+        await liveInterviewAccess.requireRecruiter(sessionId, joinToken(req));
+        const session = await liveInterviewAccess.requireSession(sessionId);
+        const invite = liveInterviewAccess.issueToken(session, { role, name });
+
+        res.status(201).json({ success: true, invite });
+    } catch (error) {
+        sendError(res, error, 'Failed to create join link');
+    }
+});
+
+// Waiting room (recruiter only): admit or turn away a waiting participant
+for (const action of ['admit', 'reject']) {
+    router.post(`/${action}/:sessionId`, async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { participantId } = req.body;
+
+            await liveInterviewAccess.requireRecruiter(sessionId, joinToken(req));
+            const { session, participant } = await liveInterviewAccess[action](sessionId, participantId);
+
+            res.json({ success: true, participant, session: { status: session.status } });
+        } catch (error) {
+            sendError(res, error, `Failed to ${action} participant`);
+        }
+    });
+}
+
 // End session
 router.post('/end/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { feedback, notes } = req.body;
 
-        const session = liveInterviewSessions.get(sessionId);
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        await liveInterviewAccess.requireRecruiter(sessionId, joinToken(req));
+        const session = await liveInterviewAccess.requireSession(sessionId);
 
-        session.status = 'completed';
-        session.endedAt = new Date();
-        session.feedback = { feedback, notes };
+        const endedAt = new Date();
+        await liveInterviewStore.updateSession(sessionId, { status: 'completed', endedAt, notes });
 
-        liveInterviewSessions.set(sessionId, session);
+        const record = normalizeFeedback(feedback, {
+            interviewerUserId: session.recruiterId,
+            interviewerName: session.recruiterName
+        });
+        if (record) {
+            await liveInterviewStore.addFeedback(sessionId, record);
+        }
+
+        const counts = await liveInterviewStore.countArtifacts(sessionId);
 
         res.json({
             success: true,
             summary: {
-                duration: Math.round((session.endedAt - session.startedAt) / 60000),
-                codeSnapshots: session.codeSnapshots.length,
-                chatMessages: session.chatHistory.length,
-                proctoringEvents: session.proctoringEvents.length
-            }
+                duration: session.startedAt ? Math.round((endedAt - new Date(session.startedAt)) / 60000) : 0,
+                codeSnapshots: counts.code_snapshot || 0,
+                chatMessages: counts.chat_message || 0,
+                proctoringEvents: counts.proctoring_event || 0
+            },
+            recordUrl: `/api/live-interview/record/${sessionId}`
         });
     } catch (error) {
-        console.error('Error ending session:', error);
-        res.status(500).json({ error: 'Failed to end session' });
+        sendError(res, error, 'Failed to end session');
     }
 });
 
-// Save code snapshot
+// Save code snapshot, and the webcam frame taken with it when `image` is sent
 router.post('/snapshot/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const { code, language, timestamp } = req.body;
+        const { code, language, timestamp, image, thumbnail } = req.body;
 
-        const session = liveInterviewSessions.get(sessionId);
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        const { name } = liveInterviewAccess.verify(joinToken(req), sessionId);
+        await liveInterviewAccess.requireSession(sessionId);
 
-        session.codeSnapshots.push({
+        // Stored first so an invalid image leaves no code snapshot behind
+        const evidence = image
+            ? await proctoringEvidence.capture(sessionId, { image, thumbnail, source: 'webcam' })
+            : null;
+
+        await liveInterviewStore.addArtifact(sessionId, 'code_snapshot', {
             code,
             language,
-            timestamp: timestamp || new Date()
-        });
-
-        liveInterviewSessions.set(sessionId, session);
+            snapshotId: evidence?.id ?? null
+        }, { author: name, timestamp: timestamp || new Date() });
 
-        res.json({ success: true });
+        res.json({ success: true, snapshot: evidence });
     } catch (error) {
-        console.error('Error saving snapshot:', error);
-        res.status(500).json({ error: 'Failed to save snapshot' });
+        sendError(res, error, 'Failed to save snapshot');
     }
 });
 
@@ -234,44 +242,29 @@ router.post('/proctoring-event/:sessionId', async (req, res) => {
         const { sessionId } = req.params;
         const { event } = req.body;
 
-        const session = liveInterviewSessions.get(sessionId);
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        const { name } = liveInterviewAccess.verify(joinToken(req), sessionId);
+        await liveInterviewAccess.requireSession(sessionId);
 
-        session.proctoringEvents.push({
-            ...event,
-            timestamp: new Date()
-        });
-
-        liveInterviewSessions.set(sessionId, session);
+        await liveInterviewStore.addArtifact(sessionId, 'proctoring_event', event, { author: name });
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Error saving proctoring event:', error);
-        res.status(500).json({ error: 'Failed to save proctoring event' });
+        sendError(res, error, 'Failed to save proctoring event');
     }
 });
 
 // Get all active sessions (for admin/dashboard)
 router.get('/active', async (req, res) => {
     try {
-        const activeSessions = [];
-        
-        for (const [id, session] of liveInterviewSessions) {
-            if (session.status === 'in-progress' || session.status === 'waiting') {
-                activeSessions.push({
-                    id: session.id,
-                    recruiterName: session.recruiterName,
-                    candidateName: session.candidateName,
-                    companyName: session.companyName,
-                    status: session.status,
-                    participants: session.participants.length,
-                    startedAt: session.startedAt
-                });
-            }
-        }
+        const activeSessions = (await liveInterviewStore.listActive()).map(session => ({
+            id: session.id,
+            recruiterName: session.recruiterName,
+            candidateName: session.candidateName,
+            companyName: session.companyName,
+            status: session.status,
+            participants: session.participants.length,
+            startedAt: session.startedAt
+        }));
 
         res.json({ success: true, sessions: activeSessions });
     } catch (error) {
@@ -280,14 +273,116 @@ router.get('/active', async (req, res) => {
     }
 });
 
-// Helper function to generate access code
-function generateAccessCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+// Reviewing a session takes the recruiter's or their company's account, not a join link,
+// so the record stays reachable after the links expire
+const requireReviewer = async (req) => {
+    const session = await liveInterviewAccess.requireSession(req.params.sessionId);
+    await liveInterviewAccess.requireReviewer(session, req.user);
+    return session;
+};
+
+// Complete record of an ended interview: session, feedback, every artifact and the proctoring summary
+router.get('/record/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await requireReviewer(req);
+
+        if (session.status !== 'completed') {
+            return res.status(409).json({ error: 'Interview has not ended yet' });
+        }
+
+        const [feedback, artifacts, proctoringEvents, identityChecks, snapshotCount, finalCode] = await Promise.all([
+            liveInterviewStore.getFeedback(sessionId),
+            liveInterviewStore.getArtifacts(sessionId),
+            proctoringStore.getEvents(sessionId),
+            proctoringStore.getIdentityChecks(sessionId),
+            proctoringStore.countSnapshots(sessionId),
+            collaborativeEditor.replay(sessionId)
+        ]);
+
+        const ofKind = kind => artifacts
+            .filter(a => a.kind === kind)
+            .map(a => ({ ...a.payload, author: a.author, timestamp: a.timestamp }));
+
+        // Strokes drawn after the last clear make up the final whiteboard
+        const lastClear = artifacts.map(a => a.kind).lastIndexOf('whiteboard_clear');
+
+        res.json({
+            success: true,
+            record: {
+                session: {
+                    ...session,
+                    durationMinutes: session.startedAt && session.endedAt
+                        ? Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000)
+                        : null
+                },
+                feedback,
+                codeSnapshots: ofKind('code_snapshot'),
+                codeRuns: ofKind('code_snapshot').filter(snapshot => snapshot.run),
+                codeHistory: {
+                    revisions: finalCode.revision,
+                    language: finalCode.language,
+                    historyUrl: `/api/live-interview/code-history/${sessionId}`,
+                    replayUrl: `/api/live-interview/code-replay/${sessionId}`
+                },
+                chatHistory: ofKind('chat_message'),
+                notes: ofKind('note'),
+                questions: ofKind('question'),
+                whiteboard: {
+                    strokes: ofKind('whiteboard_stroke'),
+                    clears: ofKind('whiteboard_clear').length,
+                    final: artifacts
+                        .slice(lastClear + 1)
+                        .filter(a => a.kind === 'whiteboard_stroke')
+                        .map(a => a.payload.drawData)
+                },
+                proctoring: {
+                    clientEvents: ofKind('proctoring_event'),
+                    events: proctoringEvents,
+                    identityChecks,
+                    snapshots: snapshotCount,
+                    timelineUrl: `/api/proctoring/${sessionId}/timeline`
+                }
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to get interview record');
     }
-    return code;
-}
+});
+
+// Stored editor revisions for stepping through the session: the code at `from`, then up to `limit` operations
+router.get('/code-history/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        await requireReviewer(req);
+
+        const from = Math.max(parseInt(req.query.from) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 2000);
+        const history = await collaborativeEditor.history(sessionId, { from, limit });
+
+        res.json({ success: true, ...history });
+    } catch (error) {
+        sendError(res, error, 'Failed to get code history');
+    }
+});
+
+// The code as it was at ?revision= or at ?at=<time>; the latest when neither is given
+router.get('/code-replay/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        await requireReviewer(req);
+
+        const { revision, at } = req.query;
+        const document = await collaborativeEditor.replay(sessionId, {
+            revision: revision === undefined ? null : Number(revision),
+            at: at ?? null
+        });
+
+        res.json({ success: true, document });
+    } catch (error) {
+        sendError(res, error, 'Failed to replay code');
+    }
+});
 
 export default router;
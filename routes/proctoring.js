@@ -1,260 +1,288 @@
 import express from 'express';
+import proctoringStore, {integrityScore} from '../services/proctoringStore.js';
+import proctoringMonitor from '../services/proctoringMonitor.js';
+import proctoringEvidence from '../services/proctoringEvidence.js';
+import identityVerification from '../services/identityVerification.js';
+import {authenticateToken, authorize} from '../middleware/auth.js';
 
 const router=express.Router();
 
-// In-memory storage for proctoring events
-const proctoringEvents=new Map();
-
-// In-memory storage for active sessions
-const activeSessions=new Map();
-
-// In-memory storage for identity verification results
-const identityVerifications=new Map();
-
-// Python auth backend URL for face verification
-const AUTH_BACKEND_URL=process.env.AUTH_BACKEND_URL||'http://localhost:5001';
+// Snapshots are webcam frames of candidates: only company staff may look at them
+const requireReviewer=[authenticateToken, authorize('company_admin', 'company_hr', 'admin')];
 
 // Verify user identity during interview
+// Sends an image to the auth backend, or (in local mode) compares a client embedding with the registered face;
+// challengeId answers an identity check the server asked for
 router.post('/verify-identity', async (req, res) =>
 {
-    const {interviewId, userId, image}=req.body;
-
-    if (!userId||!image)
-    {
-        return res.status(400).json({
-            success: false,
-            verified: false,
-            message: 'Missing userId or image'
-        });
-    }
+    const {interviewId, userId, image, embedding, challengeId}=req.body;
 
     try
     {
-        // Call Python backend for face verification
-        const response=await fetch(`${AUTH_BACKEND_URL}/api/auth/verify-identity`, {
-            method: 'POST',
-            headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({
-                user_id: userId,
-                image: image,
-                strict: true
-            })
-        });
-
-        const result=await response.json();
-
-        // Store verification result
-        if (!identityVerifications.has(interviewId))
-        {
-            identityVerifications.set(interviewId, []);
-        }
-
-        const verificationRecord={
-            timestamp: new Date(),
-            userId,
-            verified: result.verified,
-            score: result.score,
-            liveness: result.liveness
-        };
-
-        identityVerifications.get(interviewId).push(verificationRecord);
-
-        // If verification failed, log as proctoring event
-        if (!result.verified)
-        {
-            if (!proctoringEvents.has(interviewId))
-            {
-                proctoringEvents.set(interviewId, []);
-            }
-
-            proctoringEvents.get(interviewId).push({
-                eventType: 'identity_mismatch',
-                severity: 'critical',
-                details: `Face does not match registered user. Score: ${result.score?.toFixed(3)||'N/A'}`,
-                timestamp: new Date()
-            });
-        }
-
+        const result=await identityVerification.check(interviewId, {userId, image, embedding, challengeId});
         res.json({
             success: true,
             verified: result.verified,
             score: result.score,
+            distance: result.distance,
             liveness: result.liveness,
-            reason: result.reason
+            reason: result.reason,
+            method: result.method
         });
     } catch (error)
     {
-        console.error('Identity verification error:', error);
-        res.status(503).json({
+        if (!error.status) console.error('Identity verification error:', error);
+        res.status(error.status||500).json({
             success: false,
             verified: false,
-            message: 'Identity verification service unavailable'
+            message: error.status? error.message:'Identity check could not be recorded'
         });
     }
 });
 
-// Get identity verification history for an interview
-router.get('/:interviewId/identity-checks', (req, res) =>
+// Identity checks the server is waiting on for an interview
+router.get('/:interviewId/identity-checks/pending', (req, res) =>
 {
-    const verifications=identityVerifications.get(req.params.interviewId)||[];
-    const passedCount=verifications.filter(v => v.verified).length;
-    const failedCount=verifications.filter(v => !v.verified).length;
-
-    res.json({
-        total: verifications.length,
-        passed: passedCount,
-        failed: failedCount,
-        verifications
-    });
+    res.json({challenges: identityVerification.pendingChallenges(req.params.interviewId)});
 });
 
-// Log proctoring event
-router.post('/event', (req, res) =>
+// Get identity verification history for an interview
+router.get('/:interviewId/identity-checks', async (req, res) =>
 {
-    const {interviewId, eventType, severity, details}=req.body;
+    try
+    {
+        const verifications=await proctoringStore.getIdentityChecks(req.params.interviewId);
+        const passedCount=verifications.filter(v => v.verified).length;
+        const failedCount=verifications.filter(v => !v.verified).length;
 
-    if (!proctoringEvents.has(interviewId))
+        res.json({
+            total: verifications.length,
+            passed: passedCount,
+            failed: failedCount,
+            verifications
+        });
+    } catch (error)
     {
-        proctoringEvents.set(interviewId, []);
+        res.status(500).json({error: 'Failed to get identity checks', message: error.message});
     }
+});
 
-    const event={
-        eventType,
-        severity,
-        details,
-        timestamp: new Date(),
-    };
-
-    proctoringEvents.get(interviewId).push(event);
+// Log proctoring event; severity is decided by the server's rules, any severity sent is ignored
+router.post('/event', async (req, res) =>
+{
+    const {interviewId, eventType, details, candidateUserId}=req.body;
 
-    // Update session last activity
-    if (activeSessions.has(interviewId))
+    if (!interviewId||!eventType)
     {
-        const session=activeSessions.get(interviewId);
-        session.lastActivity=new Date();
-        session.eventCount=(session.eventCount||0)+1;
-        activeSessions.set(interviewId, session);
+        return res.status(400).json({success: false, error: 'interviewId and eventType are required'});
     }
 
-    res.json({success: true, event});
+    try
+    {
+        // Also updates the session's last activity and event count, and escalates if a rule matches
+        const event=await proctoringMonitor.recordEvent(interviewId, {eventType, details, candidateUserId});
+        res.json({success: true, event});
+    } catch (error)
+    {
+        console.error('Failed to store proctoring event:', error);
+        res.status(500).json({success: false, error: 'Failed to log event', message: error.message});
+    }
 });
 
 // Get events for interview
-router.get('/:interviewId', (req, res) =>
+router.get('/:interviewId', async (req, res) =>
 {
-    const events=proctoringEvents.get(req.params.interviewId)||[];
-    res.json(events);
+    try
+    {
+        const events=await proctoringStore.getEvents(req.params.interviewId);
+        res.json(events);
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get events', message: error.message});
+    }
 });
 
 // Get integrity score
-router.get('/:interviewId/score', (req, res) =>
+router.get('/:interviewId/score', async (req, res) =>
+{
+    try
+    {
+        const events=await proctoringStore.getEvents(req.params.interviewId);
+        const breakdown={};
+        const severities={};
+
+        events.forEach(event =>
+        {
+            breakdown[event.eventType]=(breakdown[event.eventType]||0)+1;
+            severities[event.severity]=(severities[event.severity]||0)+1;
+        });
+
+        res.json({
+            score: integrityScore(severities),
+            totalEvents: events.length,
+            breakdown,
+        });
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get integrity score', message: error.message});
+    }
+});
+
+// Store a webcam or screen snapshot as evidence: {image, thumbnail?, source?}
+// Only the session's candidate, signed in, can add frames to it
+router.post('/:interviewId/snapshots', authenticateToken, async (req, res) =>
 {
-    const events=proctoringEvents.get(req.params.interviewId)||[];
+    try
+    {
+        await proctoringEvidence.requireCandidate(req.params.interviewId, req.user.id);
+        const {image, thumbnail, source}=req.body;
+        const snapshot=await proctoringEvidence.capture(req.params.interviewId, {image, thumbnail, source});
+        res.status(201).json({success: true, snapshot});
+    } catch (error)
+    {
+        if (!error.status) console.error('Failed to store snapshot:', error);
+        res.status(error.status||500).json({success: false, error: error.status? error.message:'Failed to store snapshot', message: error.message});
+    }
+});
 
-    let score=100;
-    const breakdown={};
+// Snapshots of an interview, oldest first (?page=&limit=)
+router.get('/:interviewId/snapshots', requireReviewer, async (req, res) =>
+{
+    try
+    {
+        res.json(await proctoringEvidence.getSnapshots(req.params.interviewId, req.query));
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get snapshots', message: error.message});
+    }
+});
 
-    events.forEach(event =>
+// Events, identity checks and snapshots interleaved in time order (?page=&limit=)
+router.get('/:interviewId/timeline', requireReviewer, async (req, res) =>
+{
+    try
     {
-        // Count events
-        breakdown[event.eventType]=(breakdown[event.eventType]||0)+1;
+        res.json(await proctoringEvidence.getTimeline(req.params.interviewId, req.query));
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get timeline', message: error.message});
+    }
+});
 
-        // Deduct points based on severity
-        switch (event.severity)
+// Snapshot image and thumbnail; stored files never change, so they can be cached
+for (const variant of ['image', 'thumbnail'])
+{
+    router.get(`/snapshots/:snapshotId/${variant}`, requireReviewer, async (req, res) =>
+    {
+        try
+        {
+            const {buffer, mimeType, sha256}=await proctoringEvidence.readSnapshot(req.params.snapshotId, {thumbnail: variant==='thumbnail'});
+            res.set({
+                'Content-Type': mimeType,
+                'Cache-Control': 'private, max-age=86400, immutable',
+                'ETag': `"${sha256}"`,
+            });
+            res.send(buffer);
+        } catch (error)
         {
-            case 'low':
-                score-=2;
-                break;
-            case 'medium':
-                score-=5;
-                break;
-            case 'high':
-                score-=10;
-                break;
-            case 'critical':
-                score-=20;
-                break;
+            res.status(error.status||500).json({success: false, error: error.status? error.message:'Failed to get snapshot', message: error.message});
         }
     });
-
-    res.json({
-        score: Math.max(0, score),
-        totalEvents: events.length,
-        breakdown,
-    });
-});
+}
 
 // Register/update active session
-router.post('/session', (req, res) =>
+router.post('/session', async (req, res) =>
 {
-    const {interviewId, candidateName, candidateEmail, recruiterName, startTime}=req.body;
-
-    activeSessions.set(interviewId, {
-        interviewId,
-        candidateName,
-        candidateEmail,
-        recruiterName,
-        startTime: startTime||new Date(),
-        lastActivity: new Date(),
-        status: 'active',
-        eventCount: 0,
-    });
+    // linkedSessionId: coding-practice session to terminate along with this one
+    const {interviewId, candidateName, candidateEmail, recruiterName, candidateUserId, linkedSessionId, startTime}=req.body;
+
+    if (!interviewId)
+    {
+        return res.status(400).json({success: false, error: 'interviewId is required'});
+    }
 
-    res.json({success: true});
+    try
+    {
+        await proctoringStore.upsertSession({
+            interviewId,
+            candidateName,
+            candidateEmail,
+            recruiterName,
+            candidateUserId,
+            linkedSessionId,
+            startTime: startTime||new Date(),
+        });
+        identityVerification.start(interviewId, {candidateUserId});
+        res.json({success: true});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to register session', message: error.message});
+    }
 });
 
 // End session
-router.delete('/session/:interviewId', (req, res) =>
+router.delete('/session/:interviewId', async (req, res) =>
 {
-    const {interviewId}=req.params;
+    try
+    {
+        await proctoringStore.endSession(req.params.interviewId);
+        identityVerification.stop(req.params.interviewId);
+        res.json({success: true});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to end session', message: error.message});
+    }
+});
 
-    if (activeSessions.has(interviewId))
+// Let a session paused by an escalation continue
+router.post('/session/:interviewId/resume', async (req, res) =>
+{
+    try
     {
-        const session=activeSessions.get(interviewId);
-        session.status='completed';
-        session.endTime=new Date();
-        activeSessions.set(interviewId, session);
+        const session=await proctoringMonitor.resume(req.params.interviewId);
+        if (!session) return res.status(404).json({success: false, error: 'Session not found'});
+        res.json({success: true, session});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to resume session', message: error.message});
     }
+});
 
-    res.json({success: true});
+// Terminate a session from the proctor dashboard
+router.post('/session/:interviewId/terminate', async (req, res) =>
+{
+    try
+    {
+        const {interviewId}=req.params;
+        if (!await proctoringStore.getSession(interviewId)) return res.status(404).json({success: false, error: 'Session not found'});
+        await proctoringMonitor.terminate(interviewId, req.body?.reason||'Terminated by proctor');
+        identityVerification.stop(interviewId);
+        res.json({success: true, session: await proctoringStore.getSession(interviewId)});
+    } catch (error)
+    {
+        res.status(500).json({success: false, error: 'Failed to terminate session', message: error.message});
+    }
 });
 
-// Get all active sessions (for dashboard)
-router.get('/dashboard/sessions', (req, res) =>
+// Get all active and paused sessions (for dashboard)
+router.get('/dashboard/sessions', async (req, res) =>
 {
-    const sessions=Array.from(activeSessions.values())
-        .filter(session => session.status==='active')
-        .map(session =>
+    try
+    {
+        const active=await proctoringStore.listActiveSessions();
+        const sessions=await Promise.all(active.map(async session =>
         {
-            const events=proctoringEvents.get(session.interviewId)||[];
-
-            // Calculate integrity score
-            let score=100;
-            events.forEach(event =>
-            {
-                switch (event.severity)
-                {
-                    case 'low':
-                        score-=2;
-                        break;
-                    case 'medium':
-                        score-=5;
-                        break;
-                    case 'high':
-                        score-=10;
-                        break;
-                    case 'critical':
-                        score-=20;
-                        break;
-                }
-            });
+            const [counts, recentEvents]=await Promise.all([
+                proctoringStore.countBySeverity(session.interviewId),
+                proctoringStore.getEvents(session.interviewId, {limit: 5})
+            ]);
 
             // Count violations by severity
             const violations={
-                low: events.filter(e => e.severity==='low').length,
-                medium: events.filter(e => e.severity==='medium').length,
-                high: events.filter(e => e.severity==='high').length,
-                critical: events.filter(e => e.severity==='critical').length,
+                low: counts.low||0,
+                medium: counts.medium||0,
+                high: counts.high||0,
+                critical: counts.critical||0,
             };
 
             // Calculate duration
@@ -262,35 +290,45 @@ router.get('/dashboard/sessions', (req, res) =>
 
             return {
                 ...session,
-                integrityScore: Math.max(0, score),
+                integrityScore: integrityScore(counts),
                 violations,
-                totalEvents: events.length,
+                totalEvents: Object.values(counts).reduce((sum, count) => sum+count, 0),
                 duration,
-                recentEvents: events.slice(-5),
+                recentEvents,
             };
-        });
+        }));
 
-    res.json(sessions);
+        res.json(sessions);
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get sessions', message: error.message});
+    }
 });
 
 // Get session details for dashboard
-router.get('/dashboard/:interviewId', (req, res) =>
+router.get('/dashboard/:interviewId', async (req, res) =>
 {
-    const {interviewId}=req.params;
-    const session=activeSessions.get(interviewId);
-
-    if (!session)
+    try
     {
-        return res.status(404).json({error: 'Session not found'});
-    }
+        const {interviewId}=req.params;
+        const session=await proctoringStore.getSession(interviewId);
+
+        if (!session)
+        {
+            return res.status(404).json({error: 'Session not found'});
+        }
 
-    const events=proctoringEvents.get(interviewId)||[];
+        const events=await proctoringStore.getEvents(interviewId);
 
-    res.json({
-        session,
-        events,
-        eventCount: events.length,
-    });
+        res.json({
+            session,
+            events,
+            eventCount: events.length,
+        });
+    } catch (error)
+    {
+        res.status(500).json({error: 'Failed to get session', message: error.message});
+    }
 });
 
 export default router;
@@ -254,6 +254,7 @@ router.get('/leaderboard/global', async (req, res) =>
                     COALESCE(ls.average_score, 0) as avg_percentage,
                     ls.coding_problems_solved,
                     ls.interview_count,
+                    ls.contest_rating,
                     ls.current_streak_days,
                     ls.badges
                 FROM users u
@@ -17,6 +17,7 @@ import cpCodeRoutes from './routes/cpCode.js';
 import cpAnalysisRoutes from './routes/cpAnalysis.js';
 import cpReportsRoutes from './routes/cpReports.js';
 import cpSessionRoutes from './routes/cpSession.js';
+import antiCheatPolicyRoutes from './routes/antiCheatPolicies.js';
 import cpQuestionsRoutes from './routes/cpQuestions.js';
 import cpAiQuestionsRoutes from './routes/cpAiQuestions.js';
 import aiInterviewRoutes from './routes/aiInterview.js';
@@ -35,6 +36,8 @@ import aiAnalysisRoutes from './routes/aiAnalysis.js';
 import contestsRoutes from './routes/contests.js';
 import badgesRoutes from './routes/badges.js';
 import {setupSocketHandlers} from './socket/handlers.js';
+import proctoringStore from './services/proctoringStore.js';
+import sessionManager from './services/sessionManager.js';
 
 const app=express();
 const httpServer=createServer(app);
@@ -55,10 +58,16 @@ app.use(cors({
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     credentials: true,
 }));
+// Proctoring snapshots, identity checks and live interview snapshots send base64
+// images in JSON bodies; everything else keeps the default limit
+app.use(['/api/proctoring', '/api/live-interview'], express.json({limit: '8mb'}));
 app.use(express.json());
 
 // Initialize Database
 await initializeDatabase();
+proctoringStore.warnIfVolatile();
+proctoringStore.startRetentionJob();
+sessionManager.startArchiveJob();
 
 // Routes
 app.use('/api/interview', interviewRoutes);
@@ -72,6 +81,7 @@ app.use('/api/cp/code', cpCodeRoutes);
 app.use('/api/cp/analysis', cpAnalysisRoutes);
 app.use('/api/cp/reports', cpReportsRoutes);
 app.use('/api/cp/session', cpSessionRoutes);
+app.use('/api/cp/policies', antiCheatPolicyRoutes);
 app.use('/api/cp/questions', cpQuestionsRoutes);
 app.use('/api/cp/ai-questions', cpAiQuestionsRoutes);
 app.use('/api/ai-interview', aiInterviewRoutes);
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import {DEFAULT_POLICY} from './antiCheatPolicy.js';
+import {styleDrift} from './stylometry.js';
 
 class AIDetector
 {
@@ -9,18 +11,28 @@ class AIDetector
         this.model='llama-3.3-70b-versatile';
     }
 
-    async detectAIGenerated(code, language, behaviorMetrics={})
+    // policySettings: resolved anti-cheat policy settings (antiCheatPolicy.js)
+    // styleProfile: the candidate's baseline from styleBaseline.js, when they have one
+    async detectAIGenerated(code, language, behaviorMetrics={}, policySettings=DEFAULT_POLICY, styleProfile=null)
     {
         const heuristicResult=this.heuristicAnalysis(code, language);
-        const behaviorResult=this.analyzeBehavior(behaviorMetrics);
+        const behaviorResult=this.analyzeBehavior(behaviorMetrics, policySettings);
+        const styleResult=styleProfile? this.analyzeStyleDrift(styleProfile, code, language):null;
         let aiAnalysisResult=null;
         try {aiAnalysisResult=await this.groqDetection(code, language);}
         catch (err) {console.warn('Groq AI detection failed, using heuristics only:', err.message);}
 
+        // A break from the candidate's own style outweighs the generic heuristics when there is a baseline
         let finalScore;
-        if (aiAnalysisResult)
+        if (aiAnalysisResult&&styleResult)
+        {
+            finalScore=Math.round(heuristicResult.score*0.15+behaviorResult.score*0.30+aiAnalysisResult.score*0.20+styleResult.score*0.35);
+        } else if (aiAnalysisResult)
         {
             finalScore=Math.round(heuristicResult.score*0.30+behaviorResult.score*0.35+aiAnalysisResult.score*0.35);
+        } else if (styleResult)
+        {
+            finalScore=Math.round(heuristicResult.score*0.20+behaviorResult.score*0.40+styleResult.score*0.40);
         } else
         {
             finalScore=Math.round(heuristicResult.score*0.45+behaviorResult.score*0.55);
@@ -33,11 +45,13 @@ class AIDetector
             'Behavior': behaviorResult.score,
         };
         if (aiAnalysisResult) breakdown['AI Analysis']=aiAnalysisResult.score;
+        if (styleResult) breakdown['Style Drift']=styleResult.score;
 
         // Combine all signals for frontend display
         const allSignals=[
             ...heuristicResult.signals.map(s => s.signal? `${s.signal}: ${s.detail}`:(typeof s==='string'? s:JSON.stringify(s))),
             ...behaviorResult.signals.map(s => s.signal? `${s.signal}: ${s.detail}`:(typeof s==='string'? s:JSON.stringify(s))),
+            ...(styleResult?.signals||[]).map(s => `${s.signal}: ${s.detail}`),
             ...(aiAnalysisResult?.signals||[])
         ];
 
@@ -48,9 +62,10 @@ class AIDetector
             details: {
                 heuristic: {score: heuristicResult.score, signals: heuristicResult.signals},
                 behavior: {score: behaviorResult.score, signals: behaviorResult.signals},
-                aiAnalysis: aiAnalysisResult? {score: aiAnalysisResult.score, reasoning: aiAnalysisResult.reasoning}:null
+                aiAnalysis: aiAnalysisResult? {score: aiAnalysisResult.score, reasoning: aiAnalysisResult.reasoning}:null,
+                styleDrift: styleResult? {score: styleResult.score, baselineSamples: styleProfile.samples, signals: styleResult.signals, features: styleResult.features}:null
             },
-            suggestions: this.getSuggestions(finalScore, heuristicResult, behaviorResult, aiAnalysisResult)
+            suggestions: this.getSuggestions(finalScore, heuristicResult, behaviorResult, aiAnalysisResult, styleResult)
         };
     }
 
@@ -114,31 +129,53 @@ class AIDetector
         return {score: Math.min(score, 100), signals};
     }
 
-    analyzeBehavior(metrics)
+    analyzeBehavior(metrics, policySettings=DEFAULT_POLICY)
     {
         const signals=[];
         let score=0;
         if (!metrics||Object.keys(metrics).length===0) return {score: 0, signals: [{signal: 'No behavior data', detail: 'Anti-cheat not enabled', weight: 0}]};
+        const rules=policySettings.behavior;
+        const ignored=policySettings.violations.ignored;
 
-        const pasteAttempts=metrics.pasteAttempts||0;
-        if (pasteAttempts>=1) {const s=Math.min(pasteAttempts*15, 40); score+=s; signals.push({signal: 'Paste detected', detail: `${pasteAttempts} paste attempt(s)`, weight: s});}
+        // Counters score count*weight, capped, once they reach the threshold; ignored violation types never score
+        const counter=(type, signal, detail) =>
+        {
+            const count=metrics[type]||0;
+            const {threshold, weight, cap}=rules[type];
+            if (ignored.includes(type)||count===0||count<threshold) return;
+            const s=Math.min(count*weight, cap);
+            score+=s;
+            signals.push({signal, detail: detail(count), weight: s});
+        };
 
-        const tabSwitches=metrics.tabSwitches||0;
-        if (tabSwitches>=2) {const s=Math.min(tabSwitches*8, 30); score+=s; signals.push({signal: 'Tab switches', detail: `${tabSwitches} switches (possible AI tool usage)`, weight: s});}
+        counter('pasteAttempts', 'Paste detected', n => `${n} paste attempt(s)`);
+        counter('tabSwitches', 'Tab switches', n => `${n} switches (possible AI tool usage)`);
 
         const totalKeystrokes=metrics.totalKeystrokes||0;
         const codeLength=metrics.codeLength||0;
-        if (codeLength>100&&totalKeystrokes<codeLength*0.3) {score+=25; signals.push({signal: 'Low keystroke ratio', detail: `${totalKeystrokes} keystrokes for ${codeLength} chars`, weight: 25});}
+        const {lowKeystrokeRatio, fastSolve}=rules;
+        if (codeLength>lowKeystrokeRatio.minCodeLength&&totalKeystrokes<codeLength*lowKeystrokeRatio.ratio) {score+=lowKeystrokeRatio.weight; signals.push({signal: 'Low keystroke ratio', detail: `${totalKeystrokes} keystrokes for ${codeLength} chars`, weight: lowKeystrokeRatio.weight});}
 
         const solveDuration=metrics.solveDuration||0;
-        if (solveDuration>0&&solveDuration<60&&codeLength>200) {score+=20; signals.push({signal: 'Suspiciously fast', detail: `${solveDuration}s for ${codeLength} chars`, weight: 20});}
+        if (solveDuration>0&&solveDuration<fastSolve.maxSeconds&&codeLength>fastSolve.minCodeLength) {score+=fastSolve.weight; signals.push({signal: 'Suspiciously fast', detail: `${solveDuration}s for ${codeLength} chars`, weight: fastSolve.weight});}
 
-        const focusLosses=metrics.focusLosses||0;
-        if (focusLosses>=3) {const s=Math.min(focusLosses*5, 15); score+=s; signals.push({signal: 'Frequent focus loss', detail: `${focusLosses} focus losses`, weight: s});}
+        counter('focusLosses', 'Frequent focus loss', n => `${n} focus losses`);
 
         return {score: Math.min(score, 100), signals};
     }
 
+    analyzeStyleDrift(profile, code, language)
+    {
+        const drift=styleDrift(profile, code, language);
+        const format=value => Math.round(value*100)/100;
+        const signals=drift.changes.map(c => ({
+            signal: 'Style change',
+            detail: `${c.direction} ${c.label} than usual (${format(c.value)} vs ${format(c.baseline)})`,
+            weight: c.drift
+        }));
+        return {score: drift.score, signals, features: drift.features};
+    }
+
     async groqDetection(code, language)
     {
         if (!this.apiKey) return null;
@@ -173,9 +210,10 @@ class AIDetector
         return {label: 'AI-Generated', confidence: 'High', color: '#ff5252'};
     }
 
-    getSuggestions(score, heuristic, behavior, aiAnalysis)
+    getSuggestions(score, heuristic, behavior, aiAnalysis, style=null)
     {
         const suggestions=[];
+        if (style?.score>60) suggestions.push('Coding style differs sharply from the candidate\'s earlier practice solutions.');
         if (behavior.score>30) suggestions.push('Multiple paste attempts and tab switches indicate external code copying.');
         if (heuristic.signals.some(s => s.signal.includes('comment'))) suggestions.push('Code contains comment patterns typical of AI generation.');
         if (heuristic.signals.some(s => s.signal.includes('docstring'))) suggestions.push('Comprehensive docstrings on all functions is unusual for timed challenges.');
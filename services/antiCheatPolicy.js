@@ -0,0 +1,273 @@
+import {query} from '../db/database.js';
+
+/**
+ * Anti-Cheat Policies
+ * Named sets of anti-cheat thresholds and weights that a company stores for
+ * itself or for one of its assessments. A policy only lists what it changes;
+ * everything else comes from DEFAULT_POLICY, which holds the platform's
+ * built-in values. SessionManager and the AI detector read these settings
+ * instead of fixed numbers.
+ *
+ * Selection order: an explicit policy, then the newest policy attached to the
+ * assessment, then the company's default policy, then DEFAULT_POLICY. A
+ * candidate's session gets its policy through forSession, which goes by the
+ * assessment record alone: the company is the assessment's, and an explicit
+ * policy must be attached to that assessment. Sessions keep a copy of the
+ * policy they started with, so editing a policy never changes a session in
+ * progress.
+ */
+
+export const VIOLATION_TYPES=['tabSwitches', 'focusLosses', 'pasteAttempts', 'devToolsAttempts', 'rightClickAttempts', 'fullscreenExits', 'copyAttempts', 'suspiciousBehavior'];
+const FLAG_SEVERITIES=['low', 'medium', 'high', 'critical'];
+
+export const DEFAULT_POLICY=Object.freeze({
+    violations: {
+        // Terminate once the total goes above this (null: never)
+        maxTotal: 20,
+        // Terminate when one type reaches its count, e.g. {devToolsAttempts: 1}
+        terminateAt: {},
+        // Types that are neither counted nor scored
+        ignored: []
+    },
+    trustScore: {
+        violationPenalties: {tabSwitches: 3, focusLosses: 2, pasteAttempts: 5, devToolsAttempts: 10, suspiciousBehavior: 15},
+        flagPenalties: {critical: 20, high: 10, medium: 5}
+    },
+    submissions: {
+        cooldownMs: 3000,
+        rapidSubmissionMs: 5000,
+        suddenSolutionMinChange: 100,
+        suddenSolutionWindowMs: 30000
+    },
+    // aiDetector.analyzeBehavior: a counter scores count*weight (at most cap) once it reaches threshold
+    behavior: {
+        pasteAttempts: {threshold: 1, weight: 15, cap: 40},
+        tabSwitches: {threshold: 2, weight: 8, cap: 30},
+        focusLosses: {threshold: 3, weight: 5, cap: 15},
+        lowKeystrokeRatio: {minCodeLength: 100, ratio: 0.3, weight: 25},
+        fastSolve: {maxSeconds: 60, minCodeLength: 200, weight: 20}
+    }
+});
+
+// Objects keyed by violation type or severity rather than by fixed setting names
+const OPEN_KEYS={
+    'violations.terminateAt': VIOLATION_TYPES,
+    'trustScore.violationPenalties': VIOLATION_TYPES,
+    'trustScore.flagPenalties': FLAG_SEVERITIES
+};
+const NULLABLE=['violations.maxTotal'];
+
+export class PolicyError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='PolicyError';
+        this.status=status;
+    }
+}
+
+const isObject=value => value!==null&&typeof value==='object'&&!Array.isArray(value);
+
+function validateSettings(settings, template=DEFAULT_POLICY, path='')
+{
+    if (!isObject(settings)) throw new PolicyError(`${path||'settings'} must be an object`);
+    for (const [key, value] of Object.entries(settings))
+    {
+        const at=path? `${path}.${key}`:key;
+        if (OPEN_KEYS[path])
+        {
+            if (!OPEN_KEYS[path].includes(key)) throw new PolicyError(`${at} is not a known ${path.endsWith('flagPenalties')? 'severity':'violation type'}`);
+        } else if (!(key in template)) throw new PolicyError(`Unknown setting ${at}`);
+
+        if (at==='violations.ignored')
+        {
+            if (!Array.isArray(value)||value.some(type => !VIOLATION_TYPES.includes(type))) throw new PolicyError(`${at} must list violation types (${VIOLATION_TYPES.join(', ')})`);
+        } else if (OPEN_KEYS[at]||isObject(template[key]))
+        {
+            validateSettings(value, template[key]||{}, at);
+        } else if (!(value===null&&NULLABLE.includes(at))&&!(typeof value==='number'&&Number.isFinite(value)&&value>=0))
+        {
+            throw new PolicyError(`${at} must be a non-negative number`);
+        }
+    }
+}
+
+// Deep merge of objects; arrays and numbers are replaced
+function merge(base, overrides)
+{
+    const merged={...base};
+    for (const [key, value] of Object.entries(overrides||{}))
+    {
+        merged[key]=isObject(value)&&isObject(base[key])? merge(base[key], value):value;
+    }
+    return merged;
+}
+
+export function resolveSettings(settings)
+{
+    return merge(structuredClone(DEFAULT_POLICY), settings);
+}
+
+export const defaultPolicy=() => ({id: null, name: 'default', settings: resolveSettings({})});
+
+function fromRow(row)
+{
+    const settings=typeof row.settings_json==='string'? JSON.parse(row.settings_json):(row.settings_json||{});
+    return {
+        id: row.id,
+        company_id: row.company_id,
+        assessment_id: row.assessment_id,
+        name: row.name,
+        description: row.description,
+        is_default: Boolean(row.is_default),
+        settings,
+        created_by_user_id: row.created_by_user_id,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+class AntiCheatPolicies
+{
+    async get(policyId)
+    {
+        const [row]=await query('SELECT * FROM anti_cheat_policies WHERE id = ?', [policyId]);
+        if (!row) throw new PolicyError('Policy not found', 404);
+        return fromRow(row);
+    }
+
+    async list({companyId, assessmentId}={})
+    {
+        const conditions=[];
+        const params=[];
+        if (companyId) {conditions.push('company_id = ?'); params.push(companyId);}
+        if (assessmentId) {conditions.push('assessment_id = ?'); params.push(assessmentId);}
+        const rows=await query(`
+            SELECT * FROM anti_cheat_policies
+            ${conditions.length? `WHERE ${conditions.join(' AND ')}`:''}
+            ORDER BY company_id, name
+        `, params);
+        return rows.map(fromRow);
+    }
+
+    // Platform admins, and company owners, admins and HR manage a company's policies
+    async requireManager(companyId, userId)
+    {
+        if (!userId) throw new PolicyError('user_id is required', 401);
+        const [user]=await query('SELECT role FROM users WHERE id = ?', [userId]);
+        if (user?.role==='admin') return;
+        const [member]=await query(`
+            SELECT id FROM company_members
+            WHERE company_id = ? AND user_id = ? AND is_active = TRUE AND role IN ('owner', 'admin', 'hr')
+        `, [companyId, userId]);
+        if (!member) throw new PolicyError('Only company admins and HR can manage anti-cheat policies', 403);
+    }
+
+    async assessmentCompany(assessmentId)
+    {
+        const [row]=await query('SELECT j.company_id FROM assessments a JOIN jobs j ON a.job_id = j.id WHERE a.id = ?', [assessmentId]);
+        if (!row) throw new PolicyError('Assessment not found', 404);
+        return row.company_id;
+    }
+
+    async create({company_id, assessment_id=null, name, description=null, settings={}, is_default=false, user_id})
+    {
+        if (!company_id) throw new PolicyError('company_id is required');
+        if (typeof name!=='string'||!name.trim()) throw new PolicyError('name is required');
+        validateSettings(settings);
+        await this.requireManager(company_id, user_id);
+        if (assessment_id&&String(await this.assessmentCompany(assessment_id))!==String(company_id))
+        {
+            throw new PolicyError('Assessment does not belong to this company');
+        }
+        const [duplicate]=await query('SELECT id FROM anti_cheat_policies WHERE company_id = ? AND name = ?', [company_id, name.trim()]);
+        if (duplicate) throw new PolicyError('A policy with this name already exists', 409);
+
+        if (is_default) await query('UPDATE anti_cheat_policies SET is_default = FALSE WHERE company_id = ?', [company_id]);
+        const result=await query(`
+            INSERT INTO anti_cheat_policies (company_id, assessment_id, name, description, settings_json, is_default, created_by_user_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [company_id, assessment_id, name.trim(), description, JSON.stringify(settings), Boolean(is_default), user_id]);
+        return this.get(result.insertId);
+    }
+
+    async update(policyId, {name, description, settings, assessment_id, is_default, user_id})
+    {
+        const policy=await this.get(policyId);
+        await this.requireManager(policy.company_id, user_id);
+        if (settings!==undefined) validateSettings(settings);
+        if (assessment_id&&String(await this.assessmentCompany(assessment_id))!==String(policy.company_id))
+        {
+            throw new PolicyError('Assessment does not belong to this company');
+        }
+
+        const fields={
+            name: typeof name==='string'? name.trim():undefined,
+            description,
+            settings_json: settings===undefined? undefined:JSON.stringify(settings),
+            assessment_id,
+            is_default: is_default===undefined? undefined:Boolean(is_default)
+        };
+        const updates=Object.entries(fields).filter(([, value]) => value!==undefined);
+        if (updates.length===0) throw new PolicyError('No updates provided');
+        if (fields.is_default) await query('UPDATE anti_cheat_policies SET is_default = FALSE WHERE company_id = ?', [policy.company_id]);
+        await query(
+            `UPDATE anti_cheat_policies SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...updates.map(([, value]) => value), policyId]
+        );
+        return this.get(policyId);
+    }
+
+    async remove(policyId, userId)
+    {
+        const policy=await this.get(policyId);
+        await this.requireManager(policy.company_id, userId);
+        await query('DELETE FROM anti_cheat_policies WHERE id = ?', [policyId]);
+    }
+
+    /**
+     * Policy for a new session or a detection run: {id, name, settings} with
+     * settings merged over DEFAULT_POLICY
+     */
+    async resolve({policyId, assessmentId, companyId}={})
+    {
+        let row=null;
+        if (policyId)
+        {
+            [row]=await query('SELECT * FROM anti_cheat_policies WHERE id = ?', [policyId]);
+            if (!row) throw new PolicyError('Policy not found', 404);
+        }
+        if (!row&&assessmentId)
+        {
+            [row]=await query('SELECT * FROM anti_cheat_policies WHERE assessment_id = ? ORDER BY updated_at DESC, id DESC LIMIT 1', [assessmentId]);
+        }
+        if (!row&&(companyId||assessmentId))
+        {
+            const company=companyId||await this.assessmentCompany(assessmentId);
+            [row]=await query('SELECT * FROM anti_cheat_policies WHERE company_id = ? AND is_default = TRUE LIMIT 1', [company]);
+        }
+        if (!row) return defaultPolicy();
+        const policy=fromRow(row);
+        return {id: policy.id, name: policy.name, settings: resolveSettings(policy.settings)};
+    }
+
+    // Policy for a candidate's session; practice sessions (no assessment) always get DEFAULT_POLICY
+    async forSession({assessmentId, policyId}={})
+    {
+        if (!assessmentId)
+        {
+            if (policyId) throw new PolicyError('A policy can only be chosen for an assessment');
+            return defaultPolicy();
+        }
+        const companyId=await this.assessmentCompany(assessmentId);
+        if (policyId)
+        {
+            const [row]=await query('SELECT assessment_id FROM anti_cheat_policies WHERE id = ?', [policyId]);
+            if (!row||String(row.assessment_id)!==String(assessmentId)) throw new PolicyError('Policy does not belong to this assessment', 403);
+        }
+        return this.resolve({policyId, assessmentId, companyId});
+    }
+}
+
+export default new AntiCheatPolicies();
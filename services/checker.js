@@ -0,0 +1,121 @@
+/**
+ * Output Checking
+ * Decides whether a test case's output is correct. A problem either picks a
+ * comparison mode:
+ *
+ *   comparison: 'unordered'
+ *   comparison: {mode: 'unordered', depth: 2}     // also ignore order inside each element
+ *   comparison: {mode: 'float', epsilon: 1e-5}    // absolute/relative tolerance
+ *
+ * or supplies a custom checker, a check(input, expected, actual) function that
+ * runs in the sandbox and returns whether the candidate's output is acceptable:
+ *
+ *   checker: {language: 'python', code: 'def check(input, expected, actual):\n    return ...'}
+ */
+
+export const COMPARE_MODES=['exact', 'unordered', 'float', 'whitespace'];
+
+const MODE_ALIASES={'float-epsilon': 'float', 'whitespace-insensitive': 'whitespace'};
+const DEFAULT_EPSILON=1e-6;
+
+export function normalizeComparison(comparison)
+{
+    const options=typeof comparison==='string'? {mode: comparison}:(comparison||{});
+    const mode=MODE_ALIASES[options.mode]||options.mode;
+    return {
+        mode: COMPARE_MODES.includes(mode)? mode:'exact',
+        epsilon: Number(options.epsilon)>0? Number(options.epsilon):DEFAULT_EPSILON,
+        depth: parseInt(options.depth)>0? parseInt(options.depth):1
+    };
+}
+
+// stdout comparison ignores trailing whitespace on each line and trailing blank lines
+export function normalizeText(text)
+{
+    return text.split('\n').map(line => line.trimEnd()).join('\n').trim();
+}
+
+function collapseWhitespace(text)
+{
+    return text.split(/\s+/).filter(Boolean).join(' ');
+}
+
+// Sort arrays (down to `depth` levels) by their elements' JSON so order stops mattering
+function canonicalOrder(value, depth)
+{
+    if (!Array.isArray(value)||depth<=0) return value;
+    return value
+        .map(item => canonicalOrder(item, depth-1))
+        .map(item => [JSON.stringify(item), item])
+        .sort(([a], [b]) => (a<b? -1:a>b? 1:0))
+        .map(([, item]) => item);
+}
+
+function numbersClose(actual, expected, epsilon)
+{
+    return Math.abs(actual-expected)<=epsilon*Math.max(1, Math.abs(expected));
+}
+
+function valuesClose(actual, expected, epsilon)
+{
+    if (typeof actual==='number'&&typeof expected==='number') return numbersClose(actual, expected, epsilon);
+    if (Array.isArray(actual)&&Array.isArray(expected))
+    {
+        return actual.length===expected.length&&actual.every((item, i) => valuesClose(item, expected[i], epsilon));
+    }
+    if (typeof actual==='string'&&typeof expected==='string')
+    {
+        // Plain stdout: compare token by token, numerically where both tokens are numbers
+        const actualTokens=collapseWhitespace(actual).split(' ');
+        const expectedTokens=collapseWhitespace(expected).split(' ');
+        return actualTokens.length===expectedTokens.length&&actualTokens.every((token, i) =>
+        {
+            const a=Number(token), e=Number(expectedTokens[i]);
+            return token===expectedTokens[i]||(token!==''&&!isNaN(a)&&!isNaN(e)&&numbersClose(a, e, epsilon));
+        });
+    }
+    if (actual&&expected&&typeof actual==='object'&&typeof expected==='object')
+    {
+        const keys=Object.keys(expected);
+        return keys.length===Object.keys(actual).length&&keys.every(key => key in actual&&valuesClose(actual[key], expected[key], epsilon));
+    }
+    return JSON.stringify(actual)===JSON.stringify(expected);
+}
+
+// Compare already-parsed output values under a normalized comparison
+export function outputsMatch(actual, expected, {mode, epsilon, depth})
+{
+    switch (mode)
+    {
+        case 'unordered':
+            return JSON.stringify(canonicalOrder(actual, depth))===JSON.stringify(canonicalOrder(expected, depth));
+        case 'float':
+            return valuesClose(actual, expected, epsilon);
+        case 'whitespace':
+            if (typeof actual==='string'&&typeof expected==='string') return collapseWhitespace(actual)===collapseWhitespace(expected);
+            return JSON.stringify(actual)===JSON.stringify(expected);
+        default:
+            if (typeof actual==='string'&&typeof expected==='string') return normalizeText(actual)===normalizeText(expected);
+            return JSON.stringify(actual)===JSON.stringify(expected);
+    }
+}
+
+// Checker programs read {input, expected, actual} as JSON on stdin and print AC or WA.
+// A check() that throws counts as a rejection, since it is usually choking on malformed output.
+const CHECKER_WRAPPERS={
+    python: (code) => `import json\nimport sys\n\n${code}\n\n_case = json.loads(sys.stdin.read())\ntry:\n    _ok = check(_case['input'], _case['expected'], _case['actual'])\nexcept Exception as e:\n    print(f"check() raised: {e}", file=sys.stderr)\n    _ok = False\nprint('AC' if _ok else 'WA')\n`,
+    javascript: (code) => `${code}\n\nconst __case = JSON.parse(require('fs').readFileSync(0, 'utf8'));\nlet __ok = false;\ntry {\n    __ok = check(__case.input, __case.expected, __case.actual);\n} catch (error) {\n    console.error('check() raised: ' + error.message);\n}\nconsole.log(__ok ? 'AC' : 'WA');\n`
+};
+
+export function checkerLanguages()
+{
+    return Object.keys(CHECKER_WRAPPERS);
+}
+
+export function checkerSource(checker, language)
+{
+    const wrap=CHECKER_WRAPPERS[language];
+    if (!wrap) throw new Error(`Checkers can be written in ${checkerLanguages().join(' or ')}, not ${checker.language}`);
+    if (typeof checker.code!=='string'||!checker.code.trim()) throw new Error('Checker has no code');
+    return wrap(checker.code);
+}
@@ -0,0 +1,330 @@
+import liveInterviewStore from './liveInterviewStore.js';
+import {apply, baseLength, diff, normalize, targetLength, transform, transformIndex} from './textOperation.js';
+
+/**
+ * Collaborative Editor
+ * The shared code editor of an interview, kept on the server as a document
+ * with a revision number. Clients send edits as text operations (see
+ * textOperation.js) together with the revision they were made on; edits made
+ * meanwhile by others are transformed in, so concurrent typing keeps
+ * everyone's changes, and every client ends up with the same text.
+ *
+ * Protocol (as in ot.js): a client sends one operation at a time and waits
+ * for the ack before sending the next, transforming its pending edits against
+ * operations it receives meanwhile. A client that falls behind asks for the
+ * operations since its revision, or gets the whole document when they are no
+ * longer kept in memory (MAX_HISTORY).
+ *
+ * Cursors and selections are per client and move with every edit. Documents
+ * opened with `persist` (live interviews) store every revision through
+ * liveInterviewStore, with the whole text every CHECKPOINT_INTERVAL
+ * revisions, so reviewers can replay the session.
+ */
+
+const MAX_HISTORY=1000;
+const CHECKPOINT_INTERVAL=100;
+const MAX_DOCUMENT_LENGTH=500000;
+const IDLE_MINUTES=60;
+const DEFAULT_LANGUAGE='javascript';
+
+export class CollabError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='CollabError';
+        this.status=status;
+    }
+}
+
+// {position, selection: {start, end} | null} with every index inside the document
+function validCursor(cursor, length)
+{
+    const inside=value => Number.isInteger(value)&&value>=0&&value<=length;
+    if (!cursor||!inside(cursor.position)) throw new CollabError('cursor.position must be an index in the document');
+    const selection=cursor.selection??null;
+    if (selection&&!(inside(selection.start)&&inside(selection.end))) throw new CollabError('cursor.selection must be {start, end} inside the document');
+    return {position: cursor.position, selection: selection&&{start: selection.start, end: selection.end}};
+}
+
+function moveCursor(cursor, ops, own)
+{
+    return {
+        position: transformIndex(cursor.position, ops, own),
+        selection: cursor.selection&&{
+            start: transformIndex(cursor.selection.start, ops, own),
+            end: transformIndex(cursor.selection.end, ops, own)
+        }
+    };
+}
+
+class CollaborativeEditor
+{
+    constructor()
+    {
+        // documentId -> {id, persist, code, language, revision, history, cursors, checkpointRevision, saving, touchedAt}
+        this.documents=new Map();
+        this.loading=new Map();
+    }
+
+    /**
+     * The document, loaded on first use; a persisted one continues from what
+     * was stored, or from the last saved code snapshot of the session
+     */
+    async open(documentId, {persist=false}={})
+    {
+        if (!documentId) throw new CollabError('Missing document id');
+        const document=this.documents.get(documentId);
+        if (document)
+        {
+            document.touchedAt=Date.now();
+            return document;
+        }
+        if (!this.loading.has(documentId))
+        {
+            this.evictIdle();
+            const loading=this.load(documentId, persist)
+                .then(loaded =>
+                {
+                    this.documents.set(documentId, loaded);
+                    return loaded;
+                })
+                .finally(() => this.loading.delete(documentId));
+            this.loading.set(documentId, loading);
+        }
+        return this.loading.get(documentId);
+    }
+
+    async load(documentId, persist)
+    {
+        const document={
+            id: documentId,
+            persist,
+            code: '',
+            language: DEFAULT_LANGUAGE,
+            revision: 0,
+            history: [],
+            cursors: new Map(),
+            checkpointRevision: 0,
+            saving: Promise.resolve(),
+            touchedAt: Date.now()
+        };
+        if (!persist) return document;
+
+        const checkpoint=await liveInterviewStore.getCodeCheckpoint(documentId);
+        const stored=await liveInterviewStore.getCodeOps(documentId, {after: checkpoint?.revision||0});
+        if (checkpoint)
+        {
+            Object.assign(document, {code: checkpoint.checkpoint, language: checkpoint.language||DEFAULT_LANGUAGE, revision: checkpoint.revision, checkpointRevision: checkpoint.revision});
+        }
+        for (const entry of stored)
+        {
+            document.code=apply(document.code, entry.ops);
+            document.language=entry.language||document.language;
+            document.revision=entry.revision;
+            document.history.push({revision: entry.revision, ops: entry.ops, clientId: null, author: entry.author, language: document.language, timestamp: entry.timestamp});
+        }
+        document.history=document.history.slice(-MAX_HISTORY);
+
+        // Sessions from before edits were stored start from their last code snapshot
+        if (!document.revision)
+        {
+            const {code, language}=await liveInterviewStore.getRoomState(documentId);
+            document.language=language;
+            if (code) this.commit(document, {ops: [code], clientId: null, author: null});
+        }
+        return document;
+    }
+
+    // Applies an operation that fits the current text and records the new revision
+    commit(document, {ops, clientId, author, language=document.language})
+    {
+        if (targetLength(ops)>MAX_DOCUMENT_LENGTH) throw new CollabError(`Code is limited to ${MAX_DOCUMENT_LENGTH} characters`, 413);
+        document.code=apply(document.code, ops);
+        document.language=language;
+        document.revision++;
+        document.touchedAt=Date.now();
+        const entry={revision: document.revision, ops, clientId, author, language, timestamp: new Date()};
+        document.history.push(entry);
+        if (document.history.length>MAX_HISTORY) document.history.shift();
+
+        for (const [id, cursor] of document.cursors)
+        {
+            document.cursors.set(id, {...cursor, ...moveCursor(cursor, ops, id===clientId)});
+        }
+
+        if (document.persist)
+        {
+            const checkpoint=document.revision-document.checkpointRevision>=CHECKPOINT_INTERVAL? document.code:null;
+            if (checkpoint!==null) document.checkpointRevision=document.revision;
+            const stored={revision: entry.revision, author, ops, language, checkpoint, timestamp: entry.timestamp};
+            document.saving=document.saving
+                .then(() => liveInterviewStore.addCodeOp(document.id, stored))
+                .catch(error => console.warn(`Could not save revision ${entry.revision} of ${document.id}:`, error.message));
+        }
+        return entry;
+    }
+
+    // History entries after `revision`; all of them must still be in memory
+    since(document, revision)
+    {
+        if (!Number.isInteger(revision)||revision<0||revision>document.revision) throw new CollabError('Unknown revision', 409);
+        if (revision===document.revision) return [];
+        const concurrent=document.history.filter(entry => entry.revision>revision);
+        if (concurrent.length!==document.revision-revision) throw new CollabError('Revision is too old, resync the document', 409);
+        return concurrent;
+    }
+
+    /**
+     * Apply a client's operation made on `revision`
+     * Returns the history entry {revision, ops, clientId, author, language,
+     * timestamp}, with ops as they apply to the current text.
+     */
+    async receive(documentId, {clientId, author=null, revision, ops, persist})
+    {
+        const document=await this.open(documentId, {persist});
+        let operation=normalize(ops);
+        for (const entry of this.since(document, revision)) [operation]=transform(operation, entry.ops);
+        return this.commit(document, {ops: operation, clientId, author});
+    }
+
+    /**
+     * Whole text from a client that does not send operations; it becomes the
+     * smallest edit from the current text. Returns the entry, or null when
+     * nothing changed.
+     */
+    async replace(documentId, {clientId, author=null, code, language, persist})
+    {
+        if (typeof code!=='string') throw new CollabError('code must be a string');
+        const document=await this.open(documentId, {persist});
+        const ops=diff(document.code, code);
+        if (ops.every(c => typeof c==='number'&&c>0)&&(!language||language===document.language)) return null;
+        return this.commit(document, {ops, clientId, author, language: language||document.language});
+    }
+
+    // A language change is a revision too, so replays show it at the right point
+    async setLanguage(documentId, {clientId, author=null, language, persist})
+    {
+        if (!language||typeof language!=='string'||language.length>30) throw new CollabError('Invalid language');
+        const document=await this.open(documentId, {persist});
+        if (language===document.language) return null;
+        return this.commit(document, {ops: document.code? [document.code.length]:[], clientId, author, language});
+    }
+
+    /**
+     * Set a client's cursor, given on `revision`; returns it as it is at the
+     * current revision
+     */
+    async setCursor(documentId, clientId, {revision, cursor, name=null, persist})
+    {
+        const document=await this.open(documentId, {persist});
+        const concurrent=this.since(document, revision??document.revision);
+        // Checked against the text the client saw
+        let moved=validCursor(cursor, concurrent.length? baseLength(concurrent[0].ops):document.code.length);
+        for (const entry of concurrent) moved=moveCursor(moved, entry.ops, entry.clientId===clientId);
+        const stored={clientId, name, ...moved, updatedAt: new Date()};
+        document.cursors.set(clientId, stored);
+        return {revision: document.revision, ...stored};
+    }
+
+    removeCursor(documentId, clientId)
+    {
+        return Boolean(this.documents.get(documentId)?.cursors.delete(clientId));
+    }
+
+    // Drops the client's cursor everywhere; returns the ids of the documents it was in
+    removeClient(clientId)
+    {
+        return [...this.documents.keys()].filter(documentId => this.removeCursor(documentId, clientId));
+    }
+
+    /**
+     * What a client at `revision` is missing: {revision, ops: [...]}, or the
+     * whole document ({revision, code, language, cursors}) when it has no
+     * revision or one that is no longer in memory
+     */
+    async sync(documentId, revision, {persist}={})
+    {
+        const document=await this.open(documentId, {persist});
+        if (Number.isInteger(revision))
+        {
+            try
+            {
+                const ops=this.since(document, revision).map(({revision, ops, clientId, author, language}) => ({revision, ops, clientId, author, language}));
+                return {revision: document.revision, ops};
+            } catch (error)
+            {
+                if (!(error instanceof CollabError)) throw error;
+            }
+        }
+        return this.state(document);
+    }
+
+    // {revision, code, language, cursors} for a document that is open
+    state(documentOrId)
+    {
+        const document=typeof documentOrId==='string'? this.documents.get(documentOrId):documentOrId;
+        if (!document) return {revision: 0, code: '', language: DEFAULT_LANGUAGE, cursors: []};
+        return {revision: document.revision, code: document.code, language: document.language, cursors: [...document.cursors.values()]};
+    }
+
+    // Forget a document once its stored revisions are written
+    async close(documentId)
+    {
+        const document=this.documents.get(documentId);
+        if (!document) return;
+        this.documents.delete(documentId);
+        await document.saving;
+    }
+
+    evictIdle()
+    {
+        const cutoff=Date.now()-IDLE_MINUTES*60*1000;
+        for (const [id, document] of this.documents)
+        {
+            if (document.touchedAt<cutoff&&!document.cursors.size) this.close(id);
+        }
+    }
+
+    /**
+     * A persisted document as it was at `revision`, or at time `at`:
+     * {revision, code, language, author, timestamp}
+     */
+    async replay(documentId, {revision=null, at=null}={})
+    {
+        await this.documents.get(documentId)?.saving;
+        const before=at===null? null:new Date(at);
+        if (before&&isNaN(before)) throw new CollabError('at must be a date');
+        if (revision!==null&&(!Number.isInteger(revision)||revision<0)) throw new CollabError('revision must be a non-negative integer');
+
+        const checkpoint=await liveInterviewStore.getCodeCheckpoint(documentId, {until: revision, before});
+        const entries=await liveInterviewStore.getCodeOps(documentId, {after: checkpoint?.revision||0, until: revision, before});
+        let result={revision: 0, code: '', language: DEFAULT_LANGUAGE, author: null, timestamp: null};
+        if (checkpoint)
+        {
+            result={revision: checkpoint.revision, code: checkpoint.checkpoint, language: checkpoint.language||DEFAULT_LANGUAGE, author: checkpoint.author, timestamp: checkpoint.timestamp};
+        }
+        for (const entry of entries)
+        {
+            result={revision: entry.revision, code: apply(result.code, entry.ops), language: entry.language||result.language, author: entry.author, timestamp: entry.timestamp};
+        }
+        return result;
+    }
+
+    /**
+     * Stored revisions for stepping through a session: the document at
+     * `from` and up to `limit` operations after it
+     */
+    async history(documentId, {from=0, limit=500}={})
+    {
+        const base=await this.replay(documentId, {revision: from});
+        const entries=await liveInterviewStore.getCodeOps(documentId, {after: base.revision, until: base.revision+limit});
+        return {
+            base,
+            operations: entries.map(({revision, author, ops, language, timestamp}) => ({revision, author, ops, language, timestamp})),
+            hasMore: entries.length===limit
+        };
+    }
+}
+
+export default new CollaborativeEditor();
@@ -0,0 +1,193 @@
+import {query} from '../db/database.js';
+
+/**
+ * Contest Clarifications
+ * Questions from participants and announcements from organizers while a
+ * contest runs. A participant asks about a problem (or the contest in general);
+ * an organizer answers either privately, to the participant who asked, or
+ * publicly, to everyone registered. Announcements always go to everyone
+ * registered.
+ *
+ * The acting user is always the caller's account (req.user), never an id from
+ * the request body or query string.
+ *
+ * Pushes go to per-user rooms (`contest-<id>-user-<userId>`, joined through
+ * `join-contest` by a socket signed in as that user), so only registered
+ * participants and the organizers receive them:
+ *   contest-clarification-requested  new question, to the organizers
+ *   contest-clarification            answered question, to the asker or everyone
+ *   contest-announcement             announcement, to everyone
+ */
+
+const MAX_TEXT_LENGTH=2000;
+
+export class ClarificationError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='ClarificationError';
+        this.status=status;
+    }
+}
+
+function checkText(text, field)
+{
+    if (typeof text!=='string'||!text.trim()) throw new ClarificationError(`${field} is required`);
+    if (text.length>MAX_TEXT_LENGTH) throw new ClarificationError(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+    return text.trim();
+}
+
+class ContestClarifications
+{
+    constructor()
+    {
+        this.io=null;
+    }
+
+    attach(io)
+    {
+        this.io=io;
+    }
+
+    async getContest(contestId)
+    {
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [contestId]);
+        if (!contest) throw new ClarificationError('Contest not found', 404);
+        return contest;
+    }
+
+    // The contest's creator and platform admins run the contest
+    async isOrganizer(contest, userId)
+    {
+        if (!userId) return false;
+        if (String(contest.created_by_user_id)===String(userId)) return true;
+        const [user]=await query('SELECT role FROM users WHERE id = ?', [userId]);
+        return user?.role==='admin';
+    }
+
+    async requireOrganizer(contest, userId)
+    {
+        if (!await this.isOrganizer(contest, userId)) throw new ClarificationError('Only contest organizers can do this', 403);
+    }
+
+    checkProblem(contest, problemId)
+    {
+        if (problemId===undefined||problemId===null||problemId==='') return null;
+        let problems=contest.problems_json||[];
+        if (typeof problems==='string') problems=JSON.parse(problems);
+        const ids=(Array.isArray(problems)? problems:[]).map(p => String(p?.id??p?.problem_id));
+        if (ids.length>0&&!ids.includes(String(problemId))) throw new ClarificationError(`Problem ${problemId} is not part of this contest`);
+        return problemId;
+    }
+
+    async ask(contestId, userId, {problem_id, question})
+    {
+        const contest=await this.getContest(contestId);
+        if (!userId) throw new ClarificationError('Sign in to ask a question', 401);
+        const [registration]=await query(
+            'SELECT id FROM contest_registrations WHERE contest_id = ? AND user_id = ?',
+            [contestId, userId]
+        );
+        if (!registration) throw new ClarificationError('You are not registered for this contest', 403);
+        if (new Date()>new Date(contest.end_time)) throw new ClarificationError('Contest has ended');
+
+        const text=checkText(question, 'question');
+        const problemId=this.checkProblem(contest, problem_id);
+        const result=await query(`
+            INSERT INTO contest_clarifications (contest_id, user_id, problem_id, question)
+            VALUES (?, ?, ?, ?)
+        `, [contestId, userId, problemId, text]);
+
+        const clarification=await this.get(result.insertId);
+        await this.pushToOrganizers(contest, 'contest-clarification-requested', clarification);
+        return clarification;
+    }
+
+    async answer(contestId, clarificationId, userId, {answer, is_public=false})
+    {
+        const contest=await this.getContest(contestId);
+        await this.requireOrganizer(contest, userId);
+        const existing=await this.get(clarificationId);
+        if (!existing||String(existing.contest_id)!==String(contestId)) throw new ClarificationError('Clarification not found', 404);
+
+        const text=checkText(answer, 'answer');
+        await query(`
+            UPDATE contest_clarifications
+            SET answer = ?, is_public = ?, status = 'answered', answered_by_user_id = ?, answered_at = NOW()
+            WHERE id = ?
+        `, [text, Boolean(is_public), userId, clarificationId]);
+
+        const clarification=await this.get(clarificationId);
+        if (clarification.is_public) await this.pushToParticipants(contest, 'contest-clarification', clarification);
+        else this.pushToUsers(contest.id, [clarification.user_id], 'contest-clarification', clarification);
+        return clarification;
+    }
+
+    async announce(contestId, userId, {problem_id, title, message})
+    {
+        const contest=await this.getContest(contestId);
+        await this.requireOrganizer(contest, userId);
+        const text=checkText(message, 'message');
+        const problemId=this.checkProblem(contest, problem_id);
+        const result=await query(`
+            INSERT INTO contest_announcements (contest_id, problem_id, title, message, created_by_user_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [contestId, problemId, title||null, text, userId]);
+
+        const [announcement]=await query('SELECT * FROM contest_announcements WHERE id = ?', [result.insertId]);
+        await this.pushToParticipants(contest, 'contest-announcement', announcement);
+        return announcement;
+    }
+
+    async get(clarificationId)
+    {
+        const [clarification]=await query('SELECT * FROM contest_clarifications WHERE id = ?', [clarificationId]);
+        if (clarification) clarification.is_public=Boolean(clarification.is_public);
+        return clarification||null;
+    }
+
+    // Organizers see every question; participants see their own and the public answers
+    async list(contestId, userId)
+    {
+        const contest=await this.getContest(contestId);
+        const organizer=await this.isOrganizer(contest, userId);
+        const clarifications=organizer
+            ? await query('SELECT * FROM contest_clarifications WHERE contest_id = ? ORDER BY created_at DESC', [contestId])
+            :await query(`
+                SELECT * FROM contest_clarifications
+                WHERE contest_id = ? AND (user_id = ? OR (is_public = TRUE AND status = 'answered'))
+                ORDER BY created_at DESC
+            `, [contestId, userId||null]);
+        return clarifications.map(c => ({...c, is_public: Boolean(c.is_public)}));
+    }
+
+    async listAnnouncements(contestId)
+    {
+        await this.getContest(contestId);
+        return query('SELECT * FROM contest_announcements WHERE contest_id = ? ORDER BY created_at DESC', [contestId]);
+    }
+
+    pushToUsers(contestId, userIds, event, payload)
+    {
+        if (!this.io||userIds.length===0) return;
+        this.io.to(userIds.map(id => `contest-${contestId}-user-${id}`)).emit(event, {contestId, ...payload});
+    }
+
+    async pushToOrganizers(contest, event, payload)
+    {
+        const admins=await query("SELECT id FROM users WHERE role = 'admin'");
+        const organizers=[contest.created_by_user_id, ...admins.map(a => a.id)].filter(Boolean);
+        this.pushToUsers(contest.id, [...new Set(organizers)], event, payload);
+    }
+
+    // Everyone registered, plus the contest's creator so organizers see what went out
+    async pushToParticipants(contest, event, payload)
+    {
+        const registered=await query('SELECT user_id FROM contest_registrations WHERE contest_id = ?', [contest.id]);
+        const userIds=[...registered.map(r => r.user_id), contest.created_by_user_id].filter(Boolean);
+        this.pushToUsers(contest.id, [...new Set(userIds)], event, payload);
+    }
+}
+
+export default new ContestClarifications();
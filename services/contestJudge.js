@@ -0,0 +1,382 @@
+import {query, transaction} from '../db/database.js';
+import submissionQueue, {QueueFullError} from './submissionQueue.js';
+import {buildScoreboard, normalizeSubtasks, scoreSubtasks} from './contestScoring.js';
+import {INITIAL_RATING, ratingChanges} from './contestRatings.js';
+import plagiarism from './plagiarism.js';
+
+/**
+ * Contest Judge
+ * Judges contest submissions in the background: each submission is run against
+ * its problem's hidden tests through the submission queue, and the verdict, score
+ * and timing are written back to contest_submissions. Participants following a
+ * contest over Socket.IO (room `contest-<id>`) get the verdict and the refreshed
+ * leaderboard as soon as a submission is judged.
+ *
+ * A contest problem is an entry of contests.problems_json, matched on `id`. It may
+ * carry its own tests (test_cases / testCases, plus optional function_name,
+ * signature, comparison, checker, points and subtasks), or point at a company
+ * challenge through `challenge_id`. A problem id with no entry is looked up as a
+ * challenge. How judged submissions are ranked is up to contestScoring.js.
+ *
+ * Once a contest has ended and its last submission is judged, it is finalized:
+ * the scoreboard freeze (contests.freeze_minutes) is lifted, ratings are updated
+ * if the contest is rated, and submissions are scanned for plagiarism. Virtual
+ * participants replay an ended contest on their own clock; their submissions
+ * never reach the official scoreboard.
+ */
+
+const DEFAULT_POINTS=100;
+const FINALIZE_INTERVAL_MS=60*1000;
+
+// Judge verdicts -> contest_submissions.status
+const STATUS_BY_VERDICT={
+    AC: 'accepted',
+    WA: 'wrong_answer',
+    TLE: 'time_limit',
+    MLE: 'memory_limit',
+    OLE: 'output_limit',
+    RE: 'runtime_error',
+    CE: 'compilation_error'
+};
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+// Accept the test case shapes used across the app ({output}, {expected_output}, {is_hidden}, ...)
+function normalizeTestCase(tc)
+{
+    let output=tc.output!==undefined? tc.output:(tc.expected_output!==undefined? tc.expected_output:tc.expectedOutput);
+    if (typeof output==='string') {try {output=JSON.parse(output);} catch (e) {} }
+    return {input: tc.input, output, hidden: Boolean(tc.hidden??tc.is_hidden??tc.isHidden), subtask: tc.subtask??null};
+}
+
+class ContestJudge
+{
+    constructor()
+    {
+        this.io=null;
+        this.judging=new Set();
+    }
+
+    // Broadcast judged submissions and leaderboards; also picks up submissions left pending by a restart
+    attach(io)
+    {
+        this.io=io;
+        this.judgePending().catch(error => console.warn('Contest judge: could not resume pending submissions:', error.message));
+        this.finalizeTimer=setInterval(() => this.finalizeEnded(), FINALIZE_INTERVAL_MS);
+        this.finalizeTimer.unref();
+    }
+
+    durationSeconds(contest)
+    {
+        return Math.max(0, Math.floor((new Date(contest.end_time)-new Date(contest.start_time))/1000));
+    }
+
+    // Seconds into the contest from which results are hidden, or null while the scoreboard is open
+    freezeCutoff(contest)
+    {
+        if (!(contest.freeze_minutes>0)||contest.finalized_at) return null;
+        return Math.max(0, this.durationSeconds(contest)-contest.freeze_minutes*60);
+    }
+
+    // Official submissions are timed from the contest start, virtual ones from the participant's own start
+    async startTime(contest, submission)
+    {
+        if (!submission.is_virtual) return contest.start_time;
+        const [participation]=await query(
+            'SELECT started_at FROM contest_virtual_participations WHERE contest_id = ? AND user_id = ?',
+            [contest.id, submission.user_id]
+        );
+        return participation? participation.started_at:contest.start_time;
+    }
+
+    /**
+     * Resolve a contest problem to what the judge needs
+     * Throws when the problem is not part of the contest or has no tests.
+     */
+    async resolveProblem(contest, problemId)
+    {
+        const problems=parseJson(contest.problems_json, []);
+        const entry=(Array.isArray(problems)? problems:[]).find(p => p&&String(p.id??p.problem_id)===String(problemId));
+        let source=entry||{};
+        if (!parseJson(source.test_cases??source.testCases, null))
+        {
+            const challengeId=entry? entry.challenge_id:problemId;
+            const [challenge]=challengeId? await query('SELECT * FROM company_challenges WHERE id = ?', [challengeId]):[];
+            if (!challenge) throw new Error(`Problem ${problemId} is not part of this contest`);
+            source={...challenge, ...source, test_cases: challenge.test_cases_json};
+        }
+
+        const testCases=parseJson(source.test_cases??source.testCases, []).map(normalizeTestCase);
+        if (testCases.length===0) throw new Error(`Problem ${problemId} has no test cases`);
+        // Contest verdicts come from the hidden tests; problems without any use all of them
+        const hidden=testCases.filter(tc => tc.hidden);
+        const judged=hidden.length>0? hidden:testCases;
+        const subtasks=normalizeSubtasks(parseJson(source.subtasks, null), judged);
+        return {
+            testCases: judged,
+            functionName: parseJson(source.function_name??source.functionName, null),
+            signature: parseJson(source.signature, null),
+            comparison: parseJson(source.comparison, null),
+            checker: parseJson(source.checker, null),
+            subtasks,
+            points: subtasks? subtasks.reduce((sum, s) => sum+s.points, 0):(Number(source.points)||DEFAULT_POINTS)
+        };
+    }
+
+    // Queue a submission for judging without waiting for it
+    enqueue(submissionId)
+    {
+        if (this.judging.has(submissionId)) return;
+        this.judging.add(submissionId);
+        this.judge(submissionId)
+            .catch(error => console.error(`Contest submission ${submissionId} could not be judged:`, error.message))
+            .finally(() => this.judging.delete(submissionId));
+    }
+
+    async judge(submissionId)
+    {
+        const [submission]=await query('SELECT * FROM contest_submissions WHERE id = ?', [submissionId]);
+        if (!submission||submission.status!=='pending') return null;
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [submission.contest_id]);
+
+        let fields;
+        try
+        {
+            const problem=await this.resolveProblem(contest, submission.problem_id);
+            const results=await submissionQueue.run('tests', {
+                code: submission.code,
+                language: submission.language,
+                testCases: problem.testCases,
+                functionName: problem.functionName,
+                options: {signature: problem.signature, comparison: problem.comparison, checker: problem.checker}
+            });
+            const times=results.testResults.map(t => t.executionTime||0);
+            const memory=results.testResults.map(t => t.memoryUsed||0);
+            // Subtasks score all-or-nothing; otherwise points are shared out per passed test
+            const subtaskScores=problem.subtasks? scoreSubtasks(problem.subtasks, problem.testCases, results.testResults):null;
+            const score=subtaskScores
+                ? subtaskScores.reduce((sum, s) => sum+s.score, 0)
+                :problem.points*results.passedTests/results.totalTests;
+            fields={
+                status: STATUS_BY_VERDICT[results.verdict]||'runtime_error',
+                score: Math.round(score*100)/100,
+                subtask_scores: subtaskScores,
+                test_cases_passed: results.passedTests,
+                test_cases_total: results.totalTests,
+                execution_time_ms: times.length? Math.max(...times):0,
+                memory_kb: memory.length? Math.max(...memory):0,
+                judge_error: results.error||null
+            };
+        } catch (error)
+        {
+            // The judge is saturated: leave the submission pending and try again once it has room
+            if (error instanceof QueueFullError)
+            {
+                setTimeout(() => this.enqueue(submissionId), error.retryAfterSeconds*1000).unref();
+                return null;
+            }
+            fields={status: 'judge_error', score: 0, subtask_scores: null, test_cases_passed: 0, test_cases_total: 0, execution_time_ms: 0, memory_kb: 0, judge_error: error.message};
+        }
+
+        // Time taken is measured from the contest start, as on any contest scoreboard
+        const startTime=await this.startTime(contest, submission);
+        fields.time_taken_seconds=Math.max(0, Math.floor((new Date(submission.submitted_at)-new Date(startTime))/1000));
+        await query(`
+            UPDATE contest_submissions
+            SET status = ?, score = ?, subtask_scores = ?, test_cases_passed = ?, test_cases_total = ?, execution_time_ms = ?,
+                memory_kb = ?, judge_error = ?, time_taken_seconds = ?, judged_at = NOW()
+            WHERE id = ?
+        `, [fields.status, fields.score, fields.subtask_scores? JSON.stringify(fields.subtask_scores):null, fields.test_cases_passed, fields.test_cases_total, fields.execution_time_ms,
+            fields.memory_kb, fields.judge_error, fields.time_taken_seconds, submissionId]);
+
+        const {code, ...details}=submission;
+        const judged={...details, ...fields};
+        await this.broadcast(contest, judged);
+        if (!submission.is_virtual&&new Date(contest.end_time)<=new Date()) await this.finalize(contest.id);
+        return judged;
+    }
+
+    async judgePending()
+    {
+        const pending=await query("SELECT id FROM contest_submissions WHERE status = 'pending' ORDER BY submitted_at ASC");
+        pending.forEach(({id}) => this.enqueue(id));
+    }
+
+    async broadcast(contest, submission)
+    {
+        if (!this.io) return;
+        const room=`contest-${contest.id}`;
+        const cutoff=this.freezeCutoff(contest);
+        // Virtual runs and verdicts inside the freeze are only told to the participant
+        const hidden=submission.is_virtual||(cutoff!==null&&submission.time_taken_seconds>=cutoff);
+        this.io.to(hidden? `${room}-user-${submission.user_id}`:room).emit('contest-submission-judged', {
+            contestId: contest.id,
+            submissionId: submission.id,
+            userId: submission.user_id,
+            problemId: submission.problem_id,
+            status: submission.status,
+            score: submission.score,
+            virtual: Boolean(submission.is_virtual)
+        });
+        if (!submission.is_virtual) this.io.to(room).emit('contest-leaderboard-update', {contestId: contest.id, ...await this.getLeaderboard(contest.id)});
+    }
+
+    // Judged submissions in submission order: the official ones, plus one user's virtual run if asked
+    async judgedSubmissions(contestId, virtualUserId=null)
+    {
+        return query(`
+            SELECT cs.id, cs.user_id, cs.problem_id, cs.status, cs.score, cs.subtask_scores, cs.time_taken_seconds,
+                   cs.is_virtual, u.username, u.full_name
+            FROM contest_submissions cs
+            JOIN users u ON cs.user_id = u.id
+            WHERE cs.contest_id = ? AND cs.status <> 'pending' AND (cs.is_virtual = FALSE OR cs.user_id = ?)
+            ORDER BY cs.submitted_at ASC, cs.id ASC
+        `, [contestId, virtualUserId]);
+    }
+
+    problemIds(contest)
+    {
+        const problems=parseJson(contest.problems_json, []);
+        return (Array.isArray(problems)? problems:[]).map(p => p?.id??p?.problem_id).filter(id => id!==undefined&&id!==null);
+    }
+
+    /**
+     * Ranked leaderboard with a per-problem breakdown, scored by the contest's rule
+     * Returns {scoring, problems, leaderboard, frozen, frozenAt, finalized} (plus
+     * penaltyMinutes for ICPC). During the freeze, later results count as frozen attempts.
+     */
+    async getLeaderboard(contestId, limit=50)
+    {
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [contestId]);
+        if (!contest) return null;
+        const cutoff=this.freezeCutoff(contest);
+        const scoreboard=buildScoreboard(contest, await this.judgedSubmissions(contestId), this.problemIds(contest), {cutoffSeconds: cutoff});
+        scoreboard.leaderboard=scoreboard.leaderboard.slice(0, parseInt(limit)||50);
+        const frozenAt=cutoff===null? null:new Date(new Date(contest.start_time).getTime()+cutoff*1000);
+        return {
+            ...scoreboard,
+            frozen: Boolean(frozenAt&&frozenAt<=new Date()),
+            frozenAt: frozenAt? frozenAt.toISOString():null,
+            finalized: Boolean(contest.finalized_at)
+        };
+    }
+
+    /**
+     * Where a virtual participant stands: ranked against the official submissions
+     * made up to the same point of the contest
+     */
+    async getVirtualStanding(contestId, userId, limit=50)
+    {
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [contestId]);
+        const [participation]=await query(
+            'SELECT * FROM contest_virtual_participations WHERE contest_id = ? AND user_id = ?',
+            [contestId, userId]
+        );
+        if (!contest||!participation) return null;
+
+        const duration=this.durationSeconds(contest);
+        const elapsed=Math.min(duration, Math.max(0, Math.floor((Date.now()-new Date(participation.started_at))/1000)));
+        const submissions=(await this.judgedSubmissions(contestId, userId)).filter(s => (s.time_taken_seconds||0)<elapsed||s.is_virtual);
+        const scoreboard=buildScoreboard(contest, submissions, this.problemIds(contest));
+        const standing=scoreboard.leaderboard.find(row => String(row.user_id)===String(userId))||null;
+        scoreboard.leaderboard=scoreboard.leaderboard.slice(0, parseInt(limit)||50);
+        return {
+            ...scoreboard,
+            participation: {
+                ...participation,
+                elapsed_seconds: elapsed,
+                ends_at: new Date(new Date(participation.started_at).getTime()+duration*1000).toISOString(),
+                finished: elapsed>=duration
+            },
+            rank: standing? standing.rank:null,
+            standing
+        };
+    }
+
+    /**
+     * Close an ended contest: lift the freeze and, if it is rated, apply rating changes
+     * Runs once per contest, after every official submission has been judged.
+     */
+    async finalize(contestId)
+    {
+        const [contest]=await query('SELECT * FROM contests WHERE id = ?', [contestId]);
+        if (!contest||contest.finalized_at||new Date(contest.end_time)>new Date()) return false;
+        const [{pending}]=await query(
+            "SELECT COUNT(*) as pending FROM contest_submissions WHERE contest_id = ? AND is_virtual = FALSE AND status = 'pending'",
+            [contestId]
+        );
+        if (pending>0) return false;
+
+        const {leaderboard}=buildScoreboard(contest, await this.judgedSubmissions(contestId), this.problemIds(contest));
+        const changes=await transaction(async (conn) =>
+        {
+            // Claiming the contest in the same transaction keeps two finalizers from rating it twice
+            const [claimed]=await conn.execute('UPDATE contests SET finalized_at = NOW() WHERE id = ? AND finalized_at IS NULL', [contestId]);
+            if (claimed.affectedRows===0) return null;
+            if (!contest.is_rated||leaderboard.length===0) return [];
+            return this.applyRatings(conn, contestId, leaderboard);
+        });
+        if (changes===null) return false;
+
+        // Organizers find the plagiarism report ready once the contest closes
+        plagiarism.scan('contest', contestId).catch(error => console.warn(`Plagiarism scan of contest ${contestId} failed:`, error.message));
+
+        if (this.io)
+        {
+            this.io.to(`contest-${contestId}`).emit('contest-finalized', {contestId, ratingChanges: changes, ...await this.getLeaderboard(contestId)});
+        }
+        return true;
+    }
+
+    async finalizeEnded()
+    {
+        try
+        {
+            const ended=await query('SELECT id FROM contests WHERE end_time <= NOW() AND finalized_at IS NULL');
+            for (const {id} of ended) await this.finalize(id);
+        } catch (error)
+        {
+            console.warn('Contest judge: could not finalize ended contests:', error.message);
+        }
+    }
+
+    // Rating history per contest, current rating in user_leaderboard_stats
+    async applyRatings(conn, contestId, leaderboard)
+    {
+        const [stats]=await conn.query(
+            'SELECT user_id, contest_rating, rated_contests FROM user_leaderboard_stats WHERE user_id IN (?)',
+            [leaderboard.map(row => row.user_id)]
+        );
+        const current=new Map(stats.map(row => [row.user_id, row]));
+        const changes=ratingChanges(leaderboard.map(row => ({
+            user_id: row.user_id,
+            rank: row.rank,
+            rating: current.get(row.user_id)?.contest_rating??INITIAL_RATING,
+            rated_contests: current.get(row.user_id)?.rated_contests||0
+        })));
+
+        for (const change of changes)
+        {
+            await conn.execute(`
+                INSERT INTO contest_rating_changes (contest_id, user_id, contest_rank, old_rating, new_rating, delta)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [contestId, change.user_id, change.rank, change.old_rating, change.new_rating, change.delta]);
+            await conn.execute(`
+                INSERT INTO user_leaderboard_stats (user_id, contest_rating, max_contest_rating, rated_contests)
+                VALUES (?, ?, ?, 1)
+                ON DUPLICATE KEY UPDATE
+                contest_rating = VALUES(contest_rating),
+                max_contest_rating = GREATEST(max_contest_rating, VALUES(contest_rating)),
+                rated_contests = rated_contests + 1
+            `, [change.user_id, change.new_rating, Math.max(INITIAL_RATING, change.new_rating)]);
+        }
+        return changes;
+    }
+}
+
+export default new ContestJudge();
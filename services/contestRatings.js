@@ -0,0 +1,45 @@
+/**
+ * Contest Ratings
+ * Elo-style rating changes from a contest's final standings. Every participant
+ * is compared with every other one: beating a higher-rated participant gains
+ * more than beating a lower-rated one, and tied ranks count as draws. The
+ * change is the K-scaled difference between actual and expected results,
+ * averaged over the field so contest size does not inflate it. Participants
+ * with few rated contests move faster until their rating settles.
+ */
+
+export const INITIAL_RATING=1500;
+
+const K_FACTOR=32;
+const PROVISIONAL_K_FACTOR=64;
+const PROVISIONAL_CONTESTS=5;
+
+// Probability that a player rated `rating` finishes ahead of one rated `opponent`
+export function expectedScore(rating, opponent)
+{
+    return 1/(1+Math.pow(10, (opponent-rating)/400));
+}
+
+/**
+ * Rating changes for one contest
+ * standings: [{user_id, rank, rating, rated_contests}] with ranks from the final
+ * scoreboard. Returns [{user_id, rank, old_rating, new_rating, delta}].
+ */
+export function ratingChanges(standings)
+{
+    const n=standings.length;
+    return standings.map((player) =>
+    {
+        let actual=0;
+        let expected=0;
+        for (const opponent of standings)
+        {
+            if (opponent===player) continue;
+            actual+=player.rank<opponent.rank? 1:(player.rank===opponent.rank? 0.5:0);
+            expected+=expectedScore(player.rating, opponent.rating);
+        }
+        const k=(player.rated_contests||0)<PROVISIONAL_CONTESTS? PROVISIONAL_K_FACTOR:K_FACTOR;
+        const delta=n>1? Math.round(k*(actual-expected)/(n-1)):0;
+        return {user_id: player.user_id, rank: player.rank, old_rating: player.rating, new_rating: player.rating+delta, delta};
+    });
+}
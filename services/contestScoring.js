@@ -0,0 +1,182 @@
+/**
+ * Contest Scoring
+ * Turns a contest's judged submissions into a ranked scoreboard. Each contest
+ * picks a rule through contests.scoring_type:
+ *
+ *   icpc  ranked by problems solved, then penalty: the minute of each accepted
+ *         problem plus penalty_minutes for every rejected attempt before it;
+ *         remaining ties go to whoever solved their last problem first
+ *   ioi   ranked by total score, counting each problem's best submission; a
+ *         problem may split its points into subtasks, awarded only when every
+ *         test of the subtask passes:
+ *
+ *           subtasks: [{name: 'small', points: 30}, {name: 'large', points: 70}]
+ *           test_cases: [{input, output, subtask: 'small'}, ...]
+ *
+ * The older scoring types map onto these: penalty_based is icpc, standard and
+ * time_based are ioi.
+ *
+ * A frozen scoreboard is built with a cutoff: submissions made after it still
+ * show up as attempts (frozen_attempts) but their results are not counted.
+ */
+
+export const SCORING_MODES=['icpc', 'ioi'];
+
+const MODE_ALIASES={penalty_based: 'icpc', standard: 'ioi', time_based: 'ioi'};
+export const DEFAULT_PENALTY_MINUTES=20;
+
+// Compilation errors and judge failures never cost penalty time
+const UNPENALIZED_STATUSES=['compilation_error', 'judge_error'];
+
+export function scoringMode(contest)
+{
+    const type=contest?.scoring_type;
+    return SCORING_MODES.includes(type)? type:(MODE_ALIASES[type]||'ioi');
+}
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+/**
+ * Validate a problem's subtasks against its tests
+ * Returns [{name, points}] or null when the problem is scored per test.
+ */
+export function normalizeSubtasks(subtasks, testCases)
+{
+    if (!Array.isArray(subtasks)||subtasks.length===0) return null;
+    return subtasks.map((subtask, i) =>
+    {
+        const name=String(subtask.name??subtask.id??i+1);
+        if (!testCases.some(tc => String(tc.subtask)===name)) throw new Error(`Subtask ${name} has no tests`);
+        return {name, points: Number(subtask.points)||0};
+    });
+}
+
+// Award each subtask whose tests all passed; testResults line up with testCases
+export function scoreSubtasks(subtasks, testCases, testResults)
+{
+    return subtasks.map((subtask) =>
+    {
+        const results=testResults.filter((result, i) => String(testCases[i]?.subtask)===subtask.name);
+        const passed=results.length>0&&results.every(result => result.passed);
+        return {name: subtask.name, points: subtask.points, score: passed? subtask.points:0, passed};
+    });
+}
+
+function icpcProblem(submissions, penaltyMinutes)
+{
+    const cell={attempts: 0, frozen_attempts: 0, solved: false, solved_at_minutes: null, penalty_minutes: 0};
+    for (const submission of submissions)
+    {
+        if (UNPENALIZED_STATUSES.includes(submission.status)) continue;
+        cell.attempts++;
+        if (submission.status==='accepted')
+        {
+            cell.solved=true;
+            cell.solved_at_minutes=Math.floor((submission.time_taken_seconds||0)/60);
+            cell.penalty_minutes=cell.solved_at_minutes+(cell.attempts-1)*penaltyMinutes;
+            break;
+        }
+    }
+    return cell;
+}
+
+function ioiProblem(submissions)
+{
+    const cell={attempts: 0, frozen_attempts: 0, score: 0, solved: false, best_submission_id: null, subtasks: null, improved_at_seconds: null};
+    for (const submission of submissions)
+    {
+        if (submission.status==='judge_error') continue;
+        cell.attempts++;
+        const score=Number(submission.score)||0;
+        // Strictly greater keeps the earliest submission among equal scores
+        if (cell.best_submission_id===null||score>cell.score)
+        {
+            cell.score=score;
+            cell.best_submission_id=submission.id;
+            cell.subtasks=parseJson(submission.subtask_scores, null);
+            cell.improved_at_seconds=submission.time_taken_seconds||0;
+        }
+        if (submission.status==='accepted') cell.solved=true;
+    }
+    return cell;
+}
+
+// Standard competition ranking: equal keys share a rank, the next rank skips ahead
+function assignRanks(rows, sameRank)
+{
+    const ranked=[];
+    rows.forEach((row, i) =>
+    {
+        const rank=i>0&&sameRank(rows[i-1], row)? ranked[i-1].rank:i+1;
+        ranked.push({rank, ...row});
+    });
+    return ranked;
+}
+
+/**
+ * Build the scoreboard for a contest
+ * submissions are the contest's judged submissions (with username / full_name)
+ * in submission order; problemIds fixes the column order of the breakdown.
+ * cutoffSeconds (time into the contest) freezes everything submitted from then on.
+ * Tied rows share a rank (IOI ties are listed by who reached the score first).
+ */
+export function buildScoreboard(contest, submissions, problemIds=[], {cutoffSeconds=null}={})
+{
+    const mode=scoringMode(contest);
+    const penaltyMinutes=contest.penalty_minutes??DEFAULT_PENALTY_MINUTES;
+    const problems=[...new Set([...problemIds, ...submissions.map(s => s.problem_id)].map(String))];
+
+    const byUser=new Map();
+    for (const submission of submissions)
+    {
+        if (!byUser.has(submission.user_id)) byUser.set(submission.user_id, {user: submission, problems: new Map()});
+        const entry=byUser.get(submission.user_id);
+        const key=String(submission.problem_id);
+        if (!entry.problems.has(key)) entry.problems.set(key, []);
+        entry.problems.get(key).push(submission);
+    }
+
+    const rows=[...byUser.values()].map(({user, problems: attempts}) =>
+    {
+        const breakdown={};
+        for (const [problemId, list] of attempts)
+        {
+            const visible=cutoffSeconds===null? list:list.filter(s => (s.time_taken_seconds||0)<cutoffSeconds);
+            breakdown[problemId]=mode==='icpc'? icpcProblem(visible, penaltyMinutes):ioiProblem(visible);
+            breakdown[problemId].frozen_attempts=list.length-visible.length;
+        }
+        const cells=Object.values(breakdown);
+        const row={
+            user_id: user.user_id,
+            username: user.username,
+            full_name: user.full_name,
+            problems_attempted: cells.filter(c => c.attempts>0).length,
+            problems_solved: cells.filter(c => c.solved).length
+        };
+        if (mode==='icpc')
+        {
+            row.penalty=cells.reduce((sum, c) => sum+(c.solved? c.penalty_minutes:0), 0);
+            row.last_accepted_minutes=Math.max(0, ...cells.filter(c => c.solved).map(c => c.solved_at_minutes));
+        }
+        else
+        {
+            row.total_score=Math.round(cells.reduce((sum, c) => sum+c.score, 0)*100)/100;
+            row.last_improvement_seconds=Math.max(0, ...cells.filter(c => c.score>0).map(c => c.improved_at_seconds));
+        }
+        row.problems=breakdown;
+        return row;
+    });
+
+    if (mode==='icpc')
+    {
+        rows.sort((a, b) => b.problems_solved-a.problems_solved||a.penalty-b.penalty||a.last_accepted_minutes-b.last_accepted_minutes);
+        return {scoring: mode, penaltyMinutes, problems, leaderboard: assignRanks(rows, (a, b) => a.problems_solved===b.problems_solved&&a.penalty===b.penalty&&a.last_accepted_minutes===b.last_accepted_minutes)};
+    }
+    rows.sort((a, b) => b.total_score-a.total_score||a.last_improvement_seconds-b.last_improvement_seconds);
+    return {scoring: mode, problems, leaderboard: assignRanks(rows, (a, b) => a.total_score===b.total_score)};
+}
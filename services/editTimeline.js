@@ -0,0 +1,237 @@
+import sessionRepository from './sessionRepository.js';
+
+/**
+ * Edit Timeline
+ * Records every change a candidate makes in the editor during a coding
+ * session so reviewers can replay how the solution was written. The client
+ * sends batches of change events; each event replaces the range [from, to) of
+ * the current code with `text` (an insert has from === to, a delete has empty
+ * text). Events are stored per batch as compact tuples
+ * [msSincePreviousEvent, from, deletedLength, text].
+ *
+ * Every CHECKPOINT_EVENTS events the batch also stores the full code after it,
+ * so rebuilding the code at a moment only replays edits since the last
+ * checkpoint. Single inserts of LARGE_INSERT_CHARS or more are reported as
+ * markers on the timeline: they are usually pasted, not typed.
+ */
+
+const CHECKPOINT_EVENTS=500;
+const MAX_EVENTS_PER_BATCH=1000;
+export const LARGE_INSERT_CHARS=50;
+const PREVIEW_CHARS=80;
+
+export class TimelineError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='TimelineError';
+        this.status=status;
+    }
+}
+
+// Accepts {timestamp, from, to, text} or the insert/delete shorthands
+function normalizeEvent(event, index)
+{
+    const at=`Event ${index}`;
+    if (!event||typeof event!=='object') throw new TimelineError(`${at} must be an object`);
+    const timestamp=Number(event.timestamp);
+    if (!Number.isFinite(timestamp)) throw new TimelineError(`${at} needs a numeric timestamp`);
+
+    const from=Number(event.from??event.position);
+    const to=event.type==='insert'? from:Number(event.to??from);
+    const text=event.type==='delete'? '':(event.text??'');
+    if (!Number.isInteger(from)||!Number.isInteger(to)||from<0||to<from) throw new TimelineError(`${at} has an invalid range`);
+    if (typeof text!=='string') throw new TimelineError(`${at} text must be a string`);
+    return {timestamp: Math.round(timestamp), from, to, text};
+}
+
+export function applyEvent(code, {from, to, text})
+{
+    return code.slice(0, from)+text+code.slice(to);
+}
+
+export function encodeEvents(events)
+{
+    let previous=events[0].timestamp;
+    return events.map((event) =>
+    {
+        const encoded=[event.timestamp-previous, event.from, event.to-event.from, event.text];
+        previous=event.timestamp;
+        return encoded;
+    });
+}
+
+export function decodeEvents(batch)
+{
+    let timestamp=batch.firstEventAt;
+    return batch.events.map(([delta, from, length, text]) =>
+    {
+        timestamp+=delta;
+        return {timestamp, from, to: from+length, text};
+    });
+}
+
+class EditTimeline
+{
+    constructor()
+    {
+        // sessionId -> the last batch being recorded; batches of a session are written one after another
+        this.recording=new Map();
+    }
+
+    async requireSession(sessionId)
+    {
+        const session=await sessionRepository.get(sessionId);
+        if (!session) throw new TimelineError('Session not found', 404);
+        return session;
+    }
+
+    // Code at `until` (ms timestamp), rebuilt from the last checkpoint before it
+    async rebuild(sessionId, until)
+    {
+        const checkpoint=await sessionRepository.getLastCheckpoint(sessionId, until);
+        let code=checkpoint?.checkpoint??'';
+        let eventsSinceCheckpoint=0;
+        let applied=0;
+        let lastEventAt=checkpoint? checkpoint.lastEventAt:null;
+        for (const batch of await sessionRepository.getEditBatches(sessionId, {afterSeq: checkpoint?.seq??0, until}))
+        {
+            eventsSinceCheckpoint+=batch.eventCount;
+            for (const event of decodeEvents(batch))
+            {
+                if (until!==undefined&&event.timestamp>until) break;
+                code=applyEvent(code, event);
+                lastEventAt=event.timestamp;
+                applied++;
+            }
+        }
+        return {code, applied, lastEventAt, eventsSinceCheckpoint};
+    }
+
+    /**
+     * Append a batch of editor events to an active session
+     * initialCode sets the starting code (e.g. a template) and is only accepted
+     * before the first batch. Returns {seq, accepted, codeLength, checkpoint}.
+     * Batches of one session are queued, so two arriving together get
+     * consecutive seqs instead of the same one.
+     */
+    record(sessionId, events, options={})
+    {
+        const previous=this.recording.get(sessionId)||Promise.resolve();
+        const recorded=previous.then(() => this.append(sessionId, events, options));
+        const settled=recorded.catch(() => {});
+        this.recording.set(sessionId, settled);
+        settled.then(() =>
+        {
+            if (this.recording.get(sessionId)===settled) this.recording.delete(sessionId);
+        });
+        return recorded;
+    }
+
+    async append(sessionId, events, {initialCode}={})
+    {
+        const session=await this.requireSession(sessionId);
+        if (session.status!=='active') throw new TimelineError(`Session is ${session.status}. Cannot record edits.`, 409);
+        if (!Array.isArray(events)||events.length===0) throw new TimelineError('events must be a non-empty array');
+        if (events.length>MAX_EVENTS_PER_BATCH) throw new TimelineError(`At most ${MAX_EVENTS_PER_BATCH} events per batch`);
+
+        const normalized=events.map(normalizeEvent);
+        let last=await sessionRepository.getLastEditBatch(sessionId);
+        let initial=null;
+        if (initialCode!==undefined&&initialCode!==null)
+        {
+            if (last) throw new TimelineError('initialCode can only be sent with the first batch', 409);
+            if (typeof initialCode!=='string') throw new TimelineError('initialCode must be a string');
+            // Client clocks can lag the server's, so the starting code is never dated after the first edit
+            const startedAt=Math.min(session.startTime, normalized[0].timestamp);
+            initial={seq: 1, firstEventAt: startedAt, lastEventAt: startedAt, eventCount: 0, events: [], codeLength: initialCode.length, checkpoint: initialCode};
+            last=initial;
+        }
+
+        const rebuilt=initial? {code: initialCode, eventsSinceCheckpoint: 0}:await this.rebuild(sessionId);
+        let code=rebuilt.code;
+        let previous=last? last.lastEventAt:-Infinity;
+        normalized.forEach((event, index) =>
+        {
+            if (event.timestamp<previous) throw new TimelineError(`Event ${index} is older than the edits before it`);
+            if (event.to>code.length) throw new TimelineError(`Event ${index} range ends at ${event.to} but the code is ${code.length} characters long`);
+            code=applyEvent(code, event);
+            previous=event.timestamp;
+        });
+
+        const isCheckpoint=rebuilt.eventsSinceCheckpoint+normalized.length>=CHECKPOINT_EVENTS;
+        const batch={
+            seq: (last?.seq??0)+1,
+            firstEventAt: normalized[0].timestamp,
+            lastEventAt: normalized[normalized.length-1].timestamp,
+            eventCount: normalized.length,
+            events: encodeEvents(normalized),
+            codeLength: code.length,
+            checkpoint: isCheckpoint? code:null
+        };
+        if (initial) await sessionRepository.addEditBatch(sessionId, initial);
+        await sessionRepository.addEditBatch(sessionId, batch);
+        return {seq: batch.seq, accepted: normalized.length, codeLength: code.length, checkpoint: isCheckpoint};
+    }
+
+    // Code as it was at `at` (ms timestamp); without `at`, the latest code
+    async replay(sessionId, at)
+    {
+        const session=await this.requireSession(sessionId);
+        const {code, applied, lastEventAt}=await this.rebuild(sessionId, at);
+        return {
+            sessionId,
+            at: at??lastEventAt,
+            offset: (at??lastEventAt??session.startTime)-session.startTime,
+            lastEventAt,
+            eventsApplied: applied,
+            code
+        };
+    }
+
+    // Overview for a scrubber: time range, event count and large-insert markers
+    async getTimeline(sessionId)
+    {
+        const session=await this.requireSession(sessionId);
+        const batches=await sessionRepository.getEditBatches(sessionId);
+        const largeInserts=[];
+        let totalEvents=0;
+        let insertedChars=0;
+        let deletedChars=0;
+        for (const batch of batches)
+        {
+            for (const event of decodeEvents(batch))
+            {
+                totalEvents++;
+                insertedChars+=event.text.length;
+                deletedChars+=event.to-event.from;
+                if (event.text.length>=LARGE_INSERT_CHARS)
+                {
+                    largeInserts.push({
+                        timestamp: event.timestamp,
+                        offset: event.timestamp-session.startTime,
+                        position: event.from,
+                        length: event.text.length,
+                        lines: event.text.split('\n').length,
+                        preview: event.text.slice(0, PREVIEW_CHARS)
+                    });
+                }
+            }
+        }
+        const edited=batches.filter(b => b.eventCount>0);
+        return {
+            sessionId,
+            startTime: session.startTime,
+            firstEventAt: edited.length? edited[0].firstEventAt:null,
+            lastEventAt: edited.length? edited[edited.length-1].lastEventAt:null,
+            totalEvents,
+            insertedChars,
+            deletedChars,
+            codeLength: batches.length? batches[batches.length-1].codeLength:0,
+            largeInserts
+        };
+    }
+}
+
+export default new EditTimeline();
@@ -0,0 +1,64 @@
+import {isDatabaseConnected, query} from '../db/database.js';
+
+/**
+ * Face Matcher
+ * Compares a face embedding computed on the client (face-api.js gives a
+ * 128-number descriptor per face) with the one stored in users.face_embedding
+ * at registration. Two descriptors of the same person are usually less than
+ * 0.6 apart in Euclidean distance; FACE_MATCH_THRESHOLD sets the cut-off.
+ */
+
+export const FACE_MATCH_THRESHOLD=parseFloat(process.env.FACE_MATCH_THRESHOLD)||0.6;
+
+// A JSON array of numbers, or the numbers separated by commas; null when unusable
+export function parseEmbedding(value)
+{
+    if (value===null||value===undefined) return null;
+    let numbers=value;
+    if (typeof value==='string')
+    {
+        const text=value.trim();
+        try {numbers=text.startsWith('[')? JSON.parse(text):text.split(',').map(Number);}
+        catch (e) {return null;}
+    }
+    if (!Array.isArray(numbers)||numbers.length===0) return null;
+    const embedding=numbers.map(Number);
+    return embedding.every(Number.isFinite)? embedding:null;
+}
+
+export function euclideanDistance(a, b)
+{
+    let sum=0;
+    for (let i=0; i<a.length; i++) sum+=(a[i]-b[i])**2;
+    return Math.sqrt(sum);
+}
+
+/**
+ * Match a client embedding against a registered one
+ * Returns {verified, score, distance, threshold, reason}; score is 1 - distance
+ * so that, as with the auth backend, higher means more alike.
+ */
+export function matchEmbeddings(registered, candidate, threshold=FACE_MATCH_THRESHOLD)
+{
+    if (registered.length!==candidate.length)
+    {
+        return {verified: false, score: null, distance: null, threshold, reason: `Embedding has ${candidate.length} values, expected ${registered.length}`};
+    }
+    const distance=euclideanDistance(registered, candidate);
+    const verified=distance<=threshold;
+    return {
+        verified,
+        score: Math.round(Math.max(0, 1-distance)*10000)/10000,
+        distance: Math.round(distance*10000)/10000,
+        threshold,
+        reason: verified? 'Face matches registered user':'Face does not match registered user'
+    };
+}
+
+// Registered embedding of a user, or null when there is none
+export async function registeredEmbedding(userId)
+{
+    if (!isDatabaseConnected()) return null;
+    const [user]=await query('SELECT face_embedding FROM users WHERE id = ?', [userId]);
+    return parseEmbedding(user?.face_embedding);
+}
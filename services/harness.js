@@ -0,0 +1,183 @@
+import { getLanguage, listLanguages } from './languages.js';
+import { argumentValues, inferSignature, parseSignature, renameFunction } from './signature.js';
+
+/**
+ * Test Harness Generator
+ * Wraps a candidate's function in a small program that calls it with a test
+ * case's input and prints the JSON-serialised result on stdout. Typed suites and
+ * starter code come from each language's harness module (services/harnesses/),
+ * found through the language registry.
+ */
+
+// Languages that still have the untyped, test-data-driven generators below
+const LEGACY_LANGUAGES = ['python', 'javascript', 'java', 'cpp'];
+
+class Harness {
+    extractFunctionName(userCode, language) {
+        const pattern = getLanguage(language)?.functionPattern;
+        const match = pattern ? userCode.match(pattern) : null;
+        return match ? match.slice(1).find(Boolean) || null : null;
+    }
+
+    /**
+     * The function name a problem expects in a language. Problems list names per
+     * language; languages they do not list get one of the listed names converted
+     * to the language's naming convention (two_sum -> twoSum -> TwoSum).
+     */
+    functionNameFor(language, functionName) {
+        const lang = getLanguage(language);
+        if (!lang || !functionName) return null;
+        if (typeof functionName === 'string') return renameFunction(functionName, lang.naming);
+        if (functionName[lang.id]) return functionName[lang.id];
+        const known = Object.values(functionName).find(name => typeof name === 'string' && name);
+        return known ? renameFunction(known, lang.naming) : null;
+    }
+
+    /**
+     * Build one program holding every test case. The case to run is chosen by the
+     * first command-line argument, so compiled languages are built once and the
+     * artifact is executed per case.
+     */
+    generateSuiteCode(userCode, language, testCases, functionName, signature = null) {
+        const lang = getLanguage(language);
+        if (!lang?.harness) throw new Error(`Function harness not available for ${language}`);
+        // The problem's declared name wins over detection, which can pick up a helper
+        // defined above the solution; a name in another language's convention is the last resort.
+        const fname = functionName?.[lang.id]
+            || this.extractFunctionName(userCode, lang.id)
+            || this.functionNameFor(lang.id, functionName);
+        // Languages without an untyped generator type the call from the test data instead.
+        if (signature || !LEGACY_LANGUAGES.includes(lang.id)) {
+            const parsed = signature ? parseSignature(signature) : inferSignature(testCases);
+            return this.generateTypedSuite(userCode, lang, testCases, fname, parsed);
+        }
+        switch (lang.id) {
+            case 'python': return this.generatePythonSuite(userCode, testCases, fname);
+            case 'javascript': return this.generateJavaScriptSuite(userCode, testCases, fname);
+            case 'java': return this.generateJavaSuite(userCode, testCases, fname);
+            case 'cpp': return this.generateCppSuite(userCode, testCases, fname);
+        }
+    }
+
+    /**
+     * Typed suites follow the problem's signature instead of guessing types from the
+     * test data: arguments are declared with their real types and the result is
+     * serialised as JSON the same way in every language.
+     */
+    generateTypedSuite(userCode, lang, testCases, functionName, parsed) {
+        if (!functionName) throw new Error('Could not determine the function to call');
+        const cases = testCases.map(tc => argumentValues(parsed, tc.input));
+        return lang.harness.generateSuite(userCode, cases, functionName, parsed);
+    }
+
+    // Starter code for a language, generated from the problem's signature
+    starterCode(language, functionName, signature) {
+        const lang = getLanguage(language);
+        const name = this.functionNameFor(language, functionName);
+        if (!lang?.harness || !name || !signature) return null;
+        return lang.harness.generateStarter(name, parseSignature(signature));
+    }
+
+    // Fill in starter code for every registry language a problem does not ship its own for
+    withStarterCode(starterCode = {}, functionName, signature) {
+        if (!signature) return starterCode;
+        const filled = { ...starterCode };
+        for (const lang of listLanguages().filter(l => l.functionHarness && !filled[l.id])) {
+            try {
+                const code = this.starterCode(lang.id, functionName, signature);
+                if (code) filled[lang.id] = code;
+            } catch (error) {
+                // A signature the language cannot express just leaves it without starter code
+            }
+        }
+        return filled;
+    }
+
+    generatePythonSuite(userCode, testCases, functionName) {
+        const cases = testCases.map(tc => `    lambda: ${functionName}(${this.formatPythonArgs(tc.input)}),`).join('\n');
+        return `import json\nimport sys\n\n${userCode}\n\n_cases = [\n${cases}\n]\n\ntry:\n    result = _cases[int(sys.argv[1])]()\n    print(json.dumps(result))\nexcept Exception as e:\n    print(f"ERROR: {str(e)}", file=sys.stderr)\n    sys.exit(1)\n`;
+    }
+
+    generateJavaScriptSuite(userCode, testCases, functionName) {
+        const cases = testCases.map(tc => `    () => ${functionName}(${this.formatJavaScriptArgs(tc.input)}),`).join('\n');
+        return `${userCode}\n\nconst __cases = [\n${cases}\n];\n\ntry {\n    const result = __cases[Number(process.argv[2])]();\n    console.log(JSON.stringify(result));\n} catch (error) {\n    console.error('ERROR: ' + error.message);\n    process.exit(1);\n}\n`;
+    }
+
+    generateJavaSuite(userCode, testCases, functionName) {
+        const methods = testCases.map((tc, i) => {
+            const methodCall = this.generateJavaMethodCall(functionName, this.formatJavaArgs(tc.input), tc);
+            return `    static void case${i}(Solution sol) throws Exception {\n            ${methodCall}\n    }\n`;
+        }).join('\n');
+        const dispatch = testCases.map((tc, i) => `                case ${i}: case${i}(sol); break;`).join('\n');
+        // The harness lives in Main.java, so the candidate's class must not be public
+        const solutionCode = userCode.replace(/public\s+class\s+/g, 'class ');
+        return `import java.util.*;\n\n${solutionCode}\n\nclass Main {\n${methods}\n    public static void main(String[] args) {\n        try {\n            Solution sol = new Solution();\n            switch (Integer.parseInt(args[0])) {\n${dispatch}\n            }\n        } catch (Exception e) {\n            System.err.println("ERROR: " + e.getMessage());\n            System.exit(1);\n        }\n    }\n}\n`;
+    }
+
+    generateCppSuite(userCode, testCases, functionName) {
+        const functions = testCases.map((tc, i) => `void __case${i}() {\n        ${this.formatCppArgs(tc.input)}\n        ${this.generateCppMethodCall(functionName, tc)}\n}\n`).join('\n');
+        const dispatch = testCases.map((tc, i) => `            case ${i}: __case${i}(); break;`).join('\n');
+        return `#include <iostream>\n#include <vector>\n#include <string>\n#include <cstdlib>\nusing namespace std;\n\n${userCode}\n\n${functions}\nint main(int argc, char** argv) {\n    try {\n        switch (atoi(argv[1])) {\n${dispatch}\n        }\n    } catch (const exception& e) {\n        cerr << "ERROR: " << e.what() << endl;\n        return 1;\n    }\n    return 0;\n}\n`;
+    }
+
+    formatPythonArgs(input) {
+        if (input && input.__raw) return input.__raw;
+        if (typeof input === 'string') return input;
+        if (Array.isArray(input)) return input.map(v => JSON.stringify(v)).join(', ');
+        const args = [];
+        for (const [key, value] of Object.entries(input)) { args.push(JSON.stringify(value)); }
+        return args.join(', ');
+    }
+
+    formatJavaScriptArgs(input) {
+        if (input && input.__raw) return input.__raw;
+        if (typeof input === 'string') return input;
+        if (Array.isArray(input)) return input.map(v => JSON.stringify(v)).join(', ');
+        const args = [];
+        for (const [key, value] of Object.entries(input)) { args.push(JSON.stringify(value)); }
+        return args.join(', ');
+    }
+
+    formatJavaArgs(input) {
+        const args = {};
+        let setupCode = '';
+        for (const [key, value] of Object.entries(input)) {
+            if (Array.isArray(value)) {
+                if (typeof value[0] === 'number') { setupCode += `int[] ${key} = {${value.join(', ')}};\n            `; args[key] = key; }
+                else if (typeof value[0] === 'string') { const formatted = value.map(v => `"${v}"`).join(', '); setupCode += `String[] ${key} = {${formatted}};\n            `; args[key] = key; }
+            } else if (typeof value === 'string') { setupCode += `String ${key} = "${value}";\n            `; args[key] = key; }
+            else { setupCode += `int ${key} = ${value};\n            `; args[key] = key; }
+        }
+        return { setup: setupCode, args };
+    }
+
+    generateJavaMethodCall(functionName, argsObj, testCase) {
+        const argsList = Object.values(argsObj.args).join(', ');
+        const output = testCase.output;
+        if (Array.isArray(output)) return `${argsObj.setup}int[] result = sol.${functionName}(${argsList});\n            System.out.println(Arrays.toString(result));`;
+        else if (typeof output === 'boolean') return `${argsObj.setup}boolean result = sol.${functionName}(${argsList});\n            System.out.println(result);`;
+        else if (typeof output === 'string') return `${argsObj.setup}String result = sol.${functionName}(${argsList});\n            System.out.println(result);`;
+        else return `${argsObj.setup}int result = sol.${functionName}(${argsList});\n            System.out.println(result);`;
+    }
+
+    formatCppArgs(input) {
+        let setupCode = '';
+        for (const [key, value] of Object.entries(input)) {
+            if (Array.isArray(value)) { if (typeof value[0] === 'number') setupCode += `vector<int> ${key} = {${value.join(', ')}};\n        `; }
+            else if (typeof value === 'string') setupCode += `string ${key} = "${value}";\n        `;
+            else setupCode += `int ${key} = ${value};\n        `;
+        }
+        return setupCode;
+    }
+
+    generateCppMethodCall(functionName, testCase) {
+        const argsList = Object.keys(testCase.input).join(', ');
+        const output = testCase.output;
+        if (Array.isArray(output)) return `auto result = ${functionName}(${argsList});\n        cout << "[";\n        for (size_t i = 0; i < result.size(); i++) { cout << result[i]; if (i < result.size() - 1) cout << ", "; }\n        cout << "]" << endl;`;
+        else if (typeof output === 'boolean') return `bool result = ${functionName}(${argsList});\n        cout << (result ? "true" : "false") << endl;`;
+        else if (typeof output === 'string') return `string result = ${functionName}(${argsList});\n        cout << result << endl;`;
+        else return `int result = ${functionName}(${argsList});\n        cout << result << endl;`;
+    }
+}
+
+export default new Harness();
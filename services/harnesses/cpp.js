@@ -0,0 +1,166 @@
+import { expectArray, floatLiteral, intLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * C++ harness
+ * Typed suite and starter code generation for C++17, driven by a parsed signature.
+ * Free functions and LeetCode-style `class Solution` methods are both supported.
+ */
+
+const TYPES = { int: 'int', long: 'long long', double: 'double', boolean: 'bool', char: 'char', string: 'string', ListNode: 'ListNode*', TreeNode: 'TreeNode*' };
+const DEFAULTS = { int: '0', long: '0', double: '0.0', boolean: 'false', char: "' '", string: '""', ListNode: 'nullptr', TreeNode: 'nullptr' };
+// Three-digit octal escapes cannot run into the characters that follow them
+const OCTAL = code => `\\${code.toString(8).padStart(3, '0')}`;
+const INCLUDES = ['iostream', 'sstream', 'iomanip', 'vector', 'string', 'queue', 'optional', 'cmath', 'cstdio', 'cstdlib', 'type_traits'];
+
+const LIST_NODE = `struct ListNode {
+    int val;
+    ListNode *next;
+    ListNode() : val(0), next(nullptr) {}
+    ListNode(int x) : val(x), next(nullptr) {}
+    ListNode(int x, ListNode *next) : val(x), next(next) {}
+};
+`;
+
+const TREE_NODE = `struct TreeNode {
+    int val;
+    TreeNode *left;
+    TreeNode *right;
+    TreeNode() : val(0), left(nullptr), right(nullptr) {}
+    TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+    TreeNode(int x, TreeNode *left, TreeNode *right) : val(x), left(left), right(right) {}
+};
+`;
+
+const JSON_RUNTIME = `template <typename T, typename enable_if<is_integral<T>::value && !is_same<T, bool>::value && !is_same<T, char>::value, int>::type = 0>
+static string __json(T value) { return to_string(value); }
+
+static string __json(bool value) { return value ? "true" : "false"; }
+
+static string __json(double value) {
+    if (!isfinite(value)) return "null";
+    ostringstream out;
+    out << setprecision(17) << value;
+    return out.str();
+}
+
+static string __json(const string& value) {
+    string out = "\\"";
+    for (unsigned char c : value) {
+        if (c == '"' || c == '\\\\') { out += '\\\\'; out += c; }
+        else if (c < 0x20) { char escaped[8]; snprintf(escaped, sizeof escaped, "\\\\u%04x", c); out += escaped; }
+        else out += c;
+    }
+    return out + "\\"";
+}
+
+static string __json(char value) { return __json(string(1, value)); }
+`;
+
+const LIST_RUNTIME = `static ListNode* __buildList(const vector<int>& values) {
+    ListNode* head = nullptr;
+    ListNode* tail = nullptr;
+    for (int value : values) {
+        ListNode* node = new ListNode(value);
+        if (tail) tail->next = node; else head = node;
+        tail = node;
+    }
+    return head;
+}
+
+static string __json(ListNode* head) {
+    string out = "[";
+    for (ListNode* node = head; node; node = node->next) out += (node == head ? "" : ",") + to_string(node->val);
+    return out + "]";
+}
+`;
+
+const TREE_RUNTIME = `static TreeNode* __buildTree(const vector<optional<int>>& values) {
+    if (values.empty() || !values[0]) return nullptr;
+    TreeNode* root = new TreeNode(*values[0]);
+    queue<TreeNode*> pending;
+    pending.push(root);
+    size_t i = 1;
+    while (!pending.empty() && i < values.size()) {
+        TreeNode* node = pending.front();
+        pending.pop();
+        if (values[i]) { node->left = new TreeNode(*values[i]); pending.push(node->left); }
+        i++;
+        if (i < values.size() && values[i]) { node->right = new TreeNode(*values[i]); pending.push(node->right); }
+        i++;
+    }
+    return root;
+}
+
+static string __json(TreeNode* root) {
+    vector<string> values;
+    queue<TreeNode*> pending;
+    if (root) pending.push(root);
+    while (!pending.empty()) {
+        TreeNode* node = pending.front();
+        pending.pop();
+        if (!node) { values.push_back("null"); continue; }
+        values.push_back(to_string(node->val));
+        pending.push(node->left);
+        pending.push(node->right);
+    }
+    while (!values.empty() && values.back() == "null") values.pop_back();
+    string out = "[";
+    for (size_t i = 0; i < values.size(); i++) out += (i ? "," : "") + values[i];
+    return out + "]";
+}
+`;
+
+const VECTOR_RUNTIME = `template <typename T>
+static string __json(const vector<T>& values) {
+    string out = "[";
+    for (size_t i = 0; i < values.size(); i++) out += (i ? "," : "") + __json((T) values[i]);
+    return out + "]";
+}
+`;
+
+export function typeName(type) {
+    if (type.kind === 'array' || type.kind === 'list') return `vector<${typeName(type.of)}>`;
+    return TYPES[type.kind];
+}
+
+export function literal(type, value) {
+    switch (type.kind) {
+        case 'int': return intLiteral(value);
+        case 'long': return `${value}LL`;
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'", unicode: OCTAL });
+        case 'string': return `string(${quoteString(value, { unicode: OCTAL })})`;
+        case 'array': case 'list': return `${typeName(type)}{${expectArray(value).map(v => literal(type.of, v)).join(', ')}}`;
+        case 'ListNode': return `__buildList({${expectArray(value).map(intLiteral).join(', ')}})`;
+        case 'TreeNode': return `__buildTree({${expectArray(value).map(v => v === null ? 'nullopt' : intLiteral(v)).join(', ')}})`;
+        default: throw new Error(`Cannot pass ${type.kind} to C++`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const callee = /(?:class|struct)\s+Solution\b/.test(userCode) ? `Solution().${functionName}` : functionName;
+    const functions = cases.map((values, i) => {
+        const { lines, result } = typedCase(parsed, values, (t, name, value) => `${typeName(t)} ${name} = ${literal(t, value)};`, names => `${callee}(${names.join(', ')});`);
+        const body = [...lines, `return __json(${result.replace(/;$/, '')});`];
+        return `static string __case${i}() {\n${body.map(line => `    ${line}`).join('\n')}\n}\n`;
+    }).join('\n');
+    const dispatch = cases.map((values, i) => `            case ${i}: result = __case${i}(); break;`).join('\n');
+    const nodes = [
+        usesList && !/(?:struct|class)\s+ListNode\s*\{/.test(userCode) ? LIST_NODE : '',
+        usesTree && !/(?:struct|class)\s+TreeNode\s*\{/.test(userCode) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [JSON_RUNTIME, usesList ? LIST_RUNTIME : '', usesTree ? TREE_RUNTIME : '', VECTOR_RUNTIME].filter(Boolean).join('\n');
+    const includes = INCLUDES.map(h => `#include <${h}>`).join('\n');
+    return `${includes}\nusing namespace std;\n\n${nodes}\n${userCode}\n\n${runtime}\n${functions}\nint main(int argc, char** argv) {\n    try {\n        string result;\n        switch (atoi(argv[1])) {\n${dispatch}\n        }\n        cout << result << endl;\n    } catch (const exception& e) {\n        cerr << "ERROR: " << e.what() << endl;\n        return 1;\n    }\n    return 0;\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    // Containers are taken by reference, as in the bundled problems
+    const params = parsed.params.map(p => `${typeName(p.type)}${['array', 'list', 'string'].includes(p.type.kind) ? '&' : ''} ${p.name}`).join(', ');
+    const isVoid = parsed.returnType.kind === 'void';
+    const returns = isVoid ? '' : `\n    return ${DEFAULTS[parsed.returnType.kind] || '{}'};`;
+    return `#include <vector>\n#include <string>\nusing namespace std;\n\n${isVoid ? 'void' : typeName(parsed.returnType)} ${functionName}(${params}) {\n    // Write your code here${returns}\n}`;
+}
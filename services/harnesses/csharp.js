@@ -0,0 +1,160 @@
+import { expectArray, floatLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * C# harness
+ * Typed suite and starter code generation for C#, driven by a parsed signature.
+ * The candidate writes `public class Solution` with PascalCase methods; the harness
+ * goes after it (so the candidate's using directives stay first in the file) and
+ * relies on the project's implicit usings for System and System.Collections.Generic.
+ */
+
+const TYPES = { int: 'int', long: 'long', double: 'double', boolean: 'bool', char: 'char', string: 'string', ListNode: 'ListNode', TreeNode: 'TreeNode' };
+const DEFAULTS = { int: '0', long: '0', double: '0.0', boolean: 'false', char: "' '", string: '""', ListNode: 'null', TreeNode: 'null' };
+
+const LIST_NODE = `public class ListNode {
+    public int val;
+    public ListNode next;
+    public ListNode(int val = 0, ListNode next = null) {
+        this.val = val;
+        this.next = next;
+    }
+}
+`;
+
+const TREE_NODE = `public class TreeNode {
+    public int val;
+    public TreeNode left;
+    public TreeNode right;
+    public TreeNode(int val = 0, TreeNode left = null, TreeNode right = null) {
+        this.val = val;
+        this.left = left;
+        this.right = right;
+    }
+}
+`;
+
+const LIST_RUNTIME = `    static ListNode BuildList(int[] values) {
+        ListNode head = null, tail = null;
+        foreach (int value in values) {
+            ListNode node = new ListNode(value);
+            if (tail == null) head = node; else tail.next = node;
+            tail = node;
+        }
+        return head;
+    }
+`;
+
+const TREE_RUNTIME = `    static TreeNode BuildTree(int?[] values) {
+        if (values.Length == 0 || values[0] == null) return null;
+        TreeNode root = new TreeNode(values[0].Value);
+        Queue<TreeNode> queue = new Queue<TreeNode>();
+        queue.Enqueue(root);
+        int i = 1;
+        while (queue.Count > 0 && i < values.Length) {
+            TreeNode node = queue.Dequeue();
+            if (values[i] != null) { node.left = new TreeNode(values[i].Value); queue.Enqueue(node.left); }
+            i++;
+            if (i < values.Length && values[i] != null) { node.right = new TreeNode(values[i].Value); queue.Enqueue(node.right); }
+            i++;
+        }
+        return root;
+    }
+`;
+
+const JSON_RUNTIME = `    static string Quote(string text) {
+        System.Text.StringBuilder sb = new System.Text.StringBuilder("\\"");
+        foreach (char c in text) {
+            if (c == '"' || c == '\\\\') sb.Append('\\\\').Append(c);
+            else if (c < 0x20) sb.Append("\\\\u").Append(((int) c).ToString("x4"));
+            else sb.Append(c);
+        }
+        return sb.Append('"').ToString();
+    }
+
+    static string Json(object value) {
+        if (value == null) return "null";
+        if (value is string s) return Quote(s);
+        if (value is char c) return Quote(c.ToString());
+        if (value is bool b) return b ? "true" : "false";
+        if (value is double d) return double.IsFinite(d) ? d.ToString("R", System.Globalization.CultureInfo.InvariantCulture) : "null";
+/*NODES*/        if (value is System.Collections.IEnumerable items) {
+            List<string> parts = new List<string>();
+            foreach (object item in items) parts.Add(Json(item));
+            return "[" + string.Join(",", parts) + "]";
+        }
+        return Convert.ToString(value, System.Globalization.CultureInfo.InvariantCulture);
+    }
+`;
+
+const LIST_JSON = `        if (value is ListNode list) {
+            List<string> parts = new List<string>();
+            for (ListNode node = list; node != null; node = node.next) parts.Add(node.val.ToString());
+            return "[" + string.Join(",", parts) + "]";
+        }
+`;
+
+const TREE_JSON = `        if (value is TreeNode tree) {
+            List<string> parts = new List<string>();
+            Queue<TreeNode> queue = new Queue<TreeNode>();
+            queue.Enqueue(tree);
+            while (queue.Count > 0) {
+                TreeNode node = queue.Dequeue();
+                if (node == null) { parts.Add("null"); continue; }
+                parts.Add(node.val.ToString());
+                queue.Enqueue(node.left);
+                queue.Enqueue(node.right);
+            }
+            while (parts.Count > 0 && parts[parts.Count - 1] == "null") parts.RemoveAt(parts.Count - 1);
+            return "[" + string.Join(",", parts) + "]";
+        }
+`;
+
+export function typeName(type) {
+    if (type.kind === 'array') return `${typeName(type.of)}[]`;
+    if (type.kind === 'list') return `IList<${typeName(type.of)}>`;
+    return TYPES[type.kind];
+}
+
+export function literal(type, value) {
+    if (value === null && (type.kind === 'string' || type.kind === 'ListNode' || type.kind === 'TreeNode')) return 'null';
+    switch (type.kind) {
+        case 'int': return String(value);
+        case 'long': return `${value}L`;
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'" });
+        case 'string': return quoteString(value);
+        case 'array': return `new ${typeName(type)} { ${expectArray(value).map(v => literal(type.of, v)).join(', ')} }`;
+        case 'list': return `new List<${typeName(type.of)}> { ${expectArray(value).map(v => literal(type.of, v)).join(', ')} }`;
+        case 'ListNode': return `BuildList(new int[] { ${expectArray(value).join(', ')} })`;
+        case 'TreeNode': return `BuildTree(new int?[] { ${expectArray(value).map(v => (v === null ? 'null' : v)).join(', ')} })`;
+        default: throw new Error(`Cannot pass ${type.kind} to C#`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const functions = cases.map((values, i) => {
+        const { lines, result } = typedCase(parsed, values, (t, name, value) => `${typeName(t)} ${name} = ${literal(t, value)};`, names => `sol.${functionName}(${names.join(', ')});`);
+        return `    static object Case${i}(Solution sol) {\n${[...lines, `return ${result.replace(/;$/, '')};`].map(line => `        ${line}`).join('\n')}\n    }\n`;
+    }).join('\n');
+    const nodes = [
+        usesList && !/class\s+ListNode\b/.test(userCode) ? LIST_NODE : '',
+        usesTree && !/class\s+TreeNode\b/.test(userCode) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [
+        usesList ? LIST_RUNTIME : '',
+        usesTree ? TREE_RUNTIME : '',
+        JSON_RUNTIME.replace('/*NODES*/', (usesList ? LIST_JSON : '') + (usesTree ? TREE_JSON : ''))
+    ].filter(Boolean).join('\n');
+    const dispatch = cases.map((values, i) => `Case${i}`).join(', ');
+    return `${userCode}\n\n${nodes}\npublic static class HarnessMain {\n${runtime}\n${functions}\n    public static void Main(string[] args) {\n        Func<Solution, object>[] cases = { ${dispatch} };\n        Console.WriteLine(Json(cases[int.Parse(args[0])](new Solution())));\n    }\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    const params = parsed.params.map(p => `${typeName(p.type)} ${p.name}`).join(', ');
+    const returns = parsed.returnType.kind === 'void' ? 'void' : typeName(parsed.returnType);
+    const fallback = parsed.returnType.kind === 'void' ? '' : `\n        return ${DEFAULTS[parsed.returnType.kind] || 'null'};`;
+    return `public class Solution {\n    public ${returns} ${functionName}(${params}) {\n        // Write your code here${fallback}\n    }\n}`;
+}
@@ -0,0 +1,183 @@
+import { expectArray, floatLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * Go harness
+ * Typed suite and starter code generation for Go, driven by a parsed signature.
+ * The candidate's package clause and imports are folded into the single generated
+ * main.go, so importing a package the harness also uses is not a redeclaration.
+ */
+
+const TYPES = { int: 'int', long: 'int64', double: 'float64', boolean: 'bool', char: 'byte', string: 'string', ListNode: '*ListNode', TreeNode: '*TreeNode' };
+const DEFAULTS = { int: '0', long: '0', double: '0', boolean: 'false', char: '0', string: '""' };
+const IMPORTS = ['"encoding/json"', '"fmt"', '"math"', '"os"', '"reflect"', '"strconv"', '"strings"'];
+
+const LIST_NODE = `type ListNode struct {
+	Val  int
+	Next *ListNode
+}
+`;
+
+const TREE_NODE = `type TreeNode struct {
+	Val   int
+	Left  *TreeNode
+	Right *TreeNode
+}
+`;
+
+const LIST_RUNTIME = `func __buildList(values []int) *ListNode {
+	var head, tail *ListNode
+	for _, value := range values {
+		node := &ListNode{Val: value}
+		if tail == nil {
+			head = node
+		} else {
+			tail.Next = node
+		}
+		tail = node
+	}
+	return head
+}
+`;
+
+const TREE_RUNTIME = `func __buildTree(values []interface{}) *TreeNode {
+	if len(values) == 0 || values[0] == nil {
+		return nil
+	}
+	root := &TreeNode{Val: values[0].(int)}
+	queue := []*TreeNode{root}
+	for i := 1; len(queue) > 0 && i < len(values); i += 2 {
+		node := queue[0]
+		queue = queue[1:]
+		if values[i] != nil {
+			node.Left = &TreeNode{Val: values[i].(int)}
+			queue = append(queue, node.Left)
+		}
+		if i+1 < len(values) && values[i+1] != nil {
+			node.Right = &TreeNode{Val: values[i+1].(int)}
+			queue = append(queue, node.Right)
+		}
+	}
+	return root
+}
+
+func __treeValues(root *TreeNode) []interface{} {
+	values := []interface{}{}
+	queue := []*TreeNode{}
+	if root != nil {
+		queue = append(queue, root)
+	}
+	for len(queue) > 0 {
+		node := queue[0]
+		queue = queue[1:]
+		if node == nil {
+			values = append(values, nil)
+			continue
+		}
+		values = append(values, node.Val)
+		queue = append(queue, node.Left, node.Right)
+	}
+	for len(values) > 0 && values[len(values)-1] == nil {
+		values = values[:len(values)-1]
+	}
+	return values
+}
+`;
+
+const JSON_RUNTIME = `func __json(value interface{}) string {
+	switch v := value.(type) {
+	case nil:
+		return "null"
+/*NODES*/	case byte:
+		return __json(string([]byte{v}))
+	case float64:
+		if math.IsInf(v, 0) || math.IsNaN(v) {
+			return "null"
+		}
+		return strconv.FormatFloat(v, 'g', -1, 64)
+	case string, bool, int, int32, int64:
+		encoded, _ := json.Marshal(v)
+		return string(encoded)
+	}
+	rv := reflect.ValueOf(value)
+	if rv.Kind() == reflect.Slice || rv.Kind() == reflect.Array {
+		parts := make([]string, rv.Len())
+		for i := range parts {
+			parts[i] = __json(rv.Index(i).Interface())
+		}
+		return "[" + strings.Join(parts, ",") + "]"
+	}
+	encoded, err := json.Marshal(value)
+	if err != nil {
+		return "null"
+	}
+	return string(encoded)
+}
+`;
+
+export function typeName(type) {
+    if (type.kind === 'array' || type.kind === 'list') return `[]${typeName(type.of)}`;
+    return TYPES[type.kind];
+}
+
+export function literal(type, value) {
+    switch (type.kind) {
+        case 'int': case 'long': return String(value);
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'" });
+        case 'string': return quoteString(value);
+        case 'array': case 'list': return `${typeName(type)}{${expectArray(value).map(v => literal(type.of, v)).join(', ')}}`;
+        case 'ListNode': return `__buildList([]int{${expectArray(value).join(', ')}})`;
+        case 'TreeNode': return `__buildTree([]interface{}{${expectArray(value).map(v => v === null ? 'nil' : String(v)).join(', ')}})`;
+        default: throw new Error(`Cannot pass ${type.kind} to Go`);
+    }
+}
+
+// Pull the package clause and imports out of the candidate's code
+function splitImports(userCode) {
+    const imports = [];
+    const body = userCode
+        .replace(/^\s*package\s+\w+\s*$/m, '')
+        .replace(/^\s*import\s*\(([\s\S]*?)\)/gm, (match, block) => {
+            block.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('//')).forEach(spec => imports.push(spec));
+            return '';
+        })
+        .replace(/^\s*import\s+((?:[\w.]+\s+)?"[^"]+")\s*$/gm, (match, spec) => {
+            imports.push(spec);
+            return '';
+        });
+    return { imports, body: body.trim() };
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const { imports, body } = splitImports(userCode);
+    const functions = cases.map((values, i) => {
+        const { lines, result } = typedCase(parsed, values, (t, name, value) => `var ${name} ${typeName(t)} = ${literal(t, value)}`, names => `${functionName}(${names.join(', ')})`);
+        return `func __case${i}() interface{} {\n${[...lines, `return ${result}`].map(line => `\t${line}`).join('\n')}\n}\n`;
+    }).join('\n');
+    const dispatch = cases.map((values, i) => `\tcase ${i}:\n\t\tresult = __case${i}()`).join('\n');
+    const nodeCases = [
+        usesList ? '\tcase *ListNode:\n\t\tvalues := []int{}\n\t\tfor node := v; node != nil; node = node.Next {\n\t\t\tvalues = append(values, node.Val)\n\t\t}\n\t\treturn __json(values)\n' : '',
+        usesTree ? '\tcase *TreeNode:\n\t\treturn __json(__treeValues(v))\n' : ''
+    ].join('');
+    const nodes = [
+        usesList && !/type\s+ListNode\s+struct/.test(body) ? LIST_NODE : '',
+        usesTree && !/type\s+TreeNode\s+struct/.test(body) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [usesList ? LIST_RUNTIME : '', usesTree ? TREE_RUNTIME : '', JSON_RUNTIME.replace('/*NODES*/', nodeCases)].filter(Boolean).join('\n');
+    const importBlock = [...new Set([...IMPORTS, ...imports])].map(spec => `\t${spec}`).join('\n');
+    return `package main\n\nimport (\n${importBlock}\n)\n\n${nodes}\n${body}\n\n${runtime}\n${functions}\nfunc main() {\n\tindex, _ := strconv.Atoi(os.Args[1])\n\tvar result interface{}\n\tswitch index {\n${dispatch}\n\t}\n\tfmt.Println(__json(result))\n}\n`;
+}
+
+function defaultValue(type) {
+    if (type.kind in DEFAULTS) return DEFAULTS[type.kind];
+    return 'nil';
+}
+
+export function generateStarter(functionName, parsed) {
+    const params = parsed.params.map(p => `${p.name} ${typeName(p.type)}`).join(', ');
+    if (parsed.returnType.kind === 'void') return `func ${functionName}(${params}) {\n\t// Write your code here\n}`;
+    return `func ${functionName}(${params}) ${typeName(parsed.returnType)} {\n\t// Write your code here\n\treturn ${defaultValue(parsed.returnType)}\n}`;
+}
@@ -0,0 +1,175 @@
+import { expectArray, floatLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * Java harness
+ * Typed suite and starter code generation for Java, driven by a parsed signature.
+ * The candidate writes `class Solution`; the harness adds a Main class around it.
+ */
+
+const TYPES = { int: 'int', long: 'long', double: 'double', boolean: 'boolean', char: 'char', string: 'String', ListNode: 'ListNode', TreeNode: 'TreeNode' };
+const BOXED = { int: 'Integer', long: 'Long', double: 'Double', boolean: 'Boolean', char: 'Character' };
+const DEFAULTS = { int: '0', long: '0L', double: '0.0', boolean: 'false', char: "' '", string: '""', ListNode: 'null', TreeNode: 'null' };
+
+const LIST_NODE = `class ListNode {
+    int val;
+    ListNode next;
+    ListNode() {}
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}
+`;
+
+const TREE_NODE = `class TreeNode {
+    int val;
+    TreeNode left;
+    TreeNode right;
+    TreeNode() {}
+    TreeNode(int val) { this.val = val; }
+    TreeNode(int val, TreeNode left, TreeNode right) { this.val = val; this.left = left; this.right = right; }
+}
+`;
+
+const LIST_RUNTIME = `    static ListNode __buildList(int[] values) {
+        ListNode head = null, tail = null;
+        for (int value : values) {
+            ListNode node = new ListNode(value);
+            if (tail == null) head = node; else tail.next = node;
+            tail = node;
+        }
+        return head;
+    }
+
+    static List<Integer> __listValues(ListNode head) {
+        List<Integer> values = new ArrayList<>();
+        for (ListNode node = head; node != null; node = node.next) values.add(node.val);
+        return values;
+    }
+`;
+
+const TREE_RUNTIME = `    static TreeNode __buildTree(Integer[] values) {
+        if (values.length == 0 || values[0] == null) return null;
+        TreeNode root = new TreeNode(values[0]);
+        Deque<TreeNode> queue = new ArrayDeque<>();
+        queue.add(root);
+        int i = 1;
+        while (!queue.isEmpty() && i < values.length) {
+            TreeNode node = queue.poll();
+            if (values[i] != null) { node.left = new TreeNode(values[i]); queue.add(node.left); }
+            i++;
+            if (i < values.length && values[i] != null) { node.right = new TreeNode(values[i]); queue.add(node.right); }
+            i++;
+        }
+        return root;
+    }
+
+    static List<Integer> __treeValues(TreeNode root) {
+        List<Integer> values = new ArrayList<>();
+        Queue<TreeNode> queue = new LinkedList<>();
+        if (root != null) queue.add(root);
+        while (!queue.isEmpty()) {
+            TreeNode node = queue.poll();
+            if (node == null) { values.add(null); continue; }
+            values.add(node.val);
+            queue.add(node.left);
+            queue.add(node.right);
+        }
+        while (!values.isEmpty() && values.get(values.size() - 1) == null) values.remove(values.size() - 1);
+        return values;
+    }
+`;
+
+const JSON_RUNTIME = `    static String __quote(String value) {
+        StringBuilder out = new StringBuilder("\\"");
+        for (char c : value.toCharArray()) {
+            if (c == '"' || c == '\\\\') out.append('\\\\').append(c);
+            else if (c < 0x20) out.append(String.format("\\\\u%04x", (int) c));
+            else out.append(c);
+        }
+        return out.append('"').toString();
+    }
+
+    static String __json(Object value) {
+        if (value == null) return "null";
+        if (value instanceof String || value instanceof Character) return __quote(value.toString());
+        if (value instanceof Double || value instanceof Float) {
+            double d = ((Number) value).doubleValue();
+            return Double.isFinite(d) ? Double.toString(d) : "null";
+        }
+        if (value instanceof Number || value instanceof Boolean) return value.toString();
+/*NODES*/        StringJoiner out = new StringJoiner(",", "[", "]");
+        if (value instanceof Iterable) {
+            for (Object item : (Iterable<?>) value) out.add(__json(item));
+            return out.toString();
+        }
+        if (value.getClass().isArray()) {
+            for (int i = 0; i < java.lang.reflect.Array.getLength(value); i++) out.add(__json(java.lang.reflect.Array.get(value, i)));
+            return out.toString();
+        }
+        return __quote(value.toString());
+    }
+`;
+
+export function typeName(type) {
+    if (type.kind === 'array') return `${typeName(type.of)}[]`;
+    if (type.kind === 'list') return `List<${boxedTypeName(type.of)}>`;
+    return TYPES[type.kind];
+}
+
+function boxedTypeName(type) {
+    return BOXED[type.kind] || typeName(type);
+}
+
+export function literal(type, value) {
+    if (value === null || value === undefined) return 'null';
+    switch (type.kind) {
+        case 'int': return String(value);
+        case 'long': return `${value}L`;
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'" });
+        case 'string': return quoteString(value);
+        case 'array': return `new ${typeName(type)}{${expectArray(value).map(v => literal(type.of, v)).join(', ')}}`;
+        case 'list': return `new ArrayList<${boxedTypeName(type.of)}>(Arrays.<${boxedTypeName(type.of)}>asList(${expectArray(value).map(v => literal(type.of, v)).join(', ')}))`;
+        case 'ListNode': return `__buildList(new int[]{${expectArray(value).join(', ')}})`;
+        case 'TreeNode': return `__buildTree(new Integer[]{${expectArray(value).map(v => v === null ? 'null' : String(v)).join(', ')}})`;
+        default: throw new Error(`Cannot pass ${type.kind} to Java`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const serialisers = { ListNode: '__listValues', TreeNode: '__treeValues' };
+    const methods = cases.map((values, i) => {
+        const { lines, result, type } = typedCase(parsed, values, (t, name, value) => `${typeName(t)} ${name} = ${literal(t, value)};`, names => `sol.${functionName}(${names.join(', ')});`);
+        const value = result.replace(/;$/, '');
+        const body = [...lines, `return ${serialisers[type.kind] ? `${serialisers[type.kind]}(${value})` : value};`];
+        return `    static Object case${i}(Solution sol) throws Exception {\n${body.map(line => `        ${line}`).join('\n')}\n    }\n`;
+    }).join('\n');
+    const dispatch = cases.map((values, i) => `                case ${i}: result = case${i}(sol); break;`).join('\n');
+    const nodeChecks = [
+        usesList ? '        if (value instanceof ListNode) return __json(__listValues((ListNode) value));\n' : '',
+        usesTree ? '        if (value instanceof TreeNode) return __json(__treeValues((TreeNode) value));\n' : ''
+    ].join('');
+    const nodes = [
+        usesList && !/class\s+ListNode\b/.test(userCode) ? LIST_NODE : '',
+        usesTree && !/class\s+TreeNode\b/.test(userCode) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [usesList ? LIST_RUNTIME : '', usesTree ? TREE_RUNTIME : '', JSON_RUNTIME.replace('/*NODES*/', nodeChecks)].filter(Boolean).join('\n');
+    // The harness lives in Main.java, so the candidate's class must not be public
+    const solutionCode = userCode.replace(/public\s+class\s+/g, 'class ');
+    return `import java.util.*;\n\n${solutionCode}\n\n${nodes}\nclass Main {\n${runtime}\n${methods}\n    public static void main(String[] args) {\n        try {\n            Solution sol = new Solution();\n            Object result;\n            switch (Integer.parseInt(args[0])) {\n${dispatch}\n                default: throw new IllegalArgumentException("Unknown test case " + args[0]);\n            }\n            System.out.println(__json(result));\n        } catch (Exception e) {\n            System.err.println("ERROR: " + e.getMessage());\n            System.exit(1);\n        }\n    }\n}\n`;
+}
+
+function defaultValue(type) {
+    if (type.kind === 'array') return `new ${typeName(type).replace('[]', '[0]')}`;
+    if (type.kind === 'list') return 'new ArrayList<>()';
+    return DEFAULTS[type.kind];
+}
+
+export function generateStarter(functionName, parsed) {
+    const params = parsed.params.map(p => `${typeName(p.type)} ${p.name}`).join(', ');
+    const isVoid = parsed.returnType.kind === 'void';
+    const body = isVoid ? '        // Write your code here' : `        // Write your code here\n        return ${defaultValue(parsed.returnType)};`;
+    return `import java.util.*;\n\nclass Solution {\n    public ${isVoid ? 'void' : typeName(parsed.returnType)} ${functionName}(${params}) {\n${body}\n    }\n}`;
+}
@@ -0,0 +1,109 @@
+import { expectArray, typedCase, usesType } from '../signature.js';
+
+/**
+ * JavaScript harness
+ * Typed suite and starter code generation for JavaScript, driven by a parsed signature.
+ */
+
+const LIST_NODE = `function ListNode(val, next) {
+    this.val = (val === undefined ? 0 : val);
+    this.next = (next === undefined ? null : next);
+}
+`;
+
+const TREE_NODE = `function TreeNode(val, left, right) {
+    this.val = (val === undefined ? 0 : val);
+    this.left = (left === undefined ? null : left);
+    this.right = (right === undefined ? null : right);
+}
+`;
+
+export const RUNTIME = `function __buildList(values) {
+    let head = null, tail = null;
+    for (const value of values) {
+        const node = new ListNode(value);
+        if (tail) tail.next = node; else head = node;
+        tail = node;
+    }
+    return head;
+}
+
+function __buildTree(values) {
+    if (!values.length || values[0] === null) return null;
+    const root = new TreeNode(values[0]);
+    const queue = [root];
+    let i = 1;
+    for (let q = 0; q < queue.length && i < values.length; q++) {
+        const node = queue[q];
+        if (values[i] !== null && values[i] !== undefined) queue.push(node.left = new TreeNode(values[i]));
+        i++;
+        if (i < values.length && values[i] !== null) queue.push(node.right = new TreeNode(values[i]));
+        i++;
+    }
+    return root;
+}
+
+function __listValues(head) {
+    const values = [];
+    for (let node = head; node; node = node.next) values.push(node.val);
+    return values;
+}
+
+function __treeValues(root) {
+    const values = [];
+    const queue = root ? [root] : [];
+    for (let q = 0; q < queue.length; q++) {
+        const node = queue[q];
+        if (!node) { values.push(null); continue; }
+        values.push(node.val);
+        queue.push(node.left, node.right);
+    }
+    while (values.length && values[values.length - 1] === null) values.pop();
+    return values;
+}
+
+function __toJson(value) {
+    if (value && typeof value === 'object' && 'left' in value && 'right' in value) return __treeValues(value);
+    if (value && typeof value === 'object' && 'next' in value && 'val' in value) return __listValues(value);
+    if (Array.isArray(value)) return value.map(__toJson);
+    return value;
+}
+`;
+
+export function literal(type, value) {
+    if (value === null || value === undefined) return 'null';
+    switch (type.kind) {
+        case 'char': case 'string': return JSON.stringify(String(value));
+        case 'array': case 'list': return `[${expectArray(value).map(v => literal(type.of, v)).join(', ')}]`;
+        case 'ListNode': return `__buildList(${JSON.stringify(expectArray(value))})`;
+        case 'TreeNode': return `__buildTree(${JSON.stringify(expectArray(value))})`;
+        default: return JSON.stringify(value);
+    }
+}
+
+// Shared with TypeScript, whose emitted code is the same program plus type annotations
+export function caseFunctions(cases, functionName, parsed, annotate = () => '') {
+    const serialisers = { ListNode: '__listValues', TreeNode: '__treeValues' };
+    return cases.map((values, i) => {
+        const { lines, result, type } = typedCase(parsed, values, (t, name, value) => `const ${name}${annotate(t)} = ${literal(t, value)};`, names => `${functionName}(${names.join(', ')});`);
+        const body = [...lines, `return ${serialisers[type.kind] || '__toJson'}(${result.replace(/;$/, '')});`];
+        return `function __case${i}()${annotate({ kind: 'any' })} {\n${body.map(line => `    ${line}`).join('\n')}\n}\n`;
+    }).join('\n');
+}
+
+export function nodeDefinitions(userCode, parsed, listNode, treeNode) {
+    return [
+        usesType(parsed, 'ListNode') && !/(?:class|function)\s+ListNode\b/.test(userCode) ? listNode : '',
+        usesType(parsed, 'TreeNode') && !/(?:class|function)\s+TreeNode\b/.test(userCode) ? treeNode : ''
+    ].filter(Boolean).join('\n');
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const nodes = nodeDefinitions(userCode, parsed, LIST_NODE, TREE_NODE);
+    const dispatch = cases.map((values, i) => `__case${i}`).join(', ');
+    return `${userCode}\n\n${nodes}\n${RUNTIME}\n${caseFunctions(cases, functionName, parsed)}\nconst __cases = [${dispatch}];\n\ntry {\n    const result = __cases[Number(process.argv[2])]();\n    console.log(JSON.stringify(result === undefined ? null : result));\n} catch (error) {\n    console.error('ERROR: ' + error.message);\n    process.exit(1);\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    return `function ${functionName}(${parsed.params.map(p => p.name).join(', ')}) {\n    // Write your code here\n}`;
+}
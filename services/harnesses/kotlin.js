@@ -0,0 +1,153 @@
+import { expectArray, floatLiteral, intLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * Kotlin harness
+ * Typed suite and starter code generation for Kotlin, driven by a parsed signature.
+ * Follows LeetCode's shape: `class Solution { fun name(...) }`, primitive arrays
+ * (IntArray, ...) for int[] and friends, and nullable ListNode?/TreeNode?.
+ */
+
+const TYPES = { int: 'Int', long: 'Long', double: 'Double', boolean: 'Boolean', char: 'Char', string: 'String', ListNode: 'ListNode?', TreeNode: 'TreeNode?' };
+const PRIMITIVE_ARRAYS = { int: 'IntArray', long: 'LongArray', double: 'DoubleArray', boolean: 'BooleanArray', char: 'CharArray' };
+const DEFAULTS = { int: '0', long: '0L', double: '0.0', boolean: 'false', char: "' '", string: '""', ListNode: 'null', TreeNode: 'null' };
+const KOTLIN_STRING = { special: { $: '\\$' } };
+
+const LIST_NODE = `class ListNode(var \`val\`: Int) {
+    var next: ListNode? = null
+}
+`;
+
+const TREE_NODE = `class TreeNode(var \`val\`: Int) {
+    var left: TreeNode? = null
+    var right: TreeNode? = null
+}
+`;
+
+const LIST_RUNTIME = `fun harnessBuildList(values: IntArray): ListNode? {
+    var head: ListNode? = null
+    var tail: ListNode? = null
+    for (value in values) {
+        val node = ListNode(value)
+        if (tail == null) head = node else tail.next = node
+        tail = node
+    }
+    return head
+}
+`;
+
+const TREE_RUNTIME = `fun harnessBuildTree(values: Array<Int?>): TreeNode? {
+    if (values.isEmpty() || values[0] == null) return null
+    val root = TreeNode(values[0]!!)
+    val queue = java.util.ArrayDeque<TreeNode>()
+    queue.add(root)
+    var i = 1
+    while (queue.isNotEmpty() && i < values.size) {
+        val node = queue.poll()
+        values[i]?.let { node.left = TreeNode(it); queue.add(node.left!!) }
+        i++
+        if (i < values.size) values[i]?.let { node.right = TreeNode(it); queue.add(node.right!!) }
+        i++
+    }
+    return root
+}
+`;
+
+const JSON_RUNTIME = `fun harnessQuote(text: String): String {
+    val sb = StringBuilder("\\"")
+    for (c in text) {
+        when {
+            c == '"' || c == '\\\\' -> sb.append('\\\\').append(c)
+            c.code < 0x20 -> sb.append(String.format("\\\\u%04x", c.code))
+            else -> sb.append(c)
+        }
+    }
+    return sb.append('"').toString()
+}
+
+fun harnessJson(value: Any?): String = when (value) {
+    null -> "null"
+    is String -> harnessQuote(value)
+    is Char -> harnessQuote(value.toString())
+    is Double -> if (value.isFinite()) value.toString() else "null"
+/*NODES*/    is IntArray -> value.joinToString(",", "[", "]")
+    is LongArray -> value.joinToString(",", "[", "]")
+    is DoubleArray -> value.joinToString(",", "[", "]") { harnessJson(it) }
+    is BooleanArray -> value.joinToString(",", "[", "]")
+    is CharArray -> value.joinToString(",", "[", "]") { harnessJson(it) }
+    is Array<*> -> value.joinToString(",", "[", "]") { harnessJson(it) }
+    is Iterable<*> -> value.joinToString(",", "[", "]") { harnessJson(it) }
+    else -> value.toString()
+}
+`;
+
+const LIST_JSON = `    is ListNode -> generateSequence(value) { it.next }.joinToString(",", "[", "]") { it.\`val\`.toString() }
+`;
+
+const TREE_JSON = `    is TreeNode -> {
+        val parts = mutableListOf<String>()
+        val queue = java.util.LinkedList<TreeNode?>(listOf(value))
+        while (queue.isNotEmpty()) {
+            val node = queue.poll()
+            if (node == null) { parts.add("null"); continue }
+            parts.add(node.\`val\`.toString())
+            queue.add(node.left)
+            queue.add(node.right)
+        }
+        while (parts.isNotEmpty() && parts.last() == "null") parts.removeAt(parts.size - 1)
+        parts.joinToString(",", "[", "]")
+    }
+`;
+
+export function typeName(type) {
+    if (type.kind === 'array') return PRIMITIVE_ARRAYS[type.of.kind] || `Array<${typeName(type.of)}>`;
+    if (type.kind === 'list') return `List<${typeName(type.of)}>`;
+    return TYPES[type.kind];
+}
+
+export function literal(type, value) {
+    if (value === null && (type.kind === 'string' || type.kind === 'ListNode' || type.kind === 'TreeNode')) return 'null';
+    switch (type.kind) {
+        case 'int': return intLiteral(value);
+        case 'long': return `${value}L`;
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'" });
+        case 'string': return quoteString(value, KOTLIN_STRING);
+        case 'array': {
+            const items = expectArray(value).map(v => literal(type.of, v)).join(', ');
+            const primitive = PRIMITIVE_ARRAYS[type.of.kind];
+            return primitive ? `${primitive[0].toLowerCase()}${primitive.slice(1, -5)}ArrayOf(${items})` : `arrayOf<${typeName(type.of)}>(${items})`;
+        }
+        case 'list': return `mutableListOf<${typeName(type.of)}>(${expectArray(value).map(v => literal(type.of, v)).join(', ')})`;
+        case 'ListNode': return `harnessBuildList(intArrayOf(${expectArray(value).join(', ')}))`;
+        case 'TreeNode': return `harnessBuildTree(arrayOf<Int?>(${expectArray(value).map(v => (v === null ? 'null' : intLiteral(v))).join(', ')}))`;
+        default: throw new Error(`Cannot pass ${type.kind} to Kotlin`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const functions = cases.map((values, i) => {
+        const { lines, result } = typedCase(parsed, values, (t, name, value) => `val ${name}: ${typeName(t)} = ${literal(t, value)}`, names => `sol.${functionName}(${names.join(', ')})`);
+        return `fun harnessCase${i}(sol: Solution): Any? {\n${[...lines, `return ${result}`].map(line => `    ${line}`).join('\n')}\n}\n`;
+    }).join('\n');
+    const nodes = [
+        usesList && !/class\s+ListNode\b/.test(userCode) ? LIST_NODE : '',
+        usesTree && !/class\s+TreeNode\b/.test(userCode) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [
+        usesList ? LIST_RUNTIME : '',
+        usesTree ? TREE_RUNTIME : '',
+        JSON_RUNTIME.replace('/*NODES*/', (usesList ? LIST_JSON : '') + (usesTree ? TREE_JSON : ''))
+    ].filter(Boolean).join('\n');
+    const dispatch = cases.map((values, i) => `::harnessCase${i}`).join(', ');
+    return `${userCode}\n\n${nodes}\n${runtime}\n${functions}\nfun main(args: Array<String>) {\n    val cases = listOf<(Solution) -> Any?>(${dispatch})\n    println(harnessJson(cases[args[0].toInt()](Solution())))\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    const params = parsed.params.map(p => `${p.name}: ${typeName(p.type)}`).join(', ');
+    const isVoid = parsed.returnType.kind === 'void';
+    const fallback = isVoid ? '' : `\n        return ${DEFAULTS[parsed.returnType.kind] || (parsed.returnType.kind === 'list' ? 'listOf()' : `${literal(parsed.returnType, [])}`)}`;
+    return `class Solution {\n    fun ${functionName}(${params})${isVoid ? '' : `: ${typeName(parsed.returnType)}`} {\n        // Write your code here${fallback}\n    }\n}`;
+}
@@ -0,0 +1,112 @@
+import { expectArray, floatLiteral, typedCase } from '../signature.js';
+
+/**
+ * Python harness
+ * Typed suite and starter code generation for Python, driven by a parsed signature.
+ */
+
+const NODES = `class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+`;
+
+const RUNTIME = `def _build_list(values):
+    head = tail = None
+    for value in values:
+        node = ListNode(value)
+        if tail is None:
+            head = node
+        else:
+            tail.next = node
+        tail = node
+    return head
+
+
+def _build_tree(values):
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = [root]
+    i = 1
+    for node in queue:
+        if i >= len(values):
+            break
+        if values[i] is not None:
+            node.left = TreeNode(values[i])
+            queue.append(node.left)
+        i += 1
+        if i < len(values) and values[i] is not None:
+            node.right = TreeNode(values[i])
+            queue.append(node.right)
+        i += 1
+    return root
+
+
+def _list_values(head):
+    values = []
+    while head is not None:
+        values.append(head.val)
+        head = head.next
+    return values
+
+
+def _tree_values(root):
+    values, queue = [], [root] if root is not None else []
+    for node in queue:
+        if node is None:
+            values.append(None)
+            continue
+        values.append(node.val)
+        queue.extend([node.left, node.right])
+    while values and values[-1] is None:
+        values.pop()
+    return values
+
+
+def _to_json(value):
+    if hasattr(value, 'left') and hasattr(value, 'right'):
+        return _tree_values(value)
+    if hasattr(value, 'next') and hasattr(value, 'val'):
+        return _list_values(value)
+    if isinstance(value, (list, tuple)):
+        return [_to_json(item) for item in value]
+    return value
+`;
+
+export function literal(type, value) {
+    if (value === null || value === undefined) return 'None';
+    switch (type.kind) {
+        case 'int': case 'long': return String(Math.trunc(value));
+        case 'double': return floatLiteral(value);
+        case 'boolean': return value ? 'True' : 'False';
+        case 'char': case 'string': return JSON.stringify(String(value));
+        case 'array': case 'list': return `[${expectArray(value).map(v => literal(type.of, v)).join(', ')}]`;
+        case 'ListNode': return `_build_list(${JSON.stringify(expectArray(value))})`;
+        case 'TreeNode': return `_build_tree(${literal({ kind: 'array', of: { kind: 'int' } }, expectArray(value))})`;
+        default: throw new Error(`Cannot pass ${type.kind} to Python`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const callee = /^class\s+Solution\b/m.test(userCode) ? `Solution().${functionName}` : functionName;
+    const serialisers = { ListNode: '_list_values', TreeNode: '_tree_values' };
+    const functions = cases.map((values, i) => {
+        const { lines, result, type } = typedCase(parsed, values, (t, name, value) => `${name} = ${literal(t, value)}`, names => `${callee}(${names.join(', ')})`);
+        const body = [...lines, `return ${serialisers[type.kind] || '_to_json'}(${result})`];
+        return `def _case${i}():\n${body.map(line => `    ${line}`).join('\n')}\n`;
+    }).join('\n\n');
+    const dispatch = cases.map((values, i) => `_case${i}`).join(', ');
+    return `import json\nimport sys\nfrom typing import *\n\n\n${NODES}\n\n${userCode}\n\n\n${RUNTIME}\n\n${functions}\n\n_cases = [${dispatch}]\n\ntry:\n    result = _cases[int(sys.argv[1])]()\n    print(json.dumps(result))\nexcept Exception as e:\n    print(f"ERROR: {str(e)}", file=sys.stderr)\n    sys.exit(1)\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    return `def ${functionName}(${parsed.params.map(p => p.name).join(', ')}):\n    # Write your code here\n    pass`;
+}
@@ -0,0 +1,221 @@
+import { expectArray, floatLiteral, quoteString, typedCase, usesType } from '../signature.js';
+
+/**
+ * Rust harness
+ * Typed suite and starter code generation for Rust, driven by a parsed signature.
+ * Follows LeetCode's shape: `impl Solution { pub fn name(...) }` with by-value
+ * arguments, Option<Box<ListNode>> lists and Option<Rc<RefCell<TreeNode>>> trees.
+ * The harness spells out std paths so it never clashes with the candidate's `use`s.
+ */
+
+const TYPES = { int: 'i32', long: 'i64', double: 'f64', boolean: 'bool', char: 'char', string: 'String', ListNode: 'Option<Box<ListNode>>', TreeNode: 'Option<Rc<RefCell<TreeNode>>>' };
+const DEFAULTS = { int: '0', long: '0', double: '0.0', boolean: 'false', char: "' '", string: 'String::new()', ListNode: 'None', TreeNode: 'None', array: 'vec![]', list: 'vec![]' };
+const RUST_UNICODE = code => `\\u{${code.toString(16)}}`;
+
+const LIST_NODE = `#[derive(PartialEq, Eq, Clone, Debug)]
+pub struct ListNode {
+    pub val: i32,
+    pub next: Option<Box<ListNode>>,
+}
+
+impl ListNode {
+    #[inline]
+    fn new(val: i32) -> Self {
+        ListNode { next: None, val }
+    }
+}
+`;
+
+const TREE_NODE = `#[derive(Debug, PartialEq, Eq)]
+pub struct TreeNode {
+    pub val: i32,
+    pub left: Option<std::rc::Rc<std::cell::RefCell<TreeNode>>>,
+    pub right: Option<std::rc::Rc<std::cell::RefCell<TreeNode>>>,
+}
+
+impl TreeNode {
+    #[inline]
+    pub fn new(val: i32) -> Self {
+        TreeNode { val, left: None, right: None }
+    }
+}
+`;
+
+const JSON_RUNTIME = `trait HarnessJson {
+    fn to_json(&self) -> String;
+}
+
+impl HarnessJson for i32 {
+    fn to_json(&self) -> String { self.to_string() }
+}
+
+impl HarnessJson for i64 {
+    fn to_json(&self) -> String { self.to_string() }
+}
+
+impl HarnessJson for f64 {
+    fn to_json(&self) -> String { if self.is_finite() { format!("{:?}", self) } else { "null".to_string() } }
+}
+
+impl HarnessJson for bool {
+    fn to_json(&self) -> String { self.to_string() }
+}
+
+impl HarnessJson for char {
+    fn to_json(&self) -> String { self.to_string().to_json() }
+}
+
+impl HarnessJson for String {
+    fn to_json(&self) -> String {
+        let mut out = String::from("\\"");
+        for c in self.chars() {
+            match c {
+                '"' => out.push_str("\\\\\\""),
+                '\\\\' => out.push_str("\\\\\\\\"),
+                c if (c as u32) < 0x20 => out.push_str(&format!("\\\\u{:04x}", c as u32)),
+                c => out.push(c),
+            }
+        }
+        out.push('"');
+        out
+    }
+}
+
+impl<T: HarnessJson> HarnessJson for Vec<T> {
+    fn to_json(&self) -> String {
+        format!("[{}]", self.iter().map(|item| item.to_json()).collect::<Vec<_>>().join(","))
+    }
+}
+`;
+
+const LIST_RUNTIME = `fn harness_build_list(values: Vec<i32>) -> Option<Box<ListNode>> {
+    let mut head = None;
+    for &value in values.iter().rev() {
+        let mut node = Box::new(ListNode::new(value));
+        node.next = head;
+        head = Some(node);
+    }
+    head
+}
+
+impl HarnessJson for Option<Box<ListNode>> {
+    fn to_json(&self) -> String {
+        let mut values = Vec::new();
+        let mut node = self.as_ref();
+        while let Some(current) = node {
+            values.push(current.val.to_string());
+            node = current.next.as_ref();
+        }
+        format!("[{}]", values.join(","))
+    }
+}
+`;
+
+const TREE_RUNTIME = `fn harness_build_tree(values: Vec<Option<i32>>) -> Option<std::rc::Rc<std::cell::RefCell<TreeNode>>> {
+    let first = match values.first() {
+        Some(Some(value)) => *value,
+        _ => return None,
+    };
+    let new_node = |val: i32| std::rc::Rc::new(std::cell::RefCell::new(TreeNode::new(val)));
+    let root = new_node(first);
+    let mut queue = std::collections::VecDeque::new();
+    queue.push_back(root.clone());
+    let mut i = 1;
+    while let Some(node) = queue.pop_front() {
+        if i >= values.len() {
+            break;
+        }
+        if let Some(val) = values[i] {
+            let child = new_node(val);
+            node.borrow_mut().left = Some(child.clone());
+            queue.push_back(child);
+        }
+        i += 1;
+        if i < values.len() {
+            if let Some(val) = values[i] {
+                let child = new_node(val);
+                node.borrow_mut().right = Some(child.clone());
+                queue.push_back(child);
+            }
+        }
+        i += 1;
+    }
+    Some(root)
+}
+
+impl HarnessJson for Option<std::rc::Rc<std::cell::RefCell<TreeNode>>> {
+    fn to_json(&self) -> String {
+        let mut values: Vec<String> = Vec::new();
+        let mut queue = std::collections::VecDeque::new();
+        if let Some(root) = self {
+            queue.push_back(Some(root.clone()));
+        }
+        while let Some(entry) = queue.pop_front() {
+            match entry {
+                None => values.push("null".to_string()),
+                Some(node) => {
+                    let node = node.borrow();
+                    values.push(node.val.to_string());
+                    queue.push_back(node.left.clone());
+                    queue.push_back(node.right.clone());
+                }
+            }
+        }
+        while values.last().map_or(false, |value| value == "null") {
+            values.pop();
+        }
+        format!("[{}]", values.join(","))
+    }
+}
+`;
+
+export function typeName(type, qualified = false) {
+    if (type.kind === 'array' || type.kind === 'list') return `Vec<${typeName(type.of, qualified)}>`;
+    if (qualified && type.kind === 'TreeNode') return 'Option<std::rc::Rc<std::cell::RefCell<TreeNode>>>';
+    return TYPES[type.kind];
+}
+
+export function literal(type, value) {
+    switch (type.kind) {
+        case 'int': case 'long': return String(value);
+        case 'double': return floatLiteral(value);
+        case 'boolean': return String(Boolean(value));
+        case 'char': return quoteString(value, { quote: "'", unicode: RUST_UNICODE });
+        case 'string': return `String::from(${quoteString(value, { unicode: RUST_UNICODE })})`;
+        case 'array': case 'list': return `vec![${expectArray(value).map(v => literal(type.of, v)).join(', ')}]`;
+        case 'ListNode': return `harness_build_list(vec![${expectArray(value).join(', ')}])`;
+        case 'TreeNode': return `harness_build_tree(vec![${expectArray(value).map(v => v === null ? 'None' : `Some(${v})`).join(', ')}])`;
+        default: throw new Error(`Cannot pass ${type.kind} to Rust`);
+    }
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const usesList = usesType(parsed, 'ListNode');
+    const usesTree = usesType(parsed, 'TreeNode');
+    const isVoid = parsed.returnType.kind === 'void';
+    const callee = /impl\s+Solution\b/.test(userCode) ? `Solution::${functionName}` : functionName;
+    const functions = cases.map((values, i) => {
+        // In-place (void) problems take their first argument as &mut
+        const { lines, result } = typedCase(parsed, values,
+            (t, name, value, index) => `let ${isVoid && index === 0 ? 'mut ' : ''}${name}: ${typeName(t, true)} = ${literal(t, value)};`,
+            names => `${callee}(${names.map((name, index) => (isVoid && index === 0 ? `&mut ${name}` : name)).join(', ')});`);
+        return `fn harness_case${i}() -> String {\n${[...lines, `${result.replace(/;$/, '')}.to_json()`].map(line => `    ${line}`).join('\n')}\n}\n`;
+    }).join('\n');
+    const dispatch = cases.map((values, i) => `        ${i} => harness_case${i}(),`).join('\n');
+    const definitions = [
+        /struct\s+Solution\b/.test(userCode) ? '' : 'struct Solution;\n',
+        usesList && !/struct\s+ListNode\b/.test(userCode) ? LIST_NODE : '',
+        usesTree && !/struct\s+TreeNode\b/.test(userCode) ? TREE_NODE : ''
+    ].filter(Boolean).join('\n');
+    const runtime = [JSON_RUNTIME, usesList ? LIST_RUNTIME : '', usesTree ? TREE_RUNTIME : ''].filter(Boolean).join('\n');
+    return `#![allow(dead_code, unused_imports, non_snake_case)]\n\n${definitions}\n${userCode}\n\n${runtime}\n${functions}\nfn main() {\n    let index: usize = std::env::args().nth(1).and_then(|arg| arg.parse().ok()).unwrap_or(0);\n    let result = match index {\n${dispatch}\n        _ => panic!("Unknown test case {}", index),\n    };\n    println!("{}", result);\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    const isVoid = parsed.returnType.kind === 'void';
+    const params = parsed.params.map((p, i) => `${p.name}: ${isVoid && i === 0 ? '&mut ' : ''}${typeName(p.type)}`).join(', ');
+    const uses = usesType(parsed, 'TreeNode') ? 'use std::rc::Rc;\nuse std::cell::RefCell;\n\n' : '';
+    const signature = `pub fn ${functionName}(${params})${isVoid ? '' : ` -> ${typeName(parsed.returnType)}`}`;
+    const body = isVoid ? '        // Write your code here' : `        // Write your code here\n        ${DEFAULTS[parsed.returnType.kind]}`;
+    return `${uses}impl Solution {\n    ${signature} {\n${body}\n    }\n}`;
+}
@@ -0,0 +1,58 @@
+import { caseFunctions, literal, nodeDefinitions, RUNTIME } from './javascript.js';
+
+/**
+ * TypeScript harness
+ * The JavaScript suite with type annotations, compiled by tsc to CommonJS.
+ * Node typings are not installed in the workspace, so the few Node globals the
+ * harness touches are declared here.
+ */
+
+const LIST_NODE = `class ListNode {
+    val: number;
+    next: ListNode | null;
+    constructor(val?: number, next?: ListNode | null) {
+        this.val = (val === undefined ? 0 : val);
+        this.next = (next === undefined ? null : next);
+    }
+}
+`;
+
+const TREE_NODE = `class TreeNode {
+    val: number;
+    left: TreeNode | null;
+    right: TreeNode | null;
+    constructor(val?: number, left?: TreeNode | null, right?: TreeNode | null) {
+        this.val = (val === undefined ? 0 : val);
+        this.left = (left === undefined ? null : left);
+        this.right = (right === undefined ? null : right);
+    }
+}
+`;
+
+const TYPES = { int: 'number', long: 'number', double: 'number', boolean: 'boolean', char: 'string', string: 'string', ListNode: 'ListNode | null', TreeNode: 'TreeNode | null', void: 'void', any: 'any' };
+const DEFAULTS = { int: '0', long: '0', double: '0', boolean: 'false', char: "''", string: "''", ListNode: 'null', TreeNode: 'null', array: '[]', list: '[]' };
+
+export { literal };
+
+export function typeName(type) {
+    if (type.kind === 'array' || type.kind === 'list') {
+        const inner = typeName(type.of);
+        return inner.includes(' ') ? `(${inner})[]` : `${inner}[]`;
+    }
+    return TYPES[type.kind];
+}
+
+export function generateSuite(userCode, cases, functionName, parsed) {
+    const nodes = nodeDefinitions(userCode, parsed, LIST_NODE, TREE_NODE);
+    const dispatch = cases.map((values, i) => `__case${i}`).join(', ');
+    const functions = caseFunctions(cases, functionName, parsed, type => `: ${typeName(type)}`);
+    return `declare const process: any;\n\n${nodes}\n${userCode}\n\n${RUNTIME.replace(/function (\w+)\((\w+)\)/g, 'function $1($2: any): any')}\n${functions}\nconst __cases = [${dispatch}];\n\ntry {\n    const result = __cases[Number(process.argv[2])]();\n    console.log(JSON.stringify(result === undefined ? null : result));\n} catch (error) {\n    console.error('ERROR: ' + (error as Error).message);\n    process.exit(1);\n}\n`;
+}
+
+export function generateStarter(functionName, parsed) {
+    const params = parsed.params.map(p => `${p.name}: ${typeName(p.type)}`).join(', ');
+    const returns = parsed.returnType.kind === 'void' ? 'void' : typeName(parsed.returnType);
+    const body = parsed.returnType.kind === 'void' ? '    // Write your code here' : `    // Write your code here\n    return ${DEFAULTS[parsed.returnType.kind]};`;
+    return `function ${functionName}(${params}): ${returns} {\n${body}\n}`;
+}
+
@@ -0,0 +1,266 @@
+import {v4 as uuidv4} from 'uuid';
+import proctoringStore from './proctoringStore.js';
+import proctoringMonitor from './proctoringMonitor.js';
+import {matchEmbeddings, parseEmbedding, registeredEmbedding} from './faceMatcher.js';
+
+/**
+ * Identity Verification
+ * Checks that the person in front of the camera is the registered candidate.
+ * Two ways to verify:
+ *   - remote: the image goes to the auth backend (AUTH_BACKEND_URL), which
+ *     computes and matches the face itself
+ *   - local: an embedding computed on the client is compared in-process with
+ *     users.face_embedding (see faceMatcher.js)
+ * The local match is weaker: the server only sees numbers the client sent, so
+ * a descriptor captured once can be replayed for every check. It is only used
+ * when chosen. IDENTITY_VERIFICATION_MODE picks remote (default), local, or
+ * auto, which falls back to the local match when the auth backend is down,
+ * except for answers to server-issued checks: those always need an image
+ * verified by the backend (or, in local mode, an embedding).
+ *
+ * The server also decides when checks happen. While a proctored session is
+ * active it sends `identity-check-request` to the interview room every
+ * IDENTITY_CHECK_INTERVAL_MINUTES (default 5, with some jitter so the time
+ * can't be predicted; 0 turns it off). The candidate answers by verifying
+ * with the challengeId; a challenge not answered within
+ * IDENTITY_CHECK_RESPONSE_SECONDS (default 60) is recorded as a failed check
+ * and an `identity_check_missed` proctoring event.
+ */
+
+const AUTH_BACKEND_URL=process.env.AUTH_BACKEND_URL||'http://localhost:5001';
+const MODE=['remote', 'local', 'auto'].includes(process.env.IDENTITY_VERIFICATION_MODE)? process.env.IDENTITY_VERIFICATION_MODE:'remote';
+const CHECK_INTERVAL_MINUTES=parseFloat(process.env.IDENTITY_CHECK_INTERVAL_MINUTES??'5');
+const RESPONSE_SECONDS=parseInt(process.env.IDENTITY_CHECK_RESPONSE_SECONDS)||60;
+const REMOTE_TIMEOUT_MS=10000;
+const INTERVAL_JITTER=0.3;
+
+export class IdentityError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='IdentityError';
+        this.status=status;
+    }
+}
+
+class IdentityVerification
+{
+    constructor()
+    {
+        this.io=null;
+        // interviewId -> {candidateUserId, timer, challenges: Map(challengeId -> {issuedAt, expiresAt, timer})}
+        this.schedules=new Map();
+    }
+
+    attach(io)
+    {
+        this.io=io;
+    }
+
+    // Auth backend result, or null when it can't be reached or fails
+    async verifyRemote(userId, image)
+    {
+        try
+        {
+            const response=await fetch(`${AUTH_BACKEND_URL}/api/auth/verify-identity`, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({user_id: userId, image, strict: true}),
+                signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS)
+            });
+            if (response.status>=500) throw new Error(`HTTP ${response.status}`);
+            const result=await response.json();
+            return {verified: Boolean(result.verified), score: result.score, liveness: result.liveness, reason: result.reason, method: 'remote'};
+        } catch (error)
+        {
+            console.warn('Identity verification service unavailable:', error.message);
+            return null;
+        }
+    }
+
+    async verifyLocal(userId, embedding)
+    {
+        const candidate=parseEmbedding(embedding);
+        if (!candidate) throw new IdentityError('embedding must be an array of numbers');
+        const registered=await registeredEmbedding(userId);
+        if (!registered) return {verified: false, score: null, reason: 'No registered face for this user', method: 'local'};
+        return {...matchEmbeddings(registered, candidate), method: 'local'};
+    }
+
+    /**
+     * {userId, image?, embedding?} -> {verified, score, reason, method, ...}
+     * fresh: the answer to a server-issued check, which auto mode never
+     * settles with a client embedding
+     */
+    async verify({userId, image, embedding}, {fresh=false}={})
+    {
+        if (!userId) throw new IdentityError('Missing userId');
+        if (MODE==='local')
+        {
+            if (!embedding) throw new IdentityError('Missing embedding');
+            return this.verifyLocal(userId, embedding);
+        }
+        if (!image) throw new IdentityError('Missing image');
+
+        const remote=await this.verifyRemote(userId, image);
+        if (remote) return remote;
+        if (MODE==='auto'&&embedding&&!fresh) return this.verifyLocal(userId, embedding);
+        throw new IdentityError('Identity verification service unavailable', 503);
+    }
+
+    /**
+     * Verify and record one identity check of an interview
+     * challengeId answers a server-issued check; it must still be open. It is
+     * only used up once the frame has been verified, so an answer that can't
+     * be checked leaves it to expire as missed. While checks are scheduled,
+     * the face is always compared with the interview's candidate.
+     */
+    async check(interviewId, {userId, image, embedding, challengeId})
+    {
+        const schedule=this.schedules.get(interviewId);
+        if (challengeId&&!schedule?.challenges.has(challengeId))
+        {
+            throw new IdentityError('Identity check has expired or was not issued for this interview', 409);
+        }
+        if (schedule)
+        {
+            const candidateUserId=schedule.candidateUserId??(await proctoringStore.getSession(interviewId))?.candidateUserId??null;
+            if (candidateUserId!==null)
+            {
+                if (userId!==undefined&&userId!==null&&String(userId)!==String(candidateUserId))
+                {
+                    throw new IdentityError('userId is not the candidate of this interview', 403);
+                }
+                userId=candidateUserId;
+            }
+        }
+
+        const result=await this.verify({userId, image, embedding}, {fresh: Boolean(challengeId)});
+        if (challengeId) this.claimChallenge(interviewId, challengeId);
+
+        await proctoringStore.addIdentityCheck(interviewId, {
+            timestamp: new Date(),
+            userId,
+            verified: result.verified,
+            score: result.score,
+            liveness: result.liveness,
+            reason: result.reason,
+            method: result.method,
+            challengeId: challengeId||null
+        });
+
+        // A failed check is also a proctoring event, so the rules can escalate it
+        if (!result.verified)
+        {
+            await proctoringMonitor.recordEvent(interviewId, {
+                eventType: 'identity_mismatch',
+                details: `Face does not match registered user. Score: ${result.score?.toFixed(3)||'N/A'}`,
+                candidateUserId: userId
+            });
+        }
+        return result;
+    }
+
+    claimChallenge(interviewId, challengeId)
+    {
+        const challenge=this.schedules.get(interviewId)?.challenges.get(challengeId);
+        if (!challenge) throw new IdentityError('Identity check has expired or was not issued for this interview', 409);
+        clearTimeout(challenge.timer);
+        this.schedules.get(interviewId).challenges.delete(challengeId);
+    }
+
+    // Start asking for identity checks in a proctored session
+    start(interviewId, {candidateUserId=null}={})
+    {
+        if (!CHECK_INTERVAL_MINUTES) return;
+        this.stop(interviewId);
+        this.schedules.set(interviewId, {candidateUserId, timer: null, challenges: new Map()});
+        this.scheduleNext(interviewId);
+    }
+
+    stop(interviewId)
+    {
+        const schedule=this.schedules.get(interviewId);
+        if (!schedule) return;
+        clearTimeout(schedule.timer);
+        for (const challenge of schedule.challenges.values()) clearTimeout(challenge.timer);
+        this.schedules.delete(interviewId);
+    }
+
+    scheduleNext(interviewId)
+    {
+        const schedule=this.schedules.get(interviewId);
+        if (!schedule) return;
+        const jitter=1-INTERVAL_JITTER+Math.random()*INTERVAL_JITTER*2;
+        schedule.timer=setTimeout(() =>
+        {
+            this.issue(interviewId).catch(error => console.warn(`Identity check for ${interviewId} failed:`, error.message));
+        }, CHECK_INTERVAL_MINUTES*60*1000*jitter);
+        schedule.timer.unref();
+    }
+
+    // Ask the candidate for a fresh frame; returns the challenge, or null when none was issued
+    async issue(interviewId)
+    {
+        const schedule=this.schedules.get(interviewId);
+        if (!schedule) return null;
+        const session=await proctoringStore.getSession(interviewId);
+        if (!session||session.status==='completed'||session.status==='terminated')
+        {
+            this.stop(interviewId);
+            return null;
+        }
+        // A paused session is under the proctor's attention; try again next round
+        if (session.status!=='active')
+        {
+            this.scheduleNext(interviewId);
+            return null;
+        }
+
+        const challengeId=uuidv4();
+        const issuedAt=new Date();
+        const expiresAt=new Date(issuedAt.getTime()+RESPONSE_SECONDS*1000);
+        const timer=setTimeout(() =>
+        {
+            this.expire(interviewId, challengeId).catch(error => console.warn(`Missed identity check for ${interviewId} not recorded:`, error.message));
+        }, RESPONSE_SECONDS*1000);
+        timer.unref();
+        schedule.challenges.set(challengeId, {issuedAt, expiresAt, timer});
+
+        const challenge={interviewId, challengeId, candidateUserId: schedule.candidateUserId??session.candidateUserId??null, issuedAt, expiresAt};
+        this.io?.to(interviewId).emit('identity-check-request', challenge);
+        this.scheduleNext(interviewId);
+        return challenge;
+    }
+
+    async expire(interviewId, challengeId)
+    {
+        const schedule=this.schedules.get(interviewId);
+        if (!schedule?.challenges.delete(challengeId)) return;
+        const userId=schedule.candidateUserId;
+        await proctoringStore.addIdentityCheck(interviewId, {
+            timestamp: new Date(),
+            userId: userId??'unknown',
+            verified: false,
+            score: null,
+            reason: `No frame sent within ${RESPONSE_SECONDS}s`,
+            method: 'none',
+            challengeId
+        });
+        await proctoringMonitor.recordEvent(interviewId, {
+            eventType: 'identity_check_missed',
+            details: `Identity check ${challengeId} was not answered within ${RESPONSE_SECONDS}s`,
+            candidateUserId: userId
+        });
+    }
+
+    // Open challenges of an interview (for the proctor dashboard)
+    pendingChallenges(interviewId)
+    {
+        const challenges=this.schedules.get(interviewId)?.challenges||new Map();
+        return [...challenges].map(([challengeId, {issuedAt, expiresAt}]) => ({challengeId, issuedAt, expiresAt}));
+    }
+}
+
+export default new IdentityVerification();
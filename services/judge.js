@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sandbox, {DEFAULT_LIMITS} from './sandbox.js';
+import harness from './harness.js';
+import {getLanguage, listLanguages} from './languages.js';
+import {checkerSource, normalizeComparison, normalizeText, outputsMatch} from './checker.js';
+
+/**
+ * Judge
+ * The one execution engine behind every code-running route: plain runs with
+ * stdin, and test runs either through a function harness or stdin/stdout.
+ * Compilation and execution both go through the sandbox.
+ */
+
+export const VERDICTS={
+    AC: 'Accepted',
+    WA: 'Wrong Answer',
+    TLE: 'Time Limit Exceeded',
+    MLE: 'Memory Limit Exceeded',
+    OLE: 'Output Limit Exceeded',
+    RE: 'Runtime Error',
+    CE: 'Compilation Error'
+};
+
+export const LIMITS={
+    run: {timeMs: DEFAULT_LIMITS.timeMs, memoryMb: DEFAULT_LIMITS.memoryMb, outputBytes: DEFAULT_LIMITS.outputBytes},
+    // Compilers are trusted binaries but still run sandboxed, with a longer time budget
+    compile: {timeMs: parseInt(process.env.MAX_COMPILE_TIME)||15000, memoryMb: 1024, addressSpace: false},
+    maxCodeBytes: 100*1024
+};
+
+class Judge
+{
+    get languages()
+    {
+        return listLanguages();
+    }
+
+    // Run a program once with the given stdin
+    async execute(code, language, input='', limits={})
+    {
+        const lang=getLanguage(language);
+        const rejection=this.checkSubmission(code, lang, language);
+        if (rejection) return this.toExecutionResult({verdict: 'CE', stdout: '', stderr: rejection, timeMs: 0, memoryKb: 0});
+
+        const result=await this.compileAndRun(lang, (lang.prelude||'')+code, input, limits);
+        return this.toExecutionResult(result);
+    }
+
+    /**
+     * Run a submission against test cases
+     * With a functionName map (or a problem signature) the candidate's function is called
+     * through the generated harness; without one each case's input is fed on stdin and
+     * stdout is compared. options.signature makes the harness typed, see signature.js;
+     * options.comparison / options.checker control how outputs are judged, see checker.js.
+     * The program is compiled once and the artifact is run per case, each case with
+     * its own time budget.
+     */
+    async runTests(code, language, testCases, functionName=null, {signature=null, comparison=null, checker=null, limits={}}={})
+    {
+        const results={totalTests: testCases.length, passedTests: 0, failedTests: 0, hiddenPassed: 0, hiddenTotal: testCases.filter(tc => tc.hidden).length, testResults: [], allPassed: false, verdict: null, error: null};
+        const lang=getLanguage(language);
+        const rejection=this.checkSubmission(code, lang, language);
+        if (rejection)
+        {
+            results.error=rejection;
+            results.verdict='CE';
+            results.failedTests=testCases.length;
+            return results;
+        }
+
+        const useHarness=Boolean(functionName||signature);
+        const compareOptions=normalizeComparison(comparison);
+        const checkerBuild=checker? await this.buildChecker(checker):null;
+        let build;
+        try
+        {
+            const source=useHarness? harness.generateSuiteCode(code, lang.id, testCases, functionName, signature):(lang.prelude||'')+code;
+            build=await this.build(lang, source, limits);
+        } catch (error)
+        {
+            if (checkerBuild) await sandbox.destroyWorkspace(checkerBuild.workspace);
+            results.error=error.message;
+            results.verdict='RE';
+            results.failedTests=testCases.length;
+            return results;
+        }
+
+        try
+        {
+            for (let i=0;i<testCases.length;i++)
+            {
+                const testCase=testCases[i];
+                const run=build.compileError
+                    ? {verdict: 'CE', stdout: '', stderr: build.compileError, timeMs: 0, memoryKb: 0}
+                    :await this.runBuild(build, useHarness? {args: [String(i)]}:{input: this.formatStdin(testCase.input)});
+
+                const actualOutput=run.stdout.trim();
+                let verdict=run.verdict;
+                let checkerError=null;
+                if (verdict==='AC'&&checkerBuild)
+                {
+                    const checked=await this.runChecker(checkerBuild, testCase, actualOutput);
+                    verdict=checked.verdict;
+                    checkerError=checked.error;
+                }
+                else if (verdict==='AC') verdict=this.compareOutputs(actualOutput, testCase.output, compareOptions)? 'AC':'WA';
+                const passed=verdict==='AC';
+                results.testResults.push({
+                    caseNumber: i+1, hidden: Boolean(testCase.hidden), passed, verdict,
+                    input: testCase.hidden? 'Hidden':testCase.input,
+                    expectedOutput: testCase.hidden? 'Hidden':testCase.output,
+                    actualOutput: run.verdict==='AC'? actualOutput:null,
+                    error: passed? null:(checkerError||run.stderr||null),
+                    executionTime: run.timeMs,
+                    memoryUsed: run.memoryKb
+                });
+                if (passed) {results.passedTests++; if (testCase.hidden) results.hiddenPassed++;}
+                else
+                {
+                    results.failedTests++;
+                    if (!results.verdict) results.verdict=verdict;
+                }
+            }
+        } finally
+        {
+            await sandbox.destroyWorkspace(build.workspace);
+            if (checkerBuild) await sandbox.destroyWorkspace(checkerBuild.workspace);
+        }
+        results.allPassed=(results.passedTests===results.totalTests);
+        if (!results.verdict) results.verdict='AC';
+        if (build.compileError) results.error=build.compileError;
+        return results;
+    }
+
+    // Checkers are problem-authored, so a checker that fails to build is a problem error, not a verdict
+    async buildChecker(checker)
+    {
+        const lang=getLanguage(checker.language||'python');
+        const source=checkerSource(checker, lang?.id);
+        const build=await this.build(lang, source);
+        if (build.compileError)
+        {
+            await sandbox.destroyWorkspace(build.workspace);
+            throw new Error(`Checker failed to build: ${build.compileError}`);
+        }
+        return build;
+    }
+
+    async runChecker(checkerBuild, testCase, actualOutput)
+    {
+        const input=JSON.stringify({input: testCase.input, expected: testCase.output, actual: this.parseValue(actualOutput)});
+        const run=await this.runBuild(checkerBuild, {input});
+        if (run.verdict!=='AC') return {verdict: 'WA', error: `Checker failed (${VERDICTS[run.verdict]}): ${run.stderr}`.trim()};
+        const accepted=run.stdout.trim().split('\n').pop()==='AC';
+        return {verdict: accepted? 'AC':'WA', error: accepted? null:(run.stderr.trim()||null)};
+    }
+
+    checkSubmission(code, lang, language)
+    {
+        if (sandbox.refusal) return sandbox.refusal;
+        if (!lang) return `Language ${language} not supported`;
+        if (typeof code!=='string'||code.length===0) return 'No code provided';
+        if (code.length>LIMITS.maxCodeBytes) return `Code exceeds maximum size of ${LIMITS.maxCodeBytes/1024}KB`;
+        // Pattern checks are trivially bypassed; they only guard hosts where no isolation backend is available
+        if (!sandbox.isolated)
+        {
+            const securityCheck=this.validateCodeSecurity(code, lang.id);
+            if (!securityCheck.safe) return `Security violation: ${securityCheck.reason}`;
+        }
+        return null;
+    }
+
+    /**
+     * Write the source into a fresh scratch dir and compile it if the language needs it
+     * The caller owns the returned build and must release build.workspace.
+     */
+    async build(lang, source, limits={})
+    {
+        const runLimits={...LIMITS.run, ...lang.limits, ...limits};
+        const sourceFile=lang.sourceFile(source);
+        const workspace=await sandbox.createWorkspace();
+        const cacheDir=lang.cache? await sandbox.cacheDir(lang.cache):null;
+        const context={sourceFile, workspace, cacheDir, limits: runLimits};
+        const build={lang, workspace, context, compileError: null};
+        try
+        {
+            const files={...(lang.files? lang.files(context):{}), [sourceFile]: source};
+            for (const [name, contents] of Object.entries(files)) await fs.writeFile(path.join(workspace, name), contents);
+            if (lang.compile)
+            {
+                const [compiler, compilerArgs]=lang.compile(context);
+                const compiled=await sandbox.run(compiler, compilerArgs, {
+                    workspace,
+                    limits: {...LIMITS.compile, ...lang.compileLimits},
+                    env: {...lang.env, ...(lang.compileEnv? lang.compileEnv(context):{})},
+                    binds: cacheDir? [cacheDir]:[]
+                });
+                if (compiled.verdict!=='OK') build.compileError=compiled.stderr||compiled.stdout||VERDICTS.CE;
+            }
+            return build;
+        } catch (error)
+        {
+            await sandbox.destroyWorkspace(workspace);
+            throw error;
+        }
+    }
+
+    // Execute a compiled build once; extra args are appended to the language's run command
+    async runBuild(build, {input='', args=[]}={})
+    {
+        const [command, baseArgs]=build.lang.run(build.context);
+        const result=await sandbox.run(command, [...baseArgs, ...args], {workspace: build.workspace, input, limits: build.context.limits, env: build.lang.env});
+        return {...result, verdict: result.verdict==='OK'? 'AC':result.verdict};
+    }
+
+    async compileAndRun(lang, source, input='', limits={})
+    {
+        const build=await this.build(lang, source, limits);
+        try
+        {
+            if (build.compileError) return {verdict: 'CE', stdout: '', stderr: build.compileError, timeMs: 0, memoryKb: 0};
+            return await this.runBuild(build, {input});
+        } finally
+        {
+            await sandbox.destroyWorkspace(build.workspace);
+        }
+    }
+
+    toExecutionResult(run)
+    {
+        const limitHit=['TLE', 'MLE', 'OLE'].includes(run.verdict);
+        const errors=limitHit? [run.stderr, VERDICTS[run.verdict]].filter(Boolean).join('\n'):run.stderr;
+        return {
+            output: run.stdout,
+            errors,
+            executionTime: run.timeMs,
+            memoryUsed: run.memoryKb,
+            verdict: run.verdict,
+            status: VERDICTS[run.verdict],
+            limitExceeded: run.verdict==='AC'||run.verdict==='CE'? null:run.verdict,
+            exitCode: run.exitCode??null,
+            hasError: run.verdict!=='AC'||run.stderr.length>0
+        };
+    }
+
+    formatStdin(input)
+    {
+        if (input===undefined||input===null) return '';
+        if (typeof input==='string') return input;
+        if (Array.isArray(input)) return input.join('\n');
+        return JSON.stringify(input);
+    }
+
+    parseValue(val)
+    {
+        if (val===null||val===undefined) return val;
+        if (typeof val!=='string') return val;
+        const trimmed=val.trim();
+        if (trimmed==='true') return true;
+        if (trimmed==='false') return false;
+        try {return JSON.parse(trimmed);} catch (e) {}
+        return val;
+    }
+
+    // comparison is a mode name or {mode, epsilon, depth}; defaults to exact
+    compareOutputs(actual, expected, comparison=null)
+    {
+        if (!actual) return expected===''||expected===null||expected===undefined;
+        try
+        {
+            return outputsMatch(this.parseValue(actual), this.parseValue(expected), normalizeComparison(comparison));
+        } catch (error)
+        {
+            return normalizeText(actual)===normalizeText(String(expected));
+        }
+    }
+
+    validateCodeSecurity(code, language)
+    {
+        const patterns=getLanguage(language)?.unsafePatterns||[];
+        for (const pattern of patterns)
+        {
+            if (pattern.test(code))
+            {
+                return {safe: false, reason: `Dangerous pattern detected: ${pattern.toString()}`};
+            }
+        }
+        return {safe: true};
+    }
+
+    async validateSyntax(code, language)
+    {
+        try
+        {
+            const result=await this.execute(code, language, '');
+            return {valid: !result.hasError, errors: result.hasError? result.errors:null};
+        } catch (error)
+        {
+            return {valid: false, errors: error.message};
+        }
+    }
+}
+
+export default new Judge();
@@ -0,0 +1,215 @@
+import * as cppHarness from './harnesses/cpp.js';
+import * as csharpHarness from './harnesses/csharp.js';
+import * as goHarness from './harnesses/go.js';
+import * as javaHarness from './harnesses/java.js';
+import * as javascriptHarness from './harnesses/javascript.js';
+import * as kotlinHarness from './harnesses/kotlin.js';
+import * as pythonHarness from './harnesses/python.js';
+import * as rustHarness from './harnesses/rust.js';
+import * as typescriptHarness from './harnesses/typescript.js';
+
+/**
+ * Language Registry
+ * Single source of truth for how each supported language is written to disk,
+ * compiled and run inside the sandbox. Used by the judge for plain executions
+ * and test runs alike. Adding a language is one entry here (plus a harness
+ * module under services/harnesses/ if it supports function problems):
+ *
+ *   extension       source file extension
+ *   sourceFile      (code) => file name the source is written to
+ *   files           ({sourceFile}) => extra project files, {name: contents}
+ *   compile / run   (context) => [command, args]; context has sourceFile, workspace, limits, cacheDir
+ *   env             extra environment for compiling and running
+ *   compileEnv      (context) => extra environment for the compiler only
+ *   cache           name of a compiler cache kept across builds (temp/.cache/<name>)
+ *   limits          run limit overrides; compileLimits overrides the judge's compile limits
+ *   naming          function naming convention (camel, pascal or snake)
+ *   functionPattern regex whose first matching group is the candidate's function name
+ *   harness         typed suite and starter code generator
+ *   unsafePatterns  source patterns refused when no isolation backend is available
+ */
+
+function javaClassName(code)
+{
+    const match=code.match(/public\s+class\s+(\w+)/);
+    return match? match[1]:'Main';
+}
+
+const JVM_UNSAFE=[/Runtime\.getRuntime/i, /ProcessBuilder/i, /java\.io\.File/i, /java\.nio\.file/i, /System\.exit/i, /Class\.forName/i];
+const NODE_UNSAFE=[/require\s*\(/i, /import\s+/i, /eval\(/i, /Function\(/i, /child_process/i, /fs\./i, /process\./i];
+
+export const LANGUAGES={
+    python: {
+        name: 'Python',
+        aliases: ['py', 'python3'],
+        extension: 'py',
+        sourceFile: () => 'main.py',
+        run: () => ['python', ['main.py']],
+        naming: 'snake',
+        functionPattern: /^def\s+([a-zA-Z_]\w*)\s*\(/m,
+        harness: pythonHarness,
+        unsafePatterns: [/import\s+os/i, /import\s+subprocess/i, /import\s+sys/i, /__import__/i, /eval\(/i, /exec\(/i, /compile\(/i, /open\(/i, /file\(/i]
+    },
+    javascript: {
+        name: 'JavaScript',
+        aliases: ['js', 'node'],
+        extension: 'js',
+        sourceFile: () => 'main.cjs',
+        // Line-by-line stdin reader kept for programs written against the old executor's input() shim
+        prelude: "const __lines=require('fs').readFileSync(0, 'utf8').split('\\n'); let __line=0; globalThis.input=() => __lines[__line++]||'';\n",
+        run: ({limits}) => ['node', [`--max-old-space-size=${limits.memoryMb}`, 'main.cjs']],
+        limits: {addressSpace: false},
+        naming: 'camel',
+        functionPattern: /(?:function\s+([a-zA-Z_]\w*)\s*\(|(?:const|let|var)\s+([a-zA-Z_]\w*)\s*=\s*(?:function|\())/m,
+        harness: javascriptHarness,
+        unsafePatterns: NODE_UNSAFE
+    },
+    typescript: {
+        name: 'TypeScript',
+        aliases: ['ts'],
+        extension: 'ts',
+        sourceFile: () => 'main.ts',
+        // tsc needs a project file, and the emitted main.js must load as CommonJS whatever package.json sits above the workspace
+        files: () => ({
+            'tsconfig.json': JSON.stringify({compilerOptions: {target: 'es2020', module: 'commonjs', strict: false, noEmitOnError: true, skipLibCheck: true, types: [], lib: ['es2020', 'dom']}, files: ['main.ts']}),
+            'package.json': JSON.stringify({type: 'commonjs'})
+        }),
+        compile: () => ['tsc', ['-p', 'tsconfig.json']],
+        run: ({limits}) => ['node', [`--max-old-space-size=${limits.memoryMb}`, 'main.js']],
+        limits: {addressSpace: false},
+        naming: 'camel',
+        functionPattern: /(?:function\s+([a-zA-Z_]\w*)\s*[(<]|(?:const|let|var)\s+([a-zA-Z_]\w*)\s*(?::[^=]+)?=\s*(?:function|\())/m,
+        harness: typescriptHarness,
+        unsafePatterns: NODE_UNSAFE
+    },
+    java: {
+        name: 'Java',
+        aliases: [],
+        extension: 'java',
+        sourceFile: (code) => `${javaClassName(code)}.java`,
+        // Classes are emitted into and loaded from the run's own scratch dir only, so concurrent
+        // submissions never see each other's Main/Solution classes. -XX:-UsePerfData and the
+        // tmpdir override keep the JVM from writing to the shared /tmp.
+        compile: ({sourceFile, workspace}) => ['javac', ['-J-XX:-UsePerfData', '-encoding', 'UTF-8', '-d', workspace, '-cp', workspace, sourceFile]],
+        run: ({sourceFile, workspace, limits}) => ['java', ['-XX:-UsePerfData', `-Djava.io.tmpdir=${workspace}`, `-Xmx${limits.memoryMb}m`, '-Xss64m', '-cp', workspace, sourceFile.replace(/\.java$/, '')]],
+        limits: {addressSpace: false},
+        naming: 'camel',
+        functionPattern: /public\s+\S+\s+([a-zA-Z_]\w*)\s*\(/m,
+        harness: javaHarness,
+        unsafePatterns: JVM_UNSAFE
+    },
+    kotlin: {
+        name: 'Kotlin',
+        aliases: ['kt'],
+        extension: 'kt',
+        sourceFile: () => 'main.kt',
+        compile: () => ['kotlinc', ['main.kt', '-include-runtime', '-nowarn', '-d', 'main.jar']],
+        compileEnv: ({workspace}) => ({JAVA_OPTS: `-XX:-UsePerfData -Djava.io.tmpdir=${workspace}`}),
+        run: ({workspace, limits}) => ['java', ['-XX:-UsePerfData', `-Djava.io.tmpdir=${workspace}`, `-Xmx${limits.memoryMb}m`, '-Xss64m', '-jar', 'main.jar']],
+        limits: {addressSpace: false},
+        // kotlinc is a JVM that starts cold on every build
+        compileLimits: {timeMs: 60000, memoryMb: 2048, processes: 256},
+        naming: 'camel',
+        functionPattern: /fun\s+([a-zA-Z_]\w*)\s*\(/m,
+        harness: kotlinHarness,
+        unsafePatterns: [...JVM_UNSAFE, /exitProcess/i]
+    },
+    csharp: {
+        name: 'C#',
+        aliases: ['cs', 'c#', 'dotnet'],
+        extension: 'cs',
+        sourceFile: () => 'main.cs',
+        files: () => ({
+            'main.csproj': '<Project Sdk="Microsoft.NET.Sdk">\n  <PropertyGroup>\n    <OutputType>Exe</OutputType>\n    <TargetFramework>net8.0</TargetFramework>\n    <ImplicitUsings>enable</ImplicitUsings>\n    <Nullable>disable</Nullable>\n    <AssemblyName>main</AssemblyName>\n    <InvariantGlobalization>true</InvariantGlobalization>\n  </PropertyGroup>\n</Project>\n'
+        }),
+        // Build servers would outlive the sandboxed compile, so MSBuild node reuse and the shared compiler are off
+        compile: () => ['dotnet', ['build', 'main.csproj', '-c', 'Release', '-o', 'out', '-nologo', '-v', 'q', '-nodeReuse:false', '-p:UseSharedCompilation=false']],
+        // W^X double mapping sizes a memfd far beyond the file size rlimit, so it is switched off
+        env: {DOTNET_EnableWriteXorExecute: '0', DOTNET_CLI_TELEMETRY_OPTOUT: '1', DOTNET_NOLOGO: '1'},
+        compileEnv: ({cacheDir}) => ({DOTNET_CLI_HOME: cacheDir, NUGET_PACKAGES: `${cacheDir}/packages`, DOTNET_SKIP_FIRST_TIME_EXPERIENCE: '1'}),
+        cache: 'dotnet',
+        run: () => ['dotnet', ['out/main.dll']],
+        limits: {addressSpace: false},
+        compileLimits: {timeMs: 60000, memoryMb: 2048, processes: 256},
+        naming: 'pascal',
+        functionPattern: /public\s+(?:static\s+)?[\w<>[\],?\s]+?\s+([A-Za-z_]\w*)\s*\(/m,
+        harness: csharpHarness,
+        unsafePatterns: [/System\.Diagnostics/i, /Process\.Start/i, /System\.IO/i, /System\.Net/i, /DllImport/i, /Environment\.Exit/i]
+    },
+    cpp: {
+        name: 'C++',
+        aliases: ['c++'],
+        extension: 'cpp',
+        sourceFile: () => 'main.cpp',
+        compile: () => ['g++', ['-O2', '-std=c++17', 'main.cpp', '-o', 'main']],
+        run: () => ['./main', []],
+        naming: 'camel',
+        functionPattern: /(?:int|long|double|void|bool|char|string|vector\s*<.+?>|(?:ListNode|TreeNode)\s*\*|auto)\s+\**([a-zA-Z_]\w*)\s*\(/m,
+        harness: cppHarness,
+        unsafePatterns: [/system\s*\(/i, /exec\w*\s*\(/i, /popen/i, /#include\s*<fstream>/i, /remove\s*\(/i, /rename\s*\(/i]
+    },
+    c: {
+        name: 'C',
+        aliases: [],
+        extension: 'c',
+        sourceFile: () => 'main.c',
+        compile: () => ['gcc', ['-O2', 'main.c', '-o', 'main', '-lm']],
+        run: () => ['./main', []],
+        unsafePatterns: [/system\s*\(/i, /exec\w*\s*\(/i, /popen/i, /fopen/i, /remove\s*\(/i, /rename\s*\(/i]
+    },
+    go: {
+        name: 'Go',
+        aliases: ['golang'],
+        extension: 'go',
+        sourceFile: () => 'main.go',
+        // The build cache is shared between runs; a cold standard library build takes several seconds
+        compile: () => ['go', ['build', '-o', 'main', 'main.go']],
+        compileEnv: ({cacheDir, workspace}) => ({GOCACHE: cacheDir, GOPATH: `${workspace}/.go`, CGO_ENABLED: '0', GO111MODULE: 'off', GOFLAGS: ''}),
+        cache: 'go',
+        compileLimits: {processes: 256},
+        run: () => ['./main', []],
+        limits: {addressSpace: false},
+        naming: 'camel',
+        functionPattern: /^func\s+(?:\([^)]*\)\s*)?([a-zA-Z_]\w*)\s*\(/m,
+        harness: goHarness,
+        unsafePatterns: [/"os\/exec"/, /"syscall"/, /"net/, /"unsafe"/, /"os"/, /"io\/ioutil"/]
+    },
+    rust: {
+        name: 'Rust',
+        aliases: ['rs'],
+        extension: 'rs',
+        sourceFile: () => 'main.rs',
+        compile: () => ['rustc', ['--edition', '2021', '-O', '-o', 'main', 'main.rs']],
+        run: () => ['./main', []],
+        naming: 'snake',
+        functionPattern: /fn\s+([a-zA-Z_]\w*)\s*[(<]/m,
+        harness: rustHarness,
+        unsafePatterns: [/std::process/i, /std::fs/i, /std::net/i, /unsafe\s*\{/i, /extern\s+"C"/i]
+    }
+};
+
+// Map user-facing names and aliases ("js", "c++", "Python") to a registry key
+export function resolveLanguage(language)
+{
+    if (!language) return null;
+    const key=String(language).toLowerCase();
+    if (LANGUAGES[key]) return key;
+    return Object.keys(LANGUAGES).find(id => LANGUAGES[id].aliases.includes(key))||null;
+}
+
+export function getLanguage(language)
+{
+    const key=resolveLanguage(language);
+    return key? {id: key, ...LANGUAGES[key]}:null;
+}
+
+export function listLanguages()
+{
+    return Object.entries(LANGUAGES).map(([id, lang]) => ({
+        id,
+        name: lang.name,
+        extension: lang.extension,
+        compiled: Boolean(lang.compile),
+        functionHarness: Boolean(lang.harness)
+    }));
+}
@@ -0,0 +1,112 @@
+import {v4 as uuidv4} from 'uuid';
+import {VERDICTS} from './judge.js';
+import submissionQueue, {QueueFullError} from './submissionQueue.js';
+import collaborativeEditor from './collaborativeEditor.js';
+import liveInterviewStore from './liveInterviewStore.js';
+
+/**
+ * Live Code Runner
+ * Runs the shared editor's code of a live interview on the server, through
+ * the same judge queue as every other run, so the output the room sees is
+ * what the program really printed. The code is the editor document at the
+ * moment of the request, not whatever a client sends along. Every run is
+ * saved as a code_snapshot artifact with its result under `run`.
+ *
+ * One run at a time per session; a second request while one is going fails
+ * with 409.
+ */
+
+const MAX_INPUT_BYTES=64*1024;
+const MAX_TEST_CASES=50;
+
+export class RunError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='RunError';
+        this.status=status;
+    }
+}
+
+// Result as shown to the room; hidden test cases only report whether they passed
+function toRunResult(type, result)
+{
+    if (type==='execute')
+    {
+        return {
+            verdict: result.verdict,
+            status: result.status,
+            stdout: result.output,
+            stderr: result.errors,
+            exitCode: result.exitCode,
+            executionTime: result.executionTime,
+            memoryUsed: result.memoryUsed
+        };
+    }
+    return {
+        verdict: result.verdict||'AC',
+        status: VERDICTS[result.verdict||'AC'],
+        passed: result.passedTests,
+        total: result.totalTests,
+        error: result.error,
+        tests: result.testResults.map(t => t.hidden
+            ? {caseNumber: t.caseNumber, hidden: true, passed: t.passed, verdict: t.verdict}
+            : {caseNumber: t.caseNumber, hidden: false, passed: t.passed, verdict: t.verdict, input: t.input, expectedOutput: t.expectedOutput, actualOutput: t.actualOutput, error: t.error, executionTime: t.executionTime}),
+        executionTime: Math.max(0, ...result.testResults.map(t => t.executionTime||0)),
+        memoryUsed: Math.max(0, ...result.testResults.map(t => t.memoryUsed||0))
+    };
+}
+
+class LiveCodeRunner
+{
+    constructor()
+    {
+        this.running=new Set();
+    }
+
+    /**
+     * Run the session's code and save it with its result
+     * onStart({runId, type, revision, language}) is called once the run is
+     * accepted; bad requests and a busy session throw RunError before that.
+     * Returns {runId, type, revision, language, by, startedAt, finishedAt,
+     * ...result}; a run the judge could not do is saved too, with an `error`
+     * (and `retryAfter` when the queue was full).
+     */
+    async run(sessionId, {input='', testCases=null}={}, {by=null, onStart=() => {}}={})
+    {
+        if (typeof input!=='string'||Buffer.byteLength(input)>MAX_INPUT_BYTES) throw new RunError(`input must be a string of at most ${MAX_INPUT_BYTES} bytes`);
+        if (testCases!==null&&(!Array.isArray(testCases)||testCases.length>MAX_TEST_CASES)) throw new RunError(`testCases must be an array of at most ${MAX_TEST_CASES} cases`);
+
+        const {code, language, revision}=collaborativeEditor.state(await collaborativeEditor.open(sessionId, {persist: true}));
+        if (!code.trim()) throw new RunError('There is no code to run');
+        if (this.running.has(sessionId)) throw new RunError('Code is already running in this interview', 409);
+        this.running.add(sessionId);
+
+        const runId=uuidv4();
+        const type=testCases?.length? 'tests':'execute';
+        const payload=type==='tests'? {code, language, testCases, functionName: null, options: {}}:{code, language, input};
+        const startedAt=new Date();
+        let outcome;
+        try
+        {
+            onStart({runId, type, revision, language});
+            outcome=toRunResult(type, await submissionQueue.run(type, payload));
+        } catch (error)
+        {
+            outcome=error instanceof QueueFullError
+                ? {verdict: null, status: 'Judge queue is full', error: error.message, retryAfter: error.retryAfterSeconds}
+                :{verdict: null, status: 'Execution failed', error: error.message};
+        } finally
+        {
+            this.running.delete(sessionId);
+        }
+
+        const run={runId, type, revision, language, by, startedAt, finishedAt: new Date(), ...outcome};
+        await liveInterviewStore.addArtifact(sessionId, 'code_snapshot', {code, language, revision, run}, {author: by, timestamp: run.finishedAt})
+            .catch(error => console.warn(`Could not save run ${runId} of live interview ${sessionId}:`, error.message));
+        return run;
+    }
+}
+
+export default new LiveCodeRunner();
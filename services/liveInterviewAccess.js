@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {v4 as uuidv4} from 'uuid';
+import {JWT_SECRET} from '../middleware/auth.js';
+import {query} from '../db/database.js';
+import liveInterviewStore from './liveInterviewStore.js';
+
+/**
+ * Live Interview Access
+ * Who may join a live interview, and as what. Every participant gets their
+ * own join token: a JWT signed with LIVE_INTERVIEW_TOKEN_SECRET (by default a
+ * key derived from JWT_SECRET_KEY, never the account key itself) that names
+ * the session, the role and a participant id, and expires
+ * LIVE_INTERVIEW_JOIN_GRACE_MINUTES (default 30) after the interview's
+ * scheduled end. The role comes from the token only, so a candidate link
+ * can't be used to join as recruiter, and a join token is never accepted as
+ * an account token.
+ *
+ * Join tokens are for taking part. Reviewing an interview afterwards (its
+ * record, code history and replay) takes a signed-in account: an admin, the
+ * session's recruiter, or a member of the company whose job it is for.
+ *
+ * Candidates wait in a waiting room until a recruiter admits them; the
+ * candidate's socket is told with `admitted` or `admission-denied` in the
+ * `waiting-<participantId>` room and then joins the interview room. A
+ * rejected participant can't join again with the same token.
+ */
+
+const TOKEN_SECRET=process.env.LIVE_INTERVIEW_TOKEN_SECRET||crypto.createHmac('sha256', JWT_SECRET).update('live-interview-join').digest('hex');
+const JOIN_GRACE_MINUTES=parseInt(process.env.LIVE_INTERVIEW_JOIN_GRACE_MINUTES)||30;
+const AUDIENCE='live-interview';
+
+export const PARTICIPANT_ROLES=['recruiter', 'candidate'];
+
+export class JoinError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='JoinError';
+        this.status=status;
+    }
+}
+
+class LiveInterviewAccess
+{
+    constructor()
+    {
+        this.io=null;
+    }
+
+    attach(io)
+    {
+        this.io=io;
+    }
+
+    // Join links stop working this long after the interview was due to end
+    expiresAt(session)
+    {
+        const start=Math.max(new Date(session.scheduledTime).getTime(), Date.now());
+        return new Date(start+((session.duration||60)+JOIN_GRACE_MINUTES)*60*1000);
+    }
+
+    /**
+     * Token for one participant: {participantId, role, name, token, expiresAt, joinUrl}
+     */
+    issueToken(session, {role, name=null})
+    {
+        if (!PARTICIPANT_ROLES.includes(role)) throw new JoinError(`role must be one of ${PARTICIPANT_ROLES.join(', ')}`);
+        const participantId=uuidv4();
+        const expiresAt=this.expiresAt(session);
+        const token=jwt.sign({sid: session.id, pid: participantId, role, name}, TOKEN_SECRET, {
+            audience: AUDIENCE,
+            expiresIn: Math.max(Math.floor((expiresAt.getTime()-Date.now())/1000), 1)
+        });
+        return {participantId, role, name, token, expiresAt, joinUrl: `/live-interview/${session.id}?token=${token}`};
+    }
+
+    // {participantId, role, name} from a token issued for this session
+    verify(token, sessionId)
+    {
+        if (!token) throw new JoinError('Join token required', 401);
+        let claims;
+        try
+        {
+            claims=jwt.verify(token, TOKEN_SECRET, {audience: AUDIENCE});
+        } catch (error)
+        {
+            throw new JoinError(error.name==='TokenExpiredError'? 'Join link has expired':'Invalid join link', 401);
+        }
+        if (claims.sid!==sessionId) throw new JoinError('Join link is for another interview', 403);
+        return {participantId: claims.pid, role: claims.role, name: claims.name};
+    }
+
+    async requireSession(sessionId)
+    {
+        const session=await liveInterviewStore.getSession(sessionId);
+        if (!session) throw new JoinError('Session not found', 404);
+        return session;
+    }
+
+    async requireRecruiter(sessionId, token)
+    {
+        const claims=this.verify(token, sessionId);
+        if (claims.role!=='recruiter') throw new JoinError('Only the recruiter can do this', 403);
+        return claims;
+    }
+
+    // Signed-in user (req.user) allowed to review the session's record
+    async requireReviewer(session, user)
+    {
+        if (!user) throw new JoinError('Sign in to review interviews', 401);
+        if (user.role==='admin') return;
+        if (session.recruiterId!==undefined&&session.recruiterId!==null&&String(session.recruiterId)===String(user.id)) return;
+        if (session.jobId)
+        {
+            const [member]=await query(`
+                SELECT cm.id FROM jobs j
+                JOIN company_members cm ON cm.company_id = j.company_id
+                WHERE j.id = ? AND cm.user_id = ? AND cm.is_active = TRUE
+            `, [session.jobId, user.id]);
+            if (member) return;
+        }
+        throw new JoinError('Only the recruiter or their company can review this interview', 403);
+    }
+
+    /**
+     * Register a participant joining with their token
+     * Recruiters are admitted straight away; candidates start in the waiting
+     * room, and joining again keeps the admission decided before.
+     * Returns {session, participant}.
+     */
+    async join(sessionId, token, {name, cameras}={})
+    {
+        const claims=this.verify(token, sessionId);
+        const session=await this.requireSession(sessionId);
+        if (session.status==='completed') throw new JoinError('Interview has ended', 410);
+
+        const existing=session.participants.find(p => p.id===claims.participantId);
+        if (existing?.admission==='rejected') throw new JoinError('The recruiter declined this participant', 403);
+
+        const admitted=claims.role==='recruiter'||existing?.admission==='admitted';
+        const participant={
+            id: claims.participantId,
+            name: name||claims.name||existing?.name||null,
+            role: claims.role,
+            joinedAt: existing?.joinedAt||new Date(),
+            admission: admitted? 'admitted':'waiting',
+            admittedAt: admitted? (existing?.admittedAt||new Date()):null,
+            cameras: cameras||existing?.cameras||{primary: null, secondary: null},
+            audioEnabled: true,
+            videoEnabled: true
+        };
+        await liveInterviewStore.addParticipant(sessionId, participant);
+        session.participants=[...session.participants.filter(p => p.id!==participant.id), participant];
+
+        if (participant.admission==='waiting')
+        {
+            this.io?.to(`live-${sessionId}`).emit('participant-waiting', {participantId: participant.id, name: participant.name, role: participant.role});
+        }
+        await this.updateStatus(session);
+        return {session, participant};
+    }
+
+    // Recruiter decision on a waiting participant: 'admitted' or 'rejected'
+    async decide(sessionId, participantId, admission)
+    {
+        const session=await this.requireSession(sessionId);
+        const participant=session.participants.find(p => p.id===participantId);
+        if (!participant) throw new JoinError('Participant not found', 404);
+        if (participant.role==='recruiter') throw new JoinError('Recruiters do not wait for admission');
+
+        Object.assign(participant, {admission, admittedAt: admission==='admitted'? new Date():null});
+        await liveInterviewStore.setAdmission(sessionId, participantId, admission);
+
+        const event=admission==='admitted'? 'admitted':'admission-denied';
+        this.io?.to(`waiting-${participantId}`).emit(event, {sessionId, participantId, timestamp: new Date()});
+        this.io?.to(`live-${sessionId}`).emit('participant-admission', {participantId, name: participant.name, admission});
+        await this.updateStatus(session);
+        return {session, participant};
+    }
+
+    admit(sessionId, participantId)
+    {
+        return this.decide(sessionId, participantId, 'admitted');
+    }
+
+    reject(sessionId, participantId)
+    {
+        return this.decide(sessionId, participantId, 'rejected');
+    }
+
+    // Waiting once anyone has joined; in progress once a recruiter and an admitted candidate are in
+    async updateStatus(session)
+    {
+        const admitted=session.participants.filter(p => p.admission==='admitted');
+        let status=session.status;
+        if (status==='scheduled') status='waiting';
+        if (status==='waiting'&&admitted.some(p => p.role==='recruiter')&&admitted.some(p => p.role==='candidate'))
+        {
+            status='in-progress';
+            session.startedAt=new Date();
+        }
+        if (status===session.status) return;
+        session.status=status;
+        await liveInterviewStore.updateSession(session.id, {status, startedAt: session.startedAt});
+    }
+}
+
+export default new LiveInterviewAccess();
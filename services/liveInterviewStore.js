@@ -0,0 +1,464 @@
+import {isDatabaseConnected, query} from '../db/database.js';
+
+/**
+ * Live Interview Store
+ * Live interview sessions and everything produced during them. A session is
+ * a row of interview_schedules (found by live_session_id); feedback goes to
+ * interview_feedback, participants to live_interview_participants, and
+ * artifacts to live_interview_artifacts. An artifact is one timestamped item
+ * of a given kind:
+ *   code_snapshot     {code, language, snapshotId?, final?, revision?, run?}
+ *                     (run: result of a server-side run, see liveCodeRunner.js)
+ *   chat_message      {message, userName}
+ *   whiteboard_stroke {drawData}
+ *   whiteboard_clear  {}
+ *   note              {note}
+ *   question          {question, assignedTo}
+ *   proctoring_event  the event as the client sent it
+ * Edits of the shared code editor go to live_interview_code_ops, one row per
+ * document revision (see collaborativeEditor.js).
+ * The in-memory store has the same methods and is used when no database is
+ * configured.
+ */
+
+export const ARTIFACT_KINDS=['code_snapshot', 'chat_message', 'whiteboard_stroke', 'whiteboard_clear', 'note', 'question', 'proctoring_event'];
+
+// interview_schedules spells in-progress with an underscore
+const toDbStatus=status => status==='in-progress'? 'in_progress':status;
+const fromDbStatus=status => status==='in_progress'? 'in-progress':status;
+
+const RECOMMENDATIONS=['strong_hire', 'hire', 'maybe', 'no_hire', 'strong_no_hire'];
+
+/**
+ * Feedback in interview_feedback's shape from what a recruiter sends: free
+ * text, or {rating, technicalScore, communicationScore, problemSolvingScore,
+ * culturalFitScore, recommendation, strengths, weaknesses, feedback}.
+ * Returns null when there is nothing to store.
+ */
+export function normalizeFeedback(input, {interviewerUserId=null, interviewerName=null}={})
+{
+    if (input===null||input===undefined||input==='') return null;
+    const fields=typeof input==='object'? input:{feedback: String(input)};
+    const rating=(value) =>
+    {
+        const number=value===null||value===undefined||value===''? NaN:Number(value);
+        return number>=0&&number<=100? number:null;
+    };
+    const text=value => Array.isArray(value)? value.join('\n'):(typeof value==='string'&&value? value:null);
+
+    const content={
+        overallRating: rating(fields.overallRating??fields.rating),
+        technicalRating: rating(fields.technicalRating??fields.technicalScore),
+        communicationRating: rating(fields.communicationRating??fields.communicationScore),
+        problemSolvingRating: rating(fields.problemSolvingRating??fields.problemSolvingScore),
+        culturalFitRating: rating(fields.culturalFitRating??fields.culturalFitScore),
+        recommendation: RECOMMENDATIONS.includes(fields.recommendation)? fields.recommendation:null,
+        strengths: text(fields.strengths),
+        weaknesses: text(fields.weaknesses),
+        detailedFeedback: text(fields.detailedFeedback??fields.feedback??fields.comments)
+    };
+    if (Object.values(content).every(value => value===null)) return null;
+    return {
+        // Recruiters without an account are kept by name only
+        interviewerUserId: /^\d+$/.test(String(interviewerUserId))? Number(interviewerUserId):null,
+        interviewerName: interviewerName||null,
+        ...content
+    };
+}
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+export class MemoryLiveInterviewStore
+{
+    constructor()
+    {
+        this.sessions=new Map();
+        this.artifacts=new Map();
+        this.feedback=new Map();
+        this.codeOps=new Map();
+        this.nextArtifactId=1;
+    }
+
+    async createSession(session)
+    {
+        this.sessions.set(session.id, {...session, participants: []});
+        this.artifacts.set(session.id, []);
+        this.feedback.set(session.id, []);
+        this.codeOps.set(session.id, []);
+    }
+
+    async getSession(sessionId)
+    {
+        const session=this.sessions.get(sessionId);
+        return session? {...session, participants: [...session.participants]}:null;
+    }
+
+    async updateSession(sessionId, fields)
+    {
+        const session=this.sessions.get(sessionId);
+        if (session) Object.assign(session, fields);
+    }
+
+    async listActive()
+    {
+        return [...this.sessions.values()].filter(s => s.status==='in-progress'||s.status==='waiting');
+    }
+
+    // Adds the participant, or replaces the one with the same id
+    async addParticipant(sessionId, participant)
+    {
+        const session=this.sessions.get(sessionId);
+        if (!session) return;
+        session.participants=[...session.participants.filter(p => p.id!==participant.id), participant];
+    }
+
+    async setAdmission(sessionId, participantId, admission)
+    {
+        const participant=this.sessions.get(sessionId)?.participants.find(p => p.id===participantId);
+        if (participant) Object.assign(participant, {admission, admittedAt: admission==='admitted'? new Date():null});
+    }
+
+    async addFeedback(sessionId, feedback)
+    {
+        this.feedback.get(sessionId)?.push({...feedback, submittedAt: new Date()});
+    }
+
+    async getFeedback(sessionId)
+    {
+        return [...(this.feedback.get(sessionId)||[])];
+    }
+
+    // Artifacts of unknown sessions are dropped, like the database's INSERT ... SELECT
+    async addArtifact(sessionId, kind, payload, {author=null, timestamp=new Date()}={})
+    {
+        const artifacts=this.artifacts.get(sessionId);
+        if (!artifacts) return false;
+        artifacts.push({id: this.nextArtifactId++, kind, author, payload, timestamp: new Date(timestamp)});
+        return true;
+    }
+
+    async getArtifacts(sessionId, {kinds}={})
+    {
+        return (this.artifacts.get(sessionId)||[]).filter(a => !kinds||kinds.includes(a.kind));
+    }
+
+    async countArtifacts(sessionId)
+    {
+        const counts={};
+        for (const artifact of this.artifacts.get(sessionId)||[]) counts[artifact.kind]=(counts[artifact.kind]||0)+1;
+        return counts;
+    }
+
+    async addCodeOp(sessionId, {revision, author=null, ops, language=null, checkpoint=null, timestamp=new Date()})
+    {
+        const codeOps=this.codeOps.get(sessionId);
+        if (!codeOps) return false;
+        codeOps.push({revision, author, ops, language, checkpoint, timestamp: new Date(timestamp)});
+        return true;
+    }
+
+    async getCodeOps(sessionId, {after=0, until=null, before=null}={})
+    {
+        return (this.codeOps.get(sessionId)||[]).filter(op => op.revision>after
+            &&(until===null||op.revision<=until)
+            &&(before===null||op.timestamp<=new Date(before)));
+    }
+
+    async getCodeCheckpoint(sessionId, {until=null, before=null}={})
+    {
+        const ops=await this.getCodeOps(sessionId, {until, before});
+        return ops.filter(op => op.checkpoint!==null).pop()||null;
+    }
+}
+
+function sessionFromRow(row, participants)
+{
+    const details=parseJson(row.live_details_json, {})||{};
+    return {
+        id: row.live_session_id,
+        scheduleId: row.id,
+        recruiterId: details.recruiterId??null,
+        recruiterName: details.recruiterName??null,
+        companyName: details.companyName??null,
+        jobTitle: row.title,
+        candidateEmail: details.candidateEmail??null,
+        candidateName: details.candidateName??null,
+        candidateUserId: row.candidate_user_id,
+        applicationId: row.application_id,
+        jobId: row.job_id,
+        scheduledTime: row.scheduled_at,
+        duration: row.duration_minutes,
+        requirements: details.requirements||[],
+        status: fromDbStatus(row.status),
+        participants,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        recording: details.recording||{enabled: false, url: null},
+        notes: row.notes
+    };
+}
+
+function participantFromRow(row)
+{
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        joinedAt: row.joined_at,
+        admission: row.admission,
+        admittedAt: row.admitted_at,
+        ...parseJson(row.details_json, {})
+    };
+}
+
+function codeOpFromRow(row)
+{
+    return {
+        revision: row.revision,
+        author: row.author,
+        ops: parseJson(row.ops_json, []),
+        language: row.language,
+        checkpoint: row.checkpoint,
+        timestamp: row.created_at
+    };
+}
+
+export class MySqlLiveInterviewStore
+{
+    async createSession(session)
+    {
+        const details={
+            recruiterId: session.recruiterId??null,
+            recruiterName: session.recruiterName??null,
+            companyName: session.companyName??null,
+            candidateEmail: session.candidateEmail??null,
+            candidateName: session.candidateName??null,
+            requirements: session.requirements||[],
+            recording: session.recording
+        };
+        await query(`
+            INSERT INTO interview_schedules
+            (live_session_id, application_id, job_id, candidate_user_id, interview_type, title, scheduled_at, duration_minutes,
+             status, interviewers_json, live_details_json)
+            VALUES (?, ?, ?, ?, 'video', ?, ?, ?, ?, ?, ?)
+        `, [
+            session.id, session.applicationId??null, session.jobId??null, session.candidateUserId??null, session.jobTitle??null,
+            new Date(session.scheduledTime), session.duration, toDbStatus(session.status),
+            JSON.stringify([{userId: session.recruiterId??null, name: session.recruiterName??null}]), JSON.stringify(details)
+        ]);
+    }
+
+    async getSession(sessionId)
+    {
+        const [row]=await query('SELECT * FROM interview_schedules WHERE live_session_id = ?', [sessionId]);
+        if (!row) return null;
+        const participants=await query('SELECT * FROM live_interview_participants WHERE interview_id = ? ORDER BY joined_at ASC', [row.id]);
+        return sessionFromRow(row, participants.map(participantFromRow));
+    }
+
+    async updateSession(sessionId, {status, startedAt, endedAt, notes})
+    {
+        const fields={
+            status: status===undefined? undefined:toDbStatus(status),
+            started_at: startedAt,
+            ended_at: endedAt,
+            notes
+        };
+        const updates=Object.entries(fields).filter(([, value]) => value!==undefined);
+        if (updates.length===0) return;
+        await query(
+            `UPDATE interview_schedules SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE live_session_id = ?`,
+            [...updates.map(([, value]) => value), sessionId]
+        );
+    }
+
+    async listActive()
+    {
+        const rows=await query("SELECT * FROM interview_schedules WHERE live_session_id IS NOT NULL AND status IN ('waiting', 'in_progress')");
+        if (rows.length===0) return [];
+        const participants=await query(
+            `SELECT * FROM live_interview_participants WHERE interview_id IN (${rows.map(() => '?').join(', ')}) ORDER BY joined_at ASC`,
+            rows.map(r => r.id)
+        );
+        return rows.map(row => sessionFromRow(row, participants.filter(p => p.interview_id===row.id).map(participantFromRow)));
+    }
+
+    async addParticipant(sessionId, {id, name, role, joinedAt, admission='admitted', admittedAt=null, ...details})
+    {
+        await query(`
+            INSERT INTO live_interview_participants (id, interview_id, name, role, admission, admitted_at, details_json, joined_at)
+            SELECT ?, id, ?, ?, ?, ?, ?, ? FROM interview_schedules WHERE live_session_id = ?
+            ON DUPLICATE KEY UPDATE name = VALUES(name), role = VALUES(role), admission = VALUES(admission),
+                admitted_at = VALUES(admitted_at), details_json = VALUES(details_json)
+        `, [id, name??null, role??null, admission, admittedAt, JSON.stringify(details), joinedAt, sessionId]);
+    }
+
+    async setAdmission(sessionId, participantId, admission)
+    {
+        await query(`
+            UPDATE live_interview_participants p
+            JOIN interview_schedules s ON p.interview_id = s.id
+            SET p.admission = ?, p.admitted_at = IF(? = 'admitted', NOW(), NULL)
+            WHERE s.live_session_id = ? AND p.id = ?
+        `, [admission, admission, sessionId, participantId]);
+    }
+
+    async addFeedback(sessionId, feedback)
+    {
+        await query(`
+            INSERT INTO interview_feedback
+            (interview_id, interviewer_user_id, interviewer_name, overall_rating, technical_rating, communication_rating,
+             problem_solving_rating, cultural_fit_rating, recommendation, strengths, weaknesses, detailed_feedback,
+             is_submitted, submitted_at)
+            SELECT id, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, NOW() FROM interview_schedules WHERE live_session_id = ?
+        `, [
+            feedback.interviewerUserId??null, feedback.interviewerName??null, feedback.overallRating??null,
+            feedback.technicalRating??null, feedback.communicationRating??null, feedback.problemSolvingRating??null,
+            feedback.culturalFitRating??null, feedback.recommendation??null, feedback.strengths??null,
+            feedback.weaknesses??null, feedback.detailedFeedback??null, sessionId
+        ]);
+    }
+
+    async getFeedback(sessionId)
+    {
+        const rows=await query(`
+            SELECT f.* FROM interview_feedback f
+            JOIN interview_schedules s ON f.interview_id = s.id
+            WHERE s.live_session_id = ?
+            ORDER BY f.submitted_at ASC, f.id ASC
+        `, [sessionId]);
+        const rating=value => value===null? null:Number(value);
+        return rows.map(row => ({
+            interviewerUserId: row.interviewer_user_id,
+            interviewerName: row.interviewer_name,
+            overallRating: rating(row.overall_rating),
+            technicalRating: rating(row.technical_rating),
+            communicationRating: rating(row.communication_rating),
+            problemSolvingRating: rating(row.problem_solving_rating),
+            culturalFitRating: rating(row.cultural_fit_rating),
+            recommendation: row.recommendation,
+            strengths: row.strengths,
+            weaknesses: row.weaknesses,
+            detailedFeedback: row.detailed_feedback,
+            submittedAt: row.submitted_at
+        }));
+    }
+
+    // Returns false when the session does not exist (nothing is inserted)
+    async addArtifact(sessionId, kind, payload, {author=null, timestamp=new Date()}={})
+    {
+        const result=await query(`
+            INSERT INTO live_interview_artifacts (interview_id, kind, author, payload_json, created_at)
+            SELECT id, ?, ?, ?, ? FROM interview_schedules WHERE live_session_id = ?
+        `, [kind, author, JSON.stringify(payload??{}), new Date(timestamp), sessionId]);
+        return result.affectedRows>0;
+    }
+
+    async getArtifacts(sessionId, {kinds}={})
+    {
+        const filter=kinds? ` AND a.kind IN (${kinds.map(() => '?').join(', ')})`:'';
+        const rows=await query(`
+            SELECT a.* FROM live_interview_artifacts a
+            JOIN interview_schedules s ON a.interview_id = s.id
+            WHERE s.live_session_id = ?${filter}
+            ORDER BY a.created_at ASC, a.id ASC
+        `, [sessionId, ...(kinds||[])]);
+        return rows.map(row => ({id: row.id, kind: row.kind, author: row.author, payload: parseJson(row.payload_json, {}), timestamp: row.created_at}));
+    }
+
+    async countArtifacts(sessionId)
+    {
+        const rows=await query(`
+            SELECT a.kind, COUNT(*) as count FROM live_interview_artifacts a
+            JOIN interview_schedules s ON a.interview_id = s.id
+            WHERE s.live_session_id = ?
+            GROUP BY a.kind
+        `, [sessionId]);
+        return Object.fromEntries(rows.map(r => [r.kind, Number(r.count)]));
+    }
+
+    async addCodeOp(sessionId, {revision, author=null, ops, language=null, checkpoint=null, timestamp=new Date()})
+    {
+        const result=await query(`
+            INSERT INTO live_interview_code_ops (interview_id, revision, author, ops_json, language, checkpoint, created_at)
+            SELECT id, ?, ?, ?, ?, ?, ? FROM interview_schedules WHERE live_session_id = ?
+        `, [revision, author, JSON.stringify(ops), language, checkpoint, new Date(timestamp), sessionId]);
+        return result.affectedRows>0;
+    }
+
+    async getCodeOps(sessionId, {after=0, until=null, before=null}={})
+    {
+        const rows=await query(`
+            SELECT o.* FROM live_interview_code_ops o
+            JOIN interview_schedules s ON o.interview_id = s.id
+            WHERE s.live_session_id = ? AND o.revision > ?${until!==null? ' AND o.revision <= ?':''}${before!==null? ' AND o.created_at <= ?':''}
+            ORDER BY o.revision ASC
+        `, [sessionId, after, ...(until!==null? [until]:[]), ...(before!==null? [new Date(before)]:[])]);
+        return rows.map(codeOpFromRow);
+    }
+
+    async getCodeCheckpoint(sessionId, {until=null, before=null}={})
+    {
+        const rows=await query(`
+            SELECT o.* FROM live_interview_code_ops o
+            JOIN interview_schedules s ON o.interview_id = s.id
+            WHERE s.live_session_id = ? AND o.checkpoint IS NOT NULL${until!==null? ' AND o.revision <= ?':''}${before!==null? ' AND o.created_at <= ?':''}
+            ORDER BY o.revision DESC
+            LIMIT 1
+        `, [sessionId, ...(until!==null? [until]:[]), ...(before!==null? [new Date(before)]:[])]);
+        return rows.length? codeOpFromRow(rows[0]):null;
+    }
+}
+
+class LiveInterviewStore
+{
+    constructor()
+    {
+        this.mysql=new MySqlLiveInterviewStore();
+        this.memory=new MemoryLiveInterviewStore();
+    }
+
+    get backend()
+    {
+        return isDatabaseConnected()? this.mysql:this.memory;
+    }
+
+    createSession(session) {return this.backend.createSession(session);}
+    getSession(sessionId) {return this.backend.getSession(sessionId);}
+    updateSession(sessionId, fields) {return this.backend.updateSession(sessionId, fields);}
+    listActive() {return this.backend.listActive();}
+    addParticipant(sessionId, participant) {return this.backend.addParticipant(sessionId, participant);}
+    setAdmission(sessionId, participantId, admission) {return this.backend.setAdmission(sessionId, participantId, admission);}
+    addFeedback(sessionId, feedback) {return this.backend.addFeedback(sessionId, feedback);}
+    getFeedback(sessionId) {return this.backend.getFeedback(sessionId);}
+    addArtifact(sessionId, kind, payload, options) {return this.backend.addArtifact(sessionId, kind, payload, options);}
+    getArtifacts(sessionId, options) {return this.backend.getArtifacts(sessionId, options);}
+    countArtifacts(sessionId) {return this.backend.countArtifacts(sessionId);}
+    addCodeOp(sessionId, op) {return this.backend.addCodeOp(sessionId, op);}
+    getCodeOps(sessionId, options) {return this.backend.getCodeOps(sessionId, options);}
+    getCodeCheckpoint(sessionId, options) {return this.backend.getCodeCheckpoint(sessionId, options);}
+
+    /**
+     * Code and whiteboard as they were last saved, to rebuild a room after a
+     * restart: {code, language, whiteboard}
+     */
+    async getRoomState(sessionId)
+    {
+        const artifacts=await this.getArtifacts(sessionId, {kinds: ['code_snapshot', 'whiteboard_stroke', 'whiteboard_clear']});
+        const lastCode=artifacts.filter(a => a.kind==='code_snapshot').pop();
+        const lastClear=artifacts.map(a => a.kind).lastIndexOf('whiteboard_clear');
+        return {
+            code: lastCode?.payload.code??'',
+            language: lastCode?.payload.language??'javascript',
+            whiteboard: artifacts.slice(lastClear+1).filter(a => a.kind==='whiteboard_stroke').map(a => a.payload.drawData)
+        };
+    }
+}
+
+export default new LiveInterviewStore();
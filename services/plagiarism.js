@@ -0,0 +1,291 @@
+import {query, transaction} from '../db/database.js';
+import {analyze, compare, sideBySideDiff} from './similarity.js';
+
+/**
+ * Plagiarism Detection
+ * Compares submissions to the same problem pairwise with the fingerprints from
+ * similarity.js and stores every pair above the report threshold in
+ * plagiarism_reports. Only each user's latest submission per problem takes part,
+ * and only submissions in the same language are compared.
+ *
+ * A contest problem backed by a company challenge (`challenge_id` in
+ * problems_json) is the same problem as that challenge, so contest and
+ * challenge submissions to it are compared with each other. Reports are
+ * grouped into clusters: submissions linked by suspicious pairs. The
+ * side-by-side diff of a pair is only built when a reviewer opens it
+ * (getPairDiff), not for every pair of every cluster.
+ */
+
+const REPORT_THRESHOLD=parseFloat(process.env.PLAGIARISM_REPORT_THRESHOLD)||0.6;
+export const DEFAULT_CLUSTER_THRESHOLD=0.8;
+
+// Comparisons are synchronous; yield to the event loop every so often on large problems
+const PAIRS_PER_TICK=200;
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+const submissionKeys=report => [`${report.source_a}-${report.submission_a_id}`, `${report.source_b}-${report.submission_b_id}`];
+
+// Submission details without its code
+function memberOf(submissions, key)
+{
+    const {code, ...details}=submissions.get(key)||{};
+    return {key, ...details};
+}
+
+function pairOf(report, submissions)
+{
+    const [a, b]=submissionKeys(report);
+    return {
+        report_id: report.id,
+        a: memberOf(submissions, a),
+        b: memberOf(submissions, b),
+        similarity: Number(report.similarity),
+        jaccard: Number(report.jaccard),
+        matched_lines: parseJson(report.matched_lines_json, {a: [], b: []})
+    };
+}
+
+// Latest submission per user among the rows (rows must be newest first)
+function latestPerUser(rows)
+{
+    const seen=new Set();
+    return rows.filter((row) =>
+    {
+        if (seen.has(row.user_id)) return false;
+        seen.add(row.user_id);
+        return true;
+    });
+}
+
+class PlagiarismDetector
+{
+    async challengeSubmissions(challengeId)
+    {
+        const rows=await query(`
+            SELECT 'challenge' as source, id, user_id, language, code
+            FROM challenge_submissions
+            WHERE challenge_id = ?
+            ORDER BY submitted_at DESC, id DESC
+        `, [challengeId]);
+        return latestPerUser(rows);
+    }
+
+    async contestSubmissions(contestId, problemId)
+    {
+        const rows=await query(`
+            SELECT 'contest' as source, id, user_id, language, code
+            FROM contest_submissions
+            WHERE contest_id = ? AND problem_id = ? AND is_virtual = FALSE
+            ORDER BY submitted_at DESC, id DESC
+        `, [contestId, problemId]);
+        return latestPerUser(rows);
+    }
+
+    // Contest problems that point at a challenge: [{contestId, problemId}]
+    async contestProblemsFor(challengeId)
+    {
+        const contests=await query(
+            'SELECT id, problems_json FROM contests WHERE JSON_CONTAINS(problems_json, JSON_OBJECT(\'challenge_id\', ?))',
+            [Number(challengeId)]
+        );
+        return contests.flatMap(contest => parseJson(contest.problems_json, [])
+            .filter(p => p&&String(p.challenge_id)===String(challengeId))
+            .map(p => ({contestId: contest.id, problemId: p.id??p.problem_id})));
+    }
+
+    // One entry per problem of the contest, with the challenge's submissions where it has one
+    async contestGroups(contestId)
+    {
+        const [contest]=await query('SELECT id, problems_json FROM contests WHERE id = ?', [contestId]);
+        if (!contest) throw new Error('Contest not found');
+        const listed=parseJson(contest.problems_json, []);
+        const submitted=await query('SELECT DISTINCT problem_id FROM contest_submissions WHERE contest_id = ?', [contestId]);
+        const problems=new Map(submitted.map(s => [String(s.problem_id), {id: s.problem_id}]));
+        for (const problem of Array.isArray(listed)? listed:[])
+        {
+            const id=problem?.id??problem?.problem_id;
+            if (id!==undefined&&id!==null) problems.set(String(id), {...problem, id});
+        }
+
+        const groups=[];
+        for (const problem of problems.values())
+        {
+            const submissions=await this.contestSubmissions(contestId, problem.id);
+            if (problem.challenge_id) submissions.push(...await this.challengeSubmissions(problem.challenge_id));
+            groups.push({problemKey: problem.challenge_id? `challenge-${problem.challenge_id}`:`contest-${contestId}-${problem.id}`, submissions});
+        }
+        return groups;
+    }
+
+    async challengeGroups(challengeId)
+    {
+        const submissions=await this.challengeSubmissions(challengeId);
+        for (const {contestId, problemId} of await this.contestProblemsFor(challengeId))
+        {
+            submissions.push(...await this.contestSubmissions(contestId, problemId));
+        }
+        return [{problemKey: `challenge-${challengeId}`, submissions}];
+    }
+
+    // Suspicious pairs within one problem's submissions
+    async comparePairs(submissions)
+    {
+        const analyzed=submissions.map(s => ({...s, analysis: analyze(s.code, s.language)}));
+        const pairs=[];
+        let compared=0;
+        for (let i=0;i<analyzed.length;i++)
+        {
+            for (let j=i+1;j<analyzed.length;j++)
+            {
+                const a=analyzed[i];
+                const b=analyzed[j];
+                if (a.user_id===b.user_id||a.language!==b.language) continue;
+                const result=compare(a.analysis, b.analysis);
+                if (result.similarity>=REPORT_THRESHOLD) pairs.push({a, b, ...result});
+                if (++compared%PAIRS_PER_TICK===0) await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Compare every problem of a contest or a challenge and replace its stored reports
+     * scope is 'contest' or 'challenge'. Returns {problems, submissions, reported}.
+     */
+    async scan(scope, scopeId)
+    {
+        const groups=scope==='contest'? await this.contestGroups(scopeId):await this.challengeGroups(scopeId);
+        const reports=[];
+        for (const group of groups)
+        {
+            for (const pair of await this.comparePairs(group.submissions)) reports.push({problemKey: group.problemKey, ...pair});
+        }
+
+        await transaction(async (conn) =>
+        {
+            await conn.execute('DELETE FROM plagiarism_reports WHERE scope = ? AND scope_id = ?', [scope, scopeId]);
+            for (const report of reports)
+            {
+                await conn.execute(`
+                    INSERT INTO plagiarism_reports
+                    (scope, scope_id, problem_key, language, source_a, submission_a_id, user_a_id,
+                     source_b, submission_b_id, user_b_id, similarity, jaccard, matched_lines_json)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    scope, scopeId, report.problemKey, report.a.language,
+                    report.a.source, report.a.id, report.a.user_id,
+                    report.b.source, report.b.id, report.b.user_id,
+                    report.similarity, report.jaccard, JSON.stringify(report.matchedLines)
+                ]);
+            }
+        });
+
+        return {
+            problems: groups.length,
+            submissions: groups.reduce((sum, g) => sum+g.submissions.length, 0),
+            reported: reports.length
+        };
+    }
+
+    async loadSubmissions(keys)
+    {
+        const bySource={contest: [], challenge: []};
+        for (const key of keys)
+        {
+            const [source, id]=key.split('-');
+            bySource[source].push(Number(id));
+        }
+        const rows=[];
+        if (bySource.contest.length)
+        {
+            rows.push(...await query(`
+                SELECT 'contest' as source, cs.id, cs.user_id, cs.language, cs.code, cs.submitted_at, u.username, u.full_name
+                FROM contest_submissions cs JOIN users u ON cs.user_id = u.id
+                WHERE cs.id IN (${bySource.contest.map(() => '?').join(', ')})
+            `, bySource.contest));
+        }
+        if (bySource.challenge.length)
+        {
+            rows.push(...await query(`
+                SELECT 'challenge' as source, cs.id, cs.user_id, cs.language, cs.code, cs.submitted_at, u.username, u.full_name
+                FROM challenge_submissions cs JOIN users u ON cs.user_id = u.id
+                WHERE cs.id IN (${bySource.challenge.map(() => '?').join(', ')})
+            `, bySource.challenge));
+        }
+        return new Map(rows.map(row => [`${row.source}-${row.id}`, row]));
+    }
+
+    /**
+     * Suspicious clusters from the stored reports
+     * Submissions joined by pairs at or above the threshold form a cluster; each
+     * pair comes with its report_id and matched lines (the diff is getPairDiff).
+     */
+    async getClusters(scope, scopeId, {threshold=DEFAULT_CLUSTER_THRESHOLD, limit=20}={})
+    {
+        const reports=await query(`
+            SELECT * FROM plagiarism_reports
+            WHERE scope = ? AND scope_id = ? AND similarity >= ?
+            ORDER BY similarity DESC
+        `, [scope, scopeId, threshold]);
+
+        // Union-find over submissions
+        const parent=new Map();
+        const find=(key) =>
+        {
+            if (!parent.has(key)) parent.set(key, key);
+            while (parent.get(key)!==key) key=parent.get(key);
+            return key;
+        };
+        const pairs=reports.map((report) =>
+        {
+            const [a, b]=submissionKeys(report);
+            parent.set(find(a), find(b));
+            return {a, b, report};
+        });
+
+        const clusters=new Map();
+        for (const pair of pairs)
+        {
+            const root=find(pair.a);
+            if (!clusters.has(root)) clusters.set(root, {problemKey: pair.report.problem_key, members: new Set(), pairs: []});
+            const cluster=clusters.get(root);
+            cluster.members.add(pair.a).add(pair.b);
+            cluster.pairs.push(pair);
+        }
+
+        const selected=[...clusters.values()]
+            .map(c => ({...c, maxSimilarity: Math.max(...c.pairs.map(p => Number(p.report.similarity)))}))
+            .sort((a, b) => b.maxSimilarity-a.maxSimilarity||b.members.size-a.members.size)
+            .slice(0, parseInt(limit)||20);
+        const submissions=await this.loadSubmissions([...new Set(selected.flatMap(c => [...c.members]))]);
+
+        return selected.map(cluster => ({
+            problem_key: cluster.problemKey,
+            size: cluster.members.size,
+            max_similarity: cluster.maxSimilarity,
+            members: [...cluster.members].map(key => memberOf(submissions, key)),
+            pairs: cluster.pairs.map(({report}) => pairOf(report, submissions))
+        }));
+    }
+
+    // One stored pair of a contest or challenge with the side-by-side diff of its programs, or null
+    async getPairDiff(scope, scopeId, reportId)
+    {
+        const [report]=await query(
+            'SELECT * FROM plagiarism_reports WHERE id = ? AND scope = ? AND scope_id = ?',
+            [reportId, scope, scopeId]
+        );
+        if (!report) return null;
+        const [a, b]=submissionKeys(report);
+        const submissions=await this.loadSubmissions([a, b]);
+        return {...pairOf(report, submissions), diff: sideBySideDiff(submissions.get(a)?.code, submissions.get(b)?.code)};
+    }
+}
+
+export default new PlagiarismDetector();
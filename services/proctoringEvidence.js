@@ -0,0 +1,205 @@
+import proctoringStore from './proctoringStore.js';
+import {decodeImage, readImage, saveImage} from './snapshotFiles.js';
+
+/**
+ * Proctoring Evidence
+ * Keeps webcam and secondary-camera snapshots as evidence and puts together
+ * the reviewer's view of an interview. Snapshots are linked to proctoring
+ * events by time: a snapshot belongs to the closest event at most
+ * LINK_WINDOW_SECONDS away, so a reviewer looking at a "multiple_faces"
+ * event sees the frames taken around it.
+ *
+ * Frames are evidence, so only the interview's candidate can add them (see
+ * requireCandidate) and only company staff can look at them.
+ *
+ * No image library is installed, so thumbnails are made by the client (a
+ * small canvas copy of the frame) and sent along with the image. Snapshots
+ * sent without one serve the full image as their thumbnail.
+ */
+
+export const SNAPSHOT_SOURCES=['webcam', 'secondary', 'screen'];
+const LINK_WINDOW_SECONDS=10;
+const MAX_THUMBNAIL_BYTES=256*1024;
+const DEFAULT_PAGE_SIZE=50;
+const MAX_PAGE_SIZE=200;
+
+// Order of items with the same timestamp: what happened, then how it was checked, then the frames
+const TYPE_ORDER=['event', 'identity_check', 'snapshot'];
+
+export class EvidenceError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='EvidenceError';
+        this.status=status;
+    }
+}
+
+function pagination({page, limit}={})
+{
+    const size=Math.min(Math.max(parseInt(limit)||DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const number=Math.max(parseInt(page)||1, 1);
+    return {page: number, limit: size, offset: (number-1)*size};
+}
+
+const time=value => new Date(value).getTime();
+
+// Closest event within LINK_WINDOW_SECONDS of the snapshot; events sorted by time
+function closestEvent(snapshot, events)
+{
+    const at=time(snapshot.timestamp);
+    let closest=null;
+    for (const event of events)
+    {
+        const distance=Math.abs(time(event.timestamp)-at);
+        if (distance<=LINK_WINDOW_SECONDS*1000&&(!closest||distance<closest.distance)) closest={event, distance};
+    }
+    return closest&&{
+        eventType: closest.event.eventType,
+        severity: closest.event.severity,
+        timestamp: closest.event.timestamp,
+        offsetMs: at-time(closest.event.timestamp)
+    };
+}
+
+function snapshotView(snapshot, events)
+{
+    return {
+        id: snapshot.id,
+        source: snapshot.source,
+        timestamp: snapshot.timestamp,
+        sha256: snapshot.sha256,
+        mimeType: snapshot.mimeType,
+        size: snapshot.size,
+        hasThumbnail: Boolean(snapshot.thumbnailSha256),
+        imageUrl: `/api/proctoring/snapshots/${snapshot.id}/image`,
+        thumbnailUrl: `/api/proctoring/snapshots/${snapshot.id}/thumbnail`,
+        linkedEvent: closestEvent(snapshot, events)
+    };
+}
+
+class ProctoringEvidence
+{
+    // The signed-in user must be the candidate of a proctoring session that is still going
+    async requireCandidate(interviewId, userId)
+    {
+        const session=await proctoringStore.getSession(interviewId);
+        if (!session) throw new EvidenceError('Proctoring session not found', 404);
+        if (session.candidateUserId===null||session.candidateUserId===undefined||String(session.candidateUserId)!==String(userId))
+        {
+            throw new EvidenceError('Only the candidate of this interview can send evidence', 403);
+        }
+        if (session.status==='completed'||session.status==='terminated') throw new EvidenceError('Proctoring session has ended', 409);
+        return session;
+    }
+
+    /**
+     * Store one snapshot: image (data URL or base64), optional client-made
+     * thumbnail, source (webcam, secondary or screen)
+     * Returns the snapshot as the timeline shows it.
+     */
+    async capture(interviewId, {image, thumbnail, source='webcam'})
+    {
+        if (!interviewId) throw new EvidenceError('interviewId is required');
+        if (!SNAPSHOT_SOURCES.includes(source)) throw new EvidenceError(`source must be one of ${SNAPSHOT_SOURCES.join(', ')}`);
+
+        let decoded;
+        let decodedThumbnail=null;
+        try {decoded=decodeImage(image);}
+        catch (error) {throw new EvidenceError(error.message);}
+        if (thumbnail)
+        {
+            try {decodedThumbnail=decodeImage(thumbnail, MAX_THUMBNAIL_BYTES);}
+            catch (error) {throw new EvidenceError(`Thumbnail: ${error.message}`);}
+        }
+
+        const saved=await saveImage(decoded.buffer, decoded.mimeType);
+        const savedThumbnail=decodedThumbnail&&await saveImage(decodedThumbnail.buffer, decodedThumbnail.mimeType);
+        const timestamp=new Date();
+        const snapshot=await proctoringStore.addSnapshot(interviewId, {
+            source,
+            sha256: saved.sha256,
+            mimeType: decoded.mimeType,
+            size: saved.size,
+            thumbnailSha256: savedThumbnail?.sha256??null,
+            thumbnailMimeType: decodedThumbnail?.mimeType??null,
+            timestamp
+        });
+
+        const recent=await proctoringStore.getEventsSince(interviewId, new Date(timestamp.getTime()-LINK_WINDOW_SECONDS*1000));
+        return snapshotView(snapshot, recent);
+    }
+
+    // One page of an interview's snapshots, oldest first, each with its linked event
+    async getSnapshots(interviewId, options)
+    {
+        const {page, limit, offset}=pagination(options);
+        const [snapshots, total, events]=await Promise.all([
+            proctoringStore.getSnapshots(interviewId, {limit, offset}),
+            proctoringStore.countSnapshots(interviewId),
+            proctoringStore.getEvents(interviewId)
+        ]);
+        return {
+            interviewId,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total/limit),
+            snapshots: snapshots.map(s => snapshotView(s, events))
+        };
+    }
+
+    /**
+     * Events, identity checks and snapshots of an interview in time order
+     * Events list the ids of the snapshots linked to them; paginated with
+     * page and limit.
+     */
+    async getTimeline(interviewId, options)
+    {
+        const {page, limit, offset}=pagination(options);
+        const [events, identityChecks, snapshots]=await Promise.all([
+            proctoringStore.getEvents(interviewId),
+            proctoringStore.getIdentityChecks(interviewId),
+            proctoringStore.getSnapshots(interviewId)
+        ]);
+
+        const views=snapshots.map(s => snapshotView(s, events));
+        const items=[
+            ...events.map(event => ({
+                type: 'event',
+                ...event,
+                snapshotIds: views
+                    .filter(s => s.linkedEvent&&s.linkedEvent.eventType===event.eventType&&time(s.linkedEvent.timestamp)===time(event.timestamp))
+                    .map(s => s.id)
+            })),
+            ...identityChecks.map(check => ({type: 'identity_check', ...check})),
+            ...views.map(view => ({type: 'snapshot', ...view}))
+        ].sort((a, b) => time(a.timestamp)-time(b.timestamp)||TYPE_ORDER.indexOf(a.type)-TYPE_ORDER.indexOf(b.type));
+
+        return {
+            interviewId,
+            page,
+            limit,
+            total: items.length,
+            totalPages: Math.ceil(items.length/limit),
+            counts: {events: events.length, identityChecks: identityChecks.length, snapshots: snapshots.length},
+            items: items.slice(offset, offset+limit)
+        };
+    }
+
+    // Image bytes of a snapshot: {buffer, mimeType, sha256}; the thumbnail falls back to the full image
+    async readSnapshot(snapshotId, {thumbnail=false}={})
+    {
+        const snapshot=await proctoringStore.getSnapshot(snapshotId);
+        if (!snapshot) throw new EvidenceError('Snapshot not found', 404);
+        const useThumbnail=thumbnail&&snapshot.thumbnailSha256;
+        const sha256=useThumbnail? snapshot.thumbnailSha256:snapshot.sha256;
+        const mimeType=useThumbnail? snapshot.thumbnailMimeType:snapshot.mimeType;
+        const buffer=await readImage(sha256, mimeType);
+        if (!buffer) throw new EvidenceError('Snapshot image is missing or damaged', 410);
+        return {buffer, mimeType, sha256};
+    }
+}
+
+export default new ProctoringEvidence();
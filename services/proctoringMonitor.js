@@ -0,0 +1,97 @@
+import proctoringStore from './proctoringStore.js';
+import sessionManager from './sessionManager.js';
+import {evaluate, MAX_WINDOW_SECONDS} from './proctoringRules.js';
+
+/**
+ * Proctoring Monitor
+ * Records proctoring events with the severity decided by proctoringRules.js
+ * and carries out escalations. Any event that matches a rule, or is critical,
+ * is pushed to the `proctor-dashboard` room as `proctoring-escalation`.
+ * A pause or terminate action changes the proctored session's status and
+ * tells the interview room (`proctoring-session-paused` /
+ * `proctoring-session-terminated`); terminating also ends the linked
+ * coding-practice session, if there is one.
+ */
+
+class ProctoringMonitor
+{
+    constructor()
+    {
+        this.io=null;
+    }
+
+    attach(io)
+    {
+        this.io=io;
+    }
+
+    /**
+     * Evaluate and store one event: {eventType, details, candidateUserId}
+     * Returns the stored event with its severity, matched rules and action.
+     */
+    async recordEvent(interviewId, {eventType, details, candidateUserId})
+    {
+        const timestamp=new Date();
+        const history=await proctoringStore.getEventsSince(interviewId, new Date(timestamp.getTime()-MAX_WINDOW_SECONDS*1000));
+        const decision=evaluate({eventType, timestamp}, history);
+        const event={eventType, severity: decision.severity, details, rules: decision.rules, action: decision.action, timestamp};
+        if (candidateUserId) event.candidateUserId=candidateUserId;
+        await proctoringStore.addEvent(interviewId, event);
+
+        if (decision.rules.length>0||decision.severity==='critical') await this.escalate(interviewId, event);
+        return event;
+    }
+
+    async escalate(interviewId, event)
+    {
+        const session=await proctoringStore.getSession(interviewId);
+        let status=session?.status||null;
+        const reason=event.rules.map(r => r.description).join('; ')||`${event.eventType} (${event.severity})`;
+
+        if (session&&event.action==='terminate'&&status!=='terminated'&&status!=='completed')
+        {
+            await this.terminate(interviewId, reason, session);
+            status='terminated';
+        } else if (session&&event.action==='pause'&&status==='active')
+        {
+            await proctoringStore.setStatus(interviewId, 'paused', reason);
+            this.io?.to(interviewId).emit('proctoring-session-paused', {interviewId, reason, timestamp: new Date()});
+            status='paused';
+        }
+
+        this.io?.to('proctor-dashboard').emit('proctoring-escalation', {
+            interviewId,
+            event,
+            reason,
+            action: event.action,
+            sessionStatus: status,
+            timestamp: new Date()
+        });
+    }
+
+    async terminate(interviewId, reason, session=null)
+    {
+        session??=await proctoringStore.getSession(interviewId);
+        await proctoringStore.setStatus(interviewId, 'terminated', reason);
+        if (session?.linkedSessionId)
+        {
+            try {await sessionManager.terminateSession(session.linkedSessionId, 'proctoring_escalation');}
+            catch (error) {console.warn(`Could not terminate linked session ${session.linkedSessionId}:`, error.message);}
+        }
+        this.io?.to(interviewId).emit('proctoring-session-terminated', {interviewId, reason, timestamp: new Date()});
+    }
+
+    // A proctor lets a paused session continue
+    async resume(interviewId)
+    {
+        const session=await proctoringStore.getSession(interviewId);
+        if (!session) return null;
+        if (session.status!=='paused') return session;
+        await proctoringStore.setStatus(interviewId, 'active');
+        this.io?.to(interviewId).emit('proctoring-session-resumed', {interviewId, timestamp: new Date()});
+        this.io?.to('proctor-dashboard').emit('session-update', {interviewId, type: 'resumed'});
+        return proctoringStore.getSession(interviewId);
+    }
+}
+
+export default new ProctoringMonitor();
@@ -0,0 +1,95 @@
+/**
+ * Proctoring Rules
+ * Decides how serious a proctoring event is on the server; the severity a
+ * client reports is ignored. Three kinds of rule apply:
+ *   - every event type has a base severity (unknown types are low)
+ *   - frequency rules escalate an event type repeated within a window,
+ *     e.g. three face_not_detected in 60s
+ *   - combination rules escalate when different event types happen close
+ *     together, e.g. a tab switch followed by a paste
+ * The event gets the highest severity of everything that matched. Matching
+ * rules may also ask for an action: alert the proctor dashboard, pause the
+ * session or terminate it.
+ */
+
+export const SEVERITY_ORDER=['info', 'low', 'medium', 'high', 'critical'];
+export const ACTION_ORDER=['none', 'alert', 'pause', 'terminate'];
+
+const higher=(order, a, b) => order.indexOf(a)>=order.indexOf(b)? a:b;
+
+export const BASE_SEVERITY={
+    session_start: 'info',
+    session_end: 'info',
+    snapshot_taken: 'info',
+    fullscreen_enter: 'info',
+    tab_visible: 'info',
+    browser_resize: 'low',
+    right_click: 'low',
+    idle_detected: 'low',
+    keyboard_shortcut: 'low',
+    tab_switch: 'medium',
+    tab_hidden: 'medium',
+    fullscreen_exit: 'medium',
+    copy_paste: 'medium',
+    face_not_detected: 'medium',
+    audio_detected: 'medium',
+    multiple_faces: 'high',
+    screen_capture: 'high',
+    devtools_open: 'high',
+    phone_detected: 'high',
+    suspicious_behavior: 'high',
+    identity_check_missed: 'high',
+    face_mismatch: 'critical',
+    identity_mismatch: 'critical'
+};
+
+export const FREQUENCY_RULES=[
+    {id: 'face_absent_repeated', eventType: 'face_not_detected', count: 3, windowSeconds: 60, severity: 'critical', action: 'alert', description: 'Face missing 3 times within a minute'},
+    {id: 'tab_switch_repeated', eventType: 'tab_switch', count: 5, windowSeconds: 300, severity: 'high', action: 'alert', description: '5 tab switches within 5 minutes'},
+    {id: 'fullscreen_exit_repeated', eventType: 'fullscreen_exit', count: 3, windowSeconds: 300, severity: 'high', action: 'alert', description: 'Left fullscreen 3 times within 5 minutes'},
+    {id: 'multiple_faces_repeated', eventType: 'multiple_faces', count: 3, windowSeconds: 300, severity: 'critical', action: 'pause', description: 'Several people in view 3 times within 5 minutes'},
+    {id: 'identity_check_missed_repeated', eventType: 'identity_check_missed', count: 2, windowSeconds: 900, severity: 'critical', action: 'alert', description: 'Two identity checks unanswered within 15 minutes'},
+    {id: 'identity_mismatch_repeated', eventType: 'identity_mismatch', count: 2, windowSeconds: 600, severity: 'critical', action: 'terminate', description: 'Identity check failed twice within 10 minutes'}
+];
+
+export const COMBINATION_RULES=[
+    {id: 'switch_then_paste', eventTypes: ['tab_switch', 'copy_paste'], windowSeconds: 30, severity: 'high', action: 'alert', description: 'Paste right after switching tabs'},
+    {id: 'absent_with_voices', eventTypes: ['face_not_detected', 'audio_detected'], windowSeconds: 60, severity: 'critical', action: 'alert', description: 'Face missing while voices are heard'},
+    {id: 'extra_person_with_voices', eventTypes: ['multiple_faces', 'audio_detected'], windowSeconds: 60, severity: 'critical', action: 'pause', description: 'Another person in view while voices are heard'},
+    {id: 'devtools_then_paste', eventTypes: ['devtools_open', 'copy_paste'], windowSeconds: 120, severity: 'critical', action: 'alert', description: 'Paste after opening developer tools'}
+];
+
+// Events further back than this never affect a decision
+export const MAX_WINDOW_SECONDS=Math.max(...FREQUENCY_RULES.map(r => r.windowSeconds), ...COMBINATION_RULES.map(r => r.windowSeconds));
+
+/**
+ * Severity and action for a new event
+ * event: {eventType, timestamp}; history: earlier events of the same session
+ * (at least the last MAX_WINDOW_SECONDS). Returns {severity, action, rules}.
+ */
+export function evaluate(event, history, {frequencyRules=FREQUENCY_RULES, combinationRules=COMBINATION_RULES}={})
+{
+    const at=new Date(event.timestamp).getTime();
+    const within=seconds => history.filter(e => at-new Date(e.timestamp).getTime()<=seconds*1000);
+
+    const matched=[];
+    for (const rule of frequencyRules)
+    {
+        if (rule.eventType!==event.eventType) continue;
+        const count=within(rule.windowSeconds).filter(e => e.eventType===rule.eventType).length+1;
+        if (count>=rule.count) matched.push({...rule, observed: count});
+    }
+    for (const rule of combinationRules)
+    {
+        if (!rule.eventTypes.includes(event.eventType)) continue;
+        const recent=new Set(within(rule.windowSeconds).map(e => e.eventType));
+        if (rule.eventTypes.every(type => type===event.eventType||recent.has(type))) matched.push(rule);
+    }
+
+    const base=BASE_SEVERITY[event.eventType]||'low';
+    return {
+        severity: matched.reduce((severity, rule) => higher(SEVERITY_ORDER, rule.severity, severity), base),
+        action: matched.reduce((action, rule) => higher(ACTION_ORDER, rule.action, action), 'none'),
+        rules: matched.map(({id, description, severity, action, observed}) => ({id, description, severity, action, ...(observed? {observed}:{})}))
+    };
+}
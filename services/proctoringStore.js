@@ -0,0 +1,482 @@
+import {isDatabaseConnected, query} from '../db/database.js';
+import {removeImage} from './snapshotFiles.js';
+
+/**
+ * Proctoring Store
+ * Proctored sessions, their events, identity checks and snapshots. Events go
+ * to proctoring_logs, sessions to proctoring_sessions, identity checks to
+ * proctoring_identity_checks and snapshot records to proctoring_snapshots
+ * (the images themselves are files, see snapshotFiles.js), so integrity
+ * evidence survives restarts. The in-memory store has the same methods and is
+ * used when no database is configured.
+ *
+ * Evidence is kept for PROCTORING_RETENTION_DAYS (default 180; 0 keeps it
+ * forever). The purge job runs every PROCTORING_PURGE_INTERVAL_HOURS
+ * (default 24) and removes events, identity checks, snapshots and finished
+ * sessions older than that, along with image files no snapshot uses any more.
+ */
+
+const RETENTION_DAYS=parseInt(process.env.PROCTORING_RETENTION_DAYS??'180');
+const PURGE_INTERVAL_HOURS=parseFloat(process.env.PROCTORING_PURGE_INTERVAL_HOURS)||24;
+
+export const SEVERITY_PENALTIES={low: 2, medium: 5, high: 10, critical: 20};
+
+// 100 minus the severity penalties of all events; counts: {low, medium, high, critical}
+export function integrityScore(counts)
+{
+    const penalty=Object.entries(SEVERITY_PENALTIES).reduce((sum, [severity, points]) => sum+(counts[severity]||0)*points, 0);
+    return Math.max(0, 100-penalty);
+}
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+// Image files a snapshot uses: [{sha256, mimeType}]
+function imagesOf(snapshot)
+{
+    const images=[{sha256: snapshot.sha256, mimeType: snapshot.mimeType}];
+    if (snapshot.thumbnailSha256) images.push({sha256: snapshot.thumbnailSha256, mimeType: snapshot.thumbnailMimeType});
+    return images;
+}
+
+export class MemoryProctoringStore
+{
+    constructor()
+    {
+        this.sessions=new Map();
+        this.events=new Map();
+        this.identityChecks=new Map();
+        this.snapshots=new Map();
+        this.nextSnapshotId=1;
+    }
+
+    async upsertSession(session)
+    {
+        this.sessions.set(session.interviewId, {...session, endTime: null, lastActivity: new Date(), status: 'active', eventCount: 0});
+    }
+
+    async endSession(interviewId)
+    {
+        const session=this.sessions.get(interviewId);
+        if (session) Object.assign(session, {status: 'completed', endTime: new Date()});
+    }
+
+    async setStatus(interviewId, status, reason=null)
+    {
+        const session=this.sessions.get(interviewId);
+        if (!session) return;
+        Object.assign(session, {status, statusReason: reason});
+        if (status==='terminated') session.endTime=new Date();
+    }
+
+    async getSession(interviewId)
+    {
+        return this.sessions.get(interviewId)||null;
+    }
+
+    async listActiveSessions()
+    {
+        return [...this.sessions.values()].filter(s => s.status==='active'||s.status==='paused');
+    }
+
+    async addEvent(interviewId, event)
+    {
+        if (!this.events.has(interviewId)) this.events.set(interviewId, []);
+        this.events.get(interviewId).push(event);
+        const session=this.sessions.get(interviewId);
+        if (session)
+        {
+            session.lastActivity=new Date();
+            session.eventCount++;
+        }
+    }
+
+    async getEvents(interviewId, {limit}={})
+    {
+        const events=this.events.get(interviewId)||[];
+        return limit? events.slice(-limit):[...events];
+    }
+
+    async getEventsSince(interviewId, since)
+    {
+        return (this.events.get(interviewId)||[]).filter(e => new Date(e.timestamp)>=since);
+    }
+
+    async countBySeverity(interviewId)
+    {
+        const counts={};
+        for (const event of this.events.get(interviewId)||[]) counts[event.severity]=(counts[event.severity]||0)+1;
+        return counts;
+    }
+
+    async addIdentityCheck(interviewId, check)
+    {
+        if (!this.identityChecks.has(interviewId)) this.identityChecks.set(interviewId, []);
+        this.identityChecks.get(interviewId).push(check);
+    }
+
+    async getIdentityChecks(interviewId)
+    {
+        return [...(this.identityChecks.get(interviewId)||[])];
+    }
+
+    async addSnapshot(interviewId, snapshot)
+    {
+        const stored={...snapshot, id: this.nextSnapshotId++, interviewId};
+        if (!this.snapshots.has(interviewId)) this.snapshots.set(interviewId, []);
+        const snapshots=this.snapshots.get(interviewId);
+        snapshots.push(stored);
+        snapshots.sort((a, b) => new Date(a.timestamp)-new Date(b.timestamp)||a.id-b.id);
+        return stored;
+    }
+
+    async getSnapshot(snapshotId)
+    {
+        for (const snapshots of this.snapshots.values())
+        {
+            const snapshot=snapshots.find(s => s.id===Number(snapshotId));
+            if (snapshot) return snapshot;
+        }
+        return null;
+    }
+
+    // Oldest first; without a limit, all of them
+    async getSnapshots(interviewId, {limit, offset=0}={})
+    {
+        const snapshots=this.snapshots.get(interviewId)||[];
+        return limit? snapshots.slice(offset, offset+limit):snapshots.slice(offset);
+    }
+
+    async countSnapshots(interviewId)
+    {
+        return (this.snapshots.get(interviewId)||[]).length;
+    }
+
+    async isImageReferenced(sha256)
+    {
+        for (const snapshots of this.snapshots.values())
+        {
+            if (snapshots.some(s => s.sha256===sha256||s.thumbnailSha256===sha256)) return true;
+        }
+        return false;
+    }
+
+    async purgeBefore(cutoff)
+    {
+        const removed={events: 0, identityChecks: 0, snapshots: 0, sessions: 0, images: []};
+        for (const [map, key] of [[this.events, 'events'], [this.identityChecks, 'identityChecks'], [this.snapshots, 'snapshots']])
+        {
+            for (const [interviewId, records] of map)
+            {
+                const kept=records.filter(r => new Date(r.timestamp)>=cutoff);
+                removed[key]+=records.length-kept.length;
+                if (key==='snapshots') removed.images.push(...records.filter(r => !kept.includes(r)).flatMap(imagesOf));
+                map.set(interviewId, kept);
+            }
+        }
+        for (const [interviewId, session] of this.sessions)
+        {
+            if (new Date(session.endTime||session.lastActivity)<cutoff) {this.sessions.delete(interviewId); removed.sessions++;}
+        }
+        return removed;
+    }
+}
+
+function sessionFromRow(row)
+{
+    return {
+        interviewId: row.interview_id,
+        candidateName: row.candidate_name,
+        candidateEmail: row.candidate_email,
+        recruiterName: row.recruiter_name,
+        candidateUserId: row.candidate_user_id,
+        linkedSessionId: row.linked_session_id,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        lastActivity: row.last_activity,
+        status: row.status,
+        statusReason: row.status_reason,
+        eventCount: row.event_count
+    };
+}
+
+// metadata_json holds {details (when not a string), rules, action}
+function eventFromRow(row)
+{
+    const metadata=parseJson(row.metadata_json, {})||{};
+    return {
+        eventType: row.event_type,
+        severity: row.severity,
+        details: row.description??metadata.details??null,
+        rules: metadata.rules||[],
+        action: metadata.action||'none',
+        timestamp: row.timestamp
+    };
+}
+
+function snapshotFromRow(row)
+{
+    return {
+        id: row.id,
+        interviewId: row.interview_id,
+        source: row.source,
+        sha256: row.sha256,
+        mimeType: row.mime_type,
+        size: row.size_bytes,
+        thumbnailSha256: row.thumbnail_sha256,
+        thumbnailMimeType: row.thumbnail_mime_type,
+        timestamp: row.captured_at
+    };
+}
+
+export class MySqlProctoringStore
+{
+    async upsertSession(session)
+    {
+        await query(`
+            INSERT INTO proctoring_sessions
+            (interview_id, candidate_name, candidate_email, recruiter_name, candidate_user_id, linked_session_id, start_time, status, event_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'active', 0)
+            ON DUPLICATE KEY UPDATE candidate_name = VALUES(candidate_name), candidate_email = VALUES(candidate_email),
+                recruiter_name = VALUES(recruiter_name), candidate_user_id = VALUES(candidate_user_id),
+                linked_session_id = VALUES(linked_session_id), start_time = VALUES(start_time),
+                end_time = NULL, status = 'active', status_reason = NULL, last_activity = NOW()
+        `, [
+            session.interviewId, session.candidateName??null, session.candidateEmail??null, session.recruiterName??null,
+            session.candidateUserId??null, session.linkedSessionId??null, new Date(session.startTime)
+        ]);
+    }
+
+    async endSession(interviewId)
+    {
+        await query("UPDATE proctoring_sessions SET status = 'completed', end_time = NOW() WHERE interview_id = ?", [interviewId]);
+    }
+
+    async setStatus(interviewId, status, reason=null)
+    {
+        await query(`
+            UPDATE proctoring_sessions
+            SET status = ?, status_reason = ?, end_time = IF(? = 'terminated', NOW(), end_time)
+            WHERE interview_id = ?
+        `, [status, reason, status, interviewId]);
+    }
+
+    async getSession(interviewId)
+    {
+        const [row]=await query('SELECT * FROM proctoring_sessions WHERE interview_id = ?', [interviewId]);
+        return row? sessionFromRow(row):null;
+    }
+
+    async listActiveSessions()
+    {
+        const rows=await query("SELECT * FROM proctoring_sessions WHERE status IN ('active', 'paused') ORDER BY start_time DESC");
+        return rows.map(sessionFromRow);
+    }
+
+    async addEvent(interviewId, event)
+    {
+        const details=event.details??null;
+        const metadata={rules: event.rules||[], action: event.action||'none'};
+        if (details!==null&&typeof details!=='string') metadata.details=details;
+        await query(`
+            INSERT INTO proctoring_logs (interview_id, candidate_user_id, event_type, severity, description, metadata_json, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            interviewId, event.candidateUserId??null, event.eventType, event.severity||'info',
+            typeof details==='string'? details:null, JSON.stringify(metadata), event.timestamp
+        ]);
+        await query(
+            'UPDATE proctoring_sessions SET event_count = event_count + 1, last_activity = NOW() WHERE interview_id = ?',
+            [interviewId]
+        );
+    }
+
+    async getEvents(interviewId, {limit}={})
+    {
+        if (limit)
+        {
+            const rows=await query(
+                `SELECT * FROM proctoring_logs WHERE interview_id = ? ORDER BY timestamp DESC, id DESC LIMIT ${parseInt(limit)}`,
+                [interviewId]
+            );
+            return rows.reverse().map(eventFromRow);
+        }
+        const rows=await query('SELECT * FROM proctoring_logs WHERE interview_id = ? ORDER BY timestamp ASC, id ASC', [interviewId]);
+        return rows.map(eventFromRow);
+    }
+
+    async getEventsSince(interviewId, since)
+    {
+        const rows=await query(
+            'SELECT * FROM proctoring_logs WHERE interview_id = ? AND timestamp >= ? ORDER BY timestamp ASC, id ASC',
+            [interviewId, since]
+        );
+        return rows.map(eventFromRow);
+    }
+
+    async countBySeverity(interviewId)
+    {
+        const rows=await query('SELECT severity, COUNT(*) as count FROM proctoring_logs WHERE interview_id = ? GROUP BY severity', [interviewId]);
+        return Object.fromEntries(rows.map(r => [r.severity, Number(r.count)]));
+    }
+
+    async addIdentityCheck(interviewId, check)
+    {
+        await query(`
+            INSERT INTO proctoring_identity_checks (interview_id, user_id, verified, score, liveness_json, reason, method, challenge_id, checked_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            interviewId, String(check.userId), Boolean(check.verified), check.score??null,
+            check.liveness===undefined? null:JSON.stringify(check.liveness), check.reason??null,
+            check.method??null, check.challengeId??null, check.timestamp
+        ]);
+    }
+
+    async getIdentityChecks(interviewId)
+    {
+        const rows=await query('SELECT * FROM proctoring_identity_checks WHERE interview_id = ? ORDER BY checked_at ASC, id ASC', [interviewId]);
+        return rows.map(row => ({
+            timestamp: row.checked_at,
+            userId: row.user_id,
+            verified: Boolean(row.verified),
+            score: row.score===null? null:Number(row.score),
+            liveness: parseJson(row.liveness_json, null),
+            reason: row.reason,
+            method: row.method,
+            challengeId: row.challenge_id
+        }));
+    }
+
+    async addSnapshot(interviewId, snapshot)
+    {
+        const result=await query(`
+            INSERT INTO proctoring_snapshots
+            (interview_id, source, sha256, mime_type, size_bytes, thumbnail_sha256, thumbnail_mime_type, captured_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            interviewId, snapshot.source, snapshot.sha256, snapshot.mimeType, snapshot.size,
+            snapshot.thumbnailSha256??null, snapshot.thumbnailMimeType??null, snapshot.timestamp
+        ]);
+        return {...snapshot, id: result.insertId, interviewId};
+    }
+
+    async getSnapshot(snapshotId)
+    {
+        const [row]=await query('SELECT * FROM proctoring_snapshots WHERE id = ?', [snapshotId]);
+        return row? snapshotFromRow(row):null;
+    }
+
+    async getSnapshots(interviewId, {limit, offset=0}={})
+    {
+        // LIMIT and OFFSET are interpolated; both are integers
+        const page=limit? ` LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)||0}`:'';
+        const rows=await query(
+            `SELECT * FROM proctoring_snapshots WHERE interview_id = ? ORDER BY captured_at ASC, id ASC${page}`,
+            [interviewId]
+        );
+        return rows.map(snapshotFromRow);
+    }
+
+    async countSnapshots(interviewId)
+    {
+        const [row]=await query('SELECT COUNT(*) as count FROM proctoring_snapshots WHERE interview_id = ?', [interviewId]);
+        return Number(row.count);
+    }
+
+    async isImageReferenced(sha256)
+    {
+        const [row]=await query('SELECT id FROM proctoring_snapshots WHERE sha256 = ? OR thumbnail_sha256 = ? LIMIT 1', [sha256, sha256]);
+        return Boolean(row);
+    }
+
+    async purgeBefore(cutoff)
+    {
+        const events=await query('DELETE FROM proctoring_logs WHERE timestamp < ?', [cutoff]);
+        const checks=await query('DELETE FROM proctoring_identity_checks WHERE checked_at < ?', [cutoff]);
+        const expired=await query('SELECT * FROM proctoring_snapshots WHERE captured_at < ?', [cutoff]);
+        const snapshots=await query('DELETE FROM proctoring_snapshots WHERE captured_at < ?', [cutoff]);
+        const sessions=await query('DELETE FROM proctoring_sessions WHERE COALESCE(end_time, last_activity) < ?', [cutoff]);
+        return {
+            events: events.affectedRows,
+            identityChecks: checks.affectedRows,
+            snapshots: snapshots.affectedRows,
+            sessions: sessions.affectedRows,
+            images: expired.map(snapshotFromRow).flatMap(imagesOf)
+        };
+    }
+}
+
+class ProctoringStore
+{
+    constructor()
+    {
+        this.mysql=new MySqlProctoringStore();
+        this.memory=new MemoryProctoringStore();
+        this.purgeTimer=null;
+    }
+
+    get backend()
+    {
+        return isDatabaseConnected()? this.mysql:this.memory;
+    }
+
+    upsertSession(session) {return this.backend.upsertSession(session);}
+    endSession(interviewId) {return this.backend.endSession(interviewId);}
+    setStatus(interviewId, status, reason) {return this.backend.setStatus(interviewId, status, reason);}
+    getSession(interviewId) {return this.backend.getSession(interviewId);}
+    listActiveSessions() {return this.backend.listActiveSessions();}
+    addEvent(interviewId, event) {return this.backend.addEvent(interviewId, event);}
+    getEvents(interviewId, options) {return this.backend.getEvents(interviewId, options);}
+    getEventsSince(interviewId, since) {return this.backend.getEventsSince(interviewId, since);}
+    countBySeverity(interviewId) {return this.backend.countBySeverity(interviewId);}
+    addIdentityCheck(interviewId, check) {return this.backend.addIdentityCheck(interviewId, check);}
+    getIdentityChecks(interviewId) {return this.backend.getIdentityChecks(interviewId);}
+    addSnapshot(interviewId, snapshot) {return this.backend.addSnapshot(interviewId, snapshot);}
+    getSnapshot(snapshotId) {return this.backend.getSnapshot(snapshotId);}
+    getSnapshots(interviewId, options) {return this.backend.getSnapshots(interviewId, options);}
+    countSnapshots(interviewId) {return this.backend.countSnapshots(interviewId);}
+    isImageReferenced(sha256) {return this.backend.isImageReferenced(sha256);}
+
+    // Removes evidence older than the retention period; returns what was removed
+    async purgeExpired(retentionDays=RETENTION_DAYS)
+    {
+        if (!retentionDays) return {events: 0, identityChecks: 0, snapshots: 0, sessions: 0};
+        const {images, ...removed}=await this.backend.purgeBefore(new Date(Date.now()-retentionDays*24*60*60*1000));
+
+        // Identical frames share one file, which may still belong to a newer snapshot
+        const unique=new Map(images.map(image => [image.sha256, image]));
+        for (const {sha256, mimeType} of unique.values())
+        {
+            if (!await this.backend.isImageReferenced(sha256)) await removeImage(sha256, mimeType);
+        }
+
+        if (removed.events||removed.identityChecks||removed.snapshots||removed.sessions)
+        {
+            console.log(`🧹 Proctoring retention: removed ${removed.events} events, ${removed.identityChecks} identity checks, ${removed.snapshots} snapshots, ${removed.sessions} sessions`);
+        }
+        return removed;
+    }
+
+    // Said once at startup: without the database, evidence is gone on the next restart
+    warnIfVolatile()
+    {
+        if (isDatabaseConnected()) return;
+        console.warn('⚠️  Proctoring evidence is kept in memory only (no database connection): events, identity checks and');
+        console.warn('   snapshot records will be lost on restart. Configure MySQL before running proctored sessions.');
+    }
+
+    startRetentionJob()
+    {
+        if (this.purgeTimer||!RETENTION_DAYS) return;
+        const run=() => this.purgeExpired().catch(error => console.warn('Proctoring retention purge failed:', error.message));
+        run();
+        this.purgeTimer=setInterval(run, PURGE_INTERVAL_HOURS*60*60*1000);
+        this.purgeTimer.unref();
+    }
+}
+
+export default new ProctoringStore();
@@ -1,3 +1,6 @@
+import harness from './harness.js';
+import {listLanguages} from './languages.js';
+
 /**
  * Question Bank Service
  * Manages coding questions with filtering by difficulty, company, topics, and domains
@@ -40,6 +43,12 @@ class QuestionBank
                     {input: {nums: [1, 5, 3, 7, 9, 2], target: 10}, output: [0, 4], hidden: true}
                 ],
                 functionName: {python: "two_sum", javascript: "twoSum", java: "twoSum", cpp: "twoSum"},
+                signature: {params: [{name: 'nums', type: 'int[]'}, {name: 'target', type: 'int'}], returnType: 'int[]'},
+                // Any pair of distinct indices that adds up to target is a valid answer, in either order
+                checker: {
+                    language: 'python',
+                    code: 'def check(input, expected, actual):\n    i, j = actual\n    nums = input["nums"]\n    return i != j and 0 <= i < len(nums) and 0 <= j < len(nums) and nums[i] + nums[j] == input["target"]'
+                },
                 hints: ["Use a hash map to store numbers you've seen", "For each number, check if target - number exists in the map", "Time complexity should be O(n)"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(n)"
@@ -71,6 +80,7 @@ class QuestionBank
                     {input: {s: "A1b2B1a"}, output: true, hidden: true}
                 ],
                 functionName: {python: "is_palindrome", javascript: "isPalindrome", java: "isPalindrome", cpp: "isPalindrome"},
+                signature: {params: [{name: 's', type: 'string'}], returnType: 'boolean'},
                 hints: ["Use two pointers from both ends", "Skip non-alphanumeric characters", "Compare characters case-insensitively"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(1)"
@@ -103,6 +113,7 @@ class QuestionBank
                     {input: {s: "dvdf"}, output: 3, hidden: true}
                 ],
                 functionName: {python: "length_of_longest_substring", javascript: "lengthOfLongestSubstring", java: "lengthOfLongestSubstring", cpp: "lengthOfLongestSubstring"},
+                signature: {params: [{name: 's', type: 'string'}], returnType: 'int'},
                 hints: ["Use sliding window technique", "Maintain a set or map of characters in current window", "Move left pointer when duplicate found"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(min(n, m)) where m is charset size"
@@ -132,6 +143,7 @@ class QuestionBank
                     {input: {height: [1, 2, 1]}, output: 2, hidden: true}
                 ],
                 functionName: {python: "max_area", javascript: "maxArea", java: "maxArea", cpp: "maxArea"},
+                signature: {params: [{name: 'height', type: 'int[]'}], returnType: 'int'},
                 hints: ["Use two pointers at both ends", "Move the pointer with smaller height", "Calculate area at each step and track maximum"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(1)"
@@ -162,6 +174,8 @@ class QuestionBank
                     {input: {nums1: [2], nums2: []}, output: 2.0, hidden: true}
                 ],
                 functionName: {python: "find_median_sorted_arrays", javascript: "findMedianSortedArrays", java: "findMedianSortedArrays", cpp: "findMedianSortedArrays"},
+                signature: {params: [{name: 'nums1', type: 'int[]'}, {name: 'nums2', type: 'int[]'}], returnType: 'double'},
+                comparison: {mode: 'float', epsilon: 1e-5},
                 hints: ["Use binary search on the smaller array", "Find the correct partition point in both arrays", "Ensure elements on left are smaller than elements on right"],
                 timeComplexity: "O(log(min(m,n)))",
                 spaceComplexity: "O(1)"
@@ -192,6 +206,7 @@ class QuestionBank
                     {input: {height: [5, 4, 1, 2]}, output: 1, hidden: true}
                 ],
                 functionName: {python: "trap", javascript: "trap", java: "trap", cpp: "trap"},
+                signature: {params: [{name: 'height', type: 'int[]'}], returnType: 'int'},
                 hints: ["Water level is determined by min of left max and right max heights", "Can use two pointers approach for O(1) space", "Or precompute left_max and right_max arrays"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(1)"
@@ -214,8 +229,14 @@ class QuestionBank
                     java: "class TreeNode {\n    int val;\n    TreeNode left;\n    TreeNode right;\n    TreeNode(int x) { val = x; }\n}\n\nclass Solution {\n    public List<List<Integer>> levelOrder(TreeNode root) {\n        // Write your code here\n        return new ArrayList<>();\n    }\n}",
                     cpp: "struct TreeNode {\n    int val;\n    TreeNode *left;\n    TreeNode *right;\n    TreeNode(int x) : val(x), left(NULL), right(NULL) {}\n};\n\nvector<vector<int>> levelOrder(TreeNode* root) {\n    // Write your code here\n    return {};\n}"
                 },
-                testCases: [],
+                testCases: [
+                    {input: {root: [3, 9, 20, null, null, 15, 7]}, output: [[3], [9, 20], [15, 7]], hidden: false},
+                    {input: {root: [1]}, output: [[1]], hidden: false},
+                    {input: {root: []}, output: [], hidden: true},
+                    {input: {root: [1, 2, 3, 4, null, null, 5]}, output: [[1], [2, 3], [4, 5]], hidden: true}
+                ],
                 functionName: {python: "level_order", javascript: "levelOrder", java: "levelOrder", cpp: "levelOrder"},
+                signature: {params: [{name: 'root', type: 'TreeNode'}], returnType: 'list<list<int>>'},
                 hints: ["Use a queue for BFS traversal", "Process nodes level by level", "Track the size of queue at each level"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(n)"
@@ -248,6 +269,7 @@ class QuestionBank
                     {input: {s: "{[]}"}, output: true, hidden: true}
                 ],
                 functionName: {python: "is_valid", javascript: "isValid", java: "isValid", cpp: "isValid"},
+                signature: {params: [{name: 's', type: 'string'}], returnType: 'boolean'},
                 hints: ["Use a stack to keep track of opening brackets", "When you encounter a closing bracket, check if it matches the top of the stack", "At the end, the stack should be empty"],
                 timeComplexity: "O(n)",
                 spaceComplexity: "O(n)"
@@ -278,6 +300,7 @@ class QuestionBank
                     {input: {intervals: [[1, 4], [2, 3]]}, output: [[1, 4]], hidden: true}
                 ],
                 functionName: {python: "merge", javascript: "merge", java: "merge", cpp: "merge"},
+                signature: {params: [{name: 'intervals', type: 'int[][]'}], returnType: 'int[][]'},
                 hints: ["Sort intervals by start time first", "Iterate through sorted intervals and merge overlapping ones", "Check if current interval overlaps with the last merged interval"],
                 timeComplexity: "O(n log n)",
                 spaceComplexity: "O(n)"
@@ -288,7 +311,9 @@ class QuestionBank
     sanitizeQuestion(question)
     {
         if (!question) return null;
-        const {testCases, functionName, ...publicQuestion}=question;
+        const {testCases, functionName, checker, ...publicQuestion}=question;
+        // Languages the question ships no starter code for get one generated from its signature
+        publicQuestion.starterCode=harness.withStarterCode(question.starterCode, functionName, question.signature);
         publicQuestion.visibleTestCases=testCases? testCases.filter(tc => !tc.hidden).length:0;
         publicQuestion.totalTestCases=testCases? testCases.length:0;
         return publicQuestion;
@@ -309,7 +334,8 @@ class QuestionBank
             difficulties: ['easy', 'medium', 'hard'],
             companies: Array.from(allCompanies).sort(),
             topics: Array.from(allTopics).sort(),
-            domains: Array.from(allDomains).sort()
+            domains: Array.from(allDomains).sort(),
+            languages: listLanguages()
         };
     }
 
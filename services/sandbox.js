@@ -0,0 +1,242 @@
+import {spawn} from 'child_process';
+import {existsSync} from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+const __filename=fileURLToPath(import.meta.url);
+const __dirname=path.dirname(__filename);
+
+const APP_DIR=path.join(__dirname, '..');
+const SANDBOX_UID=parseInt(process.env.SANDBOX_UID||'65534');
+const SANDBOX_GID=parseInt(process.env.SANDBOX_GID||'65534');
+const MEMORY_POLL_INTERVAL=20;
+const OUT_OF_MEMORY_PATTERN=/MemoryError|bad_alloc|OutOfMemoryError|heap out of memory|Cannot allocate memory/;
+
+export const DEFAULT_LIMITS={
+    timeMs: parseInt(process.env.MAX_EXECUTION_TIME)||5000,
+    memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB)||256,
+    outputBytes: (parseInt(process.env.SANDBOX_OUTPUT_KB)||512)*1024,
+    fileSizeMb: 16,
+    processes: parseInt(process.env.SANDBOX_MAX_PROCESSES)||64,
+    // RLIMIT_AS breaks runtimes that reserve large virtual ranges up front (JVM, V8),
+    // those are capped through their own heap flags and the RSS watchdog instead.
+    addressSpace: true
+};
+
+function hasExecutable(name)
+{
+    return (process.env.PATH||'').split(path.delimiter).some(dir => dir&&existsSync(path.join(dir, name)));
+}
+
+// Resident memory of a process and all of its descendants, in KB
+async function readTreeMemoryKb(pid)
+{
+    let total=0;
+    const pending=[pid];
+    while (pending.length>0)
+    {
+        const current=pending.pop();
+        try
+        {
+            const status=await fs.readFile(`/proc/${current}/status`, 'utf8');
+            const match=status.match(/^VmRSS:\s+(\d+)/m);
+            if (match) total+=parseInt(match[1]);
+            const children=await fs.readFile(`/proc/${current}/task/${current}/children`, 'utf8');
+            pending.push(...children.trim().split(/\s+/).filter(Boolean).map(Number));
+        } catch (e) { /* process already exited or /proc unavailable */ }
+    }
+    return total;
+}
+
+/**
+ * Sandbox
+ * Runs untrusted programs as a separate unprivileged process group with rlimits,
+ * an RSS/output watchdog and a per-run scratch directory. With the `bwrap` backend
+ * the process also gets its own namespaces (no network) and a read-only root.
+ *
+ * In production (NODE_ENV=production) the sandbox fails closed: when `auto`
+ * finds no bwrap it runs nothing, unless SANDBOX_BACKEND names the weaker
+ * backend (rlimit or none) explicitly.
+ */
+class Sandbox
+{
+    constructor()
+    {
+        this.rootDir=path.join(APP_DIR, 'temp');
+        const requested=process.env.SANDBOX_BACKEND||'auto';
+        this.backend=this.resolveBackend(requested);
+        // Running as root: hand untrusted code to the dedicated sandbox user (SANDBOX_UID=0 opts out)
+        this.dropPrivileges=typeof process.getuid==='function'&&process.getuid()===0&&SANDBOX_UID!==0;
+        // Why code can't run at all, or null
+        this.refusal=null;
+        if (!this.isolated&&requested==='auto'&&process.env.NODE_ENV==='production')
+        {
+            this.refusal='Code execution is disabled: no isolated sandbox (bwrap) is available';
+            console.error(`❌ ${this.refusal}. Install bubblewrap, or set SANDBOX_BACKEND=rlimit to accept running code without isolation.`);
+        } else if (!this.isolated)
+        {
+            console.warn(`⚠️  Sandbox backend "${this.backend}": code runs without filesystem/network isolation`);
+        }
+    }
+
+    resolveBackend(requested)
+    {
+        if (requested!=='auto') return requested;
+        if (hasExecutable('bwrap')) return 'bwrap';
+        if (hasExecutable('prlimit')) return 'rlimit';
+        return 'none';
+    }
+
+    get isolated()
+    {
+        return this.backend==='bwrap';
+    }
+
+    async createWorkspace()
+    {
+        await fs.mkdir(this.rootDir, {recursive: true});
+        const dir=await fs.mkdtemp(path.join(this.rootDir, 'run-'));
+        if (this.dropPrivileges) await fs.chown(dir, SANDBOX_UID, SANDBOX_GID);
+        return dir;
+    }
+
+    /**
+     * A directory that persists across runs, for compiler caches (Go's build cache,
+     * NuGet's package folder). Only compile steps are given it.
+     */
+    async cacheDir(name)
+    {
+        const dir=path.join(this.rootDir, '.cache', name);
+        await fs.mkdir(dir, {recursive: true});
+        if (this.dropPrivileges) await fs.chown(dir, SANDBOX_UID, SANDBOX_GID);
+        return dir;
+    }
+
+    async destroyWorkspace(dir)
+    {
+        if (dir) await fs.rm(dir, {recursive: true, force: true}).catch(() => {});
+    }
+
+    rlimitArgs(limits)
+    {
+        const args=[
+            `--cpu=${Math.ceil(limits.timeMs/1000)+1}`,
+            `--fsize=${limits.fileSizeMb*1024*1024}`,
+            '--core=0'
+        ];
+        if (limits.addressSpace) args.push(`--as=${limits.memoryMb*1024*1024}`);
+        // RLIMIT_NPROC counts every process of the real uid, so only cap it for the dedicated sandbox user
+        if (this.dropPrivileges) args.push(`--nproc=${limits.processes}`);
+        return args;
+    }
+
+    buildCommand(command, args, workspace, limits, binds=[])
+    {
+        const argv=this.backend==='none'? [command, ...args]:['prlimit', ...this.rlimitArgs(limits), '--', command, ...args];
+        if (this.backend!=='bwrap') return argv;
+        return [
+            'bwrap',
+            '--ro-bind', '/', '/',
+            '--dev', '/dev',
+            '--proc', '/proc',
+            '--tmpfs', '/tmp',
+            // Hide the application (sources, .env, other runs) and expose only this run's scratch dir
+            '--tmpfs', APP_DIR,
+            '--bind', workspace, workspace,
+            ...binds.flatMap(dir => ['--bind', dir, dir]),
+            '--chdir', workspace,
+            '--unshare-all',
+            '--die-with-parent',
+            '--new-session',
+            '--',
+            ...argv
+        ];
+    }
+
+    buildEnv(workspace, extra={})
+    {
+        return {PATH: process.env.PATH, HOME: workspace, TMPDIR: workspace, LANG: 'C.UTF-8', ...extra};
+    }
+
+    /**
+     * Run a command inside the sandbox
+     * Resolves (never rejects) with the captured output, peak memory and the verdict:
+     * OK, TLE (time), MLE (memory), OLE (output) or RE (non-zero exit / signal).
+     * env adds environment variables; binds are extra writable directories (caches).
+     */
+    run(command, args=[], {workspace, input='', limits: overrides={}, env={}, binds=[]}={})
+    {
+        if (this.refusal) return Promise.resolve({stdout: '', stderr: this.refusal, timeMs: 0, memoryKb: 0, exitCode: null, signal: null, verdict: 'RE'});
+        const limits={...DEFAULT_LIMITS, ...overrides};
+        const [bin, ...argv]=this.buildCommand(command, args, workspace, limits, binds);
+
+        return new Promise((resolve) =>
+        {
+            const startTime=Date.now();
+            let stdout='';
+            let stderr='';
+            let outputBytes=0;
+            let peakMemoryKb=0;
+            let limitExceeded=null;
+            let settled=false;
+
+            const proc=spawn(bin, argv, {
+                cwd: workspace,
+                env: this.buildEnv(workspace, env),
+                detached: true,
+                ...(this.dropPrivileges? {uid: SANDBOX_UID, gid: SANDBOX_GID}:{})
+            });
+
+            const kill=(reason) =>
+            {
+                if (!limitExceeded) limitExceeded=reason;
+                try {process.kill(-proc.pid, 'SIGKILL');} catch (e) {proc.kill('SIGKILL');}
+            };
+
+            const finish=(result) =>
+            {
+                if (settled) return;
+                settled=true;
+                clearTimeout(timer);
+                clearInterval(memoryWatch);
+                resolve({stdout, stderr, timeMs: Date.now()-startTime, memoryKb: peakMemoryKb, ...result});
+            };
+
+            const timer=setTimeout(() => kill('TLE'), limits.timeMs);
+            const memoryWatch=setInterval(async () =>
+            {
+                if (settled||!proc.pid) return;
+                peakMemoryKb=Math.max(peakMemoryKb, await readTreeMemoryKb(proc.pid));
+                if (!settled&&peakMemoryKb>limits.memoryMb*1024) kill('MLE');
+            }, MEMORY_POLL_INTERVAL);
+
+            const collect=(stream) => (data) =>
+            {
+                if (limitExceeded==='OLE') return;
+                outputBytes+=data.length;
+                if (outputBytes>limits.outputBytes) return kill('OLE');
+                if (stream==='stdout') stdout+=data.toString();
+                else stderr+=data.toString();
+            };
+
+            proc.stdout.on('data', collect('stdout'));
+            proc.stderr.on('data', collect('stderr'));
+            proc.on('error', (error) => finish({exitCode: null, signal: null, verdict: 'RE', stderr: error.message}));
+            proc.on('close', (exitCode, signal) =>
+            {
+                let verdict=limitExceeded;
+                if (!verdict&&signal==='SIGXCPU') verdict='TLE';
+                if (!verdict&&signal==='SIGXFSZ') verdict='OLE';
+                if (!verdict&&exitCode!==0&&OUT_OF_MEMORY_PATTERN.test(stderr)) verdict='MLE';
+                if (!verdict&&(exitCode!==0||signal)) verdict='RE';
+                finish({exitCode, signal, verdict: verdict||'OK'});
+            });
+
+            proc.stdin.on('error', () => {});
+            proc.stdin.end(input||'');
+        });
+    }
+}
+
+export default new Sandbox();
@@ -1,14 +1,37 @@
 import {v4 as uuidv4} from 'uuid';
+import sessionRepository from './sessionRepository.js';
+import {VIOLATION_TYPES, DEFAULT_POLICY, defaultPolicy} from './antiCheatPolicy.js';
 
+const ARCHIVE_AFTER_HOURS=parseFloat(process.env.CP_SESSION_ARCHIVE_AFTER_HOURS)||24;
+const ARCHIVE_INTERVAL_MINUTES=parseFloat(process.env.CP_SESSION_ARCHIVE_INTERVAL_MINUTES)||60;
+
+/**
+ * Coding-practice sessions and their anti-cheat state. Sessions live in the
+ * session repository (MySQL when it is connected), so every method is async.
+ * Thresholds and weights come from the anti-cheat policy the session started with.
+ */
 class SessionManager
 {
-    constructor()
+    constructor(repository=sessionRepository)
+    {
+        this.repository=repository;
+        this.archiveTimer=null;
+    }
+
+    async requireSession(sessionId)
     {
-        this.sessions=new Map();
-        this.submissions=new Map();
+        const session=await this.repository.get(sessionId);
+        if (!session) throw new Error('Session not found');
+        return session;
     }
 
-    createSession({userId='anonymous', problemId, timeLimit=null, maxSubmissions=10})
+    // Settings of the session's policy; sessions from before policies existed use the defaults
+    policyOf(session)
+    {
+        return session.policy?.settings||DEFAULT_POLICY;
+    }
+
+    async createSession({userId='anonymous', problemId, timeLimit=null, maxSubmissions=10, policy=defaultPolicy()})
     {
         const sessionId=uuidv4();
         const session={
@@ -16,55 +39,70 @@ class SessionManager
             startTime: Date.now(), endTime: null,
             timeLimit, maxSubmissions,
             status: 'active',
-            violations: {tabSwitches: 0, focusLosses: 0, pasteAttempts: 0, devToolsAttempts: 0, rightClickAttempts: 0, fullscreenExits: 0, copyAttempts: 0, suspiciousBehavior: 0},
+            violations: Object.fromEntries(VIOLATION_TYPES.map(type => [type, 0])),
             metrics: {totalKeystrokes: 0, inactiveTime: 0, averageTypingSpeed: 0, lastActivity: Date.now()},
-            submissionCount: 0, submissions: [], warnings: [], flags: []
+            submissionCount: 0, submissions: [], warnings: [], flags: [],
+            policy
         };
-        this.sessions.set(sessionId, session);
+        await this.repository.create(session);
         return session;
     }
 
-    getSession(sessionId) {return this.sessions.get(sessionId);}
+    async getSession(sessionId) {return this.repository.get(sessionId);}
 
-    recordViolation(sessionId, violationType, details={})
+    async recordViolation(sessionId, violationType, details={})
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
-        if (session.violations.hasOwnProperty(violationType)) session.violations[violationType]++;
-        session.warnings.push({type: violationType, timestamp: Date.now(), details});
+        const session=await this.requireSession(sessionId);
+        const {violations: rules}=this.policyOf(session);
+        if (rules.ignored.includes(violationType)) return session;
+        if (Object.hasOwn(session.violations, violationType))
+        {
+            await this.repository.incrementViolation(sessionId, violationType);
+            session.violations[violationType]++;
+        }
+        const warning={type: violationType, timestamp: Date.now(), details};
+        await this.repository.addWarning(sessionId, warning);
+        session.warnings.push(warning);
+        const limit=rules.terminateAt[violationType];
+        if (limit&&session.violations[violationType]>=limit)
+        {
+            const flag={type: 'violation_limit_reached', severity: 'critical', timestamp: Date.now(), message: `${violationType} limit reached`, details: {violationType, count: session.violations[violationType], limit}};
+            await this.repository.addFlag(sessionId, flag);
+            return this.terminateSession(sessionId, 'violation_limit_reached');
+        }
         const totalViolations=Object.values(session.violations).reduce((sum, count) => sum+count, 0);
-        if (totalViolations>20)
+        if (rules.maxTotal!==null&&totalViolations>rules.maxTotal)
         {
-            session.flags.push({type: 'excessive_violations', severity: 'critical', timestamp: Date.now(), message: 'Too many violations detected'});
-            this.terminateSession(sessionId, 'excessive_violations');
+            const flag={type: 'excessive_violations', severity: 'critical', timestamp: Date.now(), message: 'Too many violations detected'};
+            await this.repository.addFlag(sessionId, flag);
+            return this.terminateSession(sessionId, 'excessive_violations');
         }
         return session;
     }
 
-    updateMetrics(sessionId, metrics)
+    async updateMetrics(sessionId, metrics)
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
+        const session=await this.requireSession(sessionId);
         session.metrics={...session.metrics, ...metrics};
         session.metrics.lastActivity=Date.now();
+        await this.repository.update(sessionId, {metrics: session.metrics});
         return session;
     }
 
-    recordSubmission(sessionId, {code, language, result, executionTime})
+    async recordSubmission(sessionId, {code, language, result, executionTime})
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
+        const session=await this.requireSession(sessionId);
         if (session.status!=='active') throw new Error(`Session is ${session.status}. Cannot submit.`);
         if (session.submissionCount>=session.maxSubmissions)
         {
-            session.flags.push({type: 'submission_limit_exceeded', severity: 'high', timestamp: Date.now()});
+            await this.repository.addFlag(sessionId, {type: 'submission_limit_exceeded', severity: 'high', timestamp: Date.now()});
             throw new Error('Maximum submissions exceeded');
         }
         if (session.timeLimit)
         {
             if (Date.now()-session.startTime>session.timeLimit)
             {
-                this.terminateSession(sessionId, 'time_limit_exceeded');
+                await this.terminateSession(sessionId, 'time_limit_exceeded');
                 throw new Error('Time limit exceeded');
             }
         }
@@ -73,37 +111,45 @@ class SessionManager
             code, language, codeLength: code.length, result, executionTime,
             timeSinceStart: Date.now()-session.startTime
         };
+        await this.repository.addSubmission(submission);
         session.submissionCount++;
         session.submissions.push(submission);
-        this.submissions.set(submission.submissionId, submission);
-        this.detectSuspiciousPatterns(session);
+        await this.detectSuspiciousPatterns(session);
         return {session, submission};
     }
 
-    detectSuspiciousPatterns(session)
+    async detectSuspiciousPatterns(session)
     {
         const submissions=session.submissions;
         if (submissions.length<2) return;
         const last=submissions[submissions.length-1];
         const prev=submissions[submissions.length-2];
         const timeBetween=last.timestamp-prev.timestamp;
-        if (timeBetween<5000) session.flags.push({type: 'rapid_submission', severity: 'medium', timestamp: Date.now(), details: {timeBetween}});
-        if (last.code===prev.code) session.flags.push({type: 'duplicate_submission', severity: 'low', timestamp: Date.now()});
+        const rules=this.policyOf(session).submissions;
+        const flags=[];
+        if (timeBetween<rules.rapidSubmissionMs) flags.push({type: 'rapid_submission', severity: 'medium', timestamp: Date.now(), details: {timeBetween}});
+        if (last.code===prev.code) flags.push({type: 'duplicate_submission', severity: 'low', timestamp: Date.now()});
         if (prev.result?.hasError&&!last.result?.hasError)
         {
             const codeChangeMagnitude=Math.abs(last.codeLength-prev.codeLength);
-            if (codeChangeMagnitude>100&&timeBetween<30000)
+            if (codeChangeMagnitude>rules.suddenSolutionMinChange&&timeBetween<rules.suddenSolutionWindowMs)
             {
-                session.flags.push({type: 'sudden_perfect_solution', severity: 'high', timestamp: Date.now(), details: {timeBetween, codeChangeMagnitude}});
+                flags.push({type: 'sudden_perfect_solution', severity: 'high', timestamp: Date.now(), details: {timeBetween, codeChangeMagnitude}});
+                await this.repository.incrementViolation(session.sessionId, 'suspiciousBehavior');
                 session.violations.suspiciousBehavior++;
             }
         }
+        for (const flag of flags)
+        {
+            await this.repository.addFlag(session.sessionId, flag);
+            session.flags.push(flag);
+        }
     }
 
-    checkSubmissionCooldown(sessionId, cooldownMs=3000)
+    async checkSubmissionCooldown(sessionId, cooldownMs=null)
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
+        const session=await this.requireSession(sessionId);
+        cooldownMs??=this.policyOf(session).submissions.cooldownMs;
         if (session.submissions.length===0) return {allowed: true};
         const last=session.submissions[session.submissions.length-1];
         const timeSince=Date.now()-last.timestamp;
@@ -111,29 +157,25 @@ class SessionManager
         return {allowed: true};
     }
 
-    terminateSession(sessionId, reason='manual')
+    async terminateSession(sessionId, reason='manual')
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
-        session.status='terminated';
-        session.endTime=Date.now();
-        session.terminationReason=reason;
-        return session;
+        const session=await this.requireSession(sessionId);
+        const fields={status: 'terminated', endTime: Date.now(), terminationReason: reason};
+        await this.repository.update(sessionId, fields);
+        return Object.assign(session, fields);
     }
 
-    completeSession(sessionId)
+    async completeSession(sessionId)
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
-        session.status='completed';
-        session.endTime=Date.now();
-        return session;
+        const session=await this.requireSession(sessionId);
+        const fields={status: 'completed', endTime: Date.now()};
+        await this.repository.update(sessionId, fields);
+        return Object.assign(session, fields);
     }
 
-    getSessionSummary(sessionId)
+    async getSessionSummary(sessionId)
     {
-        const session=this.sessions.get(sessionId);
-        if (!session) throw new Error('Session not found');
+        const session=await this.requireSession(sessionId);
         const duration=(session.endTime||Date.now())-session.startTime;
         const totalViolations=Object.values(session.violations).reduce((sum, count) => sum+count, 0);
         const highSeverityFlags=session.flags.filter(f => f.severity==='high'||f.severity==='critical').length;
@@ -148,27 +190,27 @@ class SessionManager
 
     calculateTrustScore(session)
     {
+        const {violationPenalties, flagPenalties}=this.policyOf(session).trustScore;
         let score=100;
-        score-=session.violations.tabSwitches*3;
-        score-=session.violations.focusLosses*2;
-        score-=session.violations.pasteAttempts*5;
-        score-=session.violations.devToolsAttempts*10;
-        score-=session.violations.suspiciousBehavior*15;
-        score-=session.flags.filter(f => f.severity==='critical').length*20;
-        score-=session.flags.filter(f => f.severity==='high').length*10;
-        score-=session.flags.filter(f => f.severity==='medium').length*5;
+        for (const [type, count] of Object.entries(session.violations)) score-=count*(violationPenalties[type]||0);
+        for (const flag of session.flags) score-=flagPenalties[flag.severity]||0;
         return Math.max(0, Math.min(100, score));
     }
 
-    cleanupOldSessions(maxAgeMs=24*60*60*1000)
+    // Finished sessions older than maxAgeMs are archived, never deleted; returns how many
+    async cleanupOldSessions(maxAgeMs=ARCHIVE_AFTER_HOURS*60*60*1000)
     {
-        const now=Date.now();
-        let cleaned=0;
-        for (const [sessionId, session] of this.sessions.entries())
-        {
-            if (now-session.startTime>maxAgeMs&&session.status!=='active') {this.sessions.delete(sessionId); cleaned++;}
-        }
-        return cleaned;
+        return this.repository.archiveFinishedBefore(Date.now()-maxAgeMs);
+    }
+
+    // Archive old sessions now and every CP_SESSION_ARCHIVE_INTERVAL_MINUTES
+    startArchiveJob()
+    {
+        if (this.archiveTimer) return;
+        const run=() => this.cleanupOldSessions().catch(error => console.warn('Coding session archiving failed:', error.message));
+        run();
+        this.archiveTimer=setInterval(run, ARCHIVE_INTERVAL_MINUTES*60*1000);
+        this.archiveTimer.unref();
     }
 }
 
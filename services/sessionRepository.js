@@ -0,0 +1,358 @@
+import {isDatabaseConnected, query, transaction} from '../db/database.js';
+
+/**
+ * Session Repository
+ * Storage behind SessionManager: coding-practice sessions with their violation
+ * counters, metrics, warnings, flags and submissions. Writes are small atomic
+ * operations (increment a counter, append a flag) rather than whole-session
+ * saves, so several server instances can work on the same session.
+ *
+ * MySqlSessionRepository keeps everything in the cp_session* tables; the
+ * in-memory repository has the same methods and is used when no database is
+ * configured. Expired sessions are archived (archived_at set), never deleted.
+ *
+ * Editor history is stored as batches of encoded edits (see editTimeline.js);
+ * a batch may carry a checkpoint, the full code after it, so replays only
+ * apply the edits since the nearest checkpoint.
+ */
+
+function parseJson(value, fallback)
+{
+    if (value===null||value===undefined) return fallback;
+    if (typeof value!=='string') return value;
+    try {return JSON.parse(value);} catch (e) {return fallback;}
+}
+
+function editBatchFromRow(row)
+{
+    return {
+        seq: row.seq,
+        firstEventAt: Number(row.first_event_at),
+        lastEventAt: Number(row.last_event_at),
+        eventCount: row.event_count,
+        events: parseJson(row.events_json, []),
+        codeLength: row.code_length,
+        checkpoint: row.checkpoint
+    };
+}
+
+export class MemorySessionRepository
+{
+    constructor()
+    {
+        this.sessions=new Map();
+        this.editBatches=new Map();
+    }
+
+    async create(session)
+    {
+        this.sessions.set(session.sessionId, structuredClone(session));
+    }
+
+    async get(sessionId)
+    {
+        const session=this.sessions.get(sessionId);
+        return session? structuredClone(session):null;
+    }
+
+    async incrementViolation(sessionId, type)
+    {
+        const session=this.sessions.get(sessionId);
+        if (session) session.violations[type]=(session.violations[type]||0)+1;
+    }
+
+    async addWarning(sessionId, warning)
+    {
+        this.sessions.get(sessionId)?.warnings.push(structuredClone(warning));
+    }
+
+    async addFlag(sessionId, flag)
+    {
+        this.sessions.get(sessionId)?.flags.push(structuredClone(flag));
+    }
+
+    async addSubmission(submission)
+    {
+        const session=this.sessions.get(submission.sessionId);
+        if (!session) return;
+        session.submissions.push(structuredClone(submission));
+        session.submissionCount++;
+    }
+
+    // fields: status, endTime, terminationReason, metrics
+    async update(sessionId, fields)
+    {
+        const session=this.sessions.get(sessionId);
+        if (session) Object.assign(session, structuredClone(fields));
+    }
+
+    async archiveFinishedBefore(timestamp)
+    {
+        let archived=0;
+        for (const session of this.sessions.values())
+        {
+            if (session.startTime<timestamp&&session.status!=='active'&&!session.archivedAt)
+            {
+                session.archivedAt=Date.now();
+                archived++;
+            }
+        }
+        return archived;
+    }
+
+    async getUserSubmissions(userId, {excludeSessionId=null, limit=50}={})
+    {
+        return [...this.sessions.values()]
+            .filter(s => String(s.userId)===String(userId)&&s.sessionId!==excludeSessionId&&s.submissions.length>0)
+            .map(s => s.submissions[s.submissions.length-1])
+            .sort((a, b) => b.timestamp-a.timestamp)
+            .slice(0, limit)
+            .map(({sessionId, code, language, timestamp}) => ({sessionId, code, language, timestamp}));
+    }
+
+    async addEditBatch(sessionId, batch)
+    {
+        if (!this.editBatches.has(sessionId)) this.editBatches.set(sessionId, []);
+        this.editBatches.get(sessionId).push(structuredClone(batch));
+    }
+
+    async getLastEditBatch(sessionId)
+    {
+        const batches=this.editBatches.get(sessionId)||[];
+        return batches.length? structuredClone(batches[batches.length-1]):null;
+    }
+
+    async getLastCheckpoint(sessionId, until=Infinity)
+    {
+        const batches=(this.editBatches.get(sessionId)||[]).filter(b => b.checkpoint!==null&&b.lastEventAt<=until);
+        return batches.length? structuredClone(batches[batches.length-1]):null;
+    }
+
+    // Batches after the given sequence number, up to the ones starting at `until`
+    async getEditBatches(sessionId, {afterSeq=0, until=Infinity}={})
+    {
+        return (this.editBatches.get(sessionId)||[])
+            .filter(b => b.seq>afterSeq&&b.firstEventAt<=until)
+            .map(b => structuredClone(b));
+    }
+}
+
+export class MySqlSessionRepository
+{
+    async create(session)
+    {
+        await query(`
+            INSERT INTO cp_sessions
+            (session_id, user_id, problem_id, start_time, time_limit_ms, max_submissions, status, violations_json, metrics_json, policy_id, policy_json)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            session.sessionId, String(session.userId), String(session.problemId), session.startTime,
+            session.timeLimit, session.maxSubmissions, session.status,
+            JSON.stringify(session.violations), JSON.stringify(session.metrics),
+            session.policy?.id??null, session.policy? JSON.stringify(session.policy):null
+        ]);
+    }
+
+    async get(sessionId)
+    {
+        const [row]=await query('SELECT * FROM cp_sessions WHERE session_id = ?', [sessionId]);
+        if (!row) return null;
+        const [warnings, flags, submissions]=await Promise.all([
+            query('SELECT * FROM cp_session_violations WHERE session_id = ? ORDER BY id ASC', [sessionId]),
+            query('SELECT * FROM cp_session_flags WHERE session_id = ? ORDER BY id ASC', [sessionId]),
+            query('SELECT * FROM cp_session_submissions WHERE session_id = ? ORDER BY submitted_at ASC', [sessionId])
+        ]);
+
+        const session={
+            sessionId: row.session_id,
+            userId: row.user_id,
+            problemId: row.problem_id,
+            startTime: Number(row.start_time),
+            endTime: row.end_time===null? null:Number(row.end_time),
+            timeLimit: row.time_limit_ms,
+            maxSubmissions: row.max_submissions,
+            status: row.status,
+            violations: parseJson(row.violations_json, {}),
+            metrics: parseJson(row.metrics_json, {}),
+            submissionCount: row.submission_count,
+            submissions: submissions.map(s => ({
+                submissionId: s.submission_id,
+                sessionId: s.session_id,
+                timestamp: Number(s.submitted_at),
+                code: s.code,
+                language: s.language,
+                codeLength: s.code_length,
+                result: parseJson(s.result_json, null),
+                executionTime: s.execution_time_ms,
+                timeSinceStart: Number(s.time_since_start_ms)
+            })),
+            warnings: warnings.map(w => ({type: w.violation_type, timestamp: Number(w.occurred_at), details: parseJson(w.details_json, {})})),
+            flags: flags.map((f) =>
+            {
+                const flag={type: f.flag_type, severity: f.severity, timestamp: Number(f.occurred_at)};
+                if (f.message) flag.message=f.message;
+                if (f.details_json) flag.details=parseJson(f.details_json, {});
+                return flag;
+            })
+        };
+        if (row.policy_json) session.policy=parseJson(row.policy_json, undefined);
+        if (row.termination_reason) session.terminationReason=row.termination_reason;
+        if (row.archived_at) session.archivedAt=new Date(row.archived_at).getTime();
+        return session;
+    }
+
+    // type is checked against the session's known counters by the caller, so it is safe in the JSON path
+    async incrementViolation(sessionId, type)
+    {
+        const path=`$.${type}`;
+        await query(`
+            UPDATE cp_sessions
+            SET violations_json = JSON_SET(violations_json, ?, COALESCE(JSON_EXTRACT(violations_json, ?), 0) + 1)
+            WHERE session_id = ?
+        `, [path, path, sessionId]);
+    }
+
+    async addWarning(sessionId, warning)
+    {
+        await query(`
+            INSERT INTO cp_session_violations (session_id, violation_type, details_json, occurred_at)
+            VALUES (?, ?, ?, ?)
+        `, [sessionId, warning.type, JSON.stringify(warning.details||{}), warning.timestamp]);
+    }
+
+    async addFlag(sessionId, flag)
+    {
+        await query(`
+            INSERT INTO cp_session_flags (session_id, flag_type, severity, message, details_json, occurred_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [sessionId, flag.type, flag.severity, flag.message||null, flag.details? JSON.stringify(flag.details):null, flag.timestamp]);
+    }
+
+    async addSubmission(submission)
+    {
+        await transaction(async (conn) =>
+        {
+            await conn.execute(`
+                INSERT INTO cp_session_submissions
+                (submission_id, session_id, code, language, code_length, result_json, execution_time_ms, time_since_start_ms, submitted_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                submission.submissionId, submission.sessionId, submission.code, submission.language, submission.codeLength,
+                JSON.stringify(submission.result??null), submission.executionTime??null, submission.timeSinceStart, submission.timestamp
+            ]);
+            await conn.execute('UPDATE cp_sessions SET submission_count = submission_count + 1 WHERE session_id = ?', [submission.sessionId]);
+        });
+    }
+
+    async update(sessionId, fields)
+    {
+        const columns={status: 'status', endTime: 'end_time', terminationReason: 'termination_reason', metrics: 'metrics_json'};
+        const updates=[];
+        const params=[];
+        for (const [field, column] of Object.entries(columns))
+        {
+            if (fields[field]===undefined) continue;
+            updates.push(`${column} = ?`);
+            params.push(field==='metrics'? JSON.stringify(fields[field]):fields[field]);
+        }
+        if (updates.length===0) return;
+        params.push(sessionId);
+        await query(`UPDATE cp_sessions SET ${updates.join(', ')} WHERE session_id = ?`, params);
+    }
+
+    async archiveFinishedBefore(timestamp)
+    {
+        const result=await query(`
+            UPDATE cp_sessions SET archived_at = NOW()
+            WHERE start_time < ? AND status <> 'active' AND archived_at IS NULL
+        `, [timestamp]);
+        return result.affectedRows;
+    }
+
+    // Final submission of each of the user's sessions, newest first
+    async getUserSubmissions(userId, {excludeSessionId=null, limit=50}={})
+    {
+        const rows=await query(`
+            SELECT s.session_id, s.code, s.language, s.submitted_at
+            FROM cp_session_submissions s
+            JOIN cp_sessions c ON c.session_id = s.session_id
+            WHERE c.user_id = ? AND c.session_id <> ?
+              AND s.submitted_at = (SELECT MAX(submitted_at) FROM cp_session_submissions WHERE session_id = s.session_id)
+            ORDER BY s.submitted_at DESC
+            LIMIT ${parseInt(limit)||50}
+        `, [String(userId), excludeSessionId||'']);
+        return rows.map(r => ({sessionId: r.session_id, code: r.code, language: r.language, timestamp: Number(r.submitted_at)}));
+    }
+
+    async addEditBatch(sessionId, batch)
+    {
+        await query(`
+            INSERT INTO cp_session_edit_batches
+            (session_id, seq, first_event_at, last_event_at, event_count, events_json, code_length, checkpoint)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            sessionId, batch.seq, batch.firstEventAt, batch.lastEventAt, batch.eventCount,
+            JSON.stringify(batch.events), batch.codeLength, batch.checkpoint
+        ]);
+    }
+
+    async getLastEditBatch(sessionId)
+    {
+        const [row]=await query('SELECT * FROM cp_session_edit_batches WHERE session_id = ? ORDER BY seq DESC LIMIT 1', [sessionId]);
+        return row? editBatchFromRow(row):null;
+    }
+
+    async getLastCheckpoint(sessionId, until=Number.MAX_SAFE_INTEGER)
+    {
+        const [row]=await query(`
+            SELECT * FROM cp_session_edit_batches
+            WHERE session_id = ? AND checkpoint IS NOT NULL AND last_event_at <= ?
+            ORDER BY seq DESC LIMIT 1
+        `, [sessionId, until]);
+        return row? editBatchFromRow(row):null;
+    }
+
+    async getEditBatches(sessionId, {afterSeq=0, until=Number.MAX_SAFE_INTEGER}={})
+    {
+        const rows=await query(`
+            SELECT * FROM cp_session_edit_batches
+            WHERE session_id = ? AND seq > ? AND first_event_at <= ?
+            ORDER BY seq ASC
+        `, [sessionId, afterSeq, until]);
+        return rows.map(editBatchFromRow);
+    }
+}
+
+/**
+ * Picks MySQL once the database has connected and memory otherwise, so the
+ * manager keeps working on hosts without MySQL
+ */
+class SessionRepository
+{
+    constructor()
+    {
+        this.mysql=new MySqlSessionRepository();
+        this.memory=new MemorySessionRepository();
+    }
+
+    get backend()
+    {
+        return isDatabaseConnected()? this.mysql:this.memory;
+    }
+
+    create(session) {return this.backend.create(session);}
+    get(sessionId) {return this.backend.get(sessionId);}
+    incrementViolation(sessionId, type) {return this.backend.incrementViolation(sessionId, type);}
+    addWarning(sessionId, warning) {return this.backend.addWarning(sessionId, warning);}
+    addFlag(sessionId, flag) {return this.backend.addFlag(sessionId, flag);}
+    addSubmission(submission) {return this.backend.addSubmission(submission);}
+    update(sessionId, fields) {return this.backend.update(sessionId, fields);}
+    archiveFinishedBefore(timestamp) {return this.backend.archiveFinishedBefore(timestamp);}
+    getUserSubmissions(userId, options) {return this.backend.getUserSubmissions(userId, options);}
+    addEditBatch(sessionId, batch) {return this.backend.addEditBatch(sessionId, batch);}
+    getLastEditBatch(sessionId) {return this.backend.getLastEditBatch(sessionId);}
+    getLastCheckpoint(sessionId, until) {return this.backend.getLastCheckpoint(sessionId, until);}
+    getEditBatches(sessionId, options) {return this.backend.getEditBatches(sessionId, options);}
+}
+
+export default new SessionRepository();
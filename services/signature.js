@@ -0,0 +1,176 @@
+/**
+ * Function Signatures
+ * A problem declares the candidate function's parameters and return type once,
+ * in a language-neutral form, and the harness derives typed literals and output
+ * serialisation for every language from it:
+ *
+ *   signature: {
+ *       params: [{name: 'nums', type: 'int[]'}, {name: 'target', type: 'int'}],
+ *       returnType: 'int[]'
+ *   }
+ *
+ * Types: int, long, double, boolean, char, string, ListNode, TreeNode, T[] (any
+ * depth) and list<T>. returnType may also be void, in which case the first
+ * parameter is serialised after the call (in-place problems). Test case values
+ * are plain JSON; linked lists are arrays and trees are level-order arrays with
+ * nulls for missing children.
+ */
+
+const SCALARS={
+    int: 'int', integer: 'int',
+    long: 'long',
+    double: 'double', float: 'double',
+    boolean: 'boolean', bool: 'boolean',
+    char: 'char',
+    string: 'string', str: 'string',
+    listnode: 'ListNode',
+    treenode: 'TreeNode'
+};
+
+export function parseType(type)
+{
+    const text=String(type||'').trim();
+    if (text.endsWith('[]')) return {kind: 'array', of: parseType(text.slice(0, -2))};
+    const list=text.match(/^list\s*<(.+)>$/i);
+    if (list) return {kind: 'list', of: parseType(list[1])};
+    const scalar=SCALARS[text.toLowerCase()];
+    if (!scalar) throw new Error(`Unsupported signature type "${text}"`);
+    return {kind: scalar};
+}
+
+// Validate a raw signature and resolve every type string once
+export function parseSignature(signature)
+{
+    if (!signature||!Array.isArray(signature.params)) throw new Error('Signature must declare a params array');
+    const params=signature.params.map((param, i) =>
+    {
+        if (!param||!/^[A-Za-z_]\w*$/.test(param.name||'')) throw new Error(`Signature parameter ${i+1} needs a valid name`);
+        return {name: param.name, type: parseType(param.type)};
+    });
+    const isVoid=String(signature.returnType||'').toLowerCase()==='void';
+    if (isVoid&&params.length===0) throw new Error('A void signature needs a parameter to report');
+    return {params, returnType: isVoid? {kind: 'void'}:parseType(signature.returnType)};
+}
+
+export function usesType(parsed, kind)
+{
+    const contains=(type) => type.kind===kind||(type.of? contains(type.of):false);
+    return parsed.params.some(param => contains(param.type))||contains(parsed.returnType);
+}
+
+// Order a test case's input (object keyed by parameter name, or positional array) by the signature
+export function argumentValues(parsed, input)
+{
+    if (Array.isArray(input)&&parsed.params.length!==1) return parsed.params.map((param, i) => input[i]);
+    if (input&&typeof input==='object'&&!Array.isArray(input))
+    {
+        return parsed.params.map((param) =>
+        {
+            if (!(param.name in input)) throw new Error(`Test case is missing parameter "${param.name}"`);
+            return input[param.name];
+        });
+    }
+    if (parsed.params.length===1) return [input];
+    throw new Error('Test case input does not match the signature');
+}
+
+export function expectArray(value)
+{
+    if (!Array.isArray(value)) throw new Error(`Expected an array but got ${JSON.stringify(value)}`);
+    return value;
+}
+
+export function floatLiteral(value)
+{
+    return Number.isInteger(value)? value.toFixed(1):String(value);
+}
+
+export function intLiteral(value)
+{
+    // -2^31 is not a valid int literal in C++ or Kotlin (the positive part overflows first)
+    return value===-2147483648? '(-2147483647 - 1)':String(value);
+}
+
+/**
+ * Quote a string as a C-family literal
+ * Control characters go through the language's unicode escape; `special` adds
+ * per-language escapes (e.g. `$` in Kotlin templates).
+ */
+export function quoteString(value, {quote='"', unicode=(code) => `\\u${code.toString(16).padStart(4, '0')}`, special={}}={})
+{
+    let out=quote;
+    for (const char of String(value))
+    {
+        const code=char.codePointAt(0);
+        if (special[char]) out+=special[char];
+        else if (char===quote||char==='\\') out+=`\\${char}`;
+        else if (char==='\n') out+='\\n';
+        else if (char==='\r') out+='\\r';
+        else if (char==='\t') out+='\\t';
+        else if (code<0x20) out+=unicode(code);
+        else out+=char;
+    }
+    return out+quote;
+}
+
+export function charValue(value)
+{
+    const char=String(value);
+    if ([...char].length!==1) throw new Error(`Expected a single character but got ${JSON.stringify(value)}`);
+    return char;
+}
+
+/**
+ * One typed case: argument declarations, statements to run, and the value to
+ * serialise with its type. void problems modify their first argument in place,
+ * so that argument is what gets reported.
+ */
+export function typedCase(parsed, values, declare, call)
+{
+    const names=parsed.params.map((param, i) => `a${i}`);
+    const declarations=parsed.params.map((param, i) => declare(param.type, names[i], values[i], i));
+    const invocation=call(names);
+    if (parsed.returnType.kind==='void') return {lines: [...declarations, invocation], result: names[0], type: parsed.params[0].type};
+    return {lines: declarations, result: invocation, type: parsed.returnType};
+}
+
+function inferType(values, where)
+{
+    const present=values.filter(v => v!==null&&v!==undefined);
+    if (present.length===0) return 'int';
+    if (present.every(v => typeof v==='boolean')) return 'boolean';
+    if (present.every(v => typeof v==='string')) return 'string';
+    if (present.every(v => typeof v==='number'))
+    {
+        if (!present.every(Number.isInteger)) return 'double';
+        return present.every(v => Math.abs(v)<=2147483647)? 'int':'long';
+    }
+    if (present.every(Array.isArray)) return `${inferType(present.flat(), where)}[]`;
+    throw new Error(`Cannot infer a type for ${where} from the test data; give the problem a signature`);
+}
+
+// Guess a signature from test data, for problems that predate signatures
+export function inferSignature(testCases)
+{
+    const first=testCases[0]?.input;
+    if (!first||typeof first!=='object'||first.__raw) throw new Error('Cannot infer a signature from these test cases; give the problem a signature');
+    const names=Array.isArray(first)? first.map((v, i) => `arg${i}`):Object.keys(first);
+    const valueAt=(input, i) => (Array.isArray(input)? input[i]:input?.[names[i]]);
+    return parseSignature({
+        params: names.map((name, i) => ({name, type: inferType(testCases.map(tc => valueAt(tc.input, i)), `parameter "${name}"`)})),
+        returnType: inferType(testCases.map(tc => tc.output), 'the return value')
+    });
+}
+
+const NAMINGS={
+    camel: (words) => words.map((w, i) => (i===0? w:w[0].toUpperCase()+w.slice(1))).join(''),
+    pascal: (words) => words.map(w => w[0].toUpperCase()+w.slice(1)).join(''),
+    snake: (words) => words.join('_')
+};
+
+// Convert a function name between naming conventions (two_sum <-> twoSum <-> TwoSum)
+export function renameFunction(name, naming)
+{
+    const words=name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().split('_').filter(Boolean);
+    return words.length&&NAMINGS[naming]? NAMINGS[naming](words):name;
+}
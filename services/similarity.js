@@ -0,0 +1,271 @@
+/**
+ * Code Similarity
+ * Fingerprints source code so near-identical submissions can be found even
+ * after renaming variables, reformatting or editing comments. Code is lexed
+ * into a normalized token stream (comments and whitespace dropped, identifiers
+ * become V, numbers N and string literals S; keywords and operators are kept),
+ * then hashed in k-token windows and winnowed: from every w consecutive hashes
+ * the smallest is kept. Two programs sharing a run of at least k+w-1 tokens are
+ * guaranteed to share a fingerprint.
+ */
+
+export const KGRAM=5;
+export const WINDOW=4;
+
+// Programs too small to fingerprint reliably are never reported as similar
+export const MIN_FINGERPRINTS=5;
+
+const HASH_COMMENT_LANGUAGES=['python'];
+
+// Keywords stay as tokens, so they must not include identifiers of the language being lexed
+const COMMON_KEYWORDS=['if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return',
+    'try', 'catch', 'finally', 'throw', 'new', 'class', 'true', 'false', 'null', 'this', 'super', 'static', 'const',
+    'public', 'private', 'protected', 'import', 'int', 'long', 'char', 'double', 'float', 'boolean', 'void', 'in'];
+
+const LANGUAGE_KEYWORDS={
+    python: ['def', 'elif', 'except', 'raise', 'lambda', 'pass', 'with', 'yield', 'not', 'and', 'or', 'is', 'None',
+        'True', 'False', 'global', 'nonlocal', 'self', 'from', 'as', 'async', 'await', 'del', 'assert', 'range', 'len'],
+    javascript: ['function', 'let', 'var', 'typeof', 'instanceof', 'undefined', 'async', 'await', 'of', 'yield', 'delete'],
+    typescript: ['function', 'let', 'var', 'typeof', 'instanceof', 'undefined', 'async', 'await', 'of', 'yield', 'delete',
+        'number', 'string', 'interface', 'type', 'any'],
+    java: ['final', 'extends', 'implements', 'interface', 'abstract', 'throws', 'String', 'List', 'Map', 'instanceof'],
+    kotlin: ['fun', 'val', 'var', 'when', 'object', 'is', 'as', 'override', 'IntArray', 'String', 'List', 'Map'],
+    csharp: ['using', 'namespace', 'var', 'string', 'bool', 'override', 'readonly', 'out', 'ref', 'List', 'Dictionary'],
+    cpp: ['auto', 'struct', 'sizeof', 'template', 'typename', 'vector', 'string', 'unsigned', 'namespace', 'using', 'std'],
+    c: ['struct', 'sizeof', 'unsigned', 'signed', 'short'],
+    go: ['func', 'package', 'defer', 'go', 'chan', 'map', 'range', 'type', 'struct', 'interface', 'var', 'nil', 'len'],
+    rust: ['fn', 'let', 'mut', 'impl', 'trait', 'struct', 'enum', 'match', 'loop', 'use', 'pub', 'self', 'Self', 'Vec',
+        'usize', 'i32', 'i64', 'ref', 'where', 'mod', 'as']
+};
+
+const keywordSets=new Map();
+
+function keywordsFor(language)
+{
+    if (!keywordSets.has(language)) keywordSets.set(language, new Set([...COMMON_KEYWORDS, ...(LANGUAGE_KEYWORDS[language]||[])]));
+    return keywordSets.get(language);
+}
+
+const OPERATORS=['>>>=', '<<=', '>>=', '>>>', '===', '!==', '**=', '//=', '...', '->', '=>', '::', '++', '--', '&&', '||',
+    '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**', '//', ':='];
+
+/**
+ * Lex code into normalized tokens
+ * Returns [{token, line}] with 1-based line numbers, for mapping matches back to source.
+ */
+export function tokenize(code, language)
+{
+    const hashComments=HASH_COMMENT_LANGUAGES.includes(language);
+    const keywords=keywordsFor(language);
+    const tokens=[];
+    let line=1;
+    let i=0;
+    const text=String(code||'');
+
+    while (i<text.length)
+    {
+        const char=text[i];
+        const rest=text.slice(i, i+3);
+
+        if (char==='\n') {line++; i++; continue;}
+        if (/\s/.test(char)) {i++; continue;}
+
+        // Comments
+        if ((hashComments&&char==='#')||(!hashComments&&rest.startsWith('//')))
+        {
+            while (i<text.length&&text[i]!=='\n') i++;
+            continue;
+        }
+        if (!hashComments&&rest.startsWith('/*'))
+        {
+            const end=text.indexOf('*/', i+2);
+            const stop=end===-1? text.length:end+2;
+            line+=(text.slice(i, stop).match(/\n/g)||[]).length;
+            i=stop;
+            continue;
+        }
+
+        // String literals, including Python triple quotes (docstrings count as strings)
+        if (char==='"'||char==='\''||char==='`')
+        {
+            const quote=hashComments&&(rest==='"""'||rest==='\'\'\'')? rest:char;
+            const start=line;
+            let j=i+quote.length;
+            while (j<text.length&&!text.startsWith(quote, j))
+            {
+                if (text[j]==='\\') j++;
+                else if (text[j]==='\n') line++;
+                j++;
+            }
+            tokens.push({token: 'S', line: start});
+            i=j+quote.length;
+            continue;
+        }
+
+        const word=text.slice(i).match(/^[A-Za-z_$][\w$]*/);
+        if (word)
+        {
+            tokens.push({token: keywords.has(word[0])? word[0]:'V', line});
+            i+=word[0].length;
+            continue;
+        }
+
+        const number=text.slice(i).match(/^(0[xX][\da-fA-F_]+|\d[\d_]*(\.\d+)?([eE][+-]?\d+)?)[a-zA-Z]*/);
+        if (number)
+        {
+            tokens.push({token: 'N', line});
+            i+=number[0].length;
+            continue;
+        }
+
+        const operator=OPERATORS.find(op => text.startsWith(op, i))||char;
+        tokens.push({token: operator, line});
+        i+=operator.length;
+    }
+    return tokens;
+}
+
+// 32-bit FNV-1a
+function hash(text)
+{
+    let h=0x811c9dc5;
+    for (let i=0;i<text.length;i++)
+    {
+        h^=text.charCodeAt(i);
+        h=Math.imul(h, 0x01000193)>>>0;
+    }
+    return h;
+}
+
+/**
+ * Winnowed fingerprints of a token stream
+ * Returns Map<hash, [token position]>; a position is the start of its k-gram.
+ */
+export function fingerprint(tokens, k=KGRAM, w=WINDOW)
+{
+    const grams=[];
+    for (let i=0;i+k<=tokens.length;i++)
+    {
+        grams.push(hash(tokens.slice(i, i+k).map(t => t.token).join(' ')));
+    }
+
+    const prints=new Map();
+    const keep=(position) =>
+    {
+        const h=grams[position];
+        if (!prints.has(h)) prints.set(h, []);
+        const positions=prints.get(h);
+        if (positions[positions.length-1]!==position) positions.push(position);
+    };
+    if (grams.length>0&&grams.length<w) keep(grams.indexOf(Math.min(...grams)));
+    for (let start=0;start+w<=grams.length;start++)
+    {
+        // Rightmost minimum, so runs of equal hashes keep a single fingerprint
+        let min=start;
+        for (let j=start+1;j<start+w;j++) if (grams[j]<=grams[min]) min=j;
+        keep(min);
+    }
+    return prints;
+}
+
+export function analyze(code, language)
+{
+    const tokens=tokenize(code, language);
+    return {tokens, fingerprints: fingerprint(tokens)};
+}
+
+// Source lines covered by the k-grams starting at the given token positions
+function coveredLines(tokens, positions, k)
+{
+    const lines=new Set();
+    for (const position of positions)
+    {
+        for (let i=position;i<Math.min(position+k, tokens.length);i++) lines.add(tokens[i].line);
+    }
+    return [...lines].sort((a, b) => a-b);
+}
+
+/**
+ * Compare two analyzed programs
+ * similarity is the share of the smaller program's fingerprints found in the
+ * other one (so copying a solution into a longer file still scores high);
+ * jaccard is shared over combined. matchedLines point at the copied regions.
+ */
+export function compare(a, b, k=KGRAM)
+{
+    const smaller=Math.min(a.fingerprints.size, b.fingerprints.size);
+    const shared=[...a.fingerprints.keys()].filter(h => b.fingerprints.has(h));
+    const union=a.fingerprints.size+b.fingerprints.size-shared.length;
+    return {
+        similarity: smaller>=MIN_FINGERPRINTS? shared.length/smaller:0,
+        jaccard: union>0? shared.length/union:0,
+        sharedFingerprints: shared.length,
+        matchedLines: {
+            a: coveredLines(a.tokens, shared.flatMap(h => a.fingerprints.get(h)), k),
+            b: coveredLines(b.tokens, shared.flatMap(h => b.fingerprints.get(h)), k)
+        }
+    };
+}
+
+const MAX_DIFF_LINES=2000;
+
+/**
+ * Side-by-side line diff (longest common subsequence of trimmed lines)
+ * Returns rows of {type: same | changed | removed | added, left, right, leftLine, rightLine}.
+ */
+export function sideBySideDiff(left, right)
+{
+    const a=String(left||'').split('\n').slice(0, MAX_DIFF_LINES);
+    const b=String(right||'').split('\n').slice(0, MAX_DIFF_LINES);
+    const same=(i, j) => a[i].trim()===b[j].trim();
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs=Array.from({length: a.length+1}, () => new Uint16Array(b.length+1));
+    for (let i=a.length-1;i>=0;i--)
+    {
+        for (let j=b.length-1;j>=0;j--)
+        {
+            lcs[i][j]=same(i, j)? lcs[i+1][j+1]+1:Math.max(lcs[i+1][j], lcs[i][j+1]);
+        }
+    }
+
+    const rows=[];
+    let i=0;
+    let j=0;
+    while (i<a.length||j<b.length)
+    {
+        if (i<a.length&&j<b.length&&same(i, j))
+        {
+            rows.push({type: 'same', left: a[i], right: b[j], leftLine: i+1, rightLine: j+1});
+            i++; j++;
+        }
+        else if (i<a.length&&(j>=b.length||lcs[i+1][j]>=lcs[i][j+1]))
+        {
+            rows.push({type: 'removed', left: a[i], right: null, leftLine: i+1, rightLine: null});
+            i++;
+        }
+        else
+        {
+            rows.push({type: 'added', left: null, right: b[j], leftLine: null, rightLine: j+1});
+            j++;
+        }
+    }
+
+    // Line up a block of removals with the additions right after it as changed rows
+    const merged=[];
+    for (let r=0;r<rows.length;)
+    {
+        if (rows[r].type!=='removed') {merged.push(rows[r++]); continue;}
+        const removed=[];
+        const added=[];
+        while (r<rows.length&&rows[r].type==='removed') removed.push(rows[r++]);
+        while (r<rows.length&&rows[r].type==='added') added.push(rows[r++]);
+        for (let n=0;n<Math.max(removed.length, added.length);n++)
+        {
+            const l=removed[n];
+            const rr=added[n];
+            merged.push(l&&rr? {type: 'changed', left: l.left, right: rr.right, leftLine: l.leftLine, rightLine: rr.rightLine}:(l||rr));
+        }
+    }
+    return merged;
+}
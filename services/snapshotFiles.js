@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+const __filename=fileURLToPath(import.meta.url);
+const __dirname=path.dirname(__filename);
+
+/**
+ * Snapshot Files
+ * Content-addressed storage for proctoring snapshot images on local disk.
+ * A file is named by the SHA-256 of its bytes, so the same frame sent twice
+ * is stored once and any change to a stored file shows up as a hash
+ * mismatch. Files live under PROCTORING_SNAPSHOT_DIR (default evidence/proctoring
+ * in the app directory), outside the public /uploads mount: reviewers fetch
+ * them through the proctoring routes.
+ */
+
+const SNAPSHOT_DIR=process.env.PROCTORING_SNAPSHOT_DIR||path.join(__dirname, '../evidence/proctoring');
+
+export const MAX_IMAGE_BYTES=5*1024*1024;
+
+const EXTENSIONS={'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp'};
+
+// The bytes decide the type, whatever a data URL claims
+function sniffMimeType(buffer)
+{
+    if (buffer.length>=3&&buffer[0]===0xff&&buffer[1]===0xd8&&buffer[2]===0xff) return 'image/jpeg';
+    if (buffer.length>=8&&buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.length>=12&&buffer.toString('ascii', 0, 4)==='RIFF'&&buffer.toString('ascii', 8, 12)==='WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * Image from a data URL or plain base64 string
+ * Returns {buffer, mimeType}; throws when it is not a JPEG, PNG or WebP image
+ * or is larger than maxBytes.
+ */
+export function decodeImage(input, maxBytes=MAX_IMAGE_BYTES)
+{
+    if (typeof input!=='string'||!input) throw new Error('Image must be a base64 string or data URL');
+    const base64=input.startsWith('data:')? input.slice(input.indexOf(',')+1):input;
+    // Base64 is 4 characters per 3 bytes; refuse oversized input before decoding it
+    if (base64.length>Math.ceil(maxBytes/3)*4+4) throw new Error(`Image is larger than ${Math.round(maxBytes/1024)} KB`);
+    const buffer=Buffer.from(base64, 'base64');
+    if (buffer.length>maxBytes) throw new Error(`Image is larger than ${Math.round(maxBytes/1024)} KB`);
+    const mimeType=sniffMimeType(buffer);
+    if (!mimeType) throw new Error('Image must be JPEG, PNG or WebP');
+    return {buffer, mimeType};
+}
+
+function filePath(sha256, mimeType)
+{
+    return path.join(SNAPSHOT_DIR, sha256.slice(0, 2), `${sha256}.${EXTENSIONS[mimeType]||'bin'}`);
+}
+
+// Stores the bytes unless a file with the same hash exists; returns {sha256, size}
+export async function saveImage(buffer, mimeType)
+{
+    const sha256=crypto.createHash('sha256').update(buffer).digest('hex');
+    const target=filePath(sha256, mimeType);
+    try
+    {
+        await fs.access(target);
+    } catch
+    {
+        await fs.mkdir(path.dirname(target), {recursive: true});
+        // Write then rename, so a crash never leaves a partial file under the final name
+        const temporary=`${target}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, buffer);
+        await fs.rename(temporary, target);
+    }
+    return {sha256, size: buffer.length};
+}
+
+// Bytes of a stored image, or null when the file is missing or no longer matches its hash
+export async function readImage(sha256, mimeType)
+{
+    let buffer;
+    try
+    {
+        buffer=await fs.readFile(filePath(sha256, mimeType));
+    } catch (error)
+    {
+        if (error.code==='ENOENT') return null;
+        throw error;
+    }
+    const actual=crypto.createHash('sha256').update(buffer).digest('hex');
+    if (actual!==sha256)
+    {
+        console.warn(`Proctoring snapshot ${sha256} does not match its hash (${actual})`);
+        return null;
+    }
+    return buffer;
+}
+
+export async function removeImage(sha256, mimeType)
+{
+    await fs.rm(filePath(sha256, mimeType), {force: true});
+}
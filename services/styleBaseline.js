@@ -0,0 +1,35 @@
+import sessionRepository from './sessionRepository.js';
+import {buildProfile, styleDrift, MIN_BASELINE_SAMPLES} from './stylometry.js';
+
+/**
+ * Style Baseline
+ * A candidate's style profile, built from the final submissions of their
+ * earlier coding-practice sessions. When there are enough earlier solutions
+ * in the language being scored only those are used, since naming and layout
+ * conventions differ between languages; otherwise all of them are.
+ */
+
+const MAX_SAMPLES=50;
+
+class StyleBaseline
+{
+    // null when the user has fewer than MIN_BASELINE_SAMPLES earlier solutions
+    async getProfile(userId, {language, excludeSessionId}={})
+    {
+        if (!userId||userId==='anonymous') return null;
+        const samples=await sessionRepository.getUserSubmissions(userId, {excludeSessionId, limit: MAX_SAMPLES});
+        const sameLanguage=samples.filter(s => s.language===language);
+        const used=sameLanguage.length>=MIN_BASELINE_SAMPLES? sameLanguage:samples;
+        if (used.length<MIN_BASELINE_SAMPLES) return null;
+        return {userId, ...buildProfile(used)};
+    }
+
+    async score(userId, code, language, {excludeSessionId}={})
+    {
+        const profile=await this.getProfile(userId, {language, excludeSessionId});
+        if (!profile) return null;
+        return {profile, drift: styleDrift(profile, code, language)};
+    }
+}
+
+export default new StyleBaseline();
@@ -0,0 +1,156 @@
+/**
+ * Stylometry
+ * Measures how a program is written rather than what it does: naming habits,
+ * indentation, brace placement, operator spacing, comments and length. A
+ * candidate's earlier solutions give a baseline (mean and spread of every
+ * feature); a new solution is scored by how far it drifts from it. People
+ * rarely change all their habits at once, so a solution that breaks many of
+ * them together was probably not written by the same hand.
+ */
+
+// Below this many earlier solutions there is no baseline to compare with
+export const MIN_BASELINE_SAMPLES=3;
+
+// Drift (in spreads from the baseline mean) at which a feature counts as a clear change
+const CHANGE_THRESHOLD=2;
+const MAX_FEATURE_DRIFT=4;
+
+/**
+ * Feature definitions
+ * minSpread keeps a candidate with very consistent habits from scoring huge
+ * drift over tiny differences; weight is the feature's share of the score.
+ */
+const FEATURES={
+    snakeCaseRatio: {label: 'snake_case names', minSpread: 0.1, weight: 1.5},
+    camelCaseRatio: {label: 'camelCase names', minSpread: 0.1, weight: 1.5},
+    shortNameRatio: {label: 'one- and two-letter names', minSpread: 0.1, weight: 1.2},
+    averageNameLength: {label: 'average name length', minSpread: 1, weight: 1.2},
+    indentWidth: {label: 'indentation width', minSpread: 0.5, weight: 1},
+    tabIndentRatio: {label: 'tab indentation', minSpread: 0.1, weight: 1},
+    ownLineBraceRatio: {label: 'braces on their own line', minSpread: 0.1, weight: 1.2},
+    operatorSpacingRatio: {label: 'spaces around operators', minSpread: 0.1, weight: 1},
+    commentRatio: {label: 'comment density', minSpread: 0.05, weight: 1},
+    blankLineRatio: {label: 'blank lines', minSpread: 0.05, weight: 0.5},
+    averageLineLength: {label: 'line length', minSpread: 4, weight: 0.5},
+    logLines: {label: 'solution length', minSpread: 0.3, weight: 1}
+};
+
+const HASH_COMMENT_LANGUAGES=['python'];
+const BRACE_LANGUAGES=['javascript', 'typescript', 'java', 'cpp', 'c', 'csharp', 'go', 'rust', 'kotlin'];
+
+// Words that are not the candidate's names
+const RESERVED=new Set(['if', 'else', 'for', 'while', 'do', 'return', 'break', 'continue', 'switch', 'case', 'default', 'try',
+    'catch', 'finally', 'throw', 'new', 'class', 'def', 'function', 'const', 'let', 'var', 'int', 'long', 'char', 'double',
+    'float', 'bool', 'boolean', 'void', 'string', 'auto', 'public', 'private', 'protected', 'static', 'import', 'from', 'in',
+    'and', 'or', 'not', 'is', 'None', 'True', 'False', 'true', 'false', 'null', 'self', 'this', 'print', 'range', 'len',
+    'include', 'using', 'namespace', 'std', 'main', 'fn', 'func', 'package', 'struct', 'vector', 'map', 'elif', 'lambda',
+    'pass', 'with', 'as', 'of', 'typeof', 'final', 'override', 'val', 'fun', 'mut', 'impl', 'pub', 'use', 'nil', 'go']);
+
+const ratio=(part, whole) => whole>0? part/whole:null;
+
+function stripStrings(line)
+{
+    return line.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, '""');
+}
+
+/**
+ * Style features of one program
+ * A feature is null when the program gives no evidence for it (e.g. brace
+ * style in Python), and null features are left out of profiles and drift.
+ */
+export function styleFeatures(code, language)
+{
+    const lines=String(code||'').replace(/\r\n/g, '\n').split('\n');
+    const nonEmpty=lines.filter(l => l.trim());
+    const hashComments=HASH_COMMENT_LANGUAGES.includes(language);
+    const isComment=l => hashComments? /^\s*#/.test(l):/^\s*(\/\/|\/\*|\*)/.test(l);
+    const codeLines=nonEmpty.filter(l => !isComment(l)).map(stripStrings);
+    const comments=nonEmpty.length-codeLines.length+codeLines.filter(l => (hashComments? /\s#/:/\s\/\//).test(l)).length;
+
+    const names=new Set(codeLines.join('\n').match(/\b[A-Za-z_][A-Za-z0-9_]*\b/g)?.filter(n => !RESERVED.has(n))||[]);
+    const nameList=[...names];
+    const multiWord=nameList.filter(n => /[a-z][A-Z]|[a-z0-9]_[a-z]/.test(n));
+
+    const indents=codeLines.map(l => l.match(/^[ \t]*/)[0]).filter(Boolean);
+    const spaceIndents=indents.filter(i => !i.includes('\t')).map(i => i.length);
+    const indentWidth=spaceIndents.length? Math.min(...spaceIndents):null;
+
+    let ownLineBraces=null;
+    if (BRACE_LANGUAGES.includes(language))
+    {
+        const opening=codeLines.filter(l => /\{\s*$/.test(l));
+        ownLineBraces=ratio(opening.filter(l => l.trim()==='{').length, opening.length);
+    }
+
+    const operators=codeLines.join('\n').match(/\S?\s*(?:[=!<>]=|&&|\|\||[+\-*/%]=|(?<![=!<>+\-*/%&|])=(?!=))\s*\S?/g)||[];
+    const spaced=operators.filter(op => /\s(?:[=!<>]=|&&|\|\||[+\-*/%]?=)\s/.test(op));
+
+    return {
+        snakeCaseRatio: ratio(multiWord.filter(n => n.includes('_')).length, multiWord.length),
+        camelCaseRatio: ratio(multiWord.filter(n => /[a-z][A-Z]/.test(n)&&!n.includes('_')).length, multiWord.length),
+        shortNameRatio: ratio(nameList.filter(n => n.length<=2).length, nameList.length),
+        averageNameLength: nameList.length? nameList.reduce((sum, n) => sum+n.length, 0)/nameList.length:null,
+        indentWidth,
+        tabIndentRatio: ratio(indents.filter(i => i.includes('\t')).length, indents.length),
+        ownLineBraceRatio: ownLineBraces,
+        operatorSpacingRatio: ratio(spaced.length, operators.length),
+        commentRatio: ratio(comments, nonEmpty.length),
+        blankLineRatio: ratio(lines.length-nonEmpty.length, lines.length),
+        averageLineLength: codeLines.length? codeLines.reduce((sum, l) => sum+l.trimEnd().length, 0)/codeLines.length:null,
+        logLines: nonEmpty.length? Math.log(nonEmpty.length):null
+    };
+}
+
+/**
+ * Baseline from earlier solutions: samples [{code, language}]
+ * Returns {samples, languages, features: {name: {mean, spread, samples}}}.
+ */
+export function buildProfile(samples)
+{
+    const measured=samples.map(s => styleFeatures(s.code, s.language));
+    const features={};
+    for (const name of Object.keys(FEATURES))
+    {
+        const values=measured.map(m => m[name]).filter(v => v!==null);
+        if (values.length<MIN_BASELINE_SAMPLES) continue;
+        const mean=values.reduce((sum, v) => sum+v, 0)/values.length;
+        const variance=values.reduce((sum, v) => sum+(v-mean)**2, 0)/values.length;
+        features[name]={mean, spread: Math.sqrt(variance), samples: values.length};
+    }
+    return {
+        samples: samples.length,
+        languages: [...new Set(samples.map(s => s.language))],
+        features
+    };
+}
+
+/**
+ * How far a program drifts from a baseline profile
+ * Returns {score 0-100, features: [{feature, label, baseline, value, drift}],
+ * changes: the features that moved CHANGE_THRESHOLD spreads or more}.
+ */
+export function styleDrift(profile, code, language)
+{
+    const current=styleFeatures(code, language);
+    const features=[];
+    let weighted=0;
+    let totalWeight=0;
+    for (const [name, {label, minSpread, weight}] of Object.entries(FEATURES))
+    {
+        const baseline=profile.features[name];
+        if (!baseline||current[name]===null) continue;
+        const drift=Math.min(Math.abs(current[name]-baseline.mean)/Math.max(baseline.spread, minSpread), MAX_FEATURE_DRIFT);
+        weighted+=drift*weight;
+        totalWeight+=weight;
+        features.push({feature: name, label, baseline: baseline.mean, value: current[name], drift: Math.round(drift*100)/100});
+    }
+    if (totalWeight===0) return {score: 0, features, changes: []};
+
+    // An average drift of CHANGE_THRESHOLD spreads across all features scores 100
+    const score=Math.round(Math.min(weighted/totalWeight/CHANGE_THRESHOLD, 1)*100);
+    const changes=features
+        .filter(f => f.drift>=CHANGE_THRESHOLD)
+        .sort((a, b) => b.drift-a.drift)
+        .map(f => ({...f, direction: f.value>f.baseline? 'more':'less'}));
+    return {score, features, changes};
+}
@@ -0,0 +1,286 @@
+import {EventEmitter} from 'events';
+import crypto from 'crypto';
+import os from 'os';
+import {v4 as uuidv4} from 'uuid';
+import judge from './judge.js';
+
+/**
+ * Submission Queue
+ * Every code run goes through here instead of calling the judge inline: jobs are
+ * queued and a bounded pool of workers executes them, so the number of concurrent
+ * compilations and runs is capped no matter how many requests arrive. Callers
+ * either submit and get a job id back (then poll GET /api/code-execution/jobs/:id
+ * or listen for `job-update` on Socket.IO), or await the result directly. The
+ * older endpoints that answer with the result (code-execution /execute, the
+ * practice and cp runners) await it on purpose so their clients keep working;
+ * they are still bounded by the same workers and backpressure.
+ * A submitted job belongs to whoever queued it: only the signed-in owner or a
+ * holder of the job's access key (returned once, on submit) can look it up.
+ *
+ * Job state lives in a store with an async interface so the in-process store can
+ * be swapped for a shared one (e.g. Redis lists and hashes) without touching callers.
+ */
+
+const WORKERS=parseInt(process.env.JUDGE_WORKERS)||Math.max(1, os.cpus().length-1);
+const MAX_PENDING=parseInt(process.env.JUDGE_QUEUE_LIMIT)||50;
+const RESULT_TTL_MS=(parseInt(process.env.JUDGE_RESULT_TTL_SECONDS)||600)*1000;
+const INITIAL_ESTIMATE_MS=2000;
+
+export const JOB_STATUS={QUEUED: 'queued', RUNNING: 'running', COMPLETED: 'completed', FAILED: 'failed'};
+
+export class QueueFullError extends Error
+{
+    constructor(retryAfterSeconds)
+    {
+        super('The judge is busy, please retry shortly');
+        this.name='QueueFullError';
+        this.retryAfterSeconds=retryAfterSeconds;
+    }
+}
+
+/**
+ * In-process job store
+ * Jobs by id plus a FIFO of queued ids. A Redis store would keep the same methods
+ * (hash per job, a list for the queue, EXPIRE for finished jobs).
+ */
+export class MemoryJobStore
+{
+    constructor()
+    {
+        this.jobs=new Map();
+        this.pending=[];
+    }
+
+    // Admission and push are one step (a Lua script in Redis), so concurrent submits cannot overshoot the limit
+    async enqueue(job, limit)
+    {
+        if (this.pending.length>=limit) return false;
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        return true;
+    }
+
+    // Oldest queued job, removed from the queue, or null
+    async dequeue()
+    {
+        const id=this.pending.shift();
+        return id? this.jobs.get(id)||null:null;
+    }
+
+    async get(id)
+    {
+        return this.jobs.get(id)||null;
+    }
+
+    async update(id, fields)
+    {
+        const job=this.jobs.get(id);
+        if (job) Object.assign(job, fields);
+        return job||null;
+    }
+
+    async pendingCount()
+    {
+        return this.pending.length;
+    }
+
+    // 1-based place in line, or 0 once the job has left the queue
+    async position(id)
+    {
+        return this.pending.indexOf(id)+1;
+    }
+
+    async removeFinishedBefore(timestamp)
+    {
+        for (const [id, job] of this.jobs)
+        {
+            if (job.finishedAt&&job.finishedAt<timestamp) this.jobs.delete(id);
+        }
+    }
+}
+
+class SubmissionQueue extends EventEmitter
+{
+    constructor({store=new MemoryJobStore(), workers=WORKERS, maxPending=MAX_PENDING}={})
+    {
+        super();
+        this.store=store;
+        this.workers=workers;
+        this.maxPending=maxPending;
+        this.active=0;
+        this.handlers=new Map();
+        this.waiters=new Map();
+        this.averageMs=INITIAL_ESTIMATE_MS;
+        this.purgeTimer=setInterval(() => this.store.removeFinishedBefore(Date.now()-RESULT_TTL_MS), 60*1000);
+        this.purgeTimer.unref();
+    }
+
+    // handler(payload) resolves with the job's result
+    register(type, handler)
+    {
+        this.handlers.set(type, handler);
+    }
+
+    // Push job updates to Socket.IO subscribers of `job-<id>` (see getJobFor for who may subscribe)
+    attach(io)
+    {
+        this.on('update', (job) =>
+        {
+            io.to(`job-${job.id}`).emit('job-update', this.toPublic(job));
+        });
+    }
+
+    /**
+     * Queue a job and return its public snapshot straight away, plus the job's accessKey
+     * ownerId is the signed-in user, if any. Throws QueueFullError (with a retry
+     * estimate) when the backlog is at capacity.
+     */
+    async submit(type, payload, {ownerId=null}={})
+    {
+        return this.enqueue(type, payload, ownerId, null);
+    }
+
+    // Queue a job and wait for its result, for routes that still answer synchronously
+    run(type, payload)
+    {
+        return new Promise((resolve, reject) => this.enqueue(type, payload, null, {resolve, reject}).catch(reject));
+    }
+
+    async enqueue(type, payload, ownerId, waiter)
+    {
+        if (!this.handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+        const accessKey=crypto.randomBytes(24).toString('base64url');
+        const job={id: uuidv4(), type, payload, ownerId, accessKey, status: JOB_STATUS.QUEUED, result: null, error: null, createdAt: Date.now(), startedAt: null, finishedAt: null};
+        if (waiter) this.waiters.set(job.id, waiter);
+        if (!await this.store.enqueue(job, this.maxPending))
+        {
+            this.waiters.delete(job.id);
+            throw new QueueFullError(this.retryAfterSeconds(await this.store.pendingCount()));
+        }
+        const snapshot=await this.getJob(job.id);
+        this.emit('update', job);
+        this.drain();
+        return {...snapshot, accessKey};
+    }
+
+    async getJob(id)
+    {
+        const job=await this.store.get(id);
+        if (!job) return null;
+        const position=job.status===JOB_STATUS.QUEUED? await this.store.position(id):0;
+        return {...this.toPublic(job), position};
+    }
+
+    /**
+     * A job as seen by a caller: {userId, key} must be the job's owner or its accessKey
+     * Returns null both when the job doesn't exist and when the caller may not see
+     * it, so job ids can't be probed.
+     */
+    async getJobFor(id, {userId=null, key=null}={})
+    {
+        const job=await this.store.get(id);
+        if (!job||!this.canAccess(job, {userId, key})) return null;
+        return this.getJob(id);
+    }
+
+    canAccess(job, {userId=null, key=null})
+    {
+        if (job.ownerId!==null&&job.ownerId!==undefined&&userId!==null&&userId!==undefined&&String(job.ownerId)===String(userId)) return true;
+        if (typeof key!=='string'||!job.accessKey) return false;
+        const given=Buffer.from(key);
+        const expected=Buffer.from(job.accessKey);
+        return given.length===expected.length&&crypto.timingSafeEqual(given, expected);
+    }
+
+    toPublic(job)
+    {
+        return {
+            jobId: job.id,
+            type: job.type,
+            status: job.status,
+            result: job.result,
+            error: job.error,
+            createdAt: new Date(job.createdAt).toISOString(),
+            startedAt: job.startedAt? new Date(job.startedAt).toISOString():null,
+            finishedAt: job.finishedAt? new Date(job.finishedAt).toISOString():null
+        };
+    }
+
+    async stats()
+    {
+        const pending=await this.store.pendingCount();
+        return {workers: this.workers, active: this.active, pending, maxPending: this.maxPending, averageJobMs: Math.round(this.averageMs)};
+    }
+
+    // Rough wait for the current backlog: average job time per queued job, spread over the workers
+    retryAfterSeconds(pending)
+    {
+        return Math.max(1, Math.ceil((pending+1)*this.averageMs/this.workers/1000));
+    }
+
+    async drain()
+    {
+        while (this.active<this.workers)
+        {
+            // Claim the worker slot before awaiting the store, so overlapping drains cannot oversubscribe
+            this.active++;
+            const job=await this.store.dequeue();
+            if (!job)
+            {
+                this.active--;
+                return;
+            }
+            this.process(job).finally(() =>
+            {
+                this.active--;
+                this.drain();
+            });
+        }
+    }
+
+    async process(job)
+    {
+        const startedAt=Date.now();
+        this.emit('update', await this.store.update(job.id, {status: JOB_STATUS.RUNNING, startedAt}));
+        let fields;
+        try
+        {
+            const result=await this.handlers.get(job.type)(job.payload);
+            fields={status: JOB_STATUS.COMPLETED, result};
+        } catch (error)
+        {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+            fields={status: JOB_STATUS.FAILED, error: error.message};
+        }
+        const finishedAt=Date.now();
+        // Exponential moving average keeps the retry hint tracking recent load
+        this.averageMs=this.averageMs*0.8+(finishedAt-startedAt)*0.2;
+        const finished=await this.store.update(job.id, {...fields, finishedAt, payload: null});
+        this.emit('update', finished);
+
+        const waiter=this.waiters.get(job.id);
+        if (waiter)
+        {
+            this.waiters.delete(job.id);
+            if (fields.status===JOB_STATUS.COMPLETED) waiter.resolve(fields.result);
+            else waiter.reject(new Error(fields.error));
+        }
+    }
+}
+
+// Answer a QueueFullError with 429 and retry hints; returns false for any other error
+export function sendQueueFull(res, error)
+{
+    if (!(error instanceof QueueFullError)) return false;
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    res.status(429).json({success: false, error: 'Judge queue is full', message: error.message, retryAfter: error.retryAfterSeconds});
+    return true;
+}
+
+const submissionQueue=new SubmissionQueue();
+
+submissionQueue.register('execute', ({code, language, input}) => judge.execute(code, language, input||''));
+submissionQueue.register('validate', ({code, language}) => judge.validateSyntax(code, language));
+submissionQueue.register('tests', ({code, language, testCases, functionName, options}) => judge.runTests(code, language, testCases, functionName, options));
+
+export default submissionQueue;
@@ -0,0 +1,186 @@
+/**
+ * Text Operations
+ * Operational transform for plain text, in the format used by ot.js: an
+ * operation is an array of components walked over the whole document,
+ *   n > 0   retain (keep) the next n characters
+ *   n < 0   delete the next -n characters
+ *   "text"  insert text
+ * e.g. [3, "abc", -2, 4] keeps 3 characters, inserts "abc", deletes 2 and
+ * keeps the last 4 of a 9-character document. An operation's retains and
+ * deletes must cover the document it applies to exactly.
+ *
+ * transform(a, b) turns two operations made on the same document into
+ * versions that apply after each other: apply(apply(doc, a), b') equals
+ * apply(apply(doc, b), a'). When both insert at the same place, a's text
+ * comes first.
+ */
+
+export class OperationError extends Error
+{
+    constructor(message, status=400)
+    {
+        super(message);
+        this.name='OperationError';
+        this.status=status;
+    }
+}
+
+const isRetain=c => typeof c==='number'&&c>0;
+const isDelete=c => typeof c==='number'&&c<0;
+const isInsert=c => typeof c==='string';
+
+// Appends a component, merging it with the last one when they are of the same kind
+function push(ops, component)
+{
+    if (component===0||component==='') return;
+    const last=ops[ops.length-1];
+    if (ops.length&&isRetain(last)&&isRetain(component)) ops[ops.length-1]+=component;
+    else if (ops.length&&isDelete(last)&&isDelete(component)) ops[ops.length-1]+=component;
+    else if (ops.length&&isInsert(last)&&isInsert(component)) ops[ops.length-1]+=component;
+    // Inserts go before deletes at the same place, so equal edits look the same
+    else if (ops.length&&isDelete(last)&&isInsert(component))
+    {
+        if (ops.length>1&&isInsert(ops[ops.length-2])) ops[ops.length-2]+=component;
+        else ops.splice(ops.length-1, 0, component);
+    } else ops.push(component);
+}
+
+// Checks the components and returns the operation in its shortest form
+export function normalize(ops)
+{
+    if (!Array.isArray(ops)) throw new OperationError('Operation must be an array');
+    const normalized=[];
+    for (const component of ops)
+    {
+        if (!isInsert(component)&&!(Number.isInteger(component)&&component!==0))
+        {
+            throw new OperationError('Operation components must be non-zero integers or strings');
+        }
+        push(normalized, component);
+    }
+    // A trailing retain changes nothing but the length check, so it stays
+    return normalized;
+}
+
+// Length of the document the operation applies to
+export function baseLength(ops)
+{
+    return ops.reduce((length, c) => length+(isInsert(c)? 0:Math.abs(c)), 0);
+}
+
+// Length of the document after the operation
+export function targetLength(ops)
+{
+    return ops.reduce((length, c) => length+(isInsert(c)? c.length:isRetain(c)? c:0), 0);
+}
+
+export function apply(doc, ops)
+{
+    if (baseLength(ops)!==doc.length)
+    {
+        throw new OperationError(`Operation covers ${baseLength(ops)} characters but the document has ${doc.length}`, 409);
+    }
+    let result='';
+    let index=0;
+    for (const component of ops)
+    {
+        if (isRetain(component))
+        {
+            result+=doc.slice(index, index+component);
+            index+=component;
+        } else if (isDelete(component)) index-=component;
+        else result+=component;
+    }
+    return result;
+}
+
+/**
+ * Transform two concurrent operations; returns [a', b']
+ */
+export function transform(a, b)
+{
+    if (baseLength(a)!==baseLength(b)) throw new OperationError('Concurrent operations must start from the same document', 409);
+    const aPrime=[];
+    const bPrime=[];
+    let i=0;
+    let j=0;
+    let opA=a[i++];
+    let opB=b[j++];
+    while (opA!==undefined||opB!==undefined)
+    {
+        if (isInsert(opA))
+        {
+            push(aPrime, opA);
+            push(bPrime, opA.length);
+            opA=a[i++];
+            continue;
+        }
+        if (isInsert(opB))
+        {
+            push(aPrime, opB.length);
+            push(bPrime, opB);
+            opB=b[j++];
+            continue;
+        }
+
+        const lengthA=Math.abs(opA);
+        const lengthB=Math.abs(opB);
+        const length=Math.min(lengthA, lengthB);
+        if (isRetain(opA)&&isRetain(opB))
+        {
+            push(aPrime, length);
+            push(bPrime, length);
+        } else if (isDelete(opA)&&isRetain(opB))
+        {
+            push(aPrime, -length);
+        } else if (isRetain(opA)&&isDelete(opB))
+        {
+            push(bPrime, -length);
+        }
+        // Both delete the same characters: nothing left to do for either
+
+        opA=lengthA>length? Math.sign(opA)*(lengthA-length):a[i++];
+        opB=lengthB>length? Math.sign(opB)*(lengthB-length):b[j++];
+    }
+    return [aPrime, bPrime];
+}
+
+/**
+ * Where a position in the document ends up after the operation; an insert
+ * exactly at the position moves it along only when `own` (the cursor of
+ * whoever typed it)
+ */
+export function transformIndex(position, ops, own=false)
+{
+    let newPosition=position;
+    let index=0;
+    for (const component of ops)
+    {
+        if (index>position) break;
+        if (isRetain(component)) index+=component;
+        else if (isInsert(component))
+        {
+            if (index<position||own) newPosition+=component.length;
+        } else
+        {
+            newPosition-=Math.min(position-index, -component);
+            index-=component;
+        }
+    }
+    return newPosition;
+}
+
+// Smallest operation turning `from` into `to`: common start and end kept, the middle replaced
+export function diff(from, to)
+{
+    let start=0;
+    while (start<from.length&&start<to.length&&from[start]===to[start]) start++;
+    let end=0;
+    while (end<from.length-start&&end<to.length-start&&from[from.length-1-end]===to[to.length-1-end]) end++;
+    const ops=[];
+    push(ops, start);
+    push(ops, to.slice(start, to.length-end));
+    push(ops, -(from.length-start-end));
+    push(ops, end);
+    return ops;
+}
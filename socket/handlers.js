@@ -1,6 +1,17 @@
 import geminiAI from '../services/geminiAI.js';
 import pineconeService from '../services/pineconeService.js';
 import {addMessage, getChatMessages} from '../routes/axiomChat.js';
+import submissionQueue from '../services/submissionQueue.js';
+import contestJudge from '../services/contestJudge.js';
+import contestClarifications from '../services/contestClarifications.js';
+import proctoringMonitor from '../services/proctoringMonitor.js';
+import proctoringEvidence from '../services/proctoringEvidence.js';
+import identityVerification from '../services/identityVerification.js';
+import liveInterviewStore, {normalizeFeedback} from '../services/liveInterviewStore.js';
+import liveInterviewAccess, {JoinError} from '../services/liveInterviewAccess.js';
+import collaborativeEditor from '../services/collaborativeEditor.js';
+import liveCodeRunner from '../services/liveCodeRunner.js';
+import {authenticateSocket} from '../middleware/auth.js';
 
 export function setupSocketHandlers(io)
 {
@@ -11,11 +22,53 @@ export function setupSocketHandlers(io)
     const proctorDashboardSockets=new Set();
 
     // Store live interview sessions
-    const liveInterviewRooms = new Map(); // sessionId -> { participants, codeState, screenShares }
+    const liveInterviewRooms = new Map(); // sessionId -> { participants, screenShares, whiteboard }
+
+    // Live interview artifacts are saved in the background; a failed write must not break the room
+    const saveArtifact = (sessionId, kind, payload, options) => liveInterviewStore.addArtifact(sessionId, kind, payload, options)
+        .catch(error => console.warn(`Could not save ${kind} for live interview ${sessionId}:`, error.message));
+
+    // The admitted participant behind a socket; only they may write to the session's record
+    const liveParticipant = (sessionId, socketId) => liveInterviewRooms.get(sessionId)?.participants.get(socketId) || null;
+    const participantName = (sessionId, socketId) => liveParticipant(sessionId, socketId)?.userName || null;
+
+    // Code and whiteboard saved before a restart; anything received meanwhile is kept
+    function restoreRoomState(sessionId, room) {
+        return Promise.all([
+            liveInterviewStore.getRoomState(sessionId).then(({ whiteboard }) => {
+                room.whiteboard = [...whiteboard, ...room.whiteboard];
+            }),
+            collaborativeEditor.open(sessionId, { persist: true })
+        ]).catch(error => console.warn(`Could not restore live interview ${sessionId}:`, error.message));
+    }
+
+    // Shared code editors: a live interview's is stored under its sessionId, an
+    // interview room's (join-interview) only lives in memory, as interview:<interviewId>
+    const INTERVIEW_EDITOR = 'interview:';
+    const editorRoom = documentId => documentId.startsWith(INTERVIEW_EDITOR)
+        ? documentId.slice(INTERVIEW_EDITOR.length)
+        : `live-${documentId}`;
 
     // Store screen share streams
     const screenShareSessions = new Map(); // sessionId -> { peerId, isSharing }
 
+    // Queued code runs report progress to job-<id> rooms and the submitting socket
+    submissionQueue.attach(io);
+
+    // Contest verdicts and leaderboard updates go to contest-<id> rooms
+    contestJudge.attach(io);
+    contestClarifications.attach(io);
+
+    // Proctoring escalations go to the proctor-dashboard room and the interview room
+    proctoringMonitor.attach(io);
+    identityVerification.attach(io);
+
+    // Waiting-room decisions reach candidates in waiting-<participantId> rooms
+    liveInterviewAccess.attach(io);
+
+    // Sockets that connect with an account token get socket.user
+    io.use(authenticateSocket);
+
     io.on('connection', (socket) =>
     {
         console.log(`User connected: ${socket.id}`);
@@ -24,21 +77,38 @@ export function setupSocketHandlers(io)
         // Live Interview Room Handlers
         // ========================================
 
-        // Join live interview room
-        socket.on('join-live-interview', (data) => {
-            const { sessionId, participantId, userName, role, cameras } = data;
-            
+        // Join live interview room with a join token; candidates wait until admitted
+        socket.on('join-live-interview', async (data) => {
+            const { sessionId, token, cameras } = data || {};
+
+            let participant;
+            try {
+                ({ participant } = await liveInterviewAccess.join(sessionId, token, { name: data?.userName, cameras }));
+            } catch (error) {
+                return socket.emit('live-interview-error', { sessionId, action: 'join', error: error.message, status: error.status || 500 });
+            }
+
+            if (participant.admission !== 'admitted') {
+                socket.join(`waiting-${participant.id}`);
+                socket.emit('waiting-room', { sessionId, participantId: participant.id });
+                return;
+            }
+
+            // Role and identity come from the token, not from what the client says
+            const { id: participantId, name: userName, role } = participant;
+            socket.leave(`waiting-${participantId}`);
             socket.join(`live-${sessionId}`);
             
             // Initialize room if not exists
             if (!liveInterviewRooms.has(sessionId)) {
                 liveInterviewRooms.set(sessionId, {
                     participants: new Map(),
-                    codeState: { code: '', language: 'javascript', cursorPositions: {} },
                     screenShares: new Map(),
                     whiteboard: [],
                     settings: { enableChat: true, enableScreenShare: true, enableCodeExecution: true }
                 });
+                const created = liveInterviewRooms.get(sessionId);
+                created.restored = restoreRoomState(sessionId, created);
             }
             
             const room = liveInterviewRooms.get(sessionId);
@@ -67,10 +137,12 @@ export function setupSocketHandlers(io)
             });
             
             // Send current room state to new participant
+            await room.restored;
             socket.emit('room-state', {
                 participants: Array.from(room.participants.values()),
-                codeState: room.codeState,
+                codeState: collaborativeEditor.state(sessionId),
                 screenShares: Array.from(room.screenShares.entries()),
+                whiteboard: room.whiteboard,
                 settings: room.settings
             });
             
@@ -141,25 +213,109 @@ export function setupSocketHandlers(io)
             }
         });
 
-        // Live code collaboration with cursor positions
-        socket.on('live-code-update', (data) => {
-            const { sessionId, code, language, cursorPosition, selection } = data;
-            
-            const room = liveInterviewRooms.get(sessionId);
-            if (room) {
-                room.codeState.code = code;
-                room.codeState.language = language;
-                room.codeState.cursorPositions[socket.id] = { cursorPosition, selection };
-                
-                socket.to(`live-${sessionId}`).emit('live-code-update', {
-                    code,
-                    language,
-                    cursorPosition,
-                    selection,
-                    from: socket.id
-                });
+        // The shared editor this socket may edit: { documentId, room, persist, author }, or null
+        function editorFor(data) {
+            if (data?.sessionId) {
+                return liveInterviewRooms.get(data.sessionId)?.participants.has(socket.id)
+                    ? { documentId: data.sessionId, room: `live-${data.sessionId}`, persist: true, author: participantName(data.sessionId, socket.id) }
+                    : null;
             }
-        });
+            if (data?.interviewId && socket.rooms.has(data.interviewId)) {
+                return { documentId: `${INTERVIEW_EDITOR}${data.interviewId}`, room: data.interviewId, persist: false, author: data.userName || null };
+            }
+            return null;
+        }
+
+        // Runs an editor action; when it fails the client gets the whole document to start over from
+        async function withEditor(data, action) {
+            const ids = { sessionId: data?.sessionId, interviewId: data?.interviewId };
+            const editor = editorFor(data);
+            if (!editor) {
+                return socket.emit('code-error', { ...ids, error: 'Join the interview before using the editor', status: 403 });
+            }
+            try {
+                await action(editor, ids);
+            } catch (error) {
+                socket.emit('code-resync', { ...ids, error: error.message, status: error.status || 500, ...collaborativeEditor.state(editor.documentId) });
+            }
+        }
+
+        // An applied edit goes to the rest of the room as an operation, and as
+        // whole code for clients that still send live-code-update / code-update
+        function broadcastEdit(editor, ids, entry, extra = {}) {
+            const { code } = collaborativeEditor.state(editor.documentId);
+            socket.to(editor.room).emit('code-operation', {
+                ...ids,
+                revision: entry.revision,
+                ops: entry.ops,
+                language: entry.language,
+                clientId: socket.id,
+                author: entry.author
+            });
+            socket.to(editor.room).emit(editor.persist ? 'live-code-update' : 'code-update', {
+                code,
+                language: entry.language,
+                revision: entry.revision,
+                from: socket.id,
+                ...extra
+            });
+        }
+
+        // Collaborative editing: { sessionId | interviewId, revision, ops } made on `revision`;
+        // the sender gets code-ack with the new revision, everyone else the transformed operation
+        socket.on('code-operation', (data) => withEditor(data, async (editor, ids) => {
+            const entry = await collaborativeEditor.receive(editor.documentId, {
+                clientId: socket.id,
+                author: editor.author,
+                revision: data.revision,
+                ops: data.ops,
+                persist: editor.persist
+            });
+            socket.emit('code-ack', { ...ids, revision: entry.revision });
+            broadcastEdit(editor, ids, entry);
+        }));
+
+        // Cursor and selection, as indexes in the document at `revision`
+        socket.on('code-cursor', (data) => withEditor(data, async (editor, ids) => {
+            const cursor = await collaborativeEditor.setCursor(editor.documentId, socket.id, {
+                revision: data.revision,
+                cursor: data.cursor,
+                name: editor.author,
+                persist: editor.persist
+            });
+            socket.to(editor.room).emit('code-cursor', { ...ids, ...cursor });
+        }));
+
+        socket.on('code-language', (data) => withEditor(data, async (editor, ids) => {
+            const entry = await collaborativeEditor.setLanguage(editor.documentId, {
+                clientId: socket.id,
+                author: editor.author,
+                language: data.language,
+                persist: editor.persist
+            });
+            socket.emit('code-ack', { ...ids, revision: entry?.revision ?? collaborativeEditor.state(editor.documentId).revision });
+            if (entry) broadcastEdit(editor, ids, entry);
+        }));
+
+        // Catch-up for a client that reconnects or falls behind: the operations after
+        // its revision, or the whole document when it has none
+        socket.on('code-sync', (data) => withEditor(data, async (editor, ids) => {
+            const sync = await collaborativeEditor.sync(editor.documentId, data.revision, { persist: editor.persist });
+            socket.emit('code-sync', { ...ids, ...sync });
+        }));
+
+        // Whole-code updates from clients without operations become an edit of the current text
+        socket.on('live-code-update', (data) => withEditor(data, async (editor, ids) => {
+            const { code, language, cursorPosition, selection } = data;
+            const entry = await collaborativeEditor.replace(editor.documentId, {
+                clientId: socket.id,
+                author: editor.author,
+                code,
+                language,
+                persist: editor.persist
+            });
+            if (entry) broadcastEdit(editor, ids, entry, { cursorPosition, selection });
+        }));
 
         // Cursor position only (for showing collaborator cursors)
         socket.on('cursor-position', (data) => {
@@ -173,34 +329,43 @@ export function setupSocketHandlers(io)
             });
         });
 
-        // Code execution request
+        // Code execution: the server runs the shared editor's code and the whole room gets the real output
         socket.on('execute-code', async (data) => {
-            const { sessionId, code, language, testCases } = data;
-            
-            // Broadcast that code is being executed
-            io.to(`live-${sessionId}`).emit('code-executing', {
-                by: socket.id,
-                timestamp: new Date()
-            });
-            
-            // Note: Actual execution happens via HTTP API
-        });
+            const { sessionId, input, testCases } = data || {};
+            const room = liveInterviewRooms.get(sessionId);
+            const participant = room?.participants.get(socket.id);
+            if (!participant) {
+                return socket.emit('code-execution-error', { sessionId, error: 'Join the interview before running code', status: 403 });
+            }
+            if (!room.settings.enableCodeExecution) {
+                return socket.emit('code-execution-error', { sessionId, error: 'Code execution is turned off for this interview', status: 403 });
+            }
 
-        // Code execution result
-        socket.on('code-execution-result', (data) => {
-            const { sessionId, result, error, executionTime } = data;
-            
-            socket.to(`live-${sessionId}`).emit('code-execution-result', {
-                result,
-                error,
-                executionTime,
-                from: socket.id
-            });
+            let run;
+            try {
+                run = await liveCodeRunner.run(sessionId, { input, testCases }, {
+                    by: participant.userName,
+                    onStart: ({ runId, revision, language }) => io.to(`live-${sessionId}`).emit('code-executing', {
+                        sessionId,
+                        runId,
+                        revision,
+                        language,
+                        by: socket.id,
+                        userName: participant.userName,
+                        timestamp: new Date()
+                    })
+                });
+            } catch (error) {
+                return socket.emit('code-execution-error', { sessionId, error: error.message, status: error.status || 500 });
+            }
+            io.to(`live-${sessionId}`).emit('code-execution-result', { sessionId, ...run, from: socket.id });
         });
 
         // Interview question selection
         socket.on('select-question', (data) => {
             const { sessionId, question, assignedTo } = data;
+            const sender = liveParticipant(sessionId, socket.id);
+            if (!sender) return;
             
             io.to(`live-${sessionId}`).emit('question-selected', {
                 question,
@@ -208,6 +373,8 @@ export function setupSocketHandlers(io)
                 by: socket.id,
                 timestamp: new Date()
             });
+
+            saveArtifact(sessionId, 'question', { question, assignedTo }, { author: sender.userName });
         });
 
         // Timer/stopwatch controls
@@ -225,40 +392,46 @@ export function setupSocketHandlers(io)
         // Drawing/whiteboard collaboration
         socket.on('whiteboard-draw', (data) => {
             const { sessionId, drawData } = data;
+            const sender = liveParticipant(sessionId, socket.id);
+            if (!sender) return;
             
-            const room = liveInterviewRooms.get(sessionId);
-            if (room) {
-                room.whiteboard.push(drawData);
-            }
+            liveInterviewRooms.get(sessionId).whiteboard.push(drawData);
             
             socket.to(`live-${sessionId}`).emit('whiteboard-draw', {
                 drawData,
                 from: socket.id
             });
+
+            saveArtifact(sessionId, 'whiteboard_stroke', { drawData }, { author: sender.userName });
         });
 
         socket.on('whiteboard-clear', (data) => {
             const { sessionId } = data;
+            const sender = liveParticipant(sessionId, socket.id);
+            if (!sender) return;
             
-            const room = liveInterviewRooms.get(sessionId);
-            if (room) {
-                room.whiteboard = [];
-            }
+            liveInterviewRooms.get(sessionId).whiteboard = [];
             
             io.to(`live-${sessionId}`).emit('whiteboard-cleared');
+
+            saveArtifact(sessionId, 'whiteboard_clear', {}, { author: sender.userName });
         });
 
         // Interview notes (recruiter only)
         socket.on('save-interview-note', (data) => {
             const { sessionId, note, timestamp } = data;
+            const sender = liveParticipant(sessionId, socket.id);
+            if (sender?.role !== 'recruiter') return;
             
-            // Store note - in production, save to database
-            console.log(`📝 Interview note saved for session ${sessionId}`);
+            saveArtifact(sessionId, 'note', { note }, { author: sender.userName, timestamp: timestamp || new Date() })
+                .then(saved => saved && console.log(`📝 Interview note saved for session ${sessionId}`));
         });
 
-        // Interview feedback/rating
+        // Interview feedback/rating (recruiter only)
         socket.on('interview-feedback', (data) => {
             const { sessionId, rating, feedback, technicalScore, communicationScore } = data;
+            const sender = liveParticipant(sessionId, socket.id);
+            if (sender?.role !== 'recruiter') return;
             
             io.to(`live-${sessionId}`).emit('feedback-received', {
                 rating,
@@ -267,21 +440,61 @@ export function setupSocketHandlers(io)
                 communicationScore,
                 timestamp: new Date()
             });
+
+            const record = normalizeFeedback(
+                { rating, feedback, technicalScore, communicationScore },
+                { interviewerName: sender.userName }
+            );
+            if (record) {
+                liveInterviewStore.addFeedback(sessionId, record)
+                    .catch(error => console.warn(`Could not save feedback for live interview ${sessionId}:`, error.message));
+            }
         });
 
-        // End interview
+        // Waiting room: the recruiter admits or turns away a candidate
+        for (const [event, action] of [['admit-participant', 'admit'], ['reject-participant', 'reject']]) {
+            socket.on(event, async (data) => {
+                const { sessionId, participantId } = data || {};
+                try {
+                    if (liveInterviewRooms.get(sessionId)?.participants.get(socket.id)?.role !== 'recruiter') {
+                        throw new JoinError('Only the recruiter can do this', 403);
+                    }
+                    await liveInterviewAccess[action](sessionId, participantId);
+                } catch (error) {
+                    socket.emit('live-interview-error', { sessionId, action, error: error.message, status: error.status || 500 });
+                }
+            });
+        }
+
+        // End interview (recruiter only)
         socket.on('end-live-interview', (data) => {
             const { sessionId, reason } = data;
+
+            if (liveInterviewRooms.get(sessionId)?.participants.get(socket.id)?.role !== 'recruiter') {
+                return socket.emit('live-interview-error', { sessionId, action: 'end', error: 'Only the recruiter can end the interview', status: 403 });
+            }
             
             io.to(`live-${sessionId}`).emit('interview-ended', {
                 reason,
                 endedBy: socket.id,
                 timestamp: new Date()
             });
+
+            // Keep the code as it was at the end, and close the session unless the recruiter already did
+            const { code, language } = collaborativeEditor.state(sessionId);
+            if (code) {
+                saveArtifact(sessionId, 'code_snapshot', { code, language, final: true });
+            }
+            liveInterviewStore.getSession(sessionId)
+                .then(session => session && session.status !== 'completed'
+                    ? liveInterviewStore.updateSession(sessionId, { status: 'completed', endedAt: new Date() })
+                    : null)
+                .catch(error => console.warn(`Could not close live interview ${sessionId}:`, error.message));
             
             // Cleanup room after a delay
             setTimeout(() => {
                 liveInterviewRooms.delete(sessionId);
+                collaborativeEditor.close(sessionId);
             }, 30000);
         });
 
@@ -364,6 +577,10 @@ export function setupSocketHandlers(io)
         {
             const {interviewId}=data;
             socket.leave(interviewId);
+            if (collaborativeEditor.removeCursor(`${INTERVIEW_EDITOR}${interviewId}`, socket.id))
+            {
+                socket.to(interviewId).emit('code-cursor-removed', {interviewId, clientId: socket.id});
+            }
 
             socket.to(interviewId).emit('user-left', {
                 userId: socket.id,
@@ -400,16 +617,13 @@ export function setupSocketHandlers(io)
             });
         });
 
-        // Code updates (real-time collaboration)
-        socket.on('code-update', (data) =>
+        // Whole-code updates (clients without code-operation); merged into the room's shared editor
+        socket.on('code-update', (data) => withEditor(data, async (editor, ids) =>
         {
-            const {interviewId, code, language}=data;
-            socket.to(interviewId).emit('code-update', {
-                code,
-                language,
-                from: socket.id,
-            });
-        });
+            const {code, language}=data;
+            const entry=await collaborativeEditor.replace(editor.documentId, {clientId: socket.id, author: editor.author, code, language});
+            if (entry) broadcastEdit(editor, ids, entry);
+        }));
 
         // Question updates (interviewer changes question)
         socket.on('question-update', (data) =>
@@ -426,37 +640,70 @@ export function setupSocketHandlers(io)
         socket.on('chat-message', (data) =>
         {
             const {interviewId, message, userName}=data;
+            const timestamp=new Date();
             io.to(interviewId).emit('chat-message', {
                 message,
                 userName,
-                timestamp: new Date(),
+                timestamp,
                 from: socket.id,
             });
+
+            // Only kept when interviewId is a live interview session the sender was admitted to
+            const sender=liveParticipant(interviewId, socket.id);
+            if (sender)
+            {
+                saveArtifact(interviewId, 'chat_message', {message, userName: sender.userName}, {author: sender.userName, timestamp});
+            }
         });
 
-        // Proctoring events
-        socket.on('proctoring-event', (data) =>
+        // Proctoring events go through the rules engine like POST /api/proctoring/event; the
+        // severity a client sends is ignored and the alert carries the server's decision
+        socket.on('proctoring-event', async (data) =>
         {
-            const {interviewId, event}=data;
+            const {interviewId, event}=data||{};
+            const eventType=event?.eventType||event?.type;
+            if (!interviewId||!eventType||!socket.rooms.has(interviewId)) return;
 
-            // Notify recruiter about the event
-            socket.to(interviewId).emit('proctoring-alert', {
-                event,
-                timestamp: new Date(),
-            });
+            try
+            {
+                const recorded=await proctoringMonitor.recordEvent(interviewId, {eventType, details: event.details??event.message??null});
 
-            // Notify proctor dashboard
-            io.to('proctor-dashboard').emit('proctoring-alert', {
-                interviewId,
-                event,
-                timestamp: new Date(),
-            });
+                // Notify recruiter about the event
+                socket.to(interviewId).emit('proctoring-alert', {
+                    event: recorded,
+                    timestamp: recorded.timestamp,
+                });
+
+                // Notify proctor dashboard
+                io.to('proctor-dashboard').emit('proctoring-alert', {
+                    interviewId,
+                    event: recorded,
+                    timestamp: recorded.timestamp,
+                });
+            } catch (error)
+            {
+                console.warn(`Could not record proctoring event for ${interviewId}:`, error.message);
+            }
         });
 
         // Secondary camera - register mapping
-        socket.on('register-secondary-camera', (data) =>
+        // Its frames become evidence, so only the interview's candidate (signed in on this socket) can pair one
+        socket.on('register-secondary-camera', async (data) =>
         {
-            const {interviewId, code}=data;
+            const {interviewId, code}=data||{};
+            if (!code) return;
+            try
+            {
+                await proctoringEvidence.requireCandidate(interviewId, socket.user?.id);
+            } catch (error)
+            {
+                return socket.emit('secondary-camera-error', {code, message: error.message});
+            }
+            const existing=secondaryCameraMappings.get(code);
+            if (existing&&existing.mainSocketId!==socket.id)
+            {
+                return socket.emit('secondary-camera-error', {code, message: 'Camera code is already in use'});
+            }
             secondaryCameraMappings.set(code, {
                 interviewId,
                 mainSocketId: socket.id
@@ -470,7 +717,8 @@ export function setupSocketHandlers(io)
             const {code, status}=data;
             const mapping=secondaryCameraMappings.get(code);
 
-            if (mapping)
+            // The first phone to connect with the code keeps it
+            if (mapping&&(!mapping.phoneSocketId||mapping.phoneSocketId===socket.id))
             {
                 // Store phone socket ID
                 mapping.phoneSocketId=socket.id;
@@ -489,10 +737,11 @@ export function setupSocketHandlers(io)
         // Secondary camera - receive snapshot
         socket.on('secondary-snapshot', (data) =>
         {
-            const {code, snapshot}=data;
+            const {code, snapshot, thumbnail}=data;
             const mapping=secondaryCameraMappings.get(code);
 
-            if (mapping)
+            // Only the paired phone may send frames for the code
+            if (mapping&&mapping.phoneSocketId===socket.id)
             {
                 // Forward snapshot to main device and recruiter in the room
                 io.to(mapping.mainSocketId).emit('secondary-snapshot', {
@@ -506,6 +755,10 @@ export function setupSocketHandlers(io)
                     timestamp: new Date()
                 });
 
+                // Keep the frame as evidence for the interview's proctoring timeline
+                proctoringEvidence.capture(mapping.interviewId, {image: snapshot, thumbnail, source: 'secondary'})
+                    .catch(error => console.warn(`Secondary camera snapshot not stored for ${mapping.interviewId}:`, error.message));
+
                 // Remove from proctor dashboard if applicable
                 if (proctorDashboardSockets.has(socket.id))
                 {
@@ -514,6 +767,45 @@ export function setupSocketHandlers(io)
             }
         });
 
+        // ========================================
+        // Judge Job Handlers
+        // ========================================
+
+        // Follow a queued code run with the key POST /jobs returned; job-update events arrive until it finishes
+        socket.on('subscribe-job', async (data) =>
+        {
+            const job=await submissionQueue.getJobFor(data?.jobId, {key: data?.key});
+            if (!job) return socket.emit('job-update', {jobId: data?.jobId, status: 'not_found'});
+            socket.join(`job-${job.jobId}`);
+            // The job may already have finished, so send its current state once
+            socket.emit('job-update', job);
+        });
+
+        socket.on('unsubscribe-job', (data) =>
+        {
+            socket.leave(`job-${data?.jobId}`);
+        });
+
+        // ========================================
+        // Contest Handlers
+        // ========================================
+
+        // Follow a contest's judged submissions and live leaderboard; a socket signed in with
+        // an account token also gets its user's own verdicts during the freeze and virtual runs,
+        // clarification answers and announcements (and, for organizers, new questions)
+        socket.on('join-contest', (data) =>
+        {
+            if (!data?.contestId) return;
+            socket.join(`contest-${data.contestId}`);
+            if (socket.user?.id) socket.join(`contest-${data.contestId}-user-${socket.user.id}`);
+        });
+
+        socket.on('leave-contest', (data) =>
+        {
+            socket.leave(`contest-${data?.contestId}`);
+            if (socket.user?.id) socket.leave(`contest-${data.contestId}-user-${socket.user.id}`);
+        });
+
         // Disconnect
         socket.on('disconnect', () =>
         {
@@ -544,6 +836,12 @@ export function setupSocketHandlers(io)
                 }
             }
             
+            // Other participants stop showing this socket's cursor
+            for (const documentId of collaborativeEditor.removeClient(socket.id))
+            {
+                io.to(editorRoom(documentId)).emit('code-cursor-removed', {clientId: socket.id});
+            }
+
             // Clean up proctor dashboard
             proctorDashboardSockets.delete(socket.id);
         });
@@ -564,6 +862,9 @@ export function setupSocketHandlers(io)
                     userName: participant.userName,
                     role: participant.role
                 });
+                if (collaborativeEditor.removeCursor(sessionId, sock.id)) {
+                    sock.to(`live-${sessionId}`).emit('code-cursor-removed', { sessionId, clientId: sock.id });
+                }
             }
         }
 
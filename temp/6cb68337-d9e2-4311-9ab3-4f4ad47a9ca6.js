@@ -1,11 +0,0 @@
-function twoSum(nums, target) {
-    // Write your code here
-}
-
-try {
-    const result = twoSum([3,3], 6);
-    console.log(JSON.stringify(result));
-} catch (error) {
-    console.error('ERROR: ' + error.message);
-    process.exit(1);
-}
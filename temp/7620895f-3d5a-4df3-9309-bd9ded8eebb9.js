@@ -1,11 +0,0 @@
-function twoSum(nums, target) {
-    // Write your code here
-}
-
-try {
-    const result = twoSum([-1,-2,-3,-4,-5], -8);
-    console.log(JSON.stringify(result));
-} catch (error) {
-    console.error('ERROR: ' + error.message);
-    process.exit(1);
-}
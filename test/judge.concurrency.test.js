@@ -0,0 +1,86 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {spawnSync} from 'node:child_process';
+import {existsSync} from 'node:fs';
+import path from 'node:path';
+import judge from '../services/judge.js';
+import sandbox from '../services/sandbox.js';
+
+/**
+ * Parallel runs of the same language must not see each other's build output:
+ * every Java program below is a class named Main compiled at the same time,
+ * each printing its own number, so a shared class directory shows up as a
+ * run getting someone else's result. JUDGE_TEST_RUNS sets how many run at once.
+ * Without a toolchain, the commands the judge would run are still checked:
+ * each Java build must compile into, and load from, its own scratch dir only.
+ */
+
+const RUNS=parseInt(process.env.JUDGE_TEST_RUNS)||8;
+
+const hasTool=(command, args) => !spawnSync(command, args, {stdio: 'ignore'}).error;
+
+const PROGRAMS={
+    java: {
+        available: hasTool('javac', ['-version'])&&hasTool('java', ['-version']),
+        source: i => `public class Main {
+    public static void main(String[] args) {
+        java.util.Scanner in = new java.util.Scanner(System.in);
+        long offset = in.nextLong();
+        System.out.print(offset + ${i});
+    }
+}`
+    },
+    cpp: {
+        available: hasTool('g++', ['--version']),
+        source: i => `#include <iostream>
+int main() { long long offset; std::cin >> offset; std::cout << offset + ${i}; return 0; }`
+    }
+};
+
+for (const [language, {available, source}] of Object.entries(PROGRAMS))
+{
+    test(`${RUNS} parallel ${language} runs each get their own result`, {skip: !available&&`${language} toolchain not installed`, timeout: 300000}, async () =>
+    {
+        const runs=Array.from({length: RUNS}, (_, i) => judge.execute(source(i), language, String(1000*(i+1))));
+        const results=await Promise.all(runs);
+        results.forEach((result, i) =>
+        {
+            assert.equal(result.verdict, 'AC', `run ${i}: ${result.errors}`);
+            assert.equal(result.output.trim(), String(1000*(i+1)+i), `run ${i} got another run's output`);
+        });
+    });
+}
+
+test(`${RUNS} parallel java builds compile into and load from their own scratch dir`, async () =>
+{
+    const calls=[];
+    const run=sandbox.run;
+    sandbox.run=async (command, args, {workspace}) =>
+    {
+        calls.push({command, args, workspace, sourceWritten: existsSync(path.join(workspace, 'Main.java'))});
+        return {stdout: '', stderr: '', timeMs: 0, memoryKb: 0, exitCode: 0, signal: null, verdict: 'OK'};
+    };
+    try
+    {
+        await Promise.all(Array.from({length: RUNS}, (_, i) => judge.execute(PROGRAMS.java.source(i), 'java', '0')));
+    } finally
+    {
+        sandbox.run=run;
+    }
+
+    const compiles=calls.filter(call => call.command==='javac');
+    const runs=calls.filter(call => call.command==='java');
+    assert.equal(compiles.length, RUNS);
+    assert.equal(runs.length, RUNS);
+    assert.equal(new Set(compiles.map(call => call.workspace)).size, RUNS, 'builds share a scratch dir');
+    for (const {args, workspace, sourceWritten} of compiles)
+    {
+        assert.ok(sourceWritten, 'source not written into the build\'s scratch dir');
+        assert.equal(args[args.indexOf('-d')+1], workspace);
+        assert.equal(args[args.indexOf('-cp')+1], workspace);
+    }
+    for (const {args, workspace} of runs)
+    {
+        assert.equal(args[args.indexOf('-cp')+1], workspace);
+    }
+});